@@ -0,0 +1,100 @@
+/**
+ * Admin endpoint for the contest job queue (lib/job-queue.js, lib/contest-jobs.js)
+ *
+ * Usage:
+ *   GET  /api/admin-jobs                       - Queue sizes, stuck jobs and dead-lettered jobs
+ *   GET  /api/admin-jobs?type=finalize         - Same, one job type only
+ *   GET  /api/admin-jobs?id=finalize:M-12      - One job record
+ *   POST /api/admin-jobs
+ *     Body: { action: 'retry', id }            - Requeue a dead job with fresh attempts
+ *
+ * Stuck = leased past its lease expiry, or queued and overdue by 15+ minutes
+ * (the cron that drains that type isn't running).
+ *
+ * Auth: Authorization: Bearer <ADMIN_KEY>
+ */
+
+const { getJob, getQueueStats, getStuckJobs, getDeadJobs, retryJob } = require('./lib/job-queue');
+const { JOB_TYPES } = require('./lib/contest-jobs');
+
+module.exports = async (req, res) => {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const adminKey = process.env.ADMIN_KEY;
+  if (!adminKey) {
+    return res.status(500).json({ error: 'ADMIN_KEY not configured' });
+  }
+  if (req.headers['authorization'] !== `Bearer ${adminKey}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!process.env.KV_REST_API_URL) {
+    return res.status(500).json({ error: 'KV not configured' });
+  }
+
+  try {
+    const { kv } = require('@vercel/kv');
+    const validTypes = Object.values(JOB_TYPES);
+
+    if (req.method === 'GET') {
+      const { id, type, limit } = req.query;
+
+      if (id) {
+        const job = await getJob(kv, id);
+        if (!job) {
+          return res.status(404).json({ error: `Job not found: ${id}` });
+        }
+        return res.status(200).json({ job });
+      }
+
+      if (type && !validTypes.includes(type)) {
+        return res.status(400).json({ error: `Unknown job type: ${type}`, valid: validTypes });
+      }
+
+      const types = type ? [type] : validTypes;
+      const max = Math.min(Math.max(1, parseInt(limit) || 50), 200);
+      const [queues, stuck, dead] = await Promise.all([
+        getQueueStats(kv, types),
+        getStuckJobs(kv, types, max),
+        getDeadJobs(kv, max),
+      ]);
+
+      return res.status(200).json({
+        queues,
+        stuck,
+        dead: type ? dead.filter(job => job.type === type) : dead,
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { action, id } = req.body || {};
+
+      if (action !== 'retry') {
+        return res.status(400).json({ error: 'action must be "retry"' });
+      }
+      if (!id) {
+        return res.status(400).json({ error: 'Missing id' });
+      }
+
+      const job = await retryJob(kv, id);
+      if (!job) {
+        return res.status(400).json({ error: `Not a dead job: ${id}` });
+      }
+      console.log(`🔁 Admin requeued job ${id}`);
+      return res.status(200).json({ success: true, job });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Admin jobs error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
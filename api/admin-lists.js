@@ -0,0 +1,104 @@
+/**
+ * Admin endpoint for access lists (blocked FIDs, excluded hosts, cooldown-exempt addresses)
+ *
+ * Usage:
+ *   GET  /api/admin-lists                                 - List names + descriptions
+ *   GET  /api/admin-lists?list=blocked_fids               - Active entries
+ *   GET  /api/admin-lists?list=blocked_fids&expired=true  - Include expired entries
+ *   GET  /api/admin-lists?audit=true&limit=50             - Recent add/remove history
+ *   POST /api/admin-lists
+ *     Body: { action: 'add', list, value, reason, addedBy, expiresInHours? }
+ *     Body: { action: 'remove', list, value, removedBy, reason? }
+ *
+ * Auth: Authorization: Bearer <ADMIN_KEY>
+ */
+
+const {
+  LISTS,
+  getListEntries,
+  addListEntry,
+  removeListEntry,
+  getAuditLog,
+} = require('./lib/access-lists');
+
+module.exports = async (req, res) => {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const adminKey = process.env.ADMIN_KEY;
+  if (!adminKey) {
+    return res.status(500).json({ error: 'ADMIN_KEY not configured' });
+  }
+  if (req.headers['authorization'] !== `Bearer ${adminKey}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!process.env.KV_REST_API_URL) {
+    return res.status(500).json({ error: 'KV not configured' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { list, audit, expired, limit } = req.query;
+
+      if (audit === 'true') {
+        const records = await getAuditLog(Math.max(1, parseInt(limit) || 100));
+        return res.status(200).json({ audit: records });
+      }
+
+      if (!list) {
+        const lists = Object.entries(LISTS).map(([name, { description }]) => ({ name, description }));
+        return res.status(200).json({ lists });
+      }
+
+      if (!LISTS[list]) {
+        return res.status(400).json({ error: `Unknown list: ${list}`, valid: Object.keys(LISTS) });
+      }
+
+      const entries = await getListEntries(list, expired === 'true');
+      return res.status(200).json({ list, count: entries.length, entries });
+    }
+
+    if (req.method === 'POST') {
+      const { action, list, value, reason, addedBy, removedBy, expiresInHours } = req.body || {};
+
+      if (!LISTS[list]) {
+        return res.status(400).json({ error: `Unknown list: ${list}`, valid: Object.keys(LISTS) });
+      }
+
+      let result;
+      if (action === 'add') {
+        let expiresAt = null;
+        if (expiresInHours !== undefined && expiresInHours !== null) {
+          const hours = Number(expiresInHours);
+          if (!Number.isFinite(hours) || hours <= 0) {
+            return res.status(400).json({ error: 'expiresInHours must be a positive number' });
+          }
+          expiresAt = Date.now() + Math.round(hours * 60 * 60 * 1000);
+        }
+        result = await addListEntry(list, value, { reason, addedBy, expiresAt });
+      } else if (action === 'remove') {
+        result = await removeListEntry(list, value, { removedBy, reason });
+      } else {
+        return res.status(400).json({ error: 'action must be "add" or "remove"' });
+      }
+
+      if (!result.success) {
+        return res.status(400).json({ error: result.error });
+      }
+      return res.status(200).json({ list, ...result });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Admin lists error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
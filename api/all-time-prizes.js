@@ -2,7 +2,7 @@
  * All-Time Prizes API
  *
  * Calculates the total prize value distributed across all completed contests.
- * Uses unified ContestManager for M- and T- prefix contests.
+ * Reads completed M- contests from the contest index (lib/contest-index.js).
  *
  * Usage:
  *   GET /api/all-time-prizes
@@ -11,24 +11,16 @@
  */
 
 const { ethers } = require('ethers');
-const { getETHPrice, getTokenPriceWithLiquidity } = require('./lib/uniswap-volume');
+const { resolveTokenPrice, getETHPriceUSD, isTrustedPrice } = require('./lib/price-resolver');
+const { getIndexedContests } = require('./lib/contest-index');
+const { PRIZE_TYPE, CONTEST_STATUS } = require('./lib/config');
+const { getTokenInfo } = require('./lib/contest-manager');
+const { tokenAmount, toNumber, toUSD } = require('./lib/token-amount');
 
 const CONFIG = {
-  CONTEST_MANAGER: '0xF56Fe30e1eAb5178da1AA2CbBf14d1e3C0Ba3944',
   BASE_RPC: process.env.BASE_RPC_URL || 'https://base-mainnet.g.alchemy.com/v2/QooWtq9nKQlkeqKF_-rvC',
 };
 
-// Struct: host, contestType, status, castId, startTime, endTime, prizeToken, prizeAmount, nftAmount, tokenRequirement, volumeRequirement, winnerCount, winners, isTestContest
-const CONTEST_MANAGER_ABI = [
-  'function getContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function getTestContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function mainNextContestId() view returns (uint256)',
-  'function testNextContestId() view returns (uint256)',
-];
-
-const PRIZE_TYPE = { ETH: 0, ERC20: 1, ERC721: 2, ERC1155: 3 };
-const CONTEST_STATUS = { Completed: 2 };
-
 // Cache results for 5 minutes
 let cachedResult = null;
 let cacheTimestamp = 0;
@@ -55,7 +47,6 @@ module.exports = async (req, res) => {
     }
 
     const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
-    const contestManager = new ethers.Contract(CONFIG.CONTEST_MANAGER, CONTEST_MANAGER_ABI, provider);
 
     // Get KV client for prize value lookups
     let kvClient = null;
@@ -64,7 +55,7 @@ module.exports = async (req, res) => {
       kvClient = kv;
     }
 
-    const ethPrice = await getETHPrice(provider);
+    const ethPrice = await getETHPriceUSD(provider);
     let totalETH = 0;
     let totalUSD = 0;
     let completedMainContests = 0;
@@ -82,33 +73,33 @@ module.exports = async (req, res) => {
           const cached = await kvClient.get(`contest_price_prize_${contestId}`).catch(() => null);
           if (cached?.prizeValueUSD) { usd = cached.prizeValueUSD; return Math.min(usd, MAX_PRIZE_USD); }
         }
-        const ethAmount = Number(ethers.formatEther(prizeAmount));
+        const ethAmount = toNumber(tokenAmount(prizeAmount));
         totalETH += ethAmount;
         return Math.min(ethAmount * ethPrice, MAX_PRIZE_USD);
       }
       if (type === PRIZE_TYPE.ERC20) {
         if (kvClient) {
           const priceData = await kvClient.get(`contest_price_prize_${contestId}`).catch(() => null);
-          if (priceData?.adminOverride) return Math.min(priceData.prizeValueUSD || 0, MAX_PRIZE_USD);
+          // Admin overrides and TWAP snapshots (lib/price-oracle.js) are final, even at $0
+          if (priceData?.adminOverride || priceData?.oracle) return Math.min(priceData.prizeValueUSD || 0, MAX_PRIZE_USD);
           if (priceData?.prizeValueUSD && priceData.prizeValueUSD >= 0.01) return Math.min(priceData.prizeValueUSD, MAX_PRIZE_USD);
         }
         // Fallback: calculate from on-chain token price (with liquidity validation)
         if (prizeTokenAddr && prizeTokenAddr !== ethers.ZeroAddress) {
           try {
-            const priceResult = await getTokenPriceWithLiquidity(provider, prizeTokenAddr);
-            if (priceResult.priceUSD > 0 && (priceResult.liquidityUSD === null || priceResult.liquidityUSD >= 1000)) {
-              const tokenContract = new ethers.Contract(prizeTokenAddr, ['function decimals() view returns (uint8)'], provider);
-              const decimals = await tokenContract.decimals().catch(() => 18n);
-              const amount = Number(ethers.formatUnits(prizeAmount, Number(decimals)));
-              usd = amount * priceResult.priceUSD;
+            const price = await resolveTokenPrice(provider, prizeTokenAddr, { kv: kvClient });
+            if (isTrustedPrice(price)) {
+              const { decimals, unresolved } = await getTokenInfo(provider, prizeTokenAddr);
+              if (unresolved) throw new Error('token decimals unavailable');
+              usd = toUSD(tokenAmount(prizeAmount, decimals), price.priceUSD);
               if (kvClient) {
-                await kvClient.set(`contest_price_prize_${contestId}`, { prizeValueUSD: usd }).catch(() => {});
+                await kvClient.set(`contest_price_prize_${contestId}`, { prizeValueUSD: usd, source: price.source, confidence: price.confidence }).catch(() => {});
               }
               return Math.min(usd, MAX_PRIZE_USD);
-            } else if (priceResult.liquidityUSD !== null && priceResult.liquidityUSD < 1000) {
-              console.log(`Skipping low-liquidity prize for ${contestId}: $${priceResult.liquidityUSD.toFixed(2)} liquidity`);
+            } else if (price.source !== 'none') {
+              console.log(`Skipping low-liquidity prize for ${contestId}: $${(price.liquidityUSD || 0).toFixed(2)} liquidity (${price.source})`);
               if (kvClient) {
-                await kvClient.set(`contest_price_prize_${contestId}`, { prizeValueUSD: 0 }).catch(() => {});
+                await kvClient.set(`contest_price_prize_${contestId}`, { prizeValueUSD: 0, source: price.source, confidence: price.confidence }).catch(() => {});
               }
             }
           } catch (e) {
@@ -127,16 +118,11 @@ module.exports = async (req, res) => {
 
     // Process Main contests
     try {
-      const mainNextId = await contestManager.mainNextContestId();
-      for (let i = 1n; i < mainNextId; i++) {
+      const completed = await getIndexedContests({ type: 'main', statuses: [CONTEST_STATUS.COMPLETED] });
+      for (const contest of completed) {
         try {
-          const contest = await contestManager.getContestFull(i);
-          const { contestType, prizeAmount, status, prizeToken } = contest;
-
-          if (Number(status) !== CONTEST_STATUS.Completed) continue;
           completedMainContests++;
-
-          totalUSD += await getContestPrizeUSD(contestType, prizeAmount, `M-${i}`, prizeToken);
+          totalUSD += await getContestPrizeUSD(contest.contestType, BigInt(contest.prizeAmount), contest.contestId, contest.prizeToken);
         } catch (e) {}
       }
     } catch (e) {
@@ -7,41 +7,41 @@
  * Supports the unified ContestManager (M- and T- prefix contests)
  * with multi-winner support for ETH/ERC20 and single winner for NFT.
  *
+ * The cast text comes from the host's announcement template, or the default
+ * (lib/announcement-templates.js). A multi-winner announcement that's too
+ * long for one cast is posted as a thread. If a reply fails, the casts posted
+ * so far are kept in announce_thread:{contestId} and the announce job's
+ * retry finishes the thread from there instead of starting over.
+ *
+ * The cron is the worker for the `announce` queue (lib/contest-jobs.js) -
+ * finalize-contest queues each contest once its winners are drawn.
+ *
  * Usage:
- *   POST /api/announce-winner (cron - checks all completed contests)
+ *   POST /api/announce-winner (cron - drains the announce queue)
  *   GET /api/announce-winner?contestId=M-1 (announce specific main contest)
  *   GET /api/announce-winner?contestId=T-1 (announce specific test contest)
  */
 
 const { ethers } = require('ethers');
+const { PRIZE_TYPE, CONTEST_STATUS } = require('./lib/config');
+const { getContest } = require('./lib/contest-manager');
+const { formatAmount, splitAmount } = require('./lib/token-amount');
+const { resolveTemplate, composeAnnouncement } = require('./lib/announcement-templates');
+const { notifyWinners } = require('./lib/contest-notifications');
+const { getIndexedContests } = require('./lib/contest-index');
+const { nonRetryable, runWorker } = require('./lib/job-queue');
+const { JOB_TYPES, enqueueAnnounce } = require('./lib/contest-jobs');
 
 // ═══════════════════════════════════════════════════════════════════
 // CONFIGURATION
 // ═══════════════════════════════════════════════════════════════════
 
 const CONFIG = {
-  // Unified ContestManager (M- and T- prefix contests)
-  CONTEST_MANAGER: '0xF56Fe30e1eAb5178da1AA2CbBf14d1e3C0Ba3944',
-
   NEYNARTODES_TOKEN: '0x8de1622fe07f56cda2e2273e615a513f1d828b07',
   BASE_RPC: process.env.BASE_RPC_URL || 'https://base-mainnet.g.alchemy.com/v2/QooWtq9nKQlkeqKF_-rvC',
   NEYNAR_API_KEY: process.env.NEYNAR_API_KEY || 'AA2E0FC2-FDC0-466D-9EBA-4BCA968C9B1D',
 };
 
-// Unified ContestManager ABI
-// Struct: host, contestType, status, castId, startTime, endTime, prizeToken, prizeAmount, nftAmount, tokenRequirement, volumeRequirement, winnerCount, winners, isTestContest
-const CONTEST_MANAGER_ABI = [
-  'function getContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function getTestContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function mainNextContestId() view returns (uint256)',
-  'function testNextContestId() view returns (uint256)',
-];
-
-const ERC20_ABI = [
-  'function symbol() view returns (string)',
-  'function decimals() view returns (uint8)',
-];
-
 const ERC721_ABI = [
   'function name() view returns (string)',
   'function tokenURI(uint256 tokenId) view returns (string)',
@@ -52,10 +52,6 @@ const NFT_ABI = [
   'function uri(uint256 id) view returns (string)',
 ];
 
-// Prize types from contract
-const PRIZE_TYPES = { ETH: 0, ERC20: 1, ERC721: 2, ERC1155: 3 };
-const CONTEST_STATUS = { Active: 0, PendingVRF: 1, Completed: 2, Cancelled: 3 };
-
 /**
  * Format token amount to human readable (e.g., 250K, 1.5M)
  */
@@ -66,22 +62,6 @@ function formatTokenAmount(amount) {
   return amount.toFixed(0);
 }
 
-/**
- * Parse contest ID string (M-1, T-1) into type and numeric ID
- */
-function parseContestId(contestIdStr) {
-  if (typeof contestIdStr === 'string') {
-    if (contestIdStr.startsWith('M-')) {
-      return { id: parseInt(contestIdStr.slice(2)), type: 'main' };
-    }
-    if (contestIdStr.startsWith('T-')) {
-      return { id: parseInt(contestIdStr.slice(2)), type: 'test' };
-    }
-  }
-  // Default to main if just a number
-  return { id: parseInt(contestIdStr), type: 'main' };
-}
-
 /**
  * Fetch NFT image URL from contract tokenURI/uri
  */
@@ -166,6 +146,21 @@ async function isAlreadyAnnounced(contestIdStr) {
   return false;
 }
 
+const THREAD_STATE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * A thread that stopped part-way: { casts, threadHashes, updatedAt }
+ */
+async function getPartialThread(kv, contestIdStr) {
+  if (!kv) return null;
+  try {
+    return await kv.get(`announce_thread:${contestIdStr}`);
+  } catch (e) {
+    console.log('   Could not read partial thread:', e.message);
+    return null;
+  }
+}
+
 async function markAsAnnounced(contestIdStr) {
   try {
     if (process.env.KV_REST_API_URL) {
@@ -209,47 +204,69 @@ async function getUserByWallet(walletAddress) {
   }
 }
 
-async function postWinnerAnnouncement(quotedCastHash, message, signerUuid, nftImageUrl = null) {
-  try {
-    if (!signerUuid) {
-      console.log('   No NEYNAR_SIGNER_UUID configured - cannot post cast');
-      return { success: false, error: 'No signer configured' };
-    }
+/**
+ * Post the announcement - one cast, or a thread when the template split it
+ * (lib/announcement-templates.js). The first cast quotes the contest cast;
+ * the rest reply to the previous one.
+ * @param {string} quotedCastHash - Contest cast
+ * @param {string[]} casts - Cast texts, in order
+ * @param {string} signerUuid
+ * @param {string|null} [nftImageUrl]
+ * @param {string[]} [postedHashes] - Casts of this thread already posted (resume after the last)
+ * @returns {Promise<{success: boolean, partial?: boolean, castHash?: string, threadHashes?: string[], error?: string}>}
+ *   success once every cast is posted; partial when the thread stopped after
+ *   posting some of them (threadHashes holds those)
+ */
+async function postWinnerAnnouncement(quotedCastHash, casts, signerUuid, nftImageUrl = null, postedHashes = []) {
+  if (!signerUuid) {
+    console.log('   No NEYNAR_SIGNER_UUID configured - cannot post cast');
+    return { success: false, error: 'No signer configured' };
+  }
 
-    const quotedCastUrl = `https://warpcast.com/~/conversations/${quotedCastHash}`;
-    const embeds = [{ url: quotedCastUrl }];
+  const quotedCastUrl = `https://warpcast.com/~/conversations/${quotedCastHash}`;
+  const embeds = [{ url: quotedCastUrl }];
 
-    if (nftImageUrl) {
-      const proxiedImage = `https://frame-opal-eight.vercel.app/api/image-proxy?url=${encodeURIComponent(nftImageUrl)}`;
-      embeds.push({ url: proxiedImage });
-    }
+  if (nftImageUrl) {
+    const proxiedImage = `https://frame-opal-eight.vercel.app/api/image-proxy?url=${encodeURIComponent(nftImageUrl)}`;
+    embeds.push({ url: proxiedImage });
+  }
 
-    const response = await fetch('https://api.neynar.com/v2/farcaster/cast', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'api_key': CONFIG.NEYNAR_API_KEY
-      },
-      body: JSON.stringify({
-        signer_uuid: signerUuid,
-        text: message,
-        embeds: embeds
-      })
-    });
+  const hashes = [...postedHashes];
+  const stopped = (i, message) => (hashes.length === 0
+    ? { success: false, error: message }
+    : { success: false, partial: true, castHash: hashes[0], threadHashes: hashes, error: `Thread stopped at cast ${i + 1}: ${message}` });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('   Failed to post cast:', errorText);
-      return { success: false, error: errorText };
-    }
+  for (let i = hashes.length; i < casts.length; i++) {
+    const body = i === 0
+      ? { signer_uuid: signerUuid, text: casts[i], embeds: embeds }
+      : { signer_uuid: signerUuid, text: casts[i], parent: hashes[i - 1] };
 
-    const data = await response.json();
-    console.log('   Winner announcement posted!');
-    return { success: true, castHash: data.cast?.hash };
-  } catch (error) {
-    console.error('Error posting cast:', error);
-    return { success: false, error: error.message };
+    try {
+      const response = await fetch('https://api.neynar.com/v2/farcaster/cast', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'api_key': CONFIG.NEYNAR_API_KEY
+        },
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`   Failed to post cast ${i + 1}/${casts.length}:`, errorText);
+        return stopped(i, errorText);
+      }
+
+      const data = await response.json();
+      hashes.push(data.cast?.hash);
+    } catch (error) {
+      console.error('Error posting cast:', error);
+      return stopped(i, error.message);
+    }
   }
+
+  console.log(`   Winner announcement posted!${casts.length > 1 ? ` (thread of ${casts.length})` : ''}`);
+  return { success: true, castHash: hashes[0], threadHashes: hashes };
 }
 
 async function getCustomMessage(contestIdStr) {
@@ -273,31 +290,24 @@ async function getCustomMessage(contestIdStr) {
 // ═══════════════════════════════════════════════════════════════════
 
 async function announceContestWinners(contestIdStr) {
-  const { id, type } = parseContestId(contestIdStr);
-  const prefix = type === 'test' ? 'T' : 'M';
-  const fullContestId = `${prefix}-${id}`;
-
   const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
-  const contestManager = new ethers.Contract(CONFIG.CONTEST_MANAGER, CONTEST_MANAGER_ABI, provider);
 
   // Get contest details
-  const contest = type === 'test'
-    ? await contestManager.getTestContestFull(id)
-    : await contestManager.getContestFull(id);
-
-  // Struct: host, contestType, status, castId, startTime, endTime, prizeToken, prizeAmount, nftAmount, tokenRequirement, volumeRequirement, winnerCount, winners, isTestContest
-  const {
-    host, contestType, status, castId, prizeToken, prizeAmount, nftAmount, winnerCount, winners
-  } = contest;
-  // For NFT contests: prizeToken = NFT contract, prizeAmount = tokenId
-  const prizeType = contestType; // Alias for compatibility
+  const contest = await getContest(provider, contestIdStr, { withPrize: true });
+  if (!contest) {
+    return { success: false, error: 'Contest not found', contestId: contestIdStr };
+  }
+
+  const fullContestId = contest.contestId;
+  const { host, status, winners } = contest;
 
   // Check status
-  if (Number(status) !== CONTEST_STATUS.Completed) {
+  if (status !== CONTEST_STATUS.COMPLETED) {
     return {
       success: false,
       error: `Contest not completed (status: ${status})`,
-      contestId: fullContestId
+      contestId: fullContestId,
+      status
     };
   }
 
@@ -318,19 +328,116 @@ async function announceContestWinners(contestIdStr) {
     };
   }
 
-  const isNftPrize = Number(prizeType) === PRIZE_TYPES.ERC721 || Number(prizeType) === PRIZE_TYPES.ERC1155;
-
-  // For NFT contests: prizeToken = NFT contract, prizeAmount = tokenId
-  const nftContract = isNftPrize ? prizeToken : null;
-  const nftTokenId = isNftPrize ? prizeAmount : null;
-
   console.log(`\nAnnouncing ${winners.length} winner(s) for Contest ${fullContestId}`);
   console.log(`   Host: ${host}`);
   console.log(`   Winners: ${winners.join(', ')}`);
 
+  const context = await buildAnnouncementContext(provider, contest);
+  const { values, winnerProfiles } = context;
+
+  const kv = process.env.KV_REST_API_URL ? require('@vercel/kv').kv : null;
+
+  // Tell the winners directly (once per contest - finalize-contest may already have)
+  if (kv) {
+    try {
+      await notifyWinners(kv, fullContestId, winnerProfiles.map(wp => wp.user?.fid).filter(Boolean), {
+        prize: context.winnerPrize,
+      });
+    } catch (e) {
+      console.log(`   ⚠️ Winner notifications failed: ${e.message}`);
+    }
+  }
+
+  // Host's template (lib/announcement-templates.js), or the default
+  let template;
+  try {
+    template = await resolveTemplate(kv, { contestId: fullContestId, hostFid: context.hostFid, nft: context.nft });
+  } catch (e) {
+    console.log('   Could not load announcement template:', e.message);
+    template = await resolveTemplate(null, { nft: context.nft });
+  }
+  const announcement = composeAnnouncement(template.text, values, { winnerCount: winnerProfiles.length });
+  console.log(`   Template: ${template.source} (${template.language}), ${announcement.casts.length} cast(s)` +
+    (announcement.truncated ? ' - truncated' : ''));
+
+  // A thread that stopped part-way is finished with the casts it started with
+  const partial = await getPartialThread(kv, fullContestId);
+  if (partial) {
+    announcement.casts = partial.casts;
+    console.log(`   Resuming thread after ${partial.threadHashes.length}/${partial.casts.length} cast(s)`);
+  }
+
+  const result = {
+    contestId: fullContestId,
+    winners: winners,
+    winnerUsernames: winnerProfiles.map(wp => wp.user?.username).filter(Boolean),
+    prize: values.prize,
+    message: announcement.text,
+    casts: announcement.casts,
+    template: { source: template.source, language: template.language, truncated: announcement.truncated }
+  };
+
+  // Post the announcement
+  const actualCastHash = contest.cast.hash;
+  const signerUuid = process.env.NEYNAR_SIGNER_UUID;
+
+  if (!signerUuid) {
+    console.log('   NEYNAR_SIGNER_UUID not set - skipping cast post');
+    await markAsAnnounced(fullContestId);
+    return {
+      success: true,
+      ...result,
+      posted: false,
+      note: 'Set NEYNAR_SIGNER_UUID to enable automatic cast posting'
+    };
+  }
+
+  const postResult = await postWinnerAnnouncement(
+    actualCastHash, announcement.casts, signerUuid, context.nftImageUrl, partial?.threadHashes || []
+  );
+
+  if (postResult.success) {
+    await markAsAnnounced(fullContestId);
+    if (partial) await kv.del(`announce_thread:${fullContestId}`);
+  } else if (postResult.partial && kv) {
+    // Not announced yet - the job retries and posts the rest
+    await kv.set(`announce_thread:${fullContestId}`, {
+      casts: announcement.casts,
+      threadHashes: postResult.threadHashes,
+      updatedAt: Date.now()
+    }, { ex: THREAD_STATE_TTL_SECONDS });
+  }
+
+  return {
+    success: postResult.success,
+    error: postResult.error,
+    ...result,
+    posted: postResult.success,
+    partial: !!postResult.partial,
+    castHash: postResult.castHash,
+    threadHashes: postResult.threadHashes
+  };
+}
+
+/**
+ * Gather the placeholder values for an announcement (lib/announcement-templates.js)
+ * Works before winners are drawn too (winner values are then empty), for
+ * /api/announcement-preview.
+ * @param {object} provider - Ethers provider
+ * @param {object} contest - From getContest(..., { withPrize: true })
+ * @returns {Promise<object>} { values, hostFid, winnerProfiles, winnerPrize, nftImageUrl, nft }
+ */
+async function buildAnnouncementContext(provider, contest) {
+  const fullContestId = contest.contestId;
+  const { host, prizeType, prizeToken, nftAmount, isNft: isNftPrize } = contest;
+  const winners = contest.winners || [];
+
+  // For NFT contests: prizeToken = NFT contract, prizeAmount = tokenId
+  const nftContract = isNftPrize ? prizeToken : null;
+  const nftTokenId = contest.nftTokenId;
+
   // Get host's Farcaster profile
   const hostUser = await getUserByWallet(host);
-  const hostTag = hostUser ? `@${hostUser.username}` : null;
 
   // Deduplicate winners
   const uniqueWinners = [...new Set(winners.map(w => w.toLowerCase()))];
@@ -352,29 +459,19 @@ async function announceContestWinners(contestIdStr) {
   let nftImageUrl = null;
   const uniqueWinnerCount = uniqueWinners.length;
 
-  if (Number(prizeType) === PRIZE_TYPES.ETH) {
-    const totalEth = Number(ethers.formatEther(prizeAmount));
-    const perWinner = totalEth / uniqueWinnerCount;
-    prizeDisplay = `${totalEth.toFixed(4)} ETH`;
-    perWinnerPrize = uniqueWinnerCount > 1 ? ` (${perWinner.toFixed(4)} ETH each)` : '';
-  } else if (Number(prizeType) === PRIZE_TYPES.ERC20) {
-    try {
-      const tokenContract = new ethers.Contract(prizeToken, ERC20_ABI, provider);
-      const symbol = await tokenContract.symbol();
-      const decimals = await tokenContract.decimals();
-      const totalAmount = Number(prizeAmount) / Math.pow(10, Number(decimals));
-      const perWinner = totalAmount / uniqueWinnerCount;
-      prizeDisplay = `${totalAmount.toLocaleString()} $${symbol}`;
-      const perWinnerFormatted = perWinner % 1 === 0 ? perWinner.toString() : perWinner.toFixed(2);
-      perWinnerPrize = uniqueWinnerCount > 1 ? ` (${perWinnerFormatted} each)` : '';
-    } catch (e) {
-      prizeDisplay = `${ethers.formatEther(prizeAmount)} tokens`;
-    }
+  if (prizeType === PRIZE_TYPE.ETH || prizeType === PRIZE_TYPE.ERC20) {
+    // Split in bigint at the token's decimals, rounding each share down
+    const isEth = prizeType === PRIZE_TYPE.ETH;
+    const format = { maxFractionDigits: isEth ? 4 : 2, symbol: isEth ? true : '$' };
+    prizeDisplay = formatAmount(contest.prize, format);
+    perWinnerPrize = uniqueWinnerCount > 1
+      ? formatAmount(splitAmount(contest.prize, uniqueWinnerCount), { ...format, symbol: isEth })
+      : '';
   } else if (isNftPrize) {
     try {
       const nftContractInstance = new ethers.Contract(nftContract, ERC721_ABI, provider);
       const name = await nftContractInstance.name().catch(() => 'NFT');
-      const isErc1155 = Number(prizeType) === PRIZE_TYPES.ERC1155;
+      const isErc1155 = prizeType === PRIZE_TYPE.ERC1155;
 
       if (isErc1155) {
         prizeDisplay = `${Number(nftAmount)}x ${name} #${nftTokenId}`;
@@ -400,163 +497,122 @@ async function announceContestWinners(contestIdStr) {
     }
   } catch (e) { /* ignore */ }
 
-  // Build announcement message
-  let announcement = isNftPrize
-    ? `🖼️🎉 NFT CONTEST ${fullContestId} COMPLETE! 🎉🖼️\n\n`
-    : `🦎🎉 CONTEST ${fullContestId} COMPLETE! 🎉🔥\n\n`;
+  const stats = finalizationData?.summary || null;
+  const bonusEntries = stats
+    ? (stats.holderBonuses || 0) + (stats.replyBonuses || 0) + (stats.shareBonuses || 0) + (stats.volumeBonuses || 0)
+    : 0;
+  const tokensBurned = parseFloat(stats?.tokensBurned || '0');
+  const hostEarned = parseFloat(stats?.hostEarned || '0');
+  const showEarnings = tokensBurned > 0 || hostEarned > 0;
+
+  const bonuses = [];
+  if (stats?.holderBonuses > 0) bonuses.push(`💎${stats.holderBonuses}`);
+  if (stats?.replyBonuses > 0) bonuses.push(`💬${stats.replyBonuses}`);
+  if (stats?.shareBonuses > 0) bonuses.push(`📤${stats.shareBonuses}`);
+  if (stats?.volumeBonuses > 0) bonuses.push(`📈${stats.volumeBonuses}`);
+
+  // Empty string = nothing to show (the template line is dropped)
+  const values = {
+    contestId: fullContestId,
+    host: hostUser ? `@${hostUser.username}` : '',
+    winners: winnerProfiles.length === 1
+      ? winnerProfiles[0].tag
+      : winnerProfiles.map((wp, i) => `\n   ${i + 1}. ${wp.tag}`).join(''),
+    winnerLabel: uniqueWinnerCount === 1 ? 'Winner' : 'Winners',
+    winnerCount: uniqueWinnerCount > 0 ? String(uniqueWinnerCount) : '',
+    congratsTo: uniqueWinnerCount === 1 ? 'the winner' : 'all winners',
+    prize: prizeDisplay,
+    perWinner: perWinnerPrize,
+    prizeEach: perWinnerPrize ? ` (${perWinnerPrize} each)` : '',
+    entrants: stats ? String(stats.uniqueParticipants || 0) : '',
+    bonusEntries: bonusEntries > 0 ? String(bonusEntries) : '',
+    bonusBreakdown: bonuses.join(' '),
+    // Shown as a pair, like the stats block always was
+    burned: showEarnings ? formatTokenAmount(tokensBurned) : '',
+    hostEarned: showEarnings ? formatTokenAmount(hostEarned) : '',
+    txLink: finalizeTxHash ? `https://basescan.org/tx/${finalizeTxHash}` : '',
+    message: customMessage || '',
+  };
 
-  if (customMessage) {
-    announcement += `${customMessage}\n\n`;
+  let winnerPrize = null;
+  if (uniqueWinnerCount > 0) {
+    winnerPrize = isNftPrize ? prizeDisplay : formatAmount(splitAmount(contest.prize, uniqueWinnerCount));
   }
 
-  if (hostTag) {
-    announcement += `🎙️ Host: ${hostTag}\n`;
-  }
+  return { values, hostFid: hostUser?.fid || null, winnerProfiles, winnerPrize, nftImageUrl, nft: !!isNftPrize };
+}
 
-  if (winners.length === 1) {
-    announcement += `🏆 Winner: ${winnerProfiles[0].tag}\n`;
-  } else {
-    announcement += `🏆 Winners:\n`;
-    winnerProfiles.forEach((wp, i) => {
-      announcement += `   ${i + 1}. ${wp.tag}\n`;
-    });
-  }
+// ═══════════════════════════════════════════════════════════════════
+// QUEUE WORKER (cron)
+// ═══════════════════════════════════════════════════════════════════
 
-  announcement += `🎁 Prize: ${prizeDisplay}${perWinnerPrize}\n\n`;
+const WINNERS_WAIT_MS = 5 * 60 * 1000;
+const MAX_WINNERS_WAIT_DEFERRALS = 288; // 24 hours of WINNERS_WAIT_MS
 
-  // Add contest stats if available
-  if (finalizationData && finalizationData.summary) {
-    const stats = finalizationData.summary;
-    const bonusEntries = (stats.holderBonuses || 0) + (stats.replyBonuses || 0) + (stats.shareBonuses || 0) + (stats.volumeBonuses || 0);
-    announcement += `📊 Contest Stats:\n`;
-    announcement += `👥 ${stats.uniqueParticipants} unique entries\n`;
-    if (bonusEntries > 0) {
-      announcement += `🎟️ ${bonusEntries} bonus entries\n`;
-    }
-    const bonuses = [];
-    if (stats.holderBonuses > 0) bonuses.push(`💎${stats.holderBonuses}`);
-    if (stats.replyBonuses > 0) bonuses.push(`💬${stats.replyBonuses}`);
-    if (stats.shareBonuses > 0) bonuses.push(`📤${stats.shareBonuses}`);
-    if (stats.volumeBonuses > 0) bonuses.push(`📈${stats.volumeBonuses}`);
-    if (bonuses.length > 0) {
-      announcement += `   (${bonuses.join(' ')})\n`;
-    }
+/**
+ * Handle an announce job (lib/contest-jobs.js)
+ * @param {object} job - Leased job
+ * @returns {Promise<object>} Result kept on the job, or { defer }
+ */
+async function handleAnnounceJob(job) {
+  const { contestId } = job.payload;
+  const result = await announceContestWinners(contestId);
 
-    // Add tokens burned and host earned
-    const tokensBurned = parseFloat(stats.tokensBurned || '0');
-    const hostEarned = parseFloat(stats.hostEarned || '0');
-    if (tokensBurned > 0 || hostEarned > 0) {
-      announcement += `\n🔥 ${formatTokenAmount(tokensBurned)} burned\n`;
-      announcement += `💰 ${formatTokenAmount(hostEarned)} to host\n`;
-    }
-    announcement += `\n`;
+  if (result.success) {
+    return { contestId, posted: result.posted, castHash: result.castHash || null };
   }
-
-  announcement += `🔗 Selected via Chainlink VRF\n`;
-
-  if (finalizeTxHash) {
-    announcement += `https://basescan.org/tx/${finalizeTxHash}\n`;
+  if (result.error === 'Already announced') {
+    return { contestId, skipped: result.error };
   }
-
-  announcement += `\n🥳 Congrats to ${winners.length === 1 ? 'the winner' : 'all winners'}!\n\n`;
-  announcement += `Launch your own contest: https://farcaster.xyz/miniapps/uaKwcOvUry8F/neynartodes`;
-
-  // Post the announcement
-  const actualCastHash = castId.includes('|') ? castId.split('|')[0] : castId;
-  const signerUuid = process.env.NEYNAR_SIGNER_UUID;
-
-  if (!signerUuid) {
-    console.log('   NEYNAR_SIGNER_UUID not set - skipping cast post');
-    await markAsAnnounced(fullContestId);
-    return {
-      success: true,
-      contestId: fullContestId,
-      winners: winners,
-      winnerUsernames: winnerProfiles.map(wp => wp.user?.username).filter(Boolean),
-      prize: prizeDisplay,
-      message: announcement,
-      posted: false,
-      note: 'Set NEYNAR_SIGNER_UUID to enable automatic cast posting'
-    };
+  if (result.status === CONTEST_STATUS.CANCELLED) {
+    return { contestId, skipped: result.error };
   }
-
-  const postResult = await postWinnerAnnouncement(actualCastHash, announcement, signerUuid, nftImageUrl);
-
-  if (postResult.success) {
-    await markAsAnnounced(fullContestId);
+  // Still PendingVRF, or the winners aren't readable yet
+  if (result.status !== undefined || result.error === 'No winners set') {
+    // A contest that never completes (stuck VRF, unexpected status) is dead-lettered, not polled forever
+    if ((job.deferrals || 0) >= MAX_WINNERS_WAIT_DEFERRALS) {
+      throw nonRetryable(`Gave up waiting for winners after ${job.deferrals} checks: ${result.error}`);
+    }
+    return { defer: WINNERS_WAIT_MS, reason: result.error };
   }
 
-  return {
-    success: postResult.success,
-    contestId: fullContestId,
-    winners: winners,
-    winnerUsernames: winnerProfiles.map(wp => wp.user?.username).filter(Boolean),
-    prize: prizeDisplay,
-    message: announcement,
-    posted: postResult.success,
-    castHash: postResult.castHash
-  };
+  throw new Error(result.error || 'Announcement not posted');
 }
 
 /**
- * Check all contests and announce any completed ones
+ * Cron: queue completed contests that were never announced (finalize-contest
+ * normally queues them), then drain the announce queue
  */
 async function checkAndAnnounceAll() {
-  const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
-  const contestManager = new ethers.Contract(CONFIG.CONTEST_MANAGER, CONTEST_MANAGER_ABI, provider);
-  const results = [];
+  if (!process.env.KV_REST_API_URL) {
+    throw new Error('KV storage not configured');
+  }
+  const { kv } = require('@vercel/kv');
+  const queued = [];
 
-  // Check main contests (M-)
+  // Completed contests from the contest index (lib/contest-index.js)
+  let completed = [];
   try {
-    const mainNextId = await contestManager.mainNextContestId();
-    console.log(`\nChecking Main contests 1 to ${mainNextId - 1n}...`);
-
-    for (let i = 1n; i < mainNextId; i++) {
-      try {
-        const contest = await contestManager.getContestFull(i);
-        const { status, winners } = contest;
-
-        if (Number(status) === CONTEST_STATUS.Completed && winners && winners.length > 0) {
-          const contestIdStr = `M-${i}`;
-          if (!(await isAlreadyAnnounced(contestIdStr))) {
-            const result = await announceContestWinners(contestIdStr);
-            results.push(result);
-          }
-        }
-      } catch (e) {
-        console.log(`   Main Contest #${i} error:`, e.message?.slice(0, 50));
-      }
-    }
+    completed = await getIndexedContests({ type: 'all', statuses: [CONTEST_STATUS.COMPLETED] });
   } catch (e) {
-    console.log('Could not check main contests:', e.message);
+    console.log('Could not read contest index:', e.message);
   }
 
-  // Check test contests (T-)
-  try {
-    const testNextId = await contestManager.testNextContestId();
-    console.log(`\nChecking Test contests 1 to ${testNextId - 1n}...`);
+  console.log(`\nChecking ${completed.length} completed contests...`);
 
-    for (let i = 1n; i < testNextId; i++) {
-      try {
-        const contest = await contestManager.getTestContestFull(i);
-        const { status, winners } = contest;
-
-        if (Number(status) === CONTEST_STATUS.Completed && winners && winners.length > 0) {
-          const contestIdStr = `T-${i}`;
-          if (!(await isAlreadyAnnounced(contestIdStr))) {
-            const result = await announceContestWinners(contestIdStr);
-            results.push(result);
-          }
-        }
-      } catch (e) {
-        console.log(`   Test Contest #${i} error:`, e.message?.slice(0, 50));
+  for (const { contestId, winners } of completed) {
+    try {
+      if (winners.length > 0 && !(await isAlreadyAnnounced(contestId))) {
+        const { id, enqueued } = await enqueueAnnounce(kv, contestId);
+        if (enqueued) queued.push(id);
       }
+    } catch (e) {
+      console.log(`   Contest ${contestId} error:`, e.message?.slice(0, 50));
     }
-  } catch (e) {
-    console.log('Could not check test contests:', e.message);
   }
 
-  return results;
+  const worker = await runWorker(kv, JOB_TYPES.ANNOUNCE, handleAnnounceJob, { limit: 10 });
+  return { queued, ...worker };
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -578,10 +634,17 @@ module.exports = async (req, res) => {
     if (req.method === 'GET') {
       const contestId = req.query.contestId;
 
+      // No contestId = cron request (Vercel crons send GET)
       if (!contestId) {
-        return res.status(400).json({
-          error: 'Missing contestId parameter (e.g., M-1 or T-1)'
-        });
+        const cronSecret = process.env.CRON_SECRET;
+        if (cronSecret && req.headers['authorization'] !== `Bearer ${cronSecret}`) {
+          return res.status(400).json({
+            error: 'Missing contestId parameter (e.g., M-1 or T-1)'
+          });
+        }
+
+        const result = await checkAndAnnounceAll();
+        return res.status(200).json({ cron: true, ...result });
       }
 
       const result = await announceContestWinners(contestId);
@@ -590,11 +653,8 @@ module.exports = async (req, res) => {
 
     // POST: Check all contests (for cron)
     if (req.method === 'POST') {
-      const results = await checkAndAnnounceAll();
-      return res.status(200).json({
-        checked: results.length,
-        results
-      });
+      const result = await checkAndAnnounceAll();
+      return res.status(200).json(result);
     }
 
     return res.status(405).json({ error: 'Method not allowed' });
@@ -605,6 +665,8 @@ module.exports = async (req, res) => {
   }
 };
 
+module.exports.buildAnnouncementContext = buildAnnouncementContext;
+
 // For local testing
 if (require.main === module) {
   const contestId = process.argv[2];
@@ -617,8 +679,8 @@ if (require.main === module) {
       });
   } else {
     checkAndAnnounceAll()
-      .then(results => {
-        console.log('\nResults:', JSON.stringify(results, null, 2));
+      .then(result => {
+        console.log('\nResults:', JSON.stringify(result, null, 2));
         process.exit(0);
       });
   }
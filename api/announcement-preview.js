@@ -0,0 +1,123 @@
+/**
+ * Announcement Preview API
+ *
+ * Render a winner announcement without posting it (lib/announcement-templates.js).
+ *
+ * GET  /api/announcement-preview?contestId=M-12&lang=es
+ *   The template announce-winner would use for the contest (contest > host > default)
+ *
+ * POST /api/announcement-preview
+ * Body: { template: "🏆 {winners} won {prize}!", contestId?: "M-12" }
+ *   An unsaved template, e.g. while editing
+ *
+ * A completed contest renders with its real winners and stats. Before that
+ * (or without a contestId) missing values are filled from SAMPLE_VALUES and
+ * listed in `sampled`.
+ *
+ * Returns: { contestId, source, language, casts, bytes, thread, truncated, maxBytes, sampled }
+ */
+
+const { ethers } = require('ethers');
+const { CONFIG, CONTEST_STATUS } = require('./lib/config');
+const { getContest } = require('./lib/contest-manager');
+const {
+  FARCASTER_CAST_MAX_BYTES,
+  SAMPLE_VALUES,
+  validateTemplate,
+  resolveTemplate,
+  composeAnnouncement,
+} = require('./lib/announcement-templates');
+
+module.exports = async (req, res) => {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const input = req.method === 'POST' ? (req.body || {}) : req.query;
+    const { contestId, lang } = input;
+
+    if (req.method === 'GET' && !contestId) {
+      return res.status(400).json({ error: 'Missing contestId' });
+    }
+
+    // An unsaved template is checked like a saved one
+    let draft = null;
+    if (req.method === 'POST') {
+      const validated = validateTemplate({ variants: { [lang || 'en']: input.template } });
+      if (validated.error) {
+        return res.status(400).json({ error: validated.error });
+      }
+      draft = validated.template;
+    }
+
+    let values = {};
+    let hostFid = null;
+    let winnerCount = 0;
+    let resolvedId = null;
+    let nft = false;
+
+    if (contestId) {
+      const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+      const contest = await getContest(provider, contestId, { withPrize: true });
+      if (!contest) {
+        return res.status(404).json({ error: 'Contest not found', contestId });
+      }
+      resolvedId = contest.contestId;
+
+      // Same values announce-winner would post
+      const { buildAnnouncementContext } = require('./announce-winner');
+      const context = await buildAnnouncementContext(provider, contest);
+      values = context.values;
+      hostFid = context.hostFid;
+      nft = context.nft;
+      winnerCount = contest.status === CONTEST_STATUS.COMPLETED ? context.winnerProfiles.length : 0;
+    }
+
+    // Not drawn yet - show what a finished announcement would look like
+    const sampled = [];
+    if (winnerCount === 0) {
+      for (const [name, sample] of Object.entries(SAMPLE_VALUES)) {
+        if (values[name]) continue;
+        values[name] = sample;
+        sampled.push(name);
+      }
+      winnerCount = parseInt(values.winnerCount) || 1;
+    }
+
+    let template;
+    if (draft) {
+      template = { source: 'draft', language: draft.language, text: Object.values(draft.variants)[0] };
+    } else {
+      const kv = process.env.KV_REST_API_URL ? require('@vercel/kv').kv : null;
+      template = await resolveTemplate(kv, { contestId: resolvedId, hostFid, language: lang, nft });
+    }
+
+    const announcement = composeAnnouncement(template.text, values, { winnerCount });
+
+    return res.status(200).json({
+      contestId: resolvedId,
+      source: template.source,
+      language: template.language,
+      casts: announcement.casts,
+      bytes: announcement.casts.map(cast => Buffer.byteLength(cast, 'utf8')),
+      thread: announcement.thread,
+      truncated: announcement.truncated,
+      maxBytes: FARCASTER_CAST_MAX_BYTES,
+      sampled
+    });
+
+  } catch (error) {
+    console.error('Announcement preview error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,133 @@
+/**
+ * Announcement Template API
+ *
+ * Hosts' own winner announcement templates (see lib/announcement-templates.js).
+ *
+ * GET  /api/announcement-template?contestId=M-12     - Contest template (null = not set)
+ * GET  /api/announcement-template?hostFid=123        - Host template
+ *   Returns: { scope, id, template, placeholders, defaults, nftDefaults, maxBytes }
+ *
+ * POST /api/announcement-template
+ * Headers: Authorization: Bearer <session token> (see /api/session)
+ * Body:
+ *   {
+ *     scope: "host" | "contest",
+ *     contestId: "M-12",                                  (scope "contest")
+ *     variants: { en: "🏆 {winners} won {prize}!", es: "🏆 ¡{winners} ganó {prize}!" },
+ *     language: "es"                                      (variant to post, default en / the first)
+ *   }
+ *   "host" saves the template for all of the signed-in user's contests;
+ *   "contest" needs the signed-in user to have a verified address that hosts
+ *   the contest, and is locked once the winners are announced.
+ *
+ * DELETE /api/announcement-template?scope=host
+ * DELETE /api/announcement-template?scope=contest&contestId=M-12
+ *
+ * Preview rendered casts with /api/announcement-preview.
+ */
+
+const { ethers } = require('ethers');
+const { CONFIG } = require('./lib/config');
+const { requireSession, checkContestHost } = require('./lib/session');
+const {
+  FARCASTER_CAST_MAX_BYTES,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  DEFAULT_NFT_TEMPLATES,
+  validateTemplate,
+  getStoredTemplate,
+  saveTemplate,
+  deleteTemplate,
+} = require('./lib/announcement-templates');
+
+module.exports = async (req, res) => {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!process.env.KV_REST_API_URL) {
+    return res.status(500).json({ error: 'KV storage not configured' });
+  }
+
+  const { kv } = require('@vercel/kv');
+
+  try {
+    if (req.method === 'GET') {
+      const { contestId, hostFid } = req.query;
+      if (!contestId && !hostFid) {
+        return res.status(400).json({ error: 'Missing contestId or hostFid' });
+      }
+
+      const scope = contestId ? 'contest' : 'host';
+      const id = contestId || parseInt(hostFid);
+      const template = await getStoredTemplate(kv, scope, id);
+
+      return res.status(200).json({
+        scope,
+        id,
+        template: template || null,
+        placeholders: PLACEHOLDERS,
+        defaults: DEFAULT_TEMPLATES,
+        nftDefaults: DEFAULT_NFT_TEMPLATES,
+        maxBytes: FARCASTER_CAST_MAX_BYTES
+      });
+    }
+
+    if (req.method !== 'POST' && req.method !== 'DELETE') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // FID comes from the signed-in session, not the request
+    const session = requireSession(req, res);
+    if (!session) return;
+    const { fid } = session;
+
+    const input = req.method === 'POST' ? (req.body || {}) : req.query;
+    const { scope, contestId } = input;
+    if (scope !== 'host' && scope !== 'contest') {
+      return res.status(400).json({ error: 'scope must be "host" or "contest"' });
+    }
+    if (scope === 'contest' && !contestId) {
+      return res.status(400).json({ error: 'Missing contestId' });
+    }
+
+    let id = fid;
+    if (scope === 'contest') {
+      const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+      const check = await checkContestHost(provider, fid, contestId);
+      if (check.error) {
+        return res.status(check.status).json({ error: check.error });
+      }
+      id = check.contest.contestId;
+
+      if (await kv.get(`announced_${id}`)) {
+        return res.status(409).json({ error: 'Winners were already announced' });
+      }
+    }
+
+    if (req.method === 'DELETE') {
+      await deleteTemplate(kv, scope, id);
+      console.log(`Removed ${scope} announcement template ${id} (FID ${fid})`);
+      return res.status(200).json({ success: true, scope, id });
+    }
+
+    const validated = validateTemplate(input);
+    if (validated.error) {
+      return res.status(400).json({ error: validated.error, placeholders: Object.keys(PLACEHOLDERS) });
+    }
+
+    const template = await saveTemplate(kv, scope, id, validated.template, fid);
+    console.log(`Stored ${scope} announcement template ${id} (FID ${fid}):`, Object.keys(template.variants));
+
+    return res.status(200).json({ success: true, scope, id, template });
+
+  } catch (error) {
+    console.error('Announcement template error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -12,6 +12,8 @@
  */
 
 const { ethers } = require('ethers');
+const { getTokenInfo } = require('./lib/contest-manager');
+const { tokenAmount, toDecimalString } = require('./lib/token-amount');
 
 const CONFIG = {
   // V1 Contracts (legacy - read-only)
@@ -232,7 +234,7 @@ module.exports = async (req, res) => {
               id,
               host,
               prizeToken: contest[1],
-              prizeAmount: ethers.formatEther(contest[2]),
+              prizeAmount: toDecimalString(tokenAmount(contest[2], (await getTokenInfo(provider, contest[1])).decimals)),
               startTime: Number(contest[3]),
               endTime: Number(contest[4]),
               castId: contest[5],
@@ -270,7 +272,10 @@ module.exports = async (req, res) => {
               castId: contest[3],
               endTime: Number(contest[4]),
               prizeToken: contest[5],
-              prizeAmount: ethers.formatEther(contest[6]),
+              // NFT types (2, 3) keep the raw amount
+              prizeAmount: Number(contest[1]) <= 1
+                ? toDecimalString(tokenAmount(contest[6], (await getTokenInfo(provider, contest[5])).decimals))
+                : contest[6].toString(),
               winnerCount: Number(contest[7]),
               winners: winners.map(w => w.toLowerCase()),
             };
@@ -2,16 +2,17 @@
  * Authorize Entry API
  *
  * Signs an authorization message for a contest entry after verifying:
- * 1. FID is valid and not blocked
- * 2. Entrant hasn't already entered this contest
+ * 1. FID is signed in (session token) and not blocked
+ * 2. Entrant address is a custody or verified address of that FID
+ * 3. Entrant hasn't already entered this contest
  *
  * The signature is required by BuyBurnHoldEarnV3 — without it, the
  * contract reverts. This prevents sybil wallets from calling the
  * contract directly.
  *
  * POST /api/authorize-entry
+ * Headers: Authorization: Bearer <session token> (see /api/session)
  * Body: {
- *   fid: 12345,
  *   host: "0x...",
  *   entrantAddress: "0x...",
  *   contestId: "30"
@@ -21,6 +22,8 @@
  */
 
 const { ethers } = require('ethers');
+const { requireSession } = require('./lib/session');
+const { getUserAddresses } = require('./lib/utils');
 
 // No blocked FIDs for entry authorization — all FIDs can enter contests.
 // Blocked FIDs are only enforced in finalize-contest.js (can enter, can't win).
@@ -35,7 +38,7 @@ module.exports = async (req, res) => {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -47,11 +50,12 @@ module.exports = async (req, res) => {
 
   const { fid, host, entrantAddress, contestId } = req.body;
 
+  // FID comes from the signed-in session, not the body
+  const session = requireSession(req, res, fid);
+  if (!session) return;
+  const parsedFid = session.fid;
+
   // Validate inputs
-  const parsedFid = parseInt(fid);
-  if (!fid || isNaN(parsedFid) || parsedFid <= 0) {
-    return res.status(400).json({ error: 'Missing or invalid fid' });
-  }
   if (!host || !ethers.isAddress(host)) {
     return res.status(400).json({ error: 'Missing or invalid host address' });
   }
@@ -74,6 +78,15 @@ module.exports = async (req, res) => {
   }
 
   try {
+    // Only sign for wallets that belong to the FID
+    const fidAddresses = await getUserAddresses(parsedFid);
+    if (fidAddresses.length === 0) {
+      return res.status(503).json({ error: 'Could not verify addresses, please try again' });
+    }
+    if (!fidAddresses.includes(entrantAddress.toLowerCase())) {
+      return res.status(403).json({ error: 'Entrant address is not a custody or verified address of this FID' });
+    }
+
     // Check if user already entered this contest (prevent double-signing)
     const { kv } = require('@vercel/kv');
     const existingEntry = await kv.get(`entry:${contestId}:${parsedFid}`);
@@ -2,18 +2,21 @@
  * Best Tode Vote API
  *
  * POST /api/best-tode-vote
- * Body: { seasonId: 1, voterFid: 12345, candidateFid: 67890 }
+ * Headers: Authorization: Bearer <session token> (see /api/session)
+ * Body: { seasonId: 1, candidateFid: 67890 }
  *
  * Casts a vote for a candidate in the Best Tode voting round.
  * Each user can only vote once per season.
  * Votes cannot be cast after the 48-hour voting period ends.
  */
 
+const { requireSession } = require('./lib/session');
+
 module.exports = async (req, res) => {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -23,14 +26,16 @@ module.exports = async (req, res) => {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { seasonId, voterFid, candidateFid } = req.body;
+  const { seasonId, candidateFid } = req.body;
+
+  // Voter FID comes from the signed-in session, not the body
+  const session = requireSession(req, res, req.body.voterFid);
+  if (!session) return;
+  const voterFid = session.fid;
 
   if (!seasonId) {
     return res.status(400).json({ error: 'Missing seasonId' });
   }
-  if (!voterFid) {
-    return res.status(400).json({ error: 'Missing voterFid' });
-  }
   if (!candidateFid) {
     return res.status(400).json({ error: 'Missing candidateFid' });
   }
@@ -4,6 +4,7 @@
  * Checks if a user qualifies for a specific contest based on:
  * - Volume requirements (trading activity during contest period)
  * - Social requirements (recast, like, reply on the cast)
+ * - Bonus entries the user currently qualifies for (contest's bonus rule set)
  *
  * OPTIMIZED: Uses cached Neynar API calls and HTTP cache headers
  *
@@ -14,173 +15,39 @@
 
 const { ethers } = require('ethers');
 const { getUserAddresses: getCachedUserAddresses, getUserByWallet: getCachedUserByWallet, getCastReactions, getCastConversation } = require('./lib/utils');
+const { getContestBonusConfig, evaluateBonusRules, calculateCooldownAmount, getHolderThreshold } = require('./lib/bonus-rules');
+const { getTokenBalances, sumBalances } = require('./lib/multicall');
+const { getContest, parseCastId, getTokenInfo } = require('./lib/contest-manager');
+const { tokenAmount, toNumber } = require('./lib/token-amount');
+const { resolveTokenPrice } = require('./lib/price-resolver');
 
 const CONFIG = {
   NEYNARTODES: '0x8dE1622fE07f56cda2e2273e615A513F1d828B07',
-  CONTEST_MANAGER: '0xF56Fe30e1eAb5178da1AA2CbBf14d1e3C0Ba3944',
   BASE_RPC: process.env.BASE_RPC_URL || 'https://base-mainnet.g.alchemy.com/v2/QooWtq9nKQlkeqKF_-rvC',
   NEYNAR_API_KEY: process.env.NEYNAR_API_KEY || 'AA2E0FC2-FDC0-466D-9EBA-4BCA968C9B1D',
-  V4_STATE_VIEW: '0xA3c0c9b65baD0b08107Aa264b0f3dB444b867A71',
-  NEYNARTODES_POOL_ID: '0xfad8f807f3f300d594c5725adb8f54314d465bcb1ab8cc04e37b08c1aa80d2e7',
-  CHAINLINK_ETH_USD: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70',
-  // Holder thresholds (in tokens with 18 decimals)
-  HOLDER_THRESHOLD_DEFAULT: 100000000n * 10n**18n,  // 100M for NEYNARTODES contests
-  HOLDER_THRESHOLD_CUSTOM: 200000000n * 10n**18n,   // 200M for custom token contests
-  // Transfer cooldown for holder bonus (36 hours)
-  TRANSFER_COOLDOWN_HOURS: 36,
 };
 
-// DEX addresses - transfers FROM these are purchases (no cooldown)
-// Must match the whitelist in finalize-contest.js
-const DEX_ADDRESSES = new Set([
-  '0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad', // Uniswap Universal Router
-  '0x6131b5fae19ea4f9d964eac0408e4408b66337b5', // Uniswap V3 Pool (NEYNARTODES/WETH)
-  '0x2626664c2603336e57b271c5c0b26f421741e481', // Uniswap V3 SwapRouter02
-  '0x03a520b32c04bf3beef7beb72e919cf822ed34f1', // Uniswap Universal Router 2
-  '0x1231deb6f5749ef6ce6943a275a1d3e7486f4eae', // LI.FI Diamond
-  '0x111111125421ca6dc452d289314280a0f8842a65', // 1inch v6 Router
-  '0xdef1abe32c034e558cdd535791643c58a13acc10', // ParaSwap
-  '0x6352a56caadc4f1e25cd6c75970fa768a3304e64', // Odos Router v2
-  '0xec8b0f7ffe3ae75d7ffab09429e3675bb63503e4', // Jumper Exchange
-  '0x5d64d14d2cf4fe5fe4e65b1c7e3d11e18d493091', // Zerion Router
-  '0xdD7d485A334B13D3Ae589e00fa8248BEC21A7121', // Dexscreener moonshot
-  '0x7b96E0f29241f3d654CA1BFBC53E1B0E5E3Ec211', // team.tode.eth
-  // NEYNARTODES Treasury - host rewards from BuyBurnHoldEarn
-  '0xd4d84f3477eb482783aAB48F00e357C801c48928',
-  // BuyBurnHoldEarn v1 - contest entry rewards
-  '0xCfa90CfE67Ca3a08f862671Bd7Fb808662efAC28',
-  // BuyBurnHoldEarn v2 - contest entry rewards (old)
-  '0x856Bc35576a38b8a9887E86888995F056fA87593',
-  // BuyBurnHoldEarn v2 - contest entry rewards (fixed)
-  '0x85D1A086E7119B9250f618077240BdA2cA3ecd72',
-  // BuyBurnHoldEarn V3 - signature-gated entries
-  '0x8340116C435307d90Df320d19F0871544653D232',
-  // BuyBurnHoldEarn V4 - no on-chain balance check
-  '0xEa670a28cA538055Dcf8cF5B383463922456526F',
-  // 0x Protocol Settlers - DEX aggregator addresses
-  '0xdc5d8200A030798BC6227240f68b4dD9542686ef',  // Settler - Taker (swap)
-  '0xce09Bdf28eC438FddE2Bf255dA806e0c357247bf',  // Settler - Metatransaction
-  '0xFf11500b35A3e48a298BCd6139B9A3D9c369537e',  // Settler - Intents
-  '0x706A7D84D3C17b63FF0DA2c38a8c178e00cD87Be',  // Settler - Bridge
-  '0x0000000000001fF3684f28c67538d4D072C22734',  // 0x AllowanceHolder
-  // Zero address (minting)
-  '0x0000000000000000000000000000000000000000',
-].map(a => a.toLowerCase()));
-
-// Struct: host, contestType, status, castId, startTime, endTime, prizeToken, prizeAmount, nftAmount, tokenRequirement, volumeRequirement, winnerCount, winners, isTestContest
-const CONTEST_MANAGER_ABI = [
-  'function getContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function getTestContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-];
-
-const V4_STATE_VIEW_ABI = [
-  'function getSlot0(bytes32 poolId) view returns (uint160 sqrtPriceX96, int24 tick, uint24 protocolFee, uint24 lpFee)',
-];
-
-const CHAINLINK_ABI = [
-  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
-];
-
-const ERC20_ABI = [
-  'function balanceOf(address) view returns (uint256)',
-];
-
-/**
- * Determine holder threshold based on contest type
- * - 100M for NEYNARTODES contests (rewards loyal holders)
- * - 200M for custom token contests (drives more volume to promoted projects)
- */
-function getHolderThreshold(tokenRequirement) {
-  const isNeynartodes = tokenRequirement.toLowerCase() === CONFIG.NEYNARTODES.toLowerCase();
-  return {
-    threshold: isNeynartodes ? CONFIG.HOLDER_THRESHOLD_DEFAULT : CONFIG.HOLDER_THRESHOLD_CUSTOM,
-    thresholdFormatted: isNeynartodes ? '100M' : '200M',
-    isCustomToken: !isNeynartodes
-  };
-}
-
-/**
- * Calculate amount of tokens in cooldown (received via wallet-to-wallet transfer in last 36 hours)
- * Tokens from DEX purchases are NOT in cooldown
- * Returns the amount that should be subtracted from total balance for holder qualification
- */
-async function calculateCooldownAmount(addresses, provider) {
-  try {
-    const currentBlock = await provider.getBlockNumber();
-    const blocksIn36Hours = Math.ceil((CONFIG.TRANSFER_COOLDOWN_HOURS * 60 * 60) / 2); // ~2 sec blocks on Base
-    const fromBlock = currentBlock - blocksIn36Hours;
-
-    const neynartodes = new ethers.Contract(
-      CONFIG.NEYNARTODES,
-      ['event Transfer(address indexed from, address indexed to, uint256 value)'],
-      provider
-    );
-
-    // Query Transfer events TO user addresses in the cooldown period
-    const transferPromises = addresses.map(addr =>
-      neynartodes.queryFilter(neynartodes.filters.Transfer(null, addr), fromBlock, 'latest')
-        .catch(e => {
-          console.error(`Error querying transfers for ${addr}:`, e.message);
-          return [];
-        })
-    );
-
-    const allTransferArrays = await Promise.all(transferPromises);
-    const allTransfers = allTransferArrays.flat();
-
-    // Sum up transfers from non-DEX addresses (wallet-to-wallet transfers)
-    let cooldownAmount = 0n;
-    for (const event of allTransfers) {
-      const fromAddr = event.args.from.toLowerCase();
-
-      // Skip if transfer is from a DEX (those are purchases, not wallet transfers)
-      if (DEX_ADDRESSES.has(fromAddr)) {
-        continue;
-      }
-
-      // Skip if transfer is between user's own addresses
-      if (addresses.includes(fromAddr)) {
-        continue;
-      }
-
-      cooldownAmount += BigInt(event.args.value);
-    }
-
-    console.log(`Cooldown amount for addresses: ${formatTokenBalance(cooldownAmount)} tokens in cooldown`);
-    return cooldownAmount;
-  } catch (e) {
-    console.error('Error calculating cooldown amount:', e.message);
-    return 0n;
-  }
-}
+// Transfer cooldown (36h, cooldown_exempt senders excluded) is calculated in lib/bonus-rules.js
 
 /**
  * Check if user qualifies via NEYNARTODES token holdings
  * Sums balance across all verified addresses
  * Subtracts tokens in cooldown (received via wallet-to-wallet transfer in last 36hrs)
- * OPTIMIZED: Fetches all balances in parallel
+ * OPTIMIZED: One multicall for all balances, one getLogs for the cooldown transfers
  */
 async function checkHolderQualification(addresses, provider, tokenRequirement) {
   const { threshold, thresholdFormatted, isCustomToken } = getHolderThreshold(tokenRequirement);
 
-  const neynartodes = new ethers.Contract(
-    CONFIG.NEYNARTODES,
-    ERC20_ABI,
-    provider
-  );
-
   // Fetch balances and cooldown amount in PARALLEL
-  const [balances, cooldownAmount] = await Promise.all([
-    Promise.all(addresses.map(addr =>
-      neynartodes.balanceOf(addr).catch(e => {
-        console.error(`Error checking balance for ${addr}:`, e.message);
-        return 0n;
-      })
-    )),
+  const [balances, { cooldownAmount }] = await Promise.all([
+    getTokenBalances(provider, CONFIG.NEYNARTODES, addresses).catch(e => {
+      console.error('Error checking balances:', e.message);
+      return new Map();
+    }),
     calculateCooldownAmount(addresses, provider)
   ]);
 
-  const totalBalance = balances.reduce((sum, bal) => sum + BigInt(bal), 0n);
+  const totalBalance = sumBalances(balances, addresses);
 
   // Eligible balance = total balance - tokens in cooldown
   // Can't go negative (in case of rounding or timing issues)
@@ -216,40 +83,6 @@ function formatTokenBalance(balance) {
   return num.toFixed(0);
 }
 
-/**
- * Get ETH price in USD
- */
-async function getETHPriceUSD(provider) {
-  try {
-    const priceFeed = new ethers.Contract(CONFIG.CHAINLINK_ETH_USD, CHAINLINK_ABI, provider);
-    const roundData = await priceFeed.latestRoundData();
-    return Number(roundData.answer) / 1e8;
-  } catch (e) {
-    return 3500;
-  }
-}
-
-/**
- * Get NEYNARTODES price in USD
- */
-async function getTokenPriceUSD(provider) {
-  try {
-    const ethPriceUSD = await getETHPriceUSD(provider);
-    const stateView = new ethers.Contract(CONFIG.V4_STATE_VIEW, V4_STATE_VIEW_ABI, provider);
-    const slot0 = await stateView.getSlot0(CONFIG.NEYNARTODES_POOL_ID);
-
-    if (slot0.sqrtPriceX96 === 0n) return 0;
-
-    const sqrtPriceX96 = slot0.sqrtPriceX96;
-    const price = Number(sqrtPriceX96) / (2 ** 96);
-    const priceSquared = price * price;
-    const priceInETH = 1 / priceSquared;
-    return priceInETH * ethPriceUSD;
-  } catch (e) {
-    return 0;
-  }
-}
-
 /**
  * Get user addresses from FID (uses cached version from utils)
  */
@@ -334,10 +167,13 @@ async function getContestTransfers(provider, tokenAddress, addresses, fromBlock,
       blockTimestamps[blockNum] = timestamp;
     }
 
+    // Custom requirement tokens aren't always 18 decimals
+    const { decimals } = await getTokenInfo(provider, tokenAddress);
+
     // Build transfers array using cached timestamps
     for (const event of allEvents) {
       transfers.push({
-        amount: Number(ethers.formatEther(event.args.value)),
+        amount: toNumber(tokenAmount(event.args.value, decimals)),
         timestamp: blockTimestamps[event.blockNumber],
         blockNumber: event.blockNumber,
       });
@@ -357,224 +193,27 @@ async function calculateVolumeUSD(provider, tokenAddress, transfers, startTime,
   let volumeTokens = 0;
   let volumeUSD = 0;
 
-  // Cache prices by block to avoid redundant calls
-  const priceCache = new Map();
+  // Block prices are cached by the resolver (memory + KV)
+  const kv = process.env.KV_REST_API_URL ? require('@vercel/kv').kv : null;
 
   for (const tx of transfers) {
     if (tx.timestamp >= startTime && tx.timestamp <= endTime) {
       volumeTokens += tx.amount;
 
       // Get historical price at the block when trade occurred
-      let price = priceCache.get(tx.blockNumber);
-      if (price === undefined) {
-        price = await getHistoricalTokenPriceForAddress(provider, tokenAddress, tx.blockNumber);
-        priceCache.set(tx.blockNumber, price);
-      }
+      const { priceUSD } = await resolveTokenPrice(provider, tokenAddress, {
+        blockNumber: tx.blockNumber,
+        kv,
+        fallbackToLatest: true
+      });
 
-      volumeUSD += tx.amount * price;
+      volumeUSD += tx.amount * priceUSD;
     }
   }
 
   return { volumeTokens, volumeUSD };
 }
 
-/**
- * Get token price for any token address (custom or NEYNARTODES)
- */
-async function getTokenPriceForAddress(provider, tokenAddress) {
-  // If it's NEYNARTODES, use the V4 pool we know about
-  if (tokenAddress.toLowerCase() === CONFIG.NEYNARTODES.toLowerCase()) {
-    return await getTokenPriceUSD(provider);
-  }
-
-  // For custom tokens, try to find a Uniswap V2/V3 pool with WETH
-  const WETH = '0x4200000000000000000000000000000000000006';
-  const ethPriceUSD = await getETHPriceUSD(provider);
-
-  // Try V2 factories
-  const V2_FACTORIES = [
-    '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6', // Uniswap V2 on Base
-    '0x420DD381b31aEf6683db6B902084cB0FFECe40Da', // Aerodrome
-  ];
-
-  const V2_FACTORY_ABI = ['function getPair(address, address) view returns (address)'];
-  const V2_PAIR_ABI = [
-    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
-    'function token0() view returns (address)'
-  ];
-
-  for (const factoryAddr of V2_FACTORIES) {
-    try {
-      const factory = new ethers.Contract(factoryAddr, V2_FACTORY_ABI, provider);
-      const pairAddress = await factory.getPair(tokenAddress, WETH);
-
-      if (pairAddress && pairAddress !== '0x0000000000000000000000000000000000000000') {
-        const pair = new ethers.Contract(pairAddress, V2_PAIR_ABI, provider);
-        const [token0, reserves] = await Promise.all([
-          pair.token0(),
-          pair.getReserves()
-        ]);
-
-        const isToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
-        const tokenReserve = isToken0 ? reserves.reserve0 : reserves.reserve1;
-        const ethReserve = isToken0 ? reserves.reserve1 : reserves.reserve0;
-
-        if (tokenReserve > 0n && ethReserve > 0n) {
-          const tokenPriceInETH = Number(ethReserve) / Number(tokenReserve);
-          return tokenPriceInETH * ethPriceUSD;
-        }
-      }
-    } catch (e) {
-      // Continue to next factory
-    }
-  }
-
-  // Try V3
-  const V3_FACTORY = '0x33128a8fC17869897dcE68Ed026d694621f6FDfD';
-  const V3_FACTORY_ABI = ['function getPool(address, address, uint24) view returns (address)'];
-  const feeTiers = [10000, 3000, 500];
-
-  for (const fee of feeTiers) {
-    try {
-      const v3Factory = new ethers.Contract(V3_FACTORY, V3_FACTORY_ABI, provider);
-      const poolAddress = await v3Factory.getPool(tokenAddress, WETH, fee);
-
-      if (poolAddress && poolAddress !== '0x0000000000000000000000000000000000000000') {
-        const poolABI = [
-          'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
-          'function token0() view returns (address)'
-        ];
-        const pool = new ethers.Contract(poolAddress, poolABI, provider);
-        const [slot0, token0] = await Promise.all([pool.slot0(), pool.token0()]);
-
-        const sqrtPriceX96 = slot0.sqrtPriceX96;
-        const price = Number(sqrtPriceX96) / (2 ** 96);
-        const priceSquared = price * price;
-        const isToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
-        const tokenPriceInETH = isToken0 ? priceSquared : 1 / priceSquared;
-
-        return tokenPriceInETH * ethPriceUSD;
-      }
-    } catch (e) {
-      // Continue to next fee tier
-    }
-  }
-
-  console.log(`Could not find price for token ${tokenAddress}`);
-  return 0;
-}
-
-/**
- * Get historical token price at a specific block
- * @param {string} tokenAddress - Token to get price for
- * @param {number} blockNumber - Block number to get price at
- */
-async function getHistoricalTokenPriceForAddress(provider, tokenAddress, blockNumber) {
-  const WETH = '0x4200000000000000000000000000000000000006';
-
-  try {
-    // Get ETH price (use current - Chainlink doesn't easily support historical)
-    const ethPriceUSD = await getETHPriceUSD(provider);
-
-    // If it's NEYNARTODES, use the V4 pool with historical block
-    if (tokenAddress.toLowerCase() === CONFIG.NEYNARTODES.toLowerCase()) {
-      try {
-        const stateView = new ethers.Contract(CONFIG.V4_STATE_VIEW, V4_STATE_VIEW_ABI, provider);
-        const slot0 = await stateView.getSlot0(CONFIG.NEYNARTODES_POOL_ID, { blockTag: blockNumber });
-
-        if (slot0.sqrtPriceX96 === 0n) {
-          return await getTokenPriceForAddress(provider, tokenAddress); // Fallback to current
-        }
-
-        const sqrtPriceX96 = slot0.sqrtPriceX96;
-        const price = Number(sqrtPriceX96) / (2 ** 96);
-        const priceSquared = price * price;
-        const priceInETH = 1 / priceSquared;
-        return priceInETH * ethPriceUSD;
-      } catch (e) {
-        return await getTokenPriceForAddress(provider, tokenAddress); // Fallback to current
-      }
-    }
-
-    // For custom tokens, try V2 pools with historical block
-    const V2_FACTORIES = [
-      '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6', // Uniswap V2 on Base
-      '0x420DD381b31aEf6683db6B902084cB0FFECe40Da', // Aerodrome
-    ];
-
-    const V2_FACTORY_ABI = ['function getPair(address, address) view returns (address)'];
-    const V2_PAIR_ABI = [
-      'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
-      'function token0() view returns (address)'
-    ];
-
-    for (const factoryAddr of V2_FACTORIES) {
-      try {
-        const factory = new ethers.Contract(factoryAddr, V2_FACTORY_ABI, provider);
-        const pairAddress = await factory.getPair(tokenAddress, WETH);
-
-        if (pairAddress && pairAddress !== '0x0000000000000000000000000000000000000000') {
-          const pair = new ethers.Contract(pairAddress, V2_PAIR_ABI, provider);
-          const [token0, reserves] = await Promise.all([
-            pair.token0(),
-            pair.getReserves({ blockTag: blockNumber }) // Historical reserves
-          ]);
-
-          const isToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
-          const tokenReserve = isToken0 ? reserves.reserve0 : reserves.reserve1;
-          const ethReserve = isToken0 ? reserves.reserve1 : reserves.reserve0;
-
-          if (tokenReserve > 0n && ethReserve > 0n) {
-            const tokenPriceInETH = Number(ethReserve) / Number(tokenReserve);
-            return tokenPriceInETH * ethPriceUSD;
-          }
-        }
-      } catch (e) {
-        // Continue to next factory
-      }
-    }
-
-    // Try V3 with historical block
-    const V3_FACTORY = '0x33128a8fC17869897dcE68Ed026d694621f6FDfD';
-    const V3_FACTORY_ABI = ['function getPool(address, address, uint24) view returns (address)'];
-    const feeTiers = [10000, 3000, 500];
-
-    for (const fee of feeTiers) {
-      try {
-        const v3Factory = new ethers.Contract(V3_FACTORY, V3_FACTORY_ABI, provider);
-        const poolAddress = await v3Factory.getPool(tokenAddress, WETH, fee);
-
-        if (poolAddress && poolAddress !== '0x0000000000000000000000000000000000000000') {
-          const poolABI = [
-            'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
-            'function token0() view returns (address)'
-          ];
-          const pool = new ethers.Contract(poolAddress, poolABI, provider);
-          const [slot0, token0] = await Promise.all([
-            pool.slot0({ blockTag: blockNumber }), // Historical slot0
-            pool.token0()
-          ]);
-
-          const sqrtPriceX96 = slot0.sqrtPriceX96;
-          const price = Number(sqrtPriceX96) / (2 ** 96);
-          const priceSquared = price * price;
-          const isToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
-          const tokenPriceInETH = isToken0 ? priceSquared : 1 / priceSquared;
-
-          return tokenPriceInETH * ethPriceUSD;
-        }
-      } catch (e) {
-        // Continue to next fee tier
-      }
-    }
-  } catch (e) {
-    console.error(`Error getting historical price at block ${blockNumber}:`, e.message);
-  }
-
-  // Fallback to current price if historical lookup fails
-  return await getTokenPriceForAddress(provider, tokenAddress);
-}
-
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -627,41 +266,22 @@ module.exports = async (req, res) => {
       return res.status(400).json({ error: 'Could not find user addresses' });
     }
 
-    // Get contest details from unified ContestManager
-    // Contest ID format: M-1, T-1, etc.
-    const isTestContest = contestId.startsWith('T-');
-    const numericId = parseInt(contestId.replace(/^[MT]-/, ''));
-
-    const contestContract = new ethers.Contract(CONFIG.CONTEST_MANAGER, CONTEST_MANAGER_ABI, provider);
-    const contest = isTestContest
-      ? await contestContract.getTestContestFull(numericId)
-      : await contestContract.getContestFull(numericId);
+    // Get contest details from unified ContestManager (M-1, T-1, or bare number for main)
+    const contest = await getContest(provider, contestId);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
 
-    // Struct: host, contestType, status, castId, startTime, endTime, prizeToken, prizeAmount, nftAmount, tokenRequirement, volumeRequirement, winnerCount, winners, isTestContest
-    const contestStartTime = Number(contest.startTime);
-    const contestEndTime = Number(contest.endTime);
-    let castId = contest.castId;
+    const contestStartTime = contest.startTime;
+    const contestEndTime = contest.endTime;
     const tokenRequirement = contest.tokenRequirement;
-    const volumeRequiredUSD = Number(contest.volumeRequirement) / 1e18;
+    const volumeRequiredUSD = contest.volumeRequirementUSD;
 
     console.log(`Contest ${contestId} token requirement: ${tokenRequirement}`);
 
-    // Parse cast hash and requirements from castId
-    let castHash = castId;
-    let requireRecast = true, requireLike = false, requireReply = true;
-
-    if (castId.includes('|')) {
-      const [hash, reqCode] = castId.split('|');
-      castHash = hash;
-      if (reqCode) {
-        const recastMatch = reqCode.match(/R(\d)/);
-        const likeMatch = reqCode.match(/L(\d)/);
-        const replyMatch = reqCode.match(/P(\d)/);
-        if (recastMatch) requireRecast = recastMatch[1] !== '0';
-        if (likeMatch) requireLike = likeMatch[1] !== '0';
-        if (replyMatch) requireReply = replyMatch[1] !== '0';
-      }
-    }
+    // Older castIds without a requirement code default to recast + reply
+    const { hash: castHash, requirements } = parseCastId(contest.castId, { recast: true, like: false, reply: true });
+    const { recast: requireRecast, like: requireLike, reply: requireReply } = requirements;
 
     const now = Math.floor(Date.now() / 1000);
     const currentBlock = await provider.getBlockNumber();
@@ -671,8 +291,8 @@ module.exports = async (req, res) => {
     const blocksElapsed = Math.floor(elapsedTime / 2);
     const fromBlock = Math.max(0, currentBlock - blocksElapsed);
 
-    // Check holder, volume, AND social requirements in PARALLEL (they're independent)
-    const [holder, volumeResult, social] = await Promise.all([
+    // Check holder, volume, social requirements AND bonus rules in PARALLEL (they're independent)
+    const [holder, volumeResult, social, bonus] = await Promise.all([
       // Holder check (skip volume if user holds enough NEYNARTODES)
       checkHolderQualification(addresses, provider, tokenRequirement),
       // Volume check
@@ -686,6 +306,25 @@ module.exports = async (req, res) => {
         requireLike,
         requireReply,
       }) : Promise.resolve({ recasted: false, liked: false, replied: false }),
+      // Bonus entries (same rule set finalization uses)
+      userFid ? (async () => {
+        const rules = await getContestBonusConfig(contestId);
+        const users = new Map([[userFid, { fid: userFid, username: '', addresses, primaryAddress: addresses[0] }]]);
+        const { results } = await evaluateBonusRules({
+          contestId,
+          castHash,
+          users,
+          provider,
+          startTime: contestStartTime,
+          endTime: Math.min(now, contestEndTime),
+          tokenRequirement,
+          // Preview only - live balances are fine if the snapshot can't be read,
+          // and webhook volume if the swap scan fails
+          holderLiveFallback: true,
+          volumeSource: 'auto'
+        }, rules);
+        return { rules, ...results.get(userFid) };
+      })() : Promise.resolve(null),
     ]);
 
     const { volumeTokens, volumeUSD } = volumeResult;
@@ -747,6 +386,12 @@ module.exports = async (req, res) => {
           reply: requireReply,
         },
       },
+      bonus: bonus ? {
+        entries: bonus.entries,
+        bonuses: bonus.bonuses,
+        details: bonus.details,
+        rules: bonus.rules,
+      } : null,
     });
 
   } catch (error) {
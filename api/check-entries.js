@@ -75,6 +75,7 @@ module.exports = async (req, res) => {
           entries[contestId] = {
             entered: true,
             hasReplied: entry.hasReplied || false,
+            waitlisted: !!entry.waitlisted,
             timestamp: entry.timestamp
           };
         } else {
@@ -1,12 +1,13 @@
 /**
  * Contest History API
  *
- * Fetches contests from the unified ContestManager contract (M- and T- prefix contests).
+ * Lists contests from the contest index (lib/contest-index.js), then enriches
+ * only the page being returned (token info, NFT metadata, users, entry counts).
  * OPTIMIZED: Uses KV caching for contests, cached getUserByWallet, and HTTP cache headers
  *
  * Cache Strategy:
  *   - Completed/Cancelled contests: 7 days TTL (final state, won't change)
- *   - Active/Pending contests: 2 minute TTL (may change)
+ *   - Active/Pending contests: 2 minute TTL, dropped early if the index status moved on
  *   - Falls back to in-memory cache when KV unavailable
  *
  * Usage:
@@ -19,50 +20,22 @@
 
 const { ethers } = require('ethers');
 const { getUserByWallet: getCachedUserByWallet } = require('./lib/utils');
+const { getIndexedContests } = require('./lib/contest-index');
+const { PRIZE_TYPE } = require('./lib/config');
+const { toContest, withPrize, getTokenInfo } = require('./lib/contest-manager');
+const { toNumber, formatAmount } = require('./lib/token-amount');
 
 const CONFIG = {
-  // Unified ContestManager (M- and T- prefix contests)
-  CONTEST_MANAGER: '0xF56Fe30e1eAb5178da1AA2CbBf14d1e3C0Ba3944',
   BASE_RPC: process.env.BASE_RPC_URL || 'https://base-mainnet.g.alchemy.com/v2/QooWtq9nKQlkeqKF_-rvC',
   NEYNAR_API_KEY: process.env.NEYNAR_API_KEY || 'AA2E0FC2-FDC0-466D-9EBA-4BCA968C9B1D',
 };
 
-// Unified ContestManager ABI (M- and T- prefix contests)
-// Using getContestFull/getTestContestFull for full struct data
-const UNIFIED_CONTEST_MANAGER_ABI = [
-  'function getContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function getTestContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function mainNextContestId() view returns (uint256)',
-  'function testNextContestId() view returns (uint256)',
-];
-
-// Prize types
-const PRIZE_TYPES = {
-  0: 'ETH',
-  1: 'ERC20',
-  2: 'ERC721',
-  3: 'ERC1155'
-};
-
-const ERC20_ABI = [
-  'function symbol() view returns (string)',
-  'function decimals() view returns (uint8)',
-  'function name() view returns (string)',
-];
-
 const NFT_ABI = [
   'function tokenURI(uint256 tokenId) view returns (string)',
   'function uri(uint256 id) view returns (string)',
   'function name() view returns (string)',
 ];
 
-const STATUS_MAP = {
-  0: 'Active',
-  1: 'PendingVRF',
-  2: 'Completed',
-  3: 'Cancelled'
-};
-
 /**
  * Get Farcaster user info by wallet address
  */
@@ -176,49 +149,6 @@ async function getNftMetadata(provider, nftContract, tokenId, nftType) {
   }
 }
 
-// Known tokens cache
-const KNOWN_TOKENS = {
-  '0x0000000000000000000000000000000000000000': { symbol: 'ETH', decimals: 18, name: 'Ether' },
-  '0x4200000000000000000000000000000000000006': { symbol: 'WETH', decimals: 18, name: 'Wrapped Ether' },
-  '0x8de1622fe07f56cda2e2273e615a513f1d828b07': { symbol: 'NEYNARTODES', decimals: 18, name: 'Neynartodes' },
-};
-
-const tokenInfoCache = new Map();
-
-/**
- * Get token info (symbol, decimals, name)
- */
-async function getTokenInfo(provider, tokenAddress) {
-  if (!tokenAddress || tokenAddress === '0x0000000000000000000000000000000000000000') {
-    return { symbol: 'ETH', decimals: 18, name: 'Ether' };
-  }
-
-  const addrLower = tokenAddress.toLowerCase();
-  if (KNOWN_TOKENS[addrLower]) {
-    return KNOWN_TOKENS[addrLower];
-  }
-
-  if (tokenInfoCache.has(addrLower)) {
-    return tokenInfoCache.get(addrLower);
-  }
-
-  try {
-    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-    const [symbol, decimals, name] = await Promise.all([
-      token.symbol().catch(() => 'UNKNOWN'),
-      token.decimals().catch(() => 18),
-      token.name().catch(() => 'Unknown Token'),
-    ]);
-    const info = { symbol, decimals: Number(decimals), name };
-    tokenInfoCache.set(addrLower, info);
-    return info;
-  } catch (e) {
-    const info = { symbol: 'UNKNOWN', decimals: 18, name: 'Unknown Token' };
-    tokenInfoCache.set(addrLower, info);
-    return info;
-  }
-}
-
 /**
  * Get cached contest from KV
  */
@@ -245,148 +175,106 @@ async function setCachedContest(cacheKey, contest) {
 }
 
 /**
- * Fetch contest details from unified ContestManager
+ * Build contest details from an index record (lib/contest-index.js)
  */
-async function getContestDetails(provider, contract, contestId, isTest = false) {
-  const prefix = isTest ? 'T' : 'M';
-  const cacheKey = `contest:unified:${prefix}-${contestId}`;
+async function getContestDetails(provider, record) {
+  const cacheKey = `contest:unified:${record.contestId}`;
 
   const cached = await getCachedContest(cacheKey);
-  if (cached) return cached;
+  if (cached && cached.status === record.status) return cached;
 
   try {
-    console.log(`Fetching ${prefix}-${contestId}...`);
-    const contestData = isTest
-      ? await contract.getTestContestFull(contestId)
-      : await contract.getContestFull(contestId);
-    console.log(`Got ${prefix}-${contestId} data:`, contestData ? 'success' : 'null');
-
-    // Struct: host, contestType, status, castId, startTime, endTime, prizeToken, prizeAmount, nftAmount, tokenRequirement, volumeRequirement, winnerCount, winners, isTestContest
-    const {
-      host, contestType, status, castId, startTime, endTime, prizeToken, prizeAmount, nftAmount,
-      tokenRequirement, volumeRequirement, winnerCount, winners
-    } = contestData;
-
-    const prizeTypeNum = Number(contestType);
-    const isNft = prizeTypeNum === 2 || prizeTypeNum === 3;
-    const isEth = prizeTypeNum === 0;
-
-    let prizeTokenInfo = { symbol: 'ETH', decimals: 18, name: 'Ether' };
-    let formattedPrize = 0;
-
-    if (isNft) {
-      // For NFT contests: prizeAmount is the tokenId, not an amount
-      // Get NFT collection name for display
-      const nftContractAddr = prizeToken;
+    const c = await withPrize(provider, toContest(record.contestId, record));
+    const ZERO = ethers.ZeroAddress;
+
+    let prizeTokenInfo = { symbol: c.prize.symbol, name: c.prize.symbol };
+    const formattedPrize = c.isNft ? c.prize.quantity : toNumber(c.prize);
+
+    if (c.isNft) {
+      // For NFT contests: prizeToken = NFT contract, prizeAmount = tokenId
       let collectionName = 'NFT';
-      if (nftContractAddr !== '0x0000000000000000000000000000000000000000') {
+      if (c.prizeToken !== ZERO) {
         try {
-          const nftContract = new ethers.Contract(nftContractAddr, NFT_ABI, provider);
+          const nftContract = new ethers.Contract(c.prizeToken, NFT_ABI, provider);
           collectionName = await nftContract.name();
         } catch (e) {
           collectionName = 'NFT';
         }
       }
-      // For ERC1155, use nftAmount; for ERC721, it's always 1
-      formattedPrize = prizeTypeNum === 3 ? Number(nftAmount) : 1;
-      prizeTokenInfo = { symbol: collectionName, decimals: 0, name: collectionName };
-    } else if (!isEth && prizeToken !== '0x0000000000000000000000000000000000000000') {
-      prizeTokenInfo = await getTokenInfo(provider, prizeToken);
-      formattedPrize = Number(prizeAmount) / Math.pow(10, prizeTokenInfo.decimals);
+      prizeTokenInfo = { symbol: collectionName, name: collectionName };
     } else {
-      // ETH
-      formattedPrize = Number(prizeAmount) / Math.pow(10, prizeTokenInfo.decimals);
+      prizeTokenInfo.name = (await getTokenInfo(provider, c.prize.token)).name;
     }
 
     let tokenRequirementSymbol = null;
-    if (tokenRequirement !== '0x0000000000000000000000000000000000000000') {
-      const reqTokenInfo = await getTokenInfo(provider, tokenRequirement);
-      tokenRequirementSymbol = reqTokenInfo.symbol;
+    if (c.tokenRequirement !== ZERO) {
+      tokenRequirementSymbol = (await getTokenInfo(provider, c.tokenRequirement)).symbol;
     }
 
-    const castParts = castId.split('|');
-    const actualCastHash = castParts[0];
-
-    let requireRecast = false, requireLike = false, requireReply = false;
-    if (castParts[1]) {
-      const reqCode = castParts[1];
-      const recastMatch = reqCode.match(/R(\d)/);
-      const likeMatch = reqCode.match(/L(\d)/);
-      const replyMatch = reqCode.match(/P(\d)/);
-      if (recastMatch) requireRecast = recastMatch[1] !== '0';
-      if (likeMatch) requireLike = likeMatch[1] !== '0';
-      if (replyMatch) requireReply = replyMatch[1] !== '0';
-    }
-
-    // For NFT contests: prizeToken = NFT contract, prizeAmount = tokenId
-    const nftContractAddr = isNft ? prizeToken : '';
-    const nftTokenId = isNft ? prizeAmount : 0n;
-
-    let nftImage = '';
+    let nftImage = c.isNft ? c.cast.image : '';
     let nftName = '';
-    if (isNft && castParts[2]) {
-      nftImage = castParts[2];
-    }
-    if (isNft && nftContractAddr !== '0x0000000000000000000000000000000000000000') {
+    if (c.isNft && c.prizeToken !== ZERO) {
       try {
-        const nftType = prizeTypeNum === 2 ? 0 : 1;
-        const metadata = await getNftMetadata(provider, nftContractAddr, nftTokenId, nftType);
-        nftName = metadata.name || `NFT #${nftTokenId}`;
+        const nftType = c.prizeType === PRIZE_TYPE.ERC721 ? 0 : 1;
+        const metadata = await getNftMetadata(provider, c.prizeToken, c.nftTokenId, nftType);
+        nftName = metadata.name || `NFT #${c.nftTokenId}`;
         if (!nftImage && metadata.image) nftImage = metadata.image;
       } catch (e) {
-        nftName = `NFT #${nftTokenId}`;
+        nftName = `NFT #${c.nftTokenId}`;
       }
     }
 
-    const durationSeconds = Number(endTime) - Number(startTime);
+    const durationSeconds = c.endTime - c.startTime;
     const durationHours = Math.floor(durationSeconds / 3600);
     const durationMinutes = Math.floor((durationSeconds % 3600) / 60);
 
     const contest = {
-      contestId: `${prefix}-${contestId}`,
-      contestIdNumeric: Number(contestId),
-      host,
-      prizeToken,
+      contestId: c.contestId,
+      contestIdNumeric: c.id,
+      host: c.host,
+      prizeToken: c.prizeToken,
       prizeTokenSymbol: prizeTokenInfo.symbol,
       prizeTokenName: prizeTokenInfo.name,
       prizeAmount: formattedPrize,
-      prizeAmountRaw: prizeAmount.toString(),
-      startTime: Number(startTime),
-      endTime: Number(endTime),
+      prizeAmountRaw: c.prizeAmount.toString(),
+      prizeDecimals: c.isNft ? 0 : c.prize.decimals,
+      // Exact at the token's decimals (prizeAmount is a float for sorting/charts)
+      prizeAmountDisplay: c.isNft ? String(c.prize.quantity) : formatAmount(c.prize, { symbol: false }),
+      startTime: c.startTime,
+      endTime: c.endTime,
       durationHours,
       durationMinutes,
-      castId: actualCastHash,
-      tokenRequirement,
+      castId: c.cast.hash,
+      tokenRequirement: c.tokenRequirement,
       tokenRequirementSymbol,
-      volumeRequirement: Number(volumeRequirement) / 1e18,
-      status: Number(status),
-      statusText: STATUS_MAP[Number(status)] || 'Unknown',
-      winner: winners.length > 0 ? winners[0] : '0x0000000000000000000000000000000000000000',
-      winners,
-      winnerCount: Number(winnerCount),
+      volumeRequirement: c.volumeRequirementUSD,
+      status: c.status,
+      statusText: c.statusName,
+      winner: c.winners.length > 0 ? c.winners[0] : ZERO,
+      winners: c.winners,
+      winnerCount: c.winnerCount,
       participantCount: 0,
       qualifiedEntries: [],
-      requireRecast,
-      requireLike,
-      requireReply,
-      isNft,
-      nftAddress: nftContractAddr,
-      nftTokenId: isNft ? nftTokenId.toString() : '',
-      nftAmount: isNft ? Number(nftAmount) : 0,
+      requireRecast: c.cast.requirements.recast,
+      requireLike: c.cast.requirements.like,
+      requireReply: c.cast.requirements.reply,
+      isNft: c.isNft,
+      nftAddress: c.isNft ? c.prizeToken : '',
+      nftTokenId: c.isNft ? c.nftTokenId.toString() : '',
+      nftAmount: c.isNft ? Number(c.nftAmount) : 0,
       nftImage,
       nftName,
       nftCollection: '',
-      nftType: prizeTypeNum === 2 ? 'ERC721' : (prizeTypeNum === 3 ? 'ERC1155' : ''),
-      contestType: PRIZE_TYPES[prizeTypeNum] || 'Unknown',
+      nftType: c.isNft ? c.prizeTypeName : '',
+      contestType: c.prizeTypeName,
       isUnified: true,
-      isTest,
+      isTest: c.isTest,
     };
 
     await setCachedContest(cacheKey, contest);
     return contest;
   } catch (e) {
-    console.error(`Error fetching contest ${prefix}-${contestId}:`, e.message, e.code);
-    console.error(`Full error:`, JSON.stringify(e, Object.getOwnPropertyNames(e)));
+    console.error(`Error building contest ${record.contestId}:`, e.message);
     return null;
   }
 }
@@ -419,56 +307,39 @@ module.exports = async (req, res) => {
 
   try {
     const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
-    const contract = new ethers.Contract(CONFIG.CONTEST_MANAGER, UNIFIED_CONTEST_MANAGER_ABI, provider);
 
     const limit = Math.min(parseInt(req.query.limit) || 20, 50);
     const hostFilter = req.query.host?.toLowerCase();
     const includeUsers = req.query.includeUsers !== 'false';
 
-    // Fetch contest counts
-    const mainNextId = await contract.mainNextContestId().catch(() => 1);
-    const testNextId = await contract.testNextContestId().catch(() => 1);
-
-    const totalMainContests = Number(mainNextId) - 1;
-    const totalTestContests = Number(testNextId) - 1;
-    const totalContests = totalMainContests + totalTestContests;
+    // Skip Test contests (T-) for production — only show M- contests
+    const allRecords = await getIndexedContests({ type: 'main' });
+    const totalMainContests = allRecords.length;
 
-    console.log(`Contest counts: M-=${totalMainContests}, T-=${totalTestContests}`);
+    console.log(`Contest counts: M-=${totalMainContests}`);
 
     if (totalMainContests <= 0) {
       return res.status(200).json({ contests: [], total: 0, fetched: 0 });
     }
 
-    // Fetch all contests
-    const contestPromises = [];
-
-    for (let i = totalMainContests; i >= 1; i--) {
-      contestPromises.push(getContestDetails(provider, contract, i, false));
-    }
-    // Skip Test contests (T-) for production — only show M- contests
-    // for (let i = totalTestContests; i >= 1; i--) {
-    //   contestPromises.push(getContestDetails(provider, contract, i, true));
-    // }
-
-    const allContests = (await Promise.all(contestPromises)).filter(c => c !== null);
-
-    // Sort by endTime descending
-    allContests.sort((a, b) => b.endTime - a.endTime);
-
     // Apply status filter
-    let filteredContests = allContests;
+    let filteredRecords = allRecords;
     const nowTimestamp = Math.floor(Date.now() / 1000);
     if (statusFilter === 'active') {
-      filteredContests = allContests.filter(c => (c.status === 0 || c.status === 1) && c.endTime > nowTimestamp);
+      filteredRecords = allRecords.filter(c => (c.status === 0 || c.status === 1) && c.endTime > nowTimestamp);
     } else if (statusFilter === 'history') {
-      filteredContests = allContests.filter(c => c.status === 2 || c.status === 3);
+      filteredRecords = allRecords.filter(c => c.status === 2 || c.status === 3);
     }
 
     if (hostFilter) {
-      filteredContests = filteredContests.filter(c => c.host.toLowerCase() === hostFilter);
+      filteredRecords = filteredRecords.filter(c => c.host.toLowerCase() === hostFilter);
     }
 
-    const limitedContests = filteredContests.slice(0, limit);
+    // Sort by endTime descending, then enrich only the page we return
+    filteredRecords.sort((a, b) => b.endTime - a.endTime);
+    const limitedContests = (await Promise.all(
+      filteredRecords.slice(0, limit).map(record => getContestDetails(provider, record))
+    )).filter(c => c !== null);
 
     // Fetch user info
     if (includeUsers && limitedContests.length > 0) {
@@ -2,68 +2,23 @@
  * Periodic Cron - Daily Summary
  *
  * Runs periodically to count active contests for notifications.
- * Uses unified ContestManager for M- and T- prefix contests.
+ * Reads M- and T- prefix contests from the contest index (lib/contest-index.js).
  */
 
-const { ethers } = require('ethers');
+const { getIndexedContests } = require('./lib/contest-index');
+const { CONTEST_STATUS } = require('./lib/config');
 
 const CONFIG = {
-  CONTEST_MANAGER: '0xF56Fe30e1eAb5178da1AA2CbBf14d1e3C0Ba3944',
-  BASE_RPC: process.env.BASE_RPC_URL || 'https://base-mainnet.g.alchemy.com/v2/QooWtq9nKQlkeqKF_-rvC',
   NEYNAR_API_KEY: process.env.NEYNAR_API_KEY || 'AA2E0FC2-FDC0-466D-9EBA-4BCA968C9B1D',
 };
 
-// Struct: host, contestType, status, castId, startTime, endTime, prizeToken, prizeAmount, nftAmount, tokenRequirement, volumeRequirement, winnerCount, winners, isTestContest
-const CONTEST_MANAGER_ABI = [
-  'function getContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function getTestContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function mainNextContestId() view returns (uint256)',
-  'function testNextContestId() view returns (uint256)',
-];
-
-const CONTEST_STATUS = { Active: 0 };
-
 /**
- * Count active contests (status = 0 and not ended)
+ * Count active contests (status = 0 and not ended), main and test, from the contest index
  */
-async function countActiveContests(provider) {
-  const contestManager = new ethers.Contract(CONFIG.CONTEST_MANAGER, CONTEST_MANAGER_ABI, provider);
+async function countActiveContests() {
   const now = Math.floor(Date.now() / 1000);
-  let activeCount = 0;
-
-  // Count Main contests
-  try {
-    const mainNextId = await contestManager.mainNextContestId();
-    for (let i = 1n; i < mainNextId; i++) {
-      try {
-        const contest = await contestManager.getContestFull(i);
-        const { endTime, status } = contest;
-        if (Number(status) === CONTEST_STATUS.Active && Number(endTime) > now) {
-          activeCount++;
-        }
-      } catch (e) {}
-    }
-  } catch (e) {
-    console.log('Error counting main contests:', e.message);
-  }
-
-  // Count Test contests
-  try {
-    const testNextId = await contestManager.testNextContestId();
-    for (let i = 1n; i < testNextId; i++) {
-      try {
-        const contest = await contestManager.getTestContestFull(i);
-        const { endTime, status } = contest;
-        if (Number(status) === CONTEST_STATUS.Active && Number(endTime) > now) {
-          activeCount++;
-        }
-      } catch (e) {}
-    }
-  } catch (e) {
-    console.log('Error counting test contests:', e.message);
-  }
-
-  return activeCount;
+  const active = await getIndexedContests({ type: 'all', statuses: [CONTEST_STATUS.ACTIVE] });
+  return active.filter(c => c.endTime > now).length;
 }
 
 /**
@@ -77,8 +32,8 @@ async function sendDailySummary(activeCount) {
 
   try {
     const { sendNotification } = require('./send-notification');
-    await sendNotification('daily_summary', {
-      activeContests: activeCount,
+    await sendNotification('daily_active_contests', {
+      count: activeCount,
     });
     return { sent: true, activeContests: activeCount };
   } catch (e) {
@@ -97,10 +52,8 @@ module.exports = async (req, res) => {
   }
 
   try {
-    const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
-
     // Count active contests
-    const activeCount = await countActiveContests(provider);
+    const activeCount = await countActiveContests();
     console.log(`Active contests: ${activeCount}`);
 
     // Check if it's midnight UTC for daily notification
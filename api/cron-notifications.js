@@ -1,36 +1,37 @@
 /**
  * Cron Notifications API
  *
- * Called by Vercel Cron to check for:
- * - Contests ending in 1 hour (send reminder)
- * - New #1 on leaderboard
+ * Called by Vercel Cron (every 10 min) as the worker for the `notify` queue
+ * (lib/contest-jobs.js):
+ * - ending_soon: contest ends in 1 hour (send reminder, plus a targeted one to everyone who entered)
+ * - finalized / cancelled: winners + host, queued by finalize-contest
+ * - deferred: a targeted notification held for recipients' quiet hours, or requeued for rate-limited ones
+ * - rate_limited: a broadcast resent to the recipients the client rate limited
  *
- * Uses unified ContestManager for M- and T- prefix contests.
+ * Reads M- and T- prefix contests from the contest index (lib/contest-index.js).
  */
 
 const { ethers } = require('ethers');
+const { PRIZE_TYPE, CONTEST_STATUS } = require('./lib/config');
+const { getContest } = require('./lib/contest-manager');
+const { formatAmount } = require('./lib/token-amount');
+const { getIndexedContests } = require('./lib/contest-index');
+const {
+  sendOnce,
+  notifyWinners,
+  notifyEntrantsEndingSoon,
+  notifyHostFinalized,
+  notifyHostCancelled,
+} = require('./lib/contest-notifications');
+const { nonRetryable, runWorker } = require('./lib/job-queue');
+const { JOB_TYPES, enqueueNotify } = require('./lib/contest-jobs');
+const { publishDrawCommitment } = require('./lib/draw');
 
 const CONFIG = {
-  CONTEST_MANAGER: '0xF56Fe30e1eAb5178da1AA2CbBf14d1e3C0Ba3944',
   BASE_RPC: process.env.BASE_RPC_URL || 'https://base-mainnet.g.alchemy.com/v2/QooWtq9nKQlkeqKF_-rvC',
   NEYNAR_API_KEY: process.env.NEYNAR_API_KEY || 'AA2E0FC2-FDC0-466D-9EBA-4BCA968C9B1D',
 };
 
-// Struct: host, contestType, status, castId, startTime, endTime, prizeToken, prizeAmount, nftAmount, tokenRequirement, volumeRequirement, winnerCount, winners, isTestContest
-const CONTEST_MANAGER_ABI = [
-  'function getContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function getTestContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function mainNextContestId() view returns (uint256)',
-  'function testNextContestId() view returns (uint256)',
-];
-
-const ERC20_ABI = [
-  'function symbol() view returns (string)',
-  'function decimals() view returns (uint8)',
-];
-
-const PRIZE_TYPE = { ETH: 0, ERC20: 1, ERC721: 2, ERC1155: 3 };
-
 async function getUserByWallet(walletAddress) {
   try {
     const response = await fetch(
@@ -46,143 +47,136 @@ async function getUserByWallet(walletAddress) {
   }
 }
 
-async function getTokenSymbol(provider, tokenAddress) {
-  if (tokenAddress === '0x0000000000000000000000000000000000000000') return 'ETH';
-  try {
-    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-    return await token.symbol();
-  } catch (e) {
-    return 'TOKENS';
-  }
+async function sendNotification(type, data, targetFids = null, options) {
+  const { sendNotification: send } = require('./send-notification');
+  return send(type, data, targetFids, options);
 }
 
-async function hasNotifiedEndingSoon(contestId) {
-  if (!process.env.KV_REST_API_URL) return false;
+/**
+ * Contest ending soon: broadcast to subscribers, plus a targeted reminder to everyone who entered
+ */
+async function sendEndingSoon(kv, provider, contestId) {
+  const contest = await getContest(provider, contestId, { withPrize: true });
+  const now = Math.floor(Date.now() / 1000);
+  if (!contest || contest.status !== CONTEST_STATUS.ACTIVE || contest.endTime <= now) {
+    return { contestId, skipped: 'Contest no longer running' };
+  }
+
+  // Backstop for a draw commitment cast that failed when entries came in - it must land before the end
   try {
-    const { kv } = await import('@vercel/kv');
-    return await kv.exists(`notif:ending:${contestId}`);
+    await publishDrawCommitment(kv, contestId, process.env.NEYNAR_SIGNER_UUID);
   } catch (e) {
-    return false;
+    console.error('Draw commitment publish error:', e.message);
   }
-}
 
-async function markNotifiedEndingSoon(contestId) {
-  if (!process.env.KV_REST_API_URL) return;
-  try {
-    const { kv } = await import('@vercel/kv');
-    await kv.set(`notif:ending:${contestId}`, true, { ex: 86400 });
-  } catch (e) {}
-}
+  const minutesLeft = Math.round((contest.endTime - now) / 60);
+  const hostUser = await getUserByWallet(contest.host);
 
-async function sendNotification(type, data) {
-  try {
-    const { sendNotification: send } = require('./send-notification');
-    await send(type, data);
-  } catch (e) {
-    console.log('Could not send notification:', e.message);
+  let prizeDisplay = 'NFT Prize';
+  if (contest.prizeType === PRIZE_TYPE.ETH || contest.prizeType === PRIZE_TYPE.ERC20) {
+    prizeDisplay = formatAmount(contest.prize, { compact: true });
   }
+
+  const broadcast = await sendNotification('contest_ending_soon', {
+    contestId,
+    host: hostUser?.username || contest.host.slice(0, 10),
+    prize: prizeDisplay,
+    // For subscriber preferences (prize USD is looked up by contestId)
+    hostFid: hostUser?.fid,
+    prizeToken: contest.prize.token,
+    minutesLeft,
+    // minutesLeft changes between retries - keep one ID so clients dedupe a resend
+    notificationId: `neynartodes-contest_ending_soon-${contestId}`,
+  });
+  const entrants = await notifyEntrantsEndingSoon(kv, contestId, { prize: prizeDisplay, minutesLeft });
+  if (entrants.error) throw new Error(`Entrant reminders: ${entrants.error}`);
+
+  return { contestId, sent: broadcast.sent || 0, entrantsSent: entrants.sent || 0 };
 }
 
-async function checkEndingSoonContests() {
-  const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
-  const contestManager = new ethers.Contract(CONFIG.CONTEST_MANAGER, CONTEST_MANAGER_ABI, provider);
+/**
+ * Handle a notify job (lib/contest-jobs.js)
+ * Targeted sends are claimed once per contest (lib/contest-notifications.js),
+ * so a retried job doesn't notify anyone twice.
+ * @param {object} kv - Vercel KV client
+ * @param {object} provider - Ethers provider
+ * @param {object} job - Leased job
+ * @returns {Promise<object>} Result kept on the job
+ */
+async function handleNotifyJob(kv, provider, job) {
+  const { kind, contestId } = job.payload;
+  let results;
+
+  switch (kind) {
+    case 'ending_soon':
+      return sendEndingSoon(kv, provider, contestId);
+
+    case 'finalized': {
+      const { winnerFids = [], hostFid, prize, winnerCount, participants } = job.payload;
+      results = {
+        winners: await notifyWinners(kv, contestId, winnerFids, { prize }),
+        host: await notifyHostFinalized(kv, contestId, hostFid, { winnerCount, participants }),
+      };
+      break;
+    }
 
-  const notifications = [];
-  const now = Math.floor(Date.now() / 1000);
-  const oneHour = 3600;
+    case 'cancelled':
+      results = { host: await notifyHostCancelled(kv, contestId, job.payload.hostFid, job.payload.reason) };
+      break;
 
-  // Check Main contests
-  try {
-    const mainNextId = await contestManager.mainNextContestId();
-    for (let i = 1n; i < mainNextId; i++) {
-      try {
-        const contest = await contestManager.getContestFull(i);
-        // Struct: host, contestType, status, castId, startTime, endTime, prizeToken, prizeAmount, nftAmount, tokenRequirement, volumeRequirement, winnerCount, winners, isTestContest
-        const { host, contestType, status, endTime, prizeToken, prizeAmount } = contest;
-        const contestEndTime = Number(endTime);
-
-        // Skip if not active (status 0)
-        if (Number(status) !== 0) continue;
-
-        // Check if ending within 1 hour
-        const timeUntilEnd = contestEndTime - now;
-        if (timeUntilEnd > 0 && timeUntilEnd <= oneHour) {
-          const contestId = `M-${i}`;
-          if (await hasNotifiedEndingSoon(contestId)) continue;
-
-          const hostUser = await getUserByWallet(host);
-          let prizeDisplay = '';
-
-          if (Number(contestType) === PRIZE_TYPE.ETH) {
-            prizeDisplay = `${ethers.formatEther(prizeAmount)} ETH`;
-          } else if (Number(contestType) === PRIZE_TYPE.ERC20) {
-            const symbol = await getTokenSymbol(provider, prizeToken);
-            prizeDisplay = `${ethers.formatEther(prizeAmount)} ${symbol}`;
-          } else {
-            prizeDisplay = 'NFT Prize';
-          }
-
-          await sendNotification('contest_ending_soon', {
-            contestId,
-            host: hostUser?.username || host.slice(0, 10),
-            prize: prizeDisplay,
-            minutesLeft: Math.round(timeUntilEnd / 60),
-          });
-
-          await markNotifiedEndingSoon(contestId);
-          notifications.push({ contestId, type: 'ending_soon' });
-        }
-      } catch (e) {}
+    case 'deferred': {
+      const { type, fids, data, attempt = 0 } = job.payload;
+      results = { [type]: await sendOnce(kv, type, contestId, fids, data, { attempt }) };
+      break;
     }
-  } catch (e) {
-    console.log('Error checking main contests:', e.message);
+
+    case 'rate_limited': {
+      const { type, fids, data, attempt } = job.payload;
+      const result = await sendNotification(type, data, fids, { requeue: true, attempt });
+      if (result.pendingFids?.length > 0) result.error = `${result.pendingFids.length} recipient(s) not reached`;
+      results = { [type]: result };
+      break;
+    }
+
+    default:
+      throw nonRetryable(`Unknown notify kind: ${kind}`);
   }
 
-  // Check Test contests
+  const errors = Object.values(results).map(r => r.error).filter(Boolean);
+  if (errors.length > 0) throw new Error(errors.join('; '));
+
+  return { contestId, ...Object.fromEntries(Object.entries(results).map(([k, r]) => [k, r.sent || 0])) };
+}
+
+/**
+ * Cron: queue reminders for contests ending within the hour (contests are
+ * normally scheduled when the contest index sees them created), then drain
+ * the notify queue
+ */
+async function runNotifyCron() {
+  if (!process.env.KV_REST_API_URL) {
+    throw new Error('KV storage not configured');
+  }
+  const { kv } = await import('@vercel/kv');
+  const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+  const queued = [];
+  const now = Math.floor(Date.now() / 1000);
+  const oneHour = 3600;
+
+  // Active contests (main + test) ending within 1 hour
   try {
-    const testNextId = await contestManager.testNextContestId();
-    for (let i = 1n; i < testNextId; i++) {
-      try {
-        const contest = await contestManager.getTestContestFull(i);
-        const { host, contestType, status, endTime, prizeToken, prizeAmount } = contest;
-        const contestEndTime = Number(endTime);
-
-        if (Number(status) !== 0) continue;
-
-        const timeUntilEnd = contestEndTime - now;
-        if (timeUntilEnd > 0 && timeUntilEnd <= oneHour) {
-          const contestId = `T-${i}`;
-          if (await hasNotifiedEndingSoon(contestId)) continue;
-
-          const hostUser = await getUserByWallet(host);
-          let prizeDisplay = '';
-
-          if (Number(contestType) === PRIZE_TYPE.ETH) {
-            prizeDisplay = `${ethers.formatEther(prizeAmount)} ETH`;
-          } else if (Number(contestType) === PRIZE_TYPE.ERC20) {
-            const symbol = await getTokenSymbol(provider, prizeToken);
-            prizeDisplay = `${ethers.formatEther(prizeAmount)} ${symbol}`;
-          } else {
-            prizeDisplay = 'NFT Prize';
-          }
-
-          await sendNotification('contest_ending_soon', {
-            contestId,
-            host: hostUser?.username || host.slice(0, 10),
-            prize: prizeDisplay,
-            minutesLeft: Math.round(timeUntilEnd / 60),
-          });
-
-          await markNotifiedEndingSoon(contestId);
-          notifications.push({ contestId, type: 'ending_soon' });
-        }
-      } catch (e) {}
+    const active = await getIndexedContests({ type: 'all', statuses: [CONTEST_STATUS.ACTIVE] });
+    for (const { contestId, endTime } of active) {
+      if (endTime <= now || endTime - now > oneHour) continue;
+      const { id, enqueued } = await enqueueNotify(kv, 'ending_soon', contestId);
+      if (enqueued) queued.push(id);
     }
   } catch (e) {
-    console.log('Error checking test contests:', e.message);
+    console.log('Error queueing ending-soon reminders:', e.message);
   }
 
-  return notifications;
+  const worker = await runWorker(kv, JOB_TYPES.NOTIFY, (job) => handleNotifyJob(kv, provider, job), { limit: 25 });
+  return { queued, ...worker };
 }
 
 module.exports = async (req, res) => {
@@ -195,12 +189,8 @@ module.exports = async (req, res) => {
   }
 
   try {
-    const notifications = await checkEndingSoonContests();
-    return res.status(200).json({
-      success: true,
-      notificationsSent: notifications.length,
-      notifications,
-    });
+    const result = await runNotifyCron();
+    return res.status(200).json({ success: true, ...result });
   } catch (error) {
     console.error('Cron notifications error:', error);
     return res.status(500).json({ error: error.message });
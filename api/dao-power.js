@@ -14,29 +14,25 @@
 const { ethers } = require('ethers');
 const { getUserAddresses: getCachedUserAddresses, getUserByFid } = require('./lib/utils');
 const { CONFIG } = require('./lib/config');
+const { getTokenBalances, sumBalances } = require('./lib/multicall');
 
 const VOTING_MANAGER = '0x776A53c2e95d068d269c0cCb1B0081eCfeF900EB';
 const HOLDER_THRESHOLD = 100000000n * 10n ** 18n; // 100M tokens
 
-const ERC20_ABI = ['function balanceOf(address) view returns (uint256)'];
 const VOTING_MANAGER_ABI = ['function voteRecords(address) view returns (uint256 lastVoteDay, uint256 votesUsedToday)'];
 
 /**
- * Check if any of the user's addresses hold 100M+ NEYNARTODES
+ * Check if the user's addresses hold 100M+ NEYNARTODES combined (one multicall)
  */
 async function checkHolder(addresses, provider) {
   if (addresses.length === 0) return { met: false, balance: '0' };
 
-  const token = new ethers.Contract(CONFIG.NEYNARTODES, ERC20_ABI, provider);
   let totalBalance = 0n;
-
-  for (const addr of addresses) {
-    try {
-      const bal = await token.balanceOf(addr);
-      totalBalance += BigInt(bal.toString());
-    } catch (e) {
-      console.log(`Balance check failed for ${addr}:`, e.message);
-    }
+  try {
+    const balances = await getTokenBalances(provider, CONFIG.NEYNARTODES, addresses);
+    totalBalance = sumBalances(balances, addresses);
+  } catch (e) {
+    console.log('Balance check failed:', e.message);
   }
 
   const balanceInTokens = totalBalance / (10n ** 18n);
@@ -2,25 +2,32 @@
  * DAO Vote API
  *
  * POST /api/dao-vote
- * Body: { proposalId: "dao_...", fid: 12345, vote: "for"|"against" }
+ * Headers: Authorization: Bearer <session token> (see /api/session)
+ * Body: { proposalId: "dao_...", vote: "for"|"against" }
  *
  * Casts a weighted vote on a DAO proposal.
  * Vote weight = user's voting power (1-3 based on participation).
  * Each user can only vote once per proposal.
  */
 
+const { requireSession } = require('./lib/session');
+
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  const { proposalId, fid, vote } = req.body;
+  const { proposalId, vote } = req.body;
+
+  // FID comes from the signed-in session, not the body
+  const session = requireSession(req, res, req.body.fid);
+  if (!session) return;
+  const fid = session.fid;
 
   if (!proposalId) return res.status(400).json({ error: 'Missing proposalId' });
-  if (!fid) return res.status(400).json({ error: 'Missing fid' });
   if (!vote || !['for', 'against'].includes(vote)) {
     return res.status(400).json({ error: 'Vote must be "for" or "against"' });
   }
@@ -1,8 +1,11 @@
 /**
- * Debug Notifications - Check subscribers in KV
+ * Debug Notifications - Check subscribers and recent deliveries in KV
  * GET /api/debug-notif
+ * GET /api/debug-notif?log=100   (delivery records to include, default 20)
  */
 
+const { getDeliveryLog } = require('./lib/notification-delivery');
+
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
 
@@ -27,9 +30,28 @@ module.exports = async (req, res) => {
       });
     }
 
+    // Reach and failure rates over the recent sends (lib/notification-delivery.js)
+    const deliveries = await getDeliveryLog(kv, Math.min(parseInt(req.query.log) || 20, 500));
+    const totals = deliveries.reduce((t, d) => ({
+      recipients: t.recipients + d.recipients,
+      sent: t.sent + d.sent,
+      failed: t.failed + d.failed,
+      rateLimited: t.rateLimited + d.rateLimited,
+      invalid: t.invalid + d.invalid,
+    }), { recipients: 0, sent: 0, failed: 0, rateLimited: 0, invalid: 0 });
+    const rate = (n) => totals.recipients > 0 ? Math.round((n / totals.recipients) * 1000) / 1000 : null;
+
     return res.status(200).json({
       totalSubscribers: fids.length,
       subscribers,
+      delivery: {
+        sends: deliveries.length,
+        ...totals,
+        reachRate: rate(totals.sent),
+        failureRate: rate(totals.failed + totals.rateLimited),
+        invalidRate: rate(totals.invalid),
+      },
+      recentDeliveries: deliveries,
     });
   } catch (e) {
     return res.status(500).json({ error: e.message });
@@ -4,28 +4,44 @@
  * Handles the "Enter Raffle" button action:
  * Records entry in KV storage
  *
+ * Submitted addresses must be the FID's custody or verified addresses
+ * (Neynar, cached). The entry stores the canonical address set + prize
+ * address so finalization doesn't need a second Neynar pass.
+ *
  * Called AFTER wallet transaction succeeds (for non-holders)
  * or directly (for holders who don't need wash trade).
  *
+ * Each contest caps its entrants (lib/entry-settings.js, default 200). Once
+ * full, contests with a waitlist record the entry as waitlisted instead -
+ * finalization promotes waitlisted users into slots freed by entrants who
+ * turn out to be ineligible.
+ *
+ * The duplicate check, cap check and writes happen in one atomic KV script
+ * (lib/entries.js); the checks below only skip the Neynar lookups early.
+ *
  * POST /api/enter-contest
+ * Headers: Authorization: Bearer <session token> (see /api/session)
  * Body: {
- *   fid: 12345,
  *   contestId: "30",
  *   castHash: "0xabc123...",
  *   addresses: ["0x..."]
  * }
  *
  * Returns: { success: true, entry: { ... } }
+ *          { success: true, waitlisted: true, position: 3, entry: { ... } }
  */
 
-// Max entries per contest (Chainlink VRF limit is 1000, with bonus entries we cap at 200)
-const MAX_ENTRIES_PER_CONTEST = 200;
+const { ensureDrawCommitment, publishDrawCommitment } = require('./lib/draw');
+const { requireSession } = require('./lib/session');
+const { getUserAddresses, getUserByFid, getPrimaryAddress } = require('./lib/utils');
+const { getEntrySettings } = require('./lib/entry-settings');
+const { recordEntry } = require('./lib/entries');
 
 module.exports = async (req, res) => {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -37,10 +53,11 @@ module.exports = async (req, res) => {
 
   const { fid, contestId, castHash, addresses } = req.body;
 
-  const parsedFid = parseInt(fid);
-  if (!fid || isNaN(parsedFid) || parsedFid <= 0) {
-    return res.status(400).json({ error: 'Missing or invalid fid' });
-  }
+  // FID comes from the signed-in session, not the body
+  const session = requireSession(req, res, fid);
+  if (!session) return;
+  const parsedFid = session.fid;
+
   if (!contestId) {
     return res.status(400).json({ error: 'Missing contestId' });
   }
@@ -56,7 +73,7 @@ module.exports = async (req, res) => {
   const { kv } = require('@vercel/kv');
 
   try {
-    // Check if user already entered this contest
+    // Check if user already entered this contest (fast path - recordEntry re-checks)
     const existingEntry = await kv.get(`entry:${contestId}:${parsedFid}`);
     if (existingEntry) {
       return res.status(200).json({
@@ -66,34 +83,94 @@ module.exports = async (req, res) => {
       });
     }
 
-    // Check if contest has reached max entries
+    // Check if contest has reached its entrant cap (fast path - recordEntry re-checks)
+    const settings = await getEntrySettings(contestId.toString());
     const currentEntryCount = await kv.scard(`contest_entries:${contestId}`) || 0;
-    if (currentEntryCount >= MAX_ENTRIES_PER_CONTEST) {
+    if (currentEntryCount >= settings.maxEntrants && !settings.waitlist) {
       return res.status(400).json({
-        error: 'Contest has reached maximum entries (200)',
+        error: `Contest has reached maximum entries (${settings.maxEntrants})`,
         contest_full: true,
         entry_count: currentEntryCount,
-        max_entries: MAX_ENTRIES_PER_CONTEST
+        max_entries: settings.maxEntrants
       });
     }
 
+    // Submitted addresses must belong to this FID
+    const canonicalAddresses = await getUserAddresses(parsedFid);
+    if (canonicalAddresses.length === 0) {
+      return res.status(503).json({ error: 'Could not verify addresses, please try again' });
+    }
+
+    const submitted = [...new Set(addresses.map(a => String(a).toLowerCase()))];
+    const unverified = submitted.filter(a => !canonicalAddresses.includes(a));
+    if (unverified.length > 0) {
+      return res.status(400).json({
+        error: 'Address is not a custody or verified address of this FID',
+        unverified_addresses: unverified
+      });
+    }
+
+    const user = await getUserByFid(parsedFid);
+
     // Record entry in KV (no signer required, no auto-like)
     const entry = {
       fid: parsedFid,
       contestId: contestId.toString(),
       castHash: castHash || null,
-      addresses,
+      addresses: submitted,
+      canonicalAddresses,
+      primaryAddress: getPrimaryAddress(user) || canonicalAddresses[0],
+      username: user?.username || '',
       timestamp: Date.now(),
       hasReplied: false,
       enteredAt: new Date().toISOString()
     };
 
-    await kv.set(`entry:${contestId}:${parsedFid}`, entry);
+    // Duplicate check, cap check, entry + set/waitlist writes in one step
+    const result = await recordEntry(kv, contestId.toString(), parsedFid, entry, settings);
+
+    if (result.status === 'exists') {
+      return res.status(200).json({
+        success: true,
+        already_entered: true,
+        entry: result.entry
+      });
+    }
+
+    if (result.status === 'full' || result.status === 'waitlist_full') {
+      const waitlistFull = result.status === 'waitlist_full';
+      return res.status(400).json({
+        error: waitlistFull
+          ? `Contest and waitlist are full (${settings.maxEntrants} entries, ${settings.waitlistSize} waitlisted)`
+          : `Contest has reached maximum entries (${settings.maxEntrants})`,
+        contest_full: true,
+        waitlist_full: waitlistFull,
+        entry_count: result.count,
+        max_entries: settings.maxEntrants
+      });
+    }
 
-    // Also add to contest entries set for easy lookup
-    await kv.sadd(`contest_entries:${contestId}`, parsedFid.toString());
+    if (result.status === 'waitlisted') {
+      console.log(`FID ${parsedFid} waitlisted for contest ${contestId} (position ${result.position})`);
 
-    console.log(`Entry recorded for FID ${parsedFid} in contest ${contestId}`);
+      return res.status(200).json({
+        success: true,
+        waitlisted: true,
+        position: result.position,
+        entry: result.entry
+      });
+    }
+
+    console.log(`Entry recorded for FID ${parsedFid} in contest ${contestId} (${result.count}/${settings.maxEntrants})`);
+
+    // Commit the draw secret while the contest is still running and publish its
+    // hash in a cast (no-op if already committed / published)
+    try {
+      await ensureDrawCommitment(kv, contestId.toString());
+      await publishDrawCommitment(kv, contestId.toString(), process.env.NEYNAR_SIGNER_UUID);
+    } catch (e) {
+      console.error('Draw commitment error:', e.message);
+    }
 
     return res.status(200).json({
       success: true,
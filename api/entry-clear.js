@@ -40,6 +40,7 @@ module.exports = async (req, res) => {
       if (existingEntry) {
         await kv.del(`entry:${contestId}:${fid}`);
         await kv.srem(`contest_entries:${contestId}`, fid.toString());
+        await kv.zrem(`contest_waitlist:${contestId}`, fid.toString());
         clearedEntries.push({ contestId, entry: existingEntry });
         console.log(`Cleared entry for FID ${fid} in contest ${contestId}`);
       }
@@ -80,6 +81,7 @@ module.exports = async (req, res) => {
       if (existingEntry) {
         await kv.del(`entry:${cid}:${fid}`);
         await kv.srem(`contest_entries:${cid}`, fid.toString());
+        await kv.zrem(`contest_waitlist:${cid}`, fid.toString());
         clearedEntries.push({ contestId: cid, entry: existingEntry });
         console.log(`Cleared entry for FID ${fid} in contest ${cid}`);
       }
@@ -2,34 +2,75 @@
  * Contest Finalization API - Unified ContestManager
  *
  * This endpoint checks if a contest has ended and finalizes it by:
- * 1. Getting entries from KV storage (users who clicked Enter)
- * 2. Checking for bonus entries:
+ * 1. Getting entries from KV storage (users who clicked Enter), promoting
+ *    waitlisted users into slots left by ineligible entrants (lib/entry-settings.js)
+ * 2. Checking for bonus entries (rules + weights per contest, see lib/bonus-rules.js).
+ *    Defaults:
  *    - 100M+ NEYNARTODES holder = +1 bonus entry
  *    - 3+ word reply on contest cast = +1 bonus entry
  *    - Clicked Share button = +1 bonus entry
  *    - $20+ trading volume during contest = +1 bonus entry
- * 3. Calling finalizeContest() on the unified ContestManager
+ * 3. Deriving a verifiable draw seed (commit-reveal, see lib/draw.js)
+ * 4. Calling finalizeContest() on the unified ContestManager
+ *
+ * Each step is a checkpointed stage (see lib/finalize-job.js). A run that times
+ * out or crashes resumes from the last completed stage on the next call/cron,
+ * and the finalize tx is never sent twice.
+ *
+ * The cron is the worker for the `finalize` and `poll_winners` queues
+ * (lib/contest-jobs.js): contests get a finalize job at their end time when
+ * the contest index sees them created, and the announcement and targeted
+ * notifications are queued for announce-winner / cron-notifications.
  *
  * NO LONGER REQUIRES: likes, recasts
  *
  * Usage:
  *   GET /api/finalize-contest?contestId=M-1    (Main contest)
  *   GET /api/finalize-contest?contestId=T-1    (Test contest)
- *   POST /api/finalize-contest                  (Cron - checks last 50 contests)
+ *   GET /api/finalize-contest?contestId=M-1&dryRun=1  (Preview breakdown + win odds, no tx -
+ *                                                      cron secret or the host's session)
+ *   POST /api/finalize-contest                  (Cron - syncs the contest index, drains the finalize queue)
  */
 
 const { ethers } = require('ethers');
 const { parseContestId } = require('./lib/config');
-const { getUniswapVolumes, getTokenPriceUSD } = require('./lib/uniswap-volume');
+const { getPrimaryAddress, getUserByWallet } = require('./lib/utils');
+const { getContestBonusConfig, evaluateBonusRules, describeBonus, getHolderToken } = require('./lib/bonus-rules');
+const { getListFids } = require('./lib/access-lists');
+const { runSybilScan, getRiskReport } = require('./lib/sybil');
+const {
+  POOL_REDUCTION_ALGORITHM,
+  MAX_POOL_SIZE,
+  findRevealBlock,
+  getPublishedCommitment,
+  isCommitmentRequired,
+  runDraw,
+  reduceEntryPool,
+  hashEntryPool,
+  estimateWinProbabilities,
+} = require('./lib/draw');
+const { getEntrySettings, getWaitlist } = require('./lib/entry-settings');
+const { syncContestIndex, getIndexedContests } = require('./lib/contest-index');
+const { getContestManager, getContest, canFinalize, withPrize } = require('./lib/contest-manager');
+const { formatAmount, splitAmount } = require('./lib/token-amount');
+const { runWorker, getJob } = require('./lib/job-queue');
+const { JOB_TYPES, enqueueFinalize, enqueuePollWinners, enqueueSybilScan, enqueueAnnounce, enqueueNotify } = require('./lib/contest-jobs');
+const { getSnapshotWindow } = require('./lib/holder-snapshot');
+const {
+  acquireFinalizeLock,
+  releaseFinalizeLock,
+  loadFinalizeJob,
+  saveFinalizeJob,
+  runStage,
+  getActiveFinalizeJobs,
+} = require('./lib/finalize-job');
+const { requireSession, checkContestHost } = require('./lib/session');
 
 // ═══════════════════════════════════════════════════════════════════
 // CONFIGURATION
 // ═══════════════════════════════════════════════════════════════════
 
 const CONFIG = {
-  // Unified ContestManager (M- and T- prefix contests)
-  CONTEST_MANAGER: '0xF56Fe30e1eAb5178da1AA2CbBf14d1e3C0Ba3944',
-
   // BuyBurnHoldEarn V1 - tracks token burns and host rewards (legacy contests)
   BUYBURNHOLDEARN: '0xCfa90CfE67Ca3a08f862671Bd7Fb808662efAC28',
   // BuyBurnHoldEarn V2 - contest entry rewards
@@ -44,131 +85,21 @@ const CONFIG = {
   // API Keys
   NEYNAR_API_KEY: process.env.NEYNAR_API_KEY || 'AA2E0FC2-FDC0-466D-9EBA-4BCA968C9B1D',
 
-  // How many contests to check in cron
-  MAX_CONTESTS_TO_CHECK: 50,
-
-  // Holder threshold for bonus entry (100M tokens)
-  HOLDER_THRESHOLD: 100000000n * 10n ** 18n,
-
-  // Minimum words for reply bonus
-  MIN_REPLY_WORDS: 3,
-
-  // Volume threshold for bonus entry ($20 USD)
-  VOLUME_THRESHOLD_USD: 20,
-
-  // Transfer cooldown for holder bonus (hours)
-  // Prevents gaming by transferring tokens between accounts
-  TRANSFER_COOLDOWN_HOURS: 36,
-
-  // Blocked FIDs - these users cannot win contests
-  BLOCKED_FIDS: [
-    1188162,  // brianwharton - app owner
-    1891537,  // neynartodes - official account
-    1990047,  // ropiik - scam token contests
-    940217,   // futurepicker - suspected multi-account abuse
-    874752,   // lunamarsh - suspected multi-account abuse
-    1139990,  // sonite/bengarfm - suspected multi-account abuse
-    2045016,  // aerieth - alt account of @aeri
-    // Farm ring: all linked to X @nando8618, registered 2025-03-23
-    1027658,  // iskaeth (Iska.eth) - same registration date as farm ring
-    1027765,  // lokidtuyul
-    1028120,  // shanksd
-    1028226,  // badjul
-    1028609,  // cekots
-    1028738,  // tudyul
-    1028891,  // potrgas
-    1029130,  // jokod
-    1029267,  // tuyuldportgas
-    1029416,  // tahud
-    1029631,  // tolod
-    1029836,  // tahukrispi
-    1029997,  // amod
-    1030095,  // keere
-    1030154,  // robertinus
-    1030224,  // iisdah
-    1030320,  // romad
-    1030388,  // lemper
-    1030464,  // dedibotak
-    1030703,  // cekot
-    1030791,  // bawi
-    1030903,  // rugdpul
-    1030963,  // rontok
-    1031056,  // gombloh
-    1031145,  // rokid
-    // inseth network: token cycling through intermediary wallets
-    237841,   // inseth - farm ring operator, 22 sybil wallets
-    1040937,  // jarwosamidi - operations hub, cycles tokens through intermediary
-    1001959,  // ladlalion1 - funded by inseth funder + intermediary
-    2806580,  // farwabatool622 - 3-day-old account funded by intermediary
-    1149760,  // surrounding - funded by inseth funder + jarwosamidi, sends to intermediary
-    2138148,  // farcy - 30 transfers from inseth funder, cycles tokens through intermediary
-    // Missed sybils - sequential FIDs in 1027-1031 range, exact token cycling with intermediary
-    1028120,  // shanksd
-    1028226,  // badjul
-    1028891,  // potrgas
-    1029130,  // jokod
-    1029267,  // tuyuldportgas
-  ],
-};
+  // Failed runs before a finalization job is marked failed (needs manual attention)
+  MAX_JOB_ATTEMPTS: 5,
 
-// DEX addresses - transfers FROM these addresses are purchases (no cooldown)
-// Transfers from regular wallets trigger the 36-hour cooldown
-const DEX_ADDRESSES = new Set([
-  // Uniswap V3 - NEYNARTODES/WETH pool on Base
-  '0x5d7f0d6c17a245b62e6a08280f580c59631e8136',
-  // Uniswap Universal Router (Base)
-  '0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad',
-  // Uniswap V3 SwapRouter02 (Base)
-  '0x2626664c2603336e57b271c5c0b26f421741e481',
-  // Zero address (minting)
-  '0x0000000000000000000000000000000000000000',
-  // Clanker deployer
-  '0x75a2c417b9e2f00d47ad94f8c0894066e31e38d9',
-  // DEX aggregator/router
-  '0x785648669b8e90a75a6a8de682258957f9028462',
-  // BaseSettler (DEX aggregator)
-  '0x49fb9c16b9b2a19452633573603c837673fd7e04',
-  // Additional whitelisted addresses
-  '0xdD7d485A334B13D3Ae589e00fa8248BEC21A7121',
-  // brianwharton - tokens sent from this wallet bypass cooldown
-  '0x7b96E0f29241f3d654CA1BFBC53E1B0E5E3Ec211',
-  // NEYNARTODES Treasury - host rewards from BuyBurnHoldEarn
-  '0xd4d84f3477eb482783aAB48F00e357C801c48928',
-  // BuyBurnHoldEarn v1 - contest entry rewards
-  '0xCfa90CfE67Ca3a08f862671Bd7Fb808662efAC28',
-  // BuyBurnHoldEarn v2 - contest entry rewards (old)
-  '0x856Bc35576a38b8a9887E86888995F056fA87593',
-  // BuyBurnHoldEarn v2 - contest entry rewards (fixed)
-  '0x85D1A086E7119B9250f618077240BdA2cA3ecd72',
-  // BuyBurnHoldEarn V3 - signature-gated entries
-  '0x8340116C435307d90Df320d19F0871544653D232',
-  // BuyBurnHoldEarn V4 - no on-chain balance check
-  '0xEa670a28cA538055Dcf8cF5B383463922456526F',
-  // 0x Protocol Settlers (query registry at 0x00000000000004533Fe15556B1E086BB1A72cEae for updates)
-  '0xdc5d8200A030798BC6227240f68b4dD9542686ef',  // Settler - Taker (swap)
-  '0xce09Bdf28eC438FddE2Bf255dA806e0c357247bf',  // Settler - Metatransaction
-  '0xFf11500b35A3e48a298BCd6139B9A3D9c369537e',  // Settler - Intents
-  '0x706A7D84D3C17b63FF0DA2c38a8c178e00cD87Be',  // Settler - Bridge
-  '0x0000000000001fF3684f28c67538d4D072C22734',  // 0x AllowanceHolder
-].map(a => a.toLowerCase()));
-
-// Unified ContestManager ABI
-// Struct order: host, contestType, status, castId, startTime, endTime, prizeToken, prizeAmount, nftAmount, tokenRequirement, volumeRequirement, winnerCount, winners, isTestContest
-const CONTEST_MANAGER_ABI = [
-  // View functions - use getContestFull/getTestContestFull for full struct data
-  'function getContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function getTestContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function mainNextContestId() view returns (uint256)',
-  'function testNextContestId() view returns (uint256)',
-  'function canFinalize(uint256 contestId) view returns (bool)',
-  'function canFinalizeTest(uint256 contestId) view returns (bool)',
-  // Finalization
-  'function finalizeContest(uint256 contestId, address[] calldata qualifiedAddresses, uint256 randomSeed) external',
-  'function finalizeTestContest(uint256 contestId, address[] calldata qualifiedAddresses, uint256 randomSeed) external',
-  // Cancel
-  'function cancelContest(uint256 contestId, string calldata reason) external',
-  'function cancelTestContest(uint256 contestId, string calldata reason) external',
-];
+  // Cron runs spent polling for VRF winners before giving up (~1h at */2)
+  MAX_WINNER_POLL_RUNS: 30,
+
+  // Volume bonus source: rpc (swap log scan), webhook (Neynar trade webhook),
+  // auto (rpc, webhook if the log scan fails) - see getVolumes() in lib/bonus-rules.js
+  VOLUME_SOURCE: process.env.VOLUME_SOURCE || 'auto',
+
+  // Holder bonus: use live balance - cooldown when the RPC can't serve the
+  // archive snapshot (recorded as method 'live'). Off = the bonuses stage fails and retries
+  HOLDER_LIVE_FALLBACK: process.env.HOLDER_LIVE_FALLBACK === 'true',
+
+};
 
 // BuyBurnHoldEarn V1 ABI - for querying token burns and host rewards (legacy)
 const BUYBURNHOLDEARN_ABI = [
@@ -292,855 +223,936 @@ async function getBuyBurnHoldEarnStats(hostAddress, startTime, endTime, provider
 }
 
 // ═══════════════════════════════════════════════════════════════════
-// HOLDER CHECK - 100M NEYNARTODES = bonus entry
+// PIPELINE STAGES
 // ═══════════════════════════════════════════════════════════════════
+// Each stage returns plain JSON so it can be checkpointed in finalize_job:{contestId}
 
 /**
- * Calculate amount of tokens in cooldown (received via wallet-to-wallet transfer in last 36 hours)
- * Tokens from DEX purchases are NOT in cooldown
- * Returns the amount that should be subtracted from total balance for holder qualification
- * @param {string[]} addresses - User's wallet addresses
- * @param {object} provider - Ethers provider
- * @returns {Promise<{cooldownAmount: bigint, transfers: object[]}>}
+ * STAGE "entries": users who clicked Enter, minus blocked FIDs and the host,
+ * plus the eligible part of the waitlist (in join order)
+ * @returns {Promise<{enteredCount: number, eligibleFids: number[], waitlistFids: number[], maxEntrants: number, cancelReason: string|null}>}
  */
-async function calculateCooldownAmount(addresses, provider) {
-  // ERC20 Transfer event signature
-  const transferEventAbi = ['event Transfer(address indexed from, address indexed to, uint256 value)'];
-  const neynartodes = new ethers.Contract(CONFIG.NEYNARTODES_TOKEN, transferEventAbi, provider);
+async function stageEntries(contestIdStr, castHash) {
+  const { kv } = require('@vercel/kv');
+  const [fids, waitlist, settings] = await Promise.all([
+    kv.smembers(`contest_entries:${contestIdStr}`),
+    getWaitlist(kv, contestIdStr),
+    getEntrySettings(contestIdStr)
+  ]);
+  const enteredFids = new Set(
+    Array.isArray(fids) ? fids.map(f => parseInt(f)).filter(f => !isNaN(f) && f > 0) : []
+  );
 
-  // Calculate block range for cooldown period (~2 sec blocks on Base)
-  const blocksPerHour = 1800; // 3600 sec / 2 sec per block
-  const cooldownBlocks = CONFIG.TRANSFER_COOLDOWN_HOURS * blocksPerHour;
+  console.log(`\n👥 Users who clicked Enter: ${enteredFids.size} (cap ${settings.maxEntrants})`);
+  if (waitlist.length > 0) {
+    console.log(`   Waitlisted: ${waitlist.length}`);
+  }
 
-  try {
-    const currentBlock = await provider.getBlockNumber();
-    const fromBlock = Math.max(0, currentBlock - cooldownBlocks);
-
-    // Normalize addresses for comparison
-    const normalizedAddresses = addresses.map(a => a.toLowerCase());
-
-    // Query transfers TO each user address in parallel
-    const transferPromises = addresses.map(addr =>
-      neynartodes.queryFilter(neynartodes.filters.Transfer(null, addr), fromBlock, currentBlock)
-        .catch(e => {
-          console.error(`Error querying transfers for ${addr}:`, e.message);
-          return [];
-        })
-    );
+  if (enteredFids.size === 0) {
+    return { enteredCount: 0, eligibleFids: [], waitlistFids: [], maxEntrants: settings.maxEntrants, cancelReason: 'No entries' };
+  }
 
-    const allTransferArrays = await Promise.all(transferPromises);
-    const allTransfers = allTransferArrays.flat();
+  // Filter out blocked FIDs (access list, can enter but can't win) and host
+  const [hostFid, blockedFids] = await Promise.all([getHostFid(castHash), getListFids('blocked_fids')]);
+  const isEligible = (fid) => {
+    if (blockedFids.has(fid)) {
+      console.log(`   Skipping blocked FID: ${fid}`);
+      return false;
+    }
+    if (fid === hostFid) {
+      console.log(`   Skipping host FID: ${fid}`);
+      return false;
+    }
+    return true;
+  };
 
-    // Sum up transfers from non-DEX addresses (wallet-to-wallet transfers)
-    let cooldownAmount = 0n;
-    const cooldownTransfers = [];
+  const eligibleFids = [...enteredFids].filter(isEligible);
+  const waitlistFids = waitlist.filter(fid => !enteredFids.has(fid) && isEligible(fid));
 
-    for (const event of allTransfers) {
-      const fromAddr = event.args.from.toLowerCase();
-      const toAddr = event.args.to.toLowerCase();
+  console.log(`   Eligible FIDs: ${eligibleFids.length}`);
 
-      // Skip if transfer is from a DEX (this is a purchase, not a transfer)
-      if (DEX_ADDRESSES.has(fromAddr)) {
-        continue;
+  return {
+    enteredCount: enteredFids.size,
+    eligibleFids,
+    waitlistFids,
+    maxEntrants: settings.maxEntrants,
+    cancelReason: eligibleFids.length === 0 && waitlistFids.length === 0 ? 'No eligible participants' : null
+  };
+}
+
+/**
+ * Addresses + primary (prize) address for a list of FIDs.
+ * Entries store the Neynar-verified address set at entry time, so only
+ * legacy entries without it need a Neynar lookup here.
+ * FIDs without a usable address are left out.
+ * @returns {Promise<Array<{fid: number, username: string, addresses: string[], primaryAddress: string}>>}
+ */
+async function loadUsers(contestIdStr, fids) {
+  const { kv } = require('@vercel/kv');
+  const users = [];
+  const missingFids = [];
+
+  const BATCH_SIZE = 100;
+  for (let i = 0; i < fids.length; i += BATCH_SIZE) {
+    const batch = fids.slice(i, i + BATCH_SIZE);
+    const entries = await kv.mget(...batch.map(fid => `entry:${contestIdStr}:${fid}`));
+
+    batch.forEach((fid, j) => {
+      const entry = entries[j];
+      if (entry?.canonicalAddresses?.length > 0) {
+        users.push({
+          fid,
+          username: entry.username || '',
+          addresses: entry.canonicalAddresses,
+          primaryAddress: entry.primaryAddress || entry.canonicalAddresses[0]
+        });
+      } else {
+        missingFids.push(fid);
       }
+    });
+  }
 
-      // Skip if transfer is between user's own addresses
-      if (normalizedAddresses.includes(fromAddr)) {
-        continue;
+  console.log(`   Verified addresses from entries: ${users.length}`);
+
+  if (missingFids.length > 0) {
+    console.log(`📡 Fetching ${missingFids.length} legacy entrant(s) from Neynar...`);
+  }
+
+  for (let i = 0; i < missingFids.length; i += BATCH_SIZE) {
+    const batch = missingFids.slice(i, i + BATCH_SIZE);
+    try {
+      const response = await fetch(
+        `https://api.neynar.com/v2/farcaster/user/bulk?fids=${batch.join(',')}`,
+        { headers: { 'api_key': CONFIG.NEYNAR_API_KEY } }
+      );
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
       }
 
-      cooldownAmount += BigInt(event.args.value);
-      cooldownTransfers.push({
-        from: fromAddr,
-        to: toAddr,
-        value: event.args.value.toString(),
-        block: event.blockNumber
-      });
+      const data = await response.json();
+      for (const user of (data.users || [])) {
+        const addresses = [];
+        if (user.custody_address) {
+          addresses.push(user.custody_address.toLowerCase());
+        }
+        if (user.verified_addresses?.eth_addresses) {
+          addresses.push(...user.verified_addresses.eth_addresses.map(a => a.toLowerCase()));
+        }
+
+        if (addresses.length > 0) {
+          users.push({
+            fid: user.fid,
+            username: user.username || '',
+            addresses: [...new Set(addresses)],
+            primaryAddress: getPrimaryAddress(user) || addresses[0]
+          });
+        }
+      }
+    } catch (e) {
+      // A failed batch (network error or non-OK response) would silently drop
+      // entrants - fail the stage so it retries
+      throw new Error(`Neynar user lookup failed: ${e.message}`);
     }
+  }
 
-    return { cooldownAmount, transfers: cooldownTransfers };
-  } catch (e) {
-    console.error('Error calculating cooldown amount:', e.message);
-    // On error, don't penalize the user - allow holder bonus
-    return { cooldownAmount: 0n, transfers: [] };
+  return users;
+}
+
+/**
+ * STAGE "users": load entrants, then promote waitlisted users (in join order)
+ * into any slots left under the cap by ineligible or address-less entrants
+ * @returns {Promise<{users: Array<{fid: number, username: string, addresses: string[], primaryAddress: string, fromWaitlist?: boolean}>, promoted: number[]}>}
+ */
+async function stageUsers(contestIdStr, eligibleFids, waitlistFids = [], maxEntrants = Infinity) {
+  console.log('\n📇 Loading entrants...');
+  const users = await loadUsers(contestIdStr, eligibleFids);
+  const promoted = [];
+
+  let next = 0;
+  while (users.length < maxEntrants && next < waitlistFids.length) {
+    const batch = waitlistFids.slice(next, next + (maxEntrants - users.length));
+    next += batch.length;
+
+    for (const user of await loadUsers(contestIdStr, batch)) {
+      users.push({ ...user, fromWaitlist: true });
+      promoted.push(user.fid);
+    }
+  }
+
+  if (promoted.length > 0) {
+    console.log(`   ⬆️ Promoted ${promoted.length} user(s) from the waitlist`);
   }
+
+  console.log(`   Loaded data for ${users.length} users`);
+  return { users, promoted };
 }
 
 /**
- * Format token balance to human readable (e.g., 50M, 1.5B)
+ * STAGE "sybil": queue the entrants' sybil scan (funding clusters / FID bursts)
+ * and hold the pipeline until its report is in, so it's there before winners
+ * are paid. The scan is its own checkpointed `sybil_scan` job (lib/sybil) - it
+ * can take thousands of getLogs calls, so it never runs inside the pipeline.
+ * After SYBIL_REPORT_WAIT_MS the draw goes ahead without it.
+ * Informational only - flagged FIDs still win unless an admin approves them
+ * into blocked_fids (api/sybil-report.js).
+ * @returns {Promise<{pending: true}|{reportAt: number, flagged: number}|{timedOut: true}>}
  */
-function formatTokenBalance(balance) {
-  const num = Number(balance / (10n ** 18n));
-  if (num >= 1_000_000_000) return (num / 1_000_000_000).toFixed(1) + 'B';
-  if (num >= 1_000_000) return (num / 1_000_000).toFixed(1) + 'M';
-  if (num >= 1_000) return (num / 1_000).toFixed(1) + 'K';
-  return num.toFixed(0);
+async function stageSybil(kv, job, contestIdStr, contest) {
+  const report = await getRiskReport(kv, contestIdStr);
+  // Only a scan started after the contest ended covers every entrant
+  if (report && report.generatedAt >= Number(contest.endTime) * 1000) {
+    console.log(`   🕵️ Sybil report ready: ${report.flagged.length} flagged`);
+    return { reportAt: report.generatedAt, flagged: report.flagged.length };
+  }
+
+  if (!job.sybilWaitSince) {
+    const { id } = await enqueueSybilScan(kv, contestIdStr);
+    console.log(`   🕵️ Sybil scan queued (${id})`);
+    job.sybilWaitSince = Date.now();
+  }
+
+  if (Date.now() - job.sybilWaitSince >= SYBIL_REPORT_WAIT_MS) {
+    console.log(`   ⚠️ No sybil report after ${SYBIL_REPORT_WAIT_MS / 60000} min - drawing without it`);
+    return { timedOut: true };
+  }
+  return { pending: true };
 }
 
 /**
- * Check if user holds 100M+ NEYNARTODES across all addresses
- * Subtracts tokens in cooldown (received via wallet-to-wallet transfer in last 36hrs)
- * @param {string[]} addresses - User's wallet addresses
- * @param {object} provider - Ethers provider
- * @returns {Promise<{isHolder: boolean, balance: bigint, eligibleBalance: bigint, cooldownAmount: bigint, cooldownReason: string|null}>}
+ * STAGE "bonuses": evaluate the contest's bonus rules + BuyBurnHoldEarn stats
+ * @param {number} [endTime] - Evaluate up to this time instead of the contest end (dry run on a live contest)
+ * @returns {Promise<{rules: Array, results: object, counts: object, holderSnapshot: object|null, volumeSource: object|null, buyBurnStats: object}>}
  */
-async function checkHolderStatus(addresses, provider) {
-  const neynartodes = new ethers.Contract(
-    CONFIG.NEYNARTODES_TOKEN,
-    ['function balanceOf(address) view returns (uint256)'],
-    provider
-  );
+async function stageBonuses(contestIdStr, castHash, contest, users, provider, endTime = Number(contest.endTime)) {
+  console.log('\n🎁 Checking bonus qualifications...');
 
-  // Fetch all balances and cooldown amount in parallel
-  const [balances, cooldownData] = await Promise.all([
-    Promise.all(addresses.map(addr => neynartodes.balanceOf(addr).catch(() => 0n))),
-    calculateCooldownAmount(addresses, provider)
-  ]);
+  const rules = await getContestBonusConfig(contestIdStr);
+  console.log(`   Rules: ${rules.map(r => `${r.id}(+${r.weight})`).join(', ')}`);
 
-  const totalBalance = balances.reduce((sum, bal) => sum + BigInt(bal), 0n);
-  const { cooldownAmount, transfers } = cooldownData;
+  // Pin the holder snapshot window so finalize_data records exactly which blocks were used
+  let holderSnapshot = null;
+  if (rules.some(r => r.id === 'holder' && r.weight > 0)) {
+    try {
+      holderSnapshot = await getSnapshotWindow(provider, Number(contest.startTime), endTime);
+    } catch (e) {
+      console.log(`   ⚠️ Could not resolve holder snapshot window: ${e.message}`);
+    }
+  }
 
-  // Eligible balance = total balance - tokens in cooldown
-  // Can't go negative (in case of rounding or timing issues)
-  const eligibleBalance = totalBalance > cooldownAmount ? totalBalance - cooldownAmount : 0n;
-  const meetsThreshold = eligibleBalance >= CONFIG.HOLDER_THRESHOLD;
-  const hasCooldown = cooldownAmount > 0n;
+  const { results, counts } = await evaluateBonusRules({
+    contestId: contestIdStr,
+    castHash,
+    users,
+    provider,
+    startTime: Number(contest.startTime),
+    endTime,
+    tokenRequirement: contest.tokenRequirement,
+    holderSnapshot,
+    holderLiveFallback: CONFIG.HOLDER_LIVE_FALLBACK,
+    volumeSource: CONFIG.VOLUME_SOURCE
+  }, rules);
+
+  // The rule only falls back to live balances with HOLDER_LIVE_FALLBACK
+  const live = [...results.values()].some(r => r.details.holder?.method === 'live');
+  if (holderSnapshot || live) {
+    holderSnapshot = { token: getHolderToken(contest.tokenRequirement).toLowerCase(), ...holderSnapshot, method: live ? 'live' : 'snapshot' };
+  }
 
-  let cooldownReason = null;
-  if (hasCooldown && !meetsThreshold && totalBalance >= CONFIG.HOLDER_THRESHOLD) {
-    // They would qualify if not for cooldown
-    cooldownReason = `${formatTokenBalance(cooldownAmount)} tokens in ${CONFIG.TRANSFER_COOLDOWN_HOURS}h cooldown (wallet transfers). Eligible: ${formatTokenBalance(eligibleBalance)}`;
+  // Which source the volume rule actually used (auto can fall back to webhook)
+  let volumeSource = null;
+  if (rules.some(r => r.id === 'volume' && r.weight > 0)) {
+    const used = [...results.values()].find(r => r.details.volume?.source)?.details.volume.source || null;
+    volumeSource = { requested: CONFIG.VOLUME_SOURCE, used };
+    if (used === 'webhook') console.log('   ⚠️ Volume bonus used trade webhook data (RPC swap scan unavailable)');
+  }
+
+  // Get BuyBurnHoldEarn stats (tokens burned and host earned from contest entries)
+  // Pass participant addresses to filter events to only this contest's entrants
+  const participantAddresses = new Set();
+  for (const user of users.values()) {
+    if (user.primaryAddress) participantAddresses.add(user.primaryAddress.toLowerCase());
   }
+  const stats = await getBuyBurnHoldEarnStats(contest.host, Number(contest.startTime), endTime, provider, participantAddresses);
 
   return {
-    isHolder: meetsThreshold,
-    balance: totalBalance,
-    eligibleBalance: eligibleBalance,
-    cooldownAmount: cooldownAmount,
-    hasCooldown: hasCooldown,
-    cooldownReason: cooldownReason
+    rules,
+    results: Object.fromEntries(results),
+    counts,
+    holderSnapshot,
+    volumeSource,
+    buyBurnStats: {
+      tokensBurned: ethers.formatEther(stats.tokensBurned),
+      nonHolderEntries: stats.nonHolderEntries,
+      holderEntries: stats.holderEntries
+    }
   };
 }
 
-// ═══════════════════════════════════════════════════════════════════
-// REPLY CHECK - 3+ word reply = bonus entry
-// ═══════════════════════════════════════════════════════════════════
+/**
+ * Build the weighted entry list (primary address repeated once per entry)
+ * @returns {{qualifiedAddresses: string[], userWeights: Map<string, {weight: number, user: object}>}}
+ */
+function buildEntryList(users, bonusResults) {
+  console.log('\n📝 Building entry list with bonuses...');
+
+  const qualifiedAddresses = [];
+  const userWeights = new Map(); // address -> { weight, user } for multi-winner selection
+
+  for (const user of users.values()) {
+    const { entries, bonuses, details } = bonusResults[user.fid];
+
+    for (let i = 0; i < entries; i++) {
+      qualifiedAddresses.push(user.primaryAddress);
+    }
+
+    for (const ruleId of bonuses) {
+      console.log(`   ${describeBonus(ruleId, details[ruleId])}: @${user.username}`);
+    }
+    if (details.holder?.cooldownReason) {
+      console.log(`   ⏳ @${user.username} COOLDOWN: ${details.holder.cooldownReason}`);
+    }
+    if (details.holder?.snapshotReason) {
+      console.log(`   📉 @${user.username} SNAPSHOT: ${details.holder.snapshotReason}`);
+    }
+
+    userWeights.set(user.primaryAddress, { weight: entries, user });
+  }
+
+  console.log(`   Unique participants: ${users.size}`);
+  console.log(`   Total entries: ${qualifiedAddresses.length}`);
+
+  return { qualifiedAddresses, userWeights };
+}
 
 /**
- * Get all users who replied to a cast with 3+ words
- * @param {string} castHash - The contest cast hash
- * @returns {Promise<Map<number, {fid: number, wordCount: number}>>} Map of FID -> reply data
+ * STAGE "draw": derive the verifiable seed, pre-select multi-winner winners
+ * and build the array sent to the contract
+ * @returns {Promise<{proof: object, finalEntries: string[], totalEntries: number}|{pending: true}>}
  */
-async function getRepliers(castHash) {
-  const repliersByFid = new Map();
+async function stageDraw(contestIdStr, contest, users, bonusResults, provider) {
+  const winnerCount = Number(contest.winnerCount);
+  const { qualifiedAddresses, userWeights } = buildEntryList(users, bonusResults);
 
-  try {
-    let cursor = null;
-    let pageCount = 0;
-    const maxPages = 20;
+  // Verifiable draw (commit-reveal seed)
+  console.log('\n🔐 Deriving verifiable draw seed...');
 
-    do {
-      const url = cursor
-        ? `https://api.neynar.com/v2/farcaster/cast/conversation?identifier=${castHash}&type=hash&reply_depth=1&limit=50&cursor=${cursor}`
-        : `https://api.neynar.com/v2/farcaster/cast/conversation?identifier=${castHash}&type=hash&reply_depth=1&limit=50`;
+  const revealBlock = await findRevealBlock(provider, Number(contest.endTime));
+  if (!revealBlock) {
+    console.log('   Reveal block not mined yet');
+    return { pending: true };
+  }
 
-      const response = await fetch(url, {
-        headers: { 'api_key': CONFIG.NEYNAR_API_KEY }
-      });
+  const { kv } = require('@vercel/kv');
+  // Only a commitment published (cast) before endTime counts. A publication that
+  // can't be verified throws and the stage retries - never a silent draw without it
+  const commitment = await getPublishedCommitment(kv, contestIdStr, Number(contest.endTime));
+
+  const candidates = [...userWeights].map(([address, { weight }]) => ({ address, weight }));
+  const draw = runDraw({
+    candidates,
+    winnerCount,
+    commitment,
+    revealBlock,
+    endTime: Number(contest.endTime),
+    requireCommitment: isCommitmentRequired(contest)
+  });
 
-      if (!response.ok) break;
+  console.log(`   Reveal block: ${revealBlock.number} (${revealBlock.hash.slice(0, 10)}...)`);
+  console.log(`   Commitment: ${draw.proof.commitHash || 'none (block hash only)'}`);
+  console.log(`   Seed: ${draw.seed}`);
 
-      const data = await response.json();
-      const replies = data.conversation?.cast?.direct_replies || [];
+  let finalEntries;
 
-      for (const reply of replies) {
-        const fid = reply.author?.fid;
-        if (!fid) continue;
+  if (winnerCount === 1) {
+    // Single winner: use simple duplicate entry approach (contract picks randomly)
+    console.log(`\n🎲 Single winner contest - using standard entry pool...`);
 
-        const wordCount = (reply.text || '').trim().split(/\s+/).filter(w => w.length > 0).length;
+    // Limit entries to avoid gas issues - seeded, unbiased cut (see lib/draw.js)
+    if (qualifiedAddresses.length > MAX_POOL_SIZE) {
+      console.log(`   ⚠️ Too many entries (${qualifiedAddresses.length}), reducing to ${MAX_POOL_SIZE} from the draw seed...`);
+      finalEntries = reduceEntryPool(qualifiedAddresses, MAX_POOL_SIZE, draw.seed);
+      draw.proof.poolReduction = {
+        algorithm: POOL_REDUCTION_ALGORITHM,
+        from: qualifiedAddresses.length,
+        to: finalEntries.length,
+        poolHash: hashEntryPool(finalEntries)
+      };
+    } else {
+      finalEntries = qualifiedAddresses;
+    }
 
-        // Only count replies with 3+ words
-        if (wordCount >= CONFIG.MIN_REPLY_WORDS) {
-          const existing = repliersByFid.get(fid);
-          if (!existing || wordCount > existing.wordCount) {
-            repliersByFid.set(fid, { fid, wordCount });
-          }
-        }
-      }
+    console.log(`\n🎲 Finalizing contest with ${finalEntries.length} entries (1 winner)...`);
 
-      cursor = data.next?.cursor;
-      pageCount++;
-      if (cursor) await new Promise(r => setTimeout(r, 100));
+  } else {
+    // Multi-winner: deterministic weighted selection from the draw seed (unique winners)
+    console.log(`\n🎲 Multi-winner contest - selecting ${winnerCount} unique winners...`);
 
-    } while (cursor && pageCount < maxPages);
+    const totalWeight = qualifiedAddresses.length;
+    const selectedWinners = draw.winners;
 
-    console.log(`   Found ${repliersByFid.size} users with ${CONFIG.MIN_REPLY_WORDS}+ word replies`);
+    selectedWinners.forEach((address, i) => {
+      const { weight, user } = userWeights.get(address);
+      console.log(`   🏆 Winner ${i + 1}: @${user.username} (${weight} entries, ${(weight / totalWeight * 100).toFixed(1)}% chance)`);
+    });
 
-  } catch (error) {
-    console.error('Error fetching replies:', error.message);
+    if (selectedWinners.length < winnerCount) {
+      console.log(`   ⚠️ Only ${selectedWinners.length} unique participants available for ${winnerCount} winner slots`);
+    }
+
+    // Build final entries array - selected winners first, then others
+    finalEntries = [...selectedWinners];
+    for (const address of userWeights.keys()) {
+      if (!selectedWinners.includes(address)) {
+        finalEntries.push(address);
+      }
+    }
+
+    console.log(`\n🎲 Finalizing contest with ${selectedWinners.length} pre-selected unique winner(s)...`);
   }
 
-  return repliersByFid;
+  return { proof: draw.proof, finalEntries, totalEntries: qualifiedAddresses.length };
 }
 
-// ═══════════════════════════════════════════════════════════════════
-// SHARE CHECK - User clicked Share button = bonus entry
-// ═══════════════════════════════════════════════════════════════════
-
 /**
- * Get users who shared the contest (clicked Share button)
- * @param {string} contestId - Contest ID (M-1 or T-1 format)
- * @returns {Promise<Set<number>>} Set of FIDs who shared
+ * Send a contest transaction at most once per job.
+ * The tx hash is checkpointed the moment it's sent, so a crash while waiting
+ * for the receipt never leads to a second submission.
+ * @param {object} kv - Vercel KV client
+ * @param {object} job - Finalization job
+ * @param {string} txKey - Job data key for this tx ("finalizeTx" or "cancelTx")
+ * @param {string|null} knownHash - Hash recorded elsewhere (e.g. finalize_tx:{contestId})
+ * @param {object} provider - Ethers provider
+ * @param {Function} isStillActive - Async () => boolean, false if the contest was already finalized on-chain
+ * @param {Function} sendFn - Async () => ethers TransactionResponse
+ * @returns {Promise<{hash: string, blockNumber: number}|{pending: true, hash: string}|{skipped: true, hash: string|null}>}
  */
-async function getSharers(contestId) {
-  const sharers = new Set();
-
-  try {
-    if (!process.env.KV_REST_API_URL) return sharers;
+async function sendTxOnce(kv, job, txKey, knownHash, provider, isStillActive, sendFn) {
+  const existingHash = job.data[txKey]?.hash || knownHash;
+
+  if (existingHash) {
+    const receipt = await provider.getTransactionReceipt(existingHash);
+    if (receipt && receipt.status === 1) {
+      console.log(`   ✅ TX already mined: ${existingHash}`);
+      return { hash: existingHash, blockNumber: receipt.blockNumber };
+    }
+    if (!receipt && await provider.getTransaction(existingHash)) {
+      console.log(`   ⏳ TX still pending: ${existingHash}`);
+      return { pending: true, hash: existingHash };
+    }
+    console.log(`   ⚠️ Previous TX ${existingHash} ${receipt ? 'reverted' : 'was dropped'}`);
+  }
 
-    const { kv } = require('@vercel/kv');
-    const shareKey = `contest_shares:${contestId}`;
-    const shareFids = await kv.smembers(shareKey);
+  if (!(await isStillActive())) {
+    console.log('   ⏭️  Contest no longer active on-chain - skipping TX');
+    return { skipped: true, hash: existingHash || null };
+  }
 
-    if (Array.isArray(shareFids)) {
-      shareFids.forEach(fid => sharers.add(parseInt(fid)));
-    }
+  const tx = await sendFn();
+  console.log(`   TX: ${tx.hash}`);
+  job.data[txKey] = { hash: tx.hash, sentAt: Date.now() };
+  await saveFinalizeJob(kv, job);
 
-    console.log(`   Found ${sharers.size} users who clicked Share`);
+  const receipt = await tx.wait();
+  console.log(`   ✅ Confirmed in block ${receipt.blockNumber}`);
+  return { hash: tx.hash, blockNumber: receipt.blockNumber };
+}
 
-  } catch (error) {
-    console.error('Error fetching sharers:', error.message);
+/**
+ * Build the finalize_data:{contestId} record
+ */
+function buildFinalizationData(contestIdStr, users, bonuses, draw, submit) {
+  // Build per-user breakdown for later retrieval
+  const participantBreakdown = [];
+  for (const user of users.values()) {
+    const { entries, bonuses: userBonuses, details } = bonuses.results[user.fid];
+
+    participantBreakdown.push({
+      fid: user.fid,
+      username: user.username,
+      address: user.primaryAddress,
+      entries,
+      bonuses: userBonuses,
+      isHolder: !!details.holder?.qualified,
+      fromWaitlist: !!user.fromWaitlist,
+      replyWords: details.reply?.wordCount || 0,
+      volumeUSD: details.volume?.volumeUSD || 0,
+      volumeSwaps: details.volume?.swaps || []
+    });
   }
 
-  return sharers;
+  return {
+    contestId: contestIdStr,
+    txHash: submit.hash,
+    blockNumber: submit.blockNumber,
+    timestamp: Date.now(),
+    participants: participantBreakdown,
+    draw: draw.proof,
+    bonusRules: bonuses.rules,
+    holderSnapshot: bonuses.holderSnapshot || null,
+    volumeSource: bonuses.volumeSource || null,
+    summary: {
+      uniqueParticipants: users.size,
+      promotedFromWaitlist: [...users.values()].filter(u => u.fromWaitlist).length,
+      totalEntries: draw.finalEntries.length,
+      holderBonuses: bonuses.counts.holder || 0,
+      replyBonuses: bonuses.counts.reply || 0,
+      shareBonuses: bonuses.counts.share || 0,
+      volumeBonuses: bonuses.counts.volume || 0,
+      tokensBurned: bonuses.buyBurnStats.tokensBurned,
+      hostEarned: (users.size * 150000).toString(),
+      nonHolderEntries: bonuses.buyBurnStats.nonHolderEntries,
+      holderEntries: bonuses.buyBurnStats.holderEntries
+    }
+  };
 }
 
-// ═══════════════════════════════════════════════════════════════════
-// VOLUME CHECK - $20+ trading volume during contest = bonus entry
-// ═══════════════════════════════════════════════════════════════════
-
 /**
- * Check trading volume for all users during the contest period
- * @param {Map} users - Map of FID -> user data (with addresses)
- * @param {number} startTime - Contest start timestamp (unix)
- * @param {number} endTime - Contest end timestamp (unix)
- * @returns {Promise<Map<number, {volumeUSD: number, passed: boolean}>>} Map of FID -> volume data
+ * STAGE "winners": poll the contract until winners are selected
+ * @returns {Promise<{winners: string[]}|{pending: true}>}
  */
-async function checkVolumeBonus(users, startTime, endTime) {
-  const volumeByFid = new Map();
+async function stageWinners(provider, contestIdStr, job) {
+  console.log('\n⏳ Waiting for winner selection...');
+  const maxAttempts = 30;
 
-  try {
-    // Collect all addresses from all users
-    const allAddresses = [];
-    const addressToFid = new Map();
-
-    for (const user of users.values()) {
-      for (const addr of user.addresses) {
-        allAddresses.push(addr.toLowerCase());
-        addressToFid.set(addr.toLowerCase(), user.fid);
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    await new Promise(r => setTimeout(r, 2000));
+
+    try {
+      const updatedContest = await getContest(provider, contestIdStr);
+      if (updatedContest.status === 2 && updatedContest.winners.length > 0) {
+        const winners = updatedContest.winners;
+        console.log(`   ✅ ${winners.length} winner(s) selected!`);
+        for (const w of winners) {
+          console.log(`      - ${w}`);
+        }
+        return { winners };
       }
-    }
+      if (updatedContest.status === 3) {
+        console.log('   Contest was cancelled');
+        return { winners: [] };
+      }
+      console.log(`   Attempt ${attempt}/${maxAttempts}...`);
+    } catch (e) {}
+  }
 
-    if (allAddresses.length === 0) {
-      console.log('   No addresses to check for volume');
-      return volumeByFid;
-    }
+  // Resume polling on a later cron run, but give up eventually
+  job.data.winnerPollRuns = (job.data.winnerPollRuns || 0) + 1;
+  if (job.data.winnerPollRuns >= CONFIG.MAX_WINNER_POLL_RUNS) {
+    console.log('   ⚠️ Giving up on winner polling');
+    return { winners: [] };
+  }
+  return { pending: true };
+}
 
-    console.log(`\n📈 Checking trading volume for ${allAddresses.length} addresses...`);
+/**
+ * STAGE "announce": queue the announcement (announce-winner drains the queue
+ * and has its own `announced` flag)
+ */
+async function stageAnnounce(kv, contestIdStr) {
+  const { id, enqueued } = await enqueueAnnounce(kv, contestIdStr);
+  console.log(`\n📢 Announcement ${enqueued ? 'queued' : 'already queued'} (${id})`);
+  return { jobId: id };
+}
 
-    // Use getUniswapVolumes to check all addresses at once
-    const volumeResults = await getUniswapVolumes(
-      CONFIG.NEYNARTODES_TOKEN,
-      allAddresses,
-      CONFIG.VOLUME_THRESHOLD_USD,
-      startTime,
-      endTime
-    );
+/**
+ * STAGE "notify": queue targeted notifications (sent by cron-notifications,
+ * see lib/contest-notifications.js)
+ * Winners + host after a draw, or the host with the reason after a cancel.
+ * Recipients are resolved here while the entrant list is at hand.
+ * @returns {Promise<{jobId: string}>}
+ */
+async function stageNotify(kv, provider, contest, { winners = [], users = new Map(), cancelReason = null } = {}) {
+  console.log('\n🔔 Queueing contest notifications...');
 
-    // Aggregate volume by FID (sum across all user addresses)
-    for (const result of volumeResults) {
-      const fid = addressToFid.get(result.address.toLowerCase());
-      if (!fid) continue;
+  let hostFid = null;
+  try {
+    hostFid = (await getUserByWallet(contest.host))?.fid || null;
+  } catch (e) {
+    console.log(`   ⚠️ Host lookup failed: ${e.message}`);
+  }
 
-      const existing = volumeByFid.get(fid) || { volumeUSD: 0, passed: false };
-      existing.volumeUSD += result.volumeUSD;
-      existing.passed = existing.volumeUSD >= CONFIG.VOLUME_THRESHOLD_USD;
-      volumeByFid.set(fid, existing);
-    }
+  if (cancelReason) {
+    const { id } = await enqueueNotify(kv, 'cancelled', contest.contestId, { hostFid, reason: cancelReason });
+    return { jobId: id };
+  }
 
-    // Log results
-    let passedCount = 0;
-    for (const [fid, data] of volumeByFid) {
-      if (data.passed) {
-        passedCount++;
-        const user = users.get(fid);
-        console.log(`   📈 @${user?.username || fid} traded $${data.volumeUSD.toFixed(2)} (bonus!)`);
-      }
-    }
-    console.log(`   Found ${passedCount} users with $${CONFIG.VOLUME_THRESHOLD_USD}+ volume`);
+  // Winner addresses -> entrant FIDs (entries store the verified addresses)
+  const fidByAddress = new Map();
+  for (const user of users.values()) {
+    for (const address of user.addresses || []) fidByAddress.set(address.toLowerCase(), user.fid);
+  }
+  const uniqueWinners = [...new Set(winners.map(w => w.toLowerCase()))];
+  const winnerFids = uniqueWinners.map(w => fidByAddress.get(w)).filter(Boolean);
 
-  } catch (error) {
-    console.error('Error checking volume:', error.message);
+  let prize;
+  if (!contest.isNft) {
+    try {
+      const { prize: amount } = await withPrize(provider, contest);
+      prize = formatAmount(splitAmount(amount, uniqueWinners.length));
+    } catch (e) {
+      console.log(`   ⚠️ Prize lookup failed: ${e.message}`);
+    }
   }
 
-  return volumeByFid;
+  const { id } = await enqueueNotify(kv, 'finalized', contest.contestId, {
+    hostFid,
+    winnerFids,
+    prize,
+    winnerCount: uniqueWinners.length,
+    participants: users.size,
+  });
+  return { jobId: id };
 }
 
 // ═══════════════════════════════════════════════════════════════════
-// MAIN FINALIZATION LOGIC
+// DRY RUN
 // ═══════════════════════════════════════════════════════════════════
 
 /**
- * Finalize a unified ContestManager contest (M- or T- prefix)
+ * Preview finalization without signing anything.
+ * Runs the same entries/users/bonuses stages and returns the finalize_data
+ * shape plus each participant's win probability. Works on live contests
+ * (bonuses are evaluated up to now). Nothing is written to KV.
+ *
  * @param {string} contestIdStr - Contest ID like "M-1" or "T-1"
- * @returns {Promise<object>} Result of finalization
+ * @returns {Promise<object>} Preview result
  */
-async function finalizeUnifiedContest(contestIdStr) {
+async function previewContest(contestIdStr) {
   const parsed = parseContestId(contestIdStr);
   if (!parsed || (parsed.type !== 'main' && parsed.type !== 'test')) {
     return { success: false, error: 'Invalid contest ID format. Use M-X or T-X' };
   }
 
-  const isTest = parsed.type === 'test';
-  const numericId = parsed.id;
+  if (!process.env.KV_REST_API_URL) {
+    return { success: false, error: 'KV storage not configured' };
+  }
 
-  console.log(`\n📋 Processing ${isTest ? 'Test' : 'Main'} Contest ${contestIdStr}`);
+  console.log(`\n🔎 Dry run: ${contestIdStr}`);
 
   const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+  const contest = await getContest(provider, contestIdStr);
 
-  // Need private key to call finalizeContest
-  if (!process.env.PRIVATE_KEY) {
-    return { success: false, error: 'PRIVATE_KEY not configured' };
+  if (!contest) {
+    return { success: false, error: 'Contest not found', contestId: contestIdStr };
+  }
+  if (contest.status !== 0) {
+    return { success: false, error: `Contest not active (status: ${contest.status})`, contestId: contestIdStr };
   }
 
-  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-  const contestManager = new ethers.Contract(CONFIG.CONTEST_MANAGER, CONTEST_MANAGER_ABI, wallet);
-
-  // Get contest details
-  const getContestFn = isTest ? 'getTestContestFull' : 'getContestFull';
-  const contest = await contestManager[getContestFn](numericId);
-
-  // Struct: host, contestType, status, castId, startTime, endTime, prizeToken, prizeAmount, nftAmount, tokenRequirement, volumeRequirement, winnerCount, winners, isTestContest
-  const {
-    host,
-    contestType,
-    status,
-    castId,
-    startTime,
+  const now = Math.floor(Date.now() / 1000);
+  const { endTime, winnerCount } = contest;
+  const actualCastHash = contest.cast.hash;
+
+  const base = {
+    success: true,
+    dryRun: true,
+    contestId: contestIdStr,
+    contestEnded: now >= endTime,
     endTime,
-    prizeToken,
-    prizeAmount,
     winnerCount
-  } = contest;
+  };
 
-  // Status: 0=Active, 1=PendingVRF, 2=Completed, 3=Cancelled
-  if (status !== 0n) {
-    return { success: false, error: `Contest not active (status: ${status})`, contestId: contestIdStr };
-  }
+  const entries = await stageEntries(contestIdStr, actualCastHash);
+  const { users: userList } = entries.cancelReason
+    ? { users: [] }
+    : await stageUsers(contestIdStr, entries.eligibleFids, entries.waitlistFids, entries.maxEntrants);
+  const cancelReason = entries.cancelReason || (userList.length === 0 ? 'No valid participants' : null);
 
-  // Check if contest has ended
-  const now = Math.floor(Date.now() / 1000);
-  if (now < Number(endTime)) {
-    return {
-      success: false,
-      error: `Contest not ended yet (ends: ${new Date(Number(endTime) * 1000).toISOString()})`,
-      contestId: contestIdStr
-    };
+  // Would be cancelled on finalize
+  if (cancelReason) {
+    return { ...base, wouldCancel: true, reason: cancelReason, participants: [], summary: null };
   }
 
-  console.log(`   Host: ${host}`);
-  console.log(`   Contest Type: ${contestType} (0=ETH, 1=ERC20, 2=ERC721, 3=ERC1155)`);
-  console.log(`   Winner Count: ${winnerCount}`);
-
-  // Extract cast hash from castId (format: "0xhash" or "0xhash|R1L0P1")
-  const actualCastHash = castId.includes('|') ? castId.split('|')[0] : castId;
-  console.log(`   Cast Hash: ${actualCastHash}`);
+  const users = new Map(userList.map(u => [u.fid, u]));
+  const bonuses = await stageBonuses(contestIdStr, actualCastHash, contest, users, provider, Math.min(now, endTime));
+  const { qualifiedAddresses, userWeights } = buildEntryList(users, bonuses.results);
 
-  // ═══════════════════════════════════════════════════════════════════
-  // STEP 1: Get entries from KV (users who clicked Enter button)
-  // ═══════════════════════════════════════════════════════════════════
-  let enteredFids = new Set();
+  const candidates = [...userWeights].map(([address, { weight }]) => ({ address, weight }));
+  const probabilities = estimateWinProbabilities(candidates, winnerCount);
 
-  try {
-    if (!process.env.KV_REST_API_URL) {
-      return { success: false, error: 'KV storage not configured' };
-    }
+  const preview = buildFinalizationData(
+    contestIdStr,
+    users,
+    bonuses,
+    { proof: null, finalEntries: qualifiedAddresses },
+    { hash: null, blockNumber: null }
+  );
 
-    const { kv } = require('@vercel/kv');
-    const entryKey = `contest_entries:${contestIdStr}`;
-    const fids = await kv.smembers(entryKey);
+  for (const p of preview.participants) {
+    p.winProbability = Number((probabilities.get(p.address) || 0).toFixed(4));
+  }
+  preview.participants.sort((a, b) => b.winProbability - a.winProbability || b.entries - a.entries);
 
-    if (Array.isArray(fids)) {
-      enteredFids = new Set(fids.map(f => parseInt(f)).filter(f => !isNaN(f) && f > 0));
-    }
+  return { ...base, ...preview, wouldCancel: false };
+}
 
-    console.log(`\n👥 Users who clicked Enter: ${enteredFids.size}`);
+// ═══════════════════════════════════════════════════════════════════
+// MAIN FINALIZATION LOGIC
+// ═══════════════════════════════════════════════════════════════════
 
-  } catch (e) {
-    console.error('Error fetching entries:', e.message);
-    return { success: false, error: `Failed to fetch entries: ${e.message}` };
+/**
+ * Finalize a unified ContestManager contest (M- or T- prefix)
+ *
+ * Resumable: each stage is checkpointed in finalize_job:{contestId} and a lock
+ * prevents concurrent runs. Calling this again after a timeout or crash picks
+ * up from the last completed stage.
+ *
+ * @param {string} contestIdStr - Contest ID like "M-1" or "T-1"
+ * @returns {Promise<object>} Result of finalization
+ */
+async function finalizeUnifiedContest(contestIdStr) {
+  const parsed = parseContestId(contestIdStr);
+  if (!parsed || (parsed.type !== 'main' && parsed.type !== 'test')) {
+    return { success: false, error: 'Invalid contest ID format. Use M-X or T-X' };
   }
 
-  // No entries = cancel contest
-  if (enteredFids.size === 0) {
-    console.log('\n❌ No entries - cancelling contest...');
-    try {
-      const cancelFn = isTest ? 'cancelTestContest' : 'cancelContest';
-      const tx = await contestManager[cancelFn](numericId, 'No entries');
-      console.log(`   TX: ${tx.hash}`);
-      const receipt = await tx.wait();
-      console.log(`   ✅ Cancelled in block ${receipt.blockNumber}`);
-      return {
-        success: true,
-        contestId: contestIdStr,
-        action: 'cancelled',
-        reason: 'No entries',
-        txHash: receipt.hash
-      };
-    } catch (cancelError) {
-      return { success: false, error: `Cancel failed: ${cancelError.message}` };
-    }
+  // Need private key to call finalizeContest
+  if (!process.env.PRIVATE_KEY) {
+    return { success: false, error: 'PRIVATE_KEY not configured' };
   }
 
-  // Filter out blocked FIDs and host
-  const hostFid = await getHostFid(actualCastHash);
-  const eligibleFids = [...enteredFids].filter(fid => {
-    if (CONFIG.BLOCKED_FIDS.includes(fid)) {
-      console.log(`   Skipping blocked FID: ${fid}`);
-      return false;
-    }
-    if (fid === hostFid) {
-      console.log(`   Skipping host FID: ${fid}`);
-      return false;
-    }
-    return true;
-  });
-
-  console.log(`   Eligible FIDs: ${eligibleFids.length}`);
-
-  if (eligibleFids.length === 0) {
-    console.log('\n❌ No eligible entries - cancelling contest...');
-    try {
-      const cancelFn = isTest ? 'cancelTestContest' : 'cancelContest';
-      const tx = await contestManager[cancelFn](numericId, 'No eligible participants');
-      const receipt = await tx.wait();
-      return {
-        success: true,
-        contestId: contestIdStr,
-        action: 'cancelled',
-        reason: 'No eligible participants',
-        txHash: receipt.hash
-      };
-    } catch (cancelError) {
-      return { success: false, error: `Cancel failed: ${cancelError.message}` };
-    }
+  if (!process.env.KV_REST_API_URL) {
+    return { success: false, error: 'KV storage not configured' };
   }
 
-  // ═══════════════════════════════════════════════════════════════════
-  // STEP 2: Fetch user data from Neynar
-  // ═══════════════════════════════════════════════════════════════════
-  console.log('\n📡 Fetching user data from Neynar...');
-  const users = new Map(); // FID -> { fid, username, addresses, primaryAddress }
-
-  const BATCH_SIZE = 100;
-  for (let i = 0; i < eligibleFids.length; i += BATCH_SIZE) {
-    const batch = eligibleFids.slice(i, i + BATCH_SIZE);
-    try {
-      const response = await fetch(
-        `https://api.neynar.com/v2/farcaster/user/bulk?fids=${batch.join(',')}`,
-        { headers: { 'api_key': CONFIG.NEYNAR_API_KEY } }
-      );
-
-      if (response.ok) {
-        const data = await response.json();
-        for (const user of (data.users || [])) {
-          const addresses = [];
-          if (user.custody_address) {
-            addresses.push(user.custody_address.toLowerCase());
-          }
-          if (user.verified_addresses?.eth_addresses) {
-            addresses.push(...user.verified_addresses.eth_addresses.map(a => a.toLowerCase()));
-          }
+  const { kv } = require('@vercel/kv');
 
-          if (addresses.length > 0) {
-            // Determine primary address for prize delivery
-            let primaryAddress = null;
-            if (user.verified_addresses?.primary?.eth_address) {
-              primaryAddress = user.verified_addresses.primary.eth_address.toLowerCase();
-            } else if (user.verified_addresses?.eth_addresses?.length > 0) {
-              primaryAddress = user.verified_addresses.eth_addresses[0].toLowerCase();
-            } else if (user.custody_address) {
-              primaryAddress = user.custody_address.toLowerCase();
-            }
-
-            users.set(user.fid, {
-              fid: user.fid,
-              username: user.username || '',
-              addresses: [...new Set(addresses)],
-              primaryAddress: primaryAddress || addresses[0]
-            });
-          }
-        }
-      }
-    } catch (e) {
-      console.log(`   Error fetching batch: ${e.message}`);
-    }
+  const lockToken = await acquireFinalizeLock(kv, contestIdStr);
+  if (!lockToken) {
+    console.log(`\n🔒 ${contestIdStr} is already being finalized - skipping`);
+    return { success: false, error: 'Finalization already in progress', contestId: contestIdStr, locked: true };
   }
 
-  console.log(`   Fetched data for ${users.size} users`);
-
-  if (users.size === 0) {
-    console.log('\n❌ No valid users - cancelling contest...');
-    try {
-      const cancelFn = isTest ? 'cancelTestContest' : 'cancelContest';
-      const tx = await contestManager[cancelFn](numericId, 'No valid participants');
-      const receipt = await tx.wait();
-      return {
-        success: true,
-        contestId: contestIdStr,
-        action: 'cancelled',
-        reason: 'No valid participants',
-        txHash: receipt.hash
-      };
-    } catch (cancelError) {
-      return { success: false, error: `Cancel failed: ${cancelError.message}` };
-    }
+  try {
+    return await runFinalizePipeline(kv, contestIdStr, parsed);
+  } finally {
+    await releaseFinalizeLock(kv, contestIdStr, lockToken);
   }
+}
 
-  // ═══════════════════════════════════════════════════════════════════
-  // STEP 3: Check bonus qualifications in parallel
-  // ═══════════════════════════════════════════════════════════════════
-  console.log('\n🎁 Checking bonus qualifications...');
+/**
+ * Run (or resume) the finalization stages for a contest. Caller holds the lock.
+ */
+async function runFinalizePipeline(kv, contestIdStr, parsed) {
+  const isTest = parsed.type === 'test';
+  const numericId = parsed.id;
 
-  // Fetch repliers and sharers in parallel
-  const [repliersByFid, sharers] = await Promise.all([
-    getRepliers(actualCastHash),
-    getSharers(contestIdStr)
-  ]);
+  console.log(`\n📋 Processing ${isTest ? 'Test' : 'Main'} Contest ${contestIdStr}`);
 
-  // Check holder status for all users (in batches)
-  const holderStatus = new Map(); // FID -> boolean
-  const userArray = [...users.values()];
-  const HOLDER_BATCH_SIZE = 30;
-
-  console.log('\n💎 Checking 100M holder status (with 36h transfer cooldown)...');
-  let cooldownCount = 0;
-  for (let i = 0; i < userArray.length; i += HOLDER_BATCH_SIZE) {
-    const batch = userArray.slice(i, i + HOLDER_BATCH_SIZE);
-    const holderChecks = await Promise.all(
-      batch.map(user => checkHolderStatus(user.addresses, provider))
-    );
+  const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+  const contestManager = getContestManager(wallet);
 
-    batch.forEach((user, idx) => {
-      const result = holderChecks[idx];
-      holderStatus.set(user.fid, result.isHolder);
-      if (result.isHolder) {
-        console.log(`   💎 @${user.username} is a HOLDER (${ethers.formatEther(result.balance)} tokens)`);
-      } else if (result.inCooldown) {
-        cooldownCount++;
-        console.log(`   ⏳ @${user.username} COOLDOWN: ${result.cooldownReason}`);
-      }
-    });
-  }
-  if (cooldownCount > 0) {
-    console.log(`   ⚠️  ${cooldownCount} user(s) denied holder bonus due to transfer cooldown`);
+  // Get contest details
+  const contest = await getContest(provider, contestIdStr);
+  if (!contest) {
+    return { success: false, error: 'Contest not found', contestId: contestIdStr };
   }
+  const { host, prizeType, status, endTime, winnerCount } = contest;
 
-  // Check trading volume for bonus entries
-  const volumeByFid = await checkVolumeBonus(users, Number(startTime), Number(endTime));
+  const job = await loadFinalizeJob(kv, contestIdStr);
+  const txStarted = !!(job.data.finalizeTx || job.data.cancelTx);
 
-  // Get BuyBurnHoldEarn stats (tokens burned and host earned from contest entries)
-  // Pass participant addresses to filter events to only this contest's entrants
-  const participantAddresses = new Set();
-  for (const user of users.values()) {
-    if (user.primaryAddress) participantAddresses.add(user.primaryAddress.toLowerCase());
+  if (job.status === 'done') {
+    return { success: true, contestId: contestIdStr, action: 'already_finalized' };
+  }
+  if (job.status === 'failed') {
+    return {
+      success: false,
+      error: `Finalization failed after ${job.attempts} attempts: ${job.lastError?.message}`,
+      contestId: contestIdStr,
+      stage: job.lastError?.stage
+    };
   }
-  const buyBurnStats = await getBuyBurnHoldEarnStats(host, Number(startTime), Number(endTime), provider, participantAddresses);
-
-  // ═══════════════════════════════════════════════════════════════════
-  // STEP 4: Build entry list with bonuses
-  // ═══════════════════════════════════════════════════════════════════
-  console.log('\n📝 Building entry list with bonuses...');
-
-  const qualifiedAddresses = [];
-  const userWeights = new Map(); // address -> { weight, user } for multi-winner selection
-  let holderBonusCount = 0;
-  let replyBonusCount = 0;
-  let shareBonusCount = 0;
-  let volumeBonusCount = 0;
-
-  for (const user of users.values()) {
-    let weight = 1; // Base entry
-    qualifiedAddresses.push(user.primaryAddress);
-
-    // Bonus 1: 100M+ NEYNARTODES holder
-    if (holderStatus.get(user.fid)) {
-      weight++;
-      qualifiedAddresses.push(user.primaryAddress);
-      holderBonusCount++;
-      console.log(`   💎 Holder bonus: @${user.username}`);
-    }
-
-    // Bonus 2: 3+ word reply
-    const replyData = repliersByFid.get(user.fid);
-    if (replyData && replyData.wordCount >= CONFIG.MIN_REPLY_WORDS) {
-      weight++;
-      qualifiedAddresses.push(user.primaryAddress);
-      replyBonusCount++;
-      console.log(`   💬 Reply bonus: @${user.username} (${replyData.wordCount} words)`);
-    }
 
-    // Bonus 3: Clicked Share button
-    if (sharers.has(user.fid)) {
-      weight++;
-      qualifiedAddresses.push(user.primaryAddress);
-      shareBonusCount++;
-      console.log(`   📤 Share bonus: @${user.username}`);
+  // Status: 0=Active, 1=PendingVRF, 2=Completed, 3=Cancelled
+  // Once a tx was sent the contest leaves Active, but the job still has stages to finish
+  if (!txStarted) {
+    if (status !== 0) {
+      return { success: false, error: `Contest not active (status: ${status})`, contestId: contestIdStr, status };
     }
 
-    // Bonus 4: $20+ trading volume during contest
-    const volumeData = volumeByFid.get(user.fid);
-    if (volumeData && volumeData.passed) {
-      weight++;
-      qualifiedAddresses.push(user.primaryAddress);
-      volumeBonusCount++;
-      console.log(`   📈 Volume bonus: @${user.username} ($${volumeData.volumeUSD.toFixed(2)})`);
+    // Check if contest has ended
+    const now = Math.floor(Date.now() / 1000);
+    if (now < endTime) {
+      return {
+        success: false,
+        error: `Contest not ended yet (ends: ${new Date(endTime * 1000).toISOString()})`,
+        contestId: contestIdStr,
+        endTime
+      };
     }
-
-    userWeights.set(user.primaryAddress, { weight, user });
   }
 
-  console.log(`\n📊 Entry Summary:`);
-  console.log(`   Unique participants: ${users.size}`);
-  console.log(`   Holder bonuses: ${holderBonusCount}`);
-  console.log(`   Reply bonuses: ${replyBonusCount}`);
-  console.log(`   Share bonuses: ${shareBonusCount}`);
-  console.log(`   Volume bonuses: ${volumeBonusCount}`);
-  console.log(`   Total entries: ${qualifiedAddresses.length}`);
+  if (job.completed.length > 0) {
+    console.log(`   Resuming job (completed: ${job.completed.join(', ')}; attempt ${job.attempts + 1})`);
+  }
 
-  // ═══════════════════════════════════════════════════════════════════
-  // STEP 5: Build final entries (unique selection only for multi-winner)
-  // ═══════════════════════════════════════════════════════════════════
+  console.log(`   Host: ${host}`);
+  console.log(`   Contest Type: ${prizeType} (${contest.prizeTypeName})`);
+  console.log(`   Winner Count: ${winnerCount}`);
 
-  let finalEntries;
+  const actualCastHash = contest.cast.hash;
+  console.log(`   Cast Hash: ${actualCastHash}`);
 
-  if (Number(winnerCount) === 1) {
-    // Single winner: use simple duplicate entry approach (contract picks randomly)
-    console.log(`\n🎲 Single winner contest - using standard entry pool...`);
+  const isStillActive = async () => (await getContest(provider, contestIdStr)).status === 0;
+  let stage = null;
 
-    // Limit entries to avoid gas issues
-    const MAX_ENTRIES = 1000;
-    if (qualifiedAddresses.length > MAX_ENTRIES) {
-      console.log(`   ⚠️ Too many entries (${qualifiedAddresses.length}), randomly sampling ${MAX_ENTRIES}...`);
-      const shuffled = [...qualifiedAddresses].sort(() => Math.random() - 0.5);
-      finalEntries = shuffled.slice(0, MAX_ENTRIES);
-    } else {
-      finalEntries = qualifiedAddresses;
+  try {
+    // STEP 1: Entries from KV (users who clicked Enter button)
+    stage = 'entries';
+    const entries = await runStage(kv, job, stage, () => stageEntries(contestIdStr, actualCastHash));
+
+    // STEP 2: User data from Neynar
+    let userData = { users: [] };
+    if (!entries.cancelReason) {
+      stage = 'users';
+      userData = await runStage(kv, job, stage, () => stageUsers(
+        contestIdStr, entries.eligibleFids, entries.waitlistFids, entries.maxEntrants
+      ));
     }
 
-    console.log(`\n🎲 Finalizing contest with ${finalEntries.length} entries (1 winner)...`);
-
-  } else {
-    // Multi-winner: use weighted random selection ensuring unique winners
-    console.log(`\n🎲 Multi-winner contest - selecting ${winnerCount} unique winners...`);
-
-    const totalWeight = qualifiedAddresses.length;
-    const selectedWinners = [];
-    const remainingCandidates = new Map(userWeights);
-    const numWinners = Math.min(Number(winnerCount), remainingCandidates.size);
-
-    for (let i = 0; i < numWinners; i++) {
-      // Calculate remaining total weight
-      let remainingWeight = 0;
-      for (const { weight } of remainingCandidates.values()) {
-        remainingWeight += weight;
+    // No entries / no eligible / no valid users = cancel contest
+    const cancelReason = entries.cancelReason || (userData.users.length === 0 ? 'No valid participants' : null);
+    if (cancelReason) {
+      stage = 'cancel';
+      console.log(`\n❌ ${cancelReason} - cancelling contest...`);
+      const cancel = await runStage(kv, job, stage, () => sendTxOnce(
+        kv, job, 'cancelTx', null, provider, isStillActive,
+        () => contestManager[isTest ? 'cancelTestContest' : 'cancelContest'](numericId, cancelReason)
+      ));
+      if (cancel.pending) {
+        return { success: true, contestId: contestIdStr, action: 'cancel_pending', txHash: cancel.hash };
       }
 
-      // Random selection based on weight
-      let randomValue = Math.random() * remainingWeight;
-      let selectedAddress = null;
-
-      for (const [address, { weight, user }] of remainingCandidates) {
-        randomValue -= weight;
-        if (randomValue <= 0) {
-          selectedAddress = address;
-          selectedWinners.push(address);
-          console.log(`   🏆 Winner ${i + 1}: @${user.username} (${weight} entries, ${(weight / totalWeight * 100).toFixed(1)}% chance)`);
-          break;
-        }
-      }
+      stage = 'notify';
+      await runStage(kv, job, stage, () => stageNotify(kv, provider, contest, { cancelReason }));
 
-      // Remove selected winner from candidates (ensures uniqueness)
-      if (selectedAddress) {
-        remainingCandidates.delete(selectedAddress);
-      }
+      job.status = 'done';
+      await saveFinalizeJob(kv, job);
+      return {
+        success: true,
+        contestId: contestIdStr,
+        action: 'cancelled',
+        reason: cancelReason,
+        txHash: cancel.hash
+      };
     }
 
-    if (selectedWinners.length < Number(winnerCount)) {
-      console.log(`   ⚠️ Only ${selectedWinners.length} unique participants available for ${winnerCount} winner slots`);
-    }
+    const users = new Map(userData.users.map(u => [u.fid, u]));
 
-    // Build final entries array - selected winners first, then others
-    finalEntries = [...selectedWinners];
-    for (const address of userWeights.keys()) {
-      if (!selectedWinners.includes(address)) {
-        finalEntries.push(address);
-      }
+    // Sybil risk report for admins (doesn't change who can win) - wait for it before the draw
+    stage = 'sybil';
+    const sybil = await runStage(kv, job, stage, () => stageSybil(kv, job, contestIdStr, contest));
+    if (sybil.pending) {
+      await saveFinalizeJob(kv, job);
+      return { success: false, error: 'Waiting for the sybil report', contestId: contestIdStr, resumable: true };
     }
 
-    console.log(`\n🎲 Finalizing contest with ${selectedWinners.length} pre-selected unique winner(s)...`);
-  }
+    // STEP 3: Bonus qualifications (contest's bonus rule set)
+    stage = 'bonuses';
+    const bonuses = await runStage(kv, job, stage, () => stageBonuses(contestIdStr, actualCastHash, contest, users, provider));
 
-  try {
-    const finalizeFn = isTest ? 'finalizeTestContest' : 'finalizeContest';
-    // Generate random seed for Fisher-Yates shuffle
-    const randomSeed = BigInt('0x' + [...Array(64)].map(() => Math.floor(Math.random() * 16).toString(16)).join(''));
-    const tx = await contestManager[finalizeFn](numericId, finalEntries, randomSeed);
-    console.log(`   TX: ${tx.hash}`);
-
-    const receipt = await tx.wait();
-    console.log(`   ✅ Confirmed in block ${receipt.blockNumber}`);
-
-    // Store TX hash and finalization data in KV
-    try {
-      const { kv } = require('@vercel/kv');
-      await kv.set(`finalize_tx:${contestIdStr}`, tx.hash);
-
-      // Build per-user breakdown for later retrieval
-      const participantBreakdown = [];
-      for (const user of users.values()) {
-        const holder = holderStatus.get(user.fid);
-        const reply = repliersByFid.get(user.fid);
-        const shared = sharers.has(user.fid);
-        const volume = volumeByFid.get(user.fid);
-
-        let entries = 1;
-        const bonuses = [];
-
-        if (holder) {
-          entries++;
-          bonuses.push('holder');
-        }
-        if (reply && reply.wordCount >= CONFIG.MIN_REPLY_WORDS) {
-          entries++;
-          bonuses.push('reply');
-        }
-        if (shared) {
-          entries++;
-          bonuses.push('share');
-        }
-        if (volume && volume.passed) {
-          entries++;
-          bonuses.push('volume');
-        }
+    // STEP 4: Entry list + verifiable draw
+    stage = 'draw';
+    const draw = await runStage(kv, job, stage, () => stageDraw(contestIdStr, contest, users, bonuses.results, provider));
+    if (draw.pending) {
+      await saveFinalizeJob(kv, job);
+      return { success: false, error: 'Reveal block not mined yet', contestId: contestIdStr, resumable: true };
+    }
 
-        participantBreakdown.push({
-          fid: user.fid,
-          username: user.username,
-          address: user.primaryAddress,
-          entries,
-          bonuses,
-          isHolder: !!holder,
-          replyWords: reply?.wordCount || 0,
-          volumeUSD: volume?.volumeUSD || 0
-        });
+    // STEP 5: Submit finalize tx (at most once - skipped if already pending or mined)
+    stage = 'submit';
+    const knownHash = await kv.get(`finalize_tx:${contestIdStr}`);
+    const submit = await runStage(kv, job, stage, () => sendTxOnce(
+      kv, job, 'finalizeTx', knownHash, provider, isStillActive,
+      async () => {
+        const finalizeFn = isTest ? 'finalizeTestContest' : 'finalizeContest';
+        // Seed for the contract's Fisher-Yates shuffle comes from the verifiable draw
+        const tx = await contestManager[finalizeFn](numericId, draw.finalEntries, BigInt(draw.proof.seed));
+        await kv.set(`finalize_tx:${contestIdStr}`, tx.hash);
+        return tx;
       }
+    ));
+    if (submit.pending) {
+      return { success: true, contestId: contestIdStr, action: 'finalize_pending', txHash: submit.hash };
+    }
 
-      // Store finalization results
-      const finalizationData = {
-        contestId: contestIdStr,
-        txHash: tx.hash,
-        blockNumber: receipt.blockNumber,
-        timestamp: Date.now(),
-        participants: participantBreakdown,
-        summary: {
-          uniqueParticipants: users.size,
-          totalEntries: finalEntries.length,
-          holderBonuses: holderBonusCount,
-          replyBonuses: replyBonusCount,
-          shareBonuses: shareBonusCount,
-          volumeBonuses: volumeBonusCount,
-          tokensBurned: ethers.formatEther(buyBurnStats.tokensBurned),
-          hostEarned: (users.size * 150000).toString(),
-          nonHolderEntries: buyBurnStats.nonHolderEntries,
-          holderEntries: buyBurnStats.holderEntries
-        }
-      };
-
+    // STEP 6: Store finalization data
+    stage = 'record';
+    await runStage(kv, job, stage, async () => {
+      if (submit.hash) {
+        await kv.set(`finalize_tx:${contestIdStr}`, submit.hash);
+      }
+      const finalizationData = buildFinalizationData(contestIdStr, users, bonuses, draw, submit);
       await kv.set(`finalize_data:${contestIdStr}`, finalizationData, { ex: 60 * 60 * 24 * 90 }); // 90 day TTL
       console.log(`   📊 Finalization data stored in KV`);
 
       // Prize value is stored at contest creation time by the frontend via /api/store
       // (KV key: contest_price_prize_{contestId}) — no overwrite here to preserve historical price
-    } catch (e) {
-      console.log(`   ⚠️ Could not store finalization data: ${e.message}`);
-    }
-
-    // Poll for winners
-    console.log('\n⏳ Waiting for winner selection...');
-    let selectedWinners = [];
-    let attempts = 0;
-    const maxAttempts = 30;
-
-    while (selectedWinners.length === 0 && attempts < maxAttempts) {
-      await new Promise(r => setTimeout(r, 2000));
-      attempts++;
+      return { stored: true };
+    });
 
-      try {
-        const updatedContest = await contestManager[getContestFn](numericId);
-        if (updatedContest.status === 2n && updatedContest.winners.length > 0) {
-          selectedWinners = updatedContest.winners;
-          console.log(`   ✅ ${selectedWinners.length} winner(s) selected!`);
-          for (const w of selectedWinners) {
-            console.log(`      - ${w}`);
-          }
-          break;
-        }
-        console.log(`   Attempt ${attempts}/${maxAttempts}...`);
-      } catch (e) {}
+    // STEP 7: Poll for winners
+    stage = 'winners';
+    const winnerData = await runStage(kv, job, stage, () => stageWinners(provider, contestIdStr, job));
+    if (winnerData.pending) {
+      await saveFinalizeJob(kv, job);
+      return {
+        success: true,
+        contestId: contestIdStr,
+        isTest,
+        txHash: submit.hash,
+        winners: null,
+        message: 'Contest finalized! Winners will be selected shortly.'
+      };
     }
 
-    // Auto-announce if winners selected
-    if (selectedWinners.length > 0) {
-      console.log('\n📢 Auto-announcing winners...');
-      try {
-        const baseUrl = process.env.VERCEL_URL
-          ? `https://${process.env.VERCEL_URL}`
-          : 'http://localhost:3000';
-
-        const announceResponse = await fetch(`${baseUrl}/api/announce-winner?contestId=${contestIdStr}`);
-        const announceResult = await announceResponse.json();
+    // STEP 8: Auto-announce if winners selected
+    if (winnerData.winners.length > 0) {
+      stage = 'announce';
+      await runStage(kv, job, stage, () => stageAnnounce(kv, contestIdStr));
 
-        if (announceResult.posted) {
-          console.log(`   ✅ Announcement posted! Cast: ${announceResult.castHash}`);
-        }
-      } catch (e) {
-        console.log(`   ⚠️ Auto-announce failed: ${e.message}`);
-      }
+      stage = 'notify';
+      await runStage(kv, job, stage, () => stageNotify(kv, provider, contest, { winners: winnerData.winners, users }));
     }
 
+    job.status = 'done';
+    await saveFinalizeJob(kv, job);
+
     return {
       success: true,
       contestId: contestIdStr,
       isTest,
       qualifiedCount: users.size,
-      totalEntries: finalEntries.length,
-      bonuses: {
-        holder: holderBonusCount,
-        reply: replyBonusCount,
-        share: shareBonusCount,
-        volume: volumeBonusCount
-      },
-      txHash: receipt.hash,
-      winners: selectedWinners.length > 0 ? selectedWinners : null,
-      message: selectedWinners.length > 0
+      totalEntries: draw.finalEntries.length,
+      bonuses: bonuses.counts,
+      txHash: submit.hash,
+      winners: winnerData.winners.length > 0 ? winnerData.winners : null,
+      message: winnerData.winners.length > 0
         ? 'Contest finalized! Winners selected.'
         : 'Contest finalized! Winners will be selected shortly.'
     };
 
   } catch (error) {
-    console.error('   ❌ Finalization failed:', error.message);
-    return { success: false, error: error.message, contestId: contestIdStr };
+    console.error(`   ❌ Finalization failed at stage "${stage}":`, error.message);
+
+    job.attempts++;
+    job.lastError = { stage, message: error.message, at: Date.now() };
+    if (job.attempts >= CONFIG.MAX_JOB_ATTEMPTS) {
+      console.error(`   ❌ Giving up after ${job.attempts} attempts`);
+      job.status = 'failed';
+    }
+    await saveFinalizeJob(kv, job);
+
+    return {
+      success: false,
+      error: error.message,
+      contestId: contestIdStr,
+      stage,
+      resumable: job.status === 'running'
+    };
   }
 }
 
@@ -1162,67 +1174,178 @@ async function getHostFid(castHash) {
   return null;
 }
 
+// ═══════════════════════════════════════════════════════════════════
+// QUEUE WORKER (cron)
+// ═══════════════════════════════════════════════════════════════════
+
+const CRON_BUDGET_MS = 4 * 60 * 1000;
+// Per sybil_scan run - leaves the rest of the cron budget and the 5 min lease alone
+const SYBIL_SCAN_BUDGET_MS = 60 * 1000;
+// How long the draw waits for the sybil report
+const SYBIL_REPORT_WAIT_MS = 30 * 60 * 1000;
+const TX_WAIT_MS = 60 * 1000;
+const WINNER_POLL_INTERVAL_MS = 2 * 60 * 1000;
+
 /**
- * Check all pending contests (last 50 for main and test)
+ * Handle a finalize / poll_winners job (lib/contest-jobs.js) by running or
+ * resuming the pipeline and mapping its result onto the queue:
+ * waiting on a tx, VRF or the end time defers, a failed stage is retried
+ * with backoff, and a job the pipeline gave up on is dead-lettered.
+ * @param {object} kv - Vercel KV client
+ * @param {object} job - Leased job
+ * @returns {Promise<object>} Result kept on the job, or { defer }
  */
-async function checkAllPendingContests() {
-  const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
-  const contestManager = new ethers.Contract(CONFIG.CONTEST_MANAGER, CONTEST_MANAGER_ABI, provider);
-  const results = [];
+async function handleFinalizeJob(kv, job) {
+  const { contestId } = job.payload;
+  const result = await finalizeUnifiedContest(contestId);
 
-  console.log('\n🔍 Checking last 50 contests...');
+  if (result.locked) {
+    return { defer: TX_WAIT_MS, reason: 'Finalization already in progress' };
+  }
+  if (result.endTime) {
+    return { defer: Math.max(result.endTime * 1000 - Date.now(), TX_WAIT_MS), reason: 'Contest not ended yet' };
+  }
+  // No longer Active and no tx of ours - cancelled or finalized elsewhere
+  if (result.status !== undefined) {
+    return { contestId, skipped: result.error };
+  }
 
-  // Check main contests
-  try {
-    const mainNextId = await contestManager.mainNextContestId();
-    const mainStartId = mainNextId > BigInt(CONFIG.MAX_CONTESTS_TO_CHECK)
-      ? mainNextId - BigInt(CONFIG.MAX_CONTESTS_TO_CHECK)
-      : 1n;
+  if (!result.success) {
+    // Reveal block not mined yet / waiting for the sybil report
+    if (result.resumable && !result.stage) {
+      return { defer: TX_WAIT_MS, reason: result.error };
+    }
+    const error = new Error(result.stage ? `Stage "${result.stage}": ${result.error}` : result.error);
+    // The pipeline's own attempt limit (CONFIG.MAX_JOB_ATTEMPTS) was reached
+    if (result.stage && !result.resumable) error.retryable = false;
+    throw error;
+  }
+
+  if (result.action === 'finalize_pending' || result.action === 'cancel_pending') {
+    return { defer: TX_WAIT_MS, reason: `Waiting for ${result.txHash}` };
+  }
 
-    console.log(`\n📋 Checking Main contests ${mainStartId} to ${mainNextId - 1n}...`);
+  // Finalize tx mined, VRF hasn't picked the winners yet
+  if (result.winners === null) {
+    if (job.type === JOB_TYPES.POLL_WINNERS) {
+      return { defer: WINNER_POLL_INTERVAL_MS, reason: 'Winners not selected yet' };
+    }
+    await enqueuePollWinners(kv, contestId);
+    return { contestId, action: 'polling_winners', txHash: result.txHash };
+  }
 
-    for (let i = mainStartId; i < mainNextId; i++) {
-      try {
-        const canFinalize = await contestManager.canFinalize(i);
-        if (canFinalize) {
-          console.log(`\n✅ M-${i} is ready to finalize`);
-          const result = await finalizeUnifiedContest(`M-${i}`);
-          results.push(result);
-        }
-      } catch (e) {
-        continue;
-      }
+  return {
+    contestId,
+    action: result.action || 'finalized',
+    winners: result.winners ? result.winners.length : 0,
+    txHash: result.txHash || null
+  };
+}
+
+/**
+ * Handle a sybil_scan job: fetch log chunks for a while, then defer until the
+ * next cron run (progress is checkpointed, so no attempt is used up)
+ * @param {object} kv - Vercel KV client
+ * @param {object} provider - Ethers provider
+ * @param {object} job - Leased job
+ * @param {number} budgetMs
+ */
+async function handleSybilScanJob(kv, provider, job, budgetMs) {
+  const { contestId } = job.payload;
+  // Entrants come from contest_entries (lib/sybil loadEntrants)
+  const result = await runSybilScan(kv, { contestId, provider, budgetMs });
+
+  if (!result.done) {
+    return { defer: 0, reason: `Scanned to block ${result.nextBlock}/${result.toBlock}` };
+  }
+  return {
+    contestId,
+    flagged: result.report.flagged.length,
+    suggestedDenylist: result.report.suggestedDenylist
+  };
+}
+
+/**
+ * Fallback for the lifecycle hooks: queue unfinished finalizations and
+ * ended Active contests that don't have a finalize job yet (e.g. created
+ * before the queue existed, or scheduling failed during the index sync)
+ * @returns {Promise<string[]>} Newly queued job IDs
+ */
+async function enqueuePendingContests(kv, provider) {
+  const queued = [];
+
+  // Resume interrupted finalizations (contest may no longer be canFinalize on-chain)
+  try {
+    for (const contestId of await getActiveFinalizeJobs(kv)) {
+      const { id, enqueued } = await enqueueFinalize(kv, contestId);
+      if (enqueued) queued.push(id);
     }
   } catch (e) {
-    console.log(`⚠️ Could not check main contests: ${e.message}`);
+    console.log(`⚠️ Could not queue unfinished finalizations: ${e.message}`);
   }
 
-  // Check test contests
+  // Advance the contest index (schedules jobs for new contests), then check
+  // every ended Active contest in it
   try {
-    const testNextId = await contestManager.testNextContestId();
-    const testStartId = testNextId > BigInt(CONFIG.MAX_CONTESTS_TO_CHECK)
-      ? testNextId - BigInt(CONFIG.MAX_CONTESTS_TO_CHECK)
-      : 1n;
+    await syncContestIndex(kv, provider);
 
-    console.log(`\n📋 Checking Test contests ${testStartId} to ${testNextId - 1n}...`);
+    const now = Math.floor(Date.now() / 1000);
+    const active = await getIndexedContests({ type: 'all', statuses: [0], maxAgeMs: 0 });
+    const ended = active.filter(c => c.endTime <= now);
 
-    for (let i = testStartId; i < testNextId; i++) {
+    for (const { contestId } of ended) {
       try {
-        const canFinalize = await contestManager.canFinalizeTest(i);
-        if (canFinalize) {
-          console.log(`\n✅ T-${i} is ready to finalize`);
-          const result = await finalizeUnifiedContest(`T-${i}`);
-          results.push(result);
+        if (await getJob(kv, `${JOB_TYPES.FINALIZE}:${contestId}`)) continue;
+        if (await canFinalize(provider, contestId)) {
+          const { id, enqueued } = await enqueueFinalize(kv, contestId);
+          if (enqueued) queued.push(id);
         }
       } catch (e) {
         continue;
       }
     }
   } catch (e) {
-    console.log(`⚠️ Could not check test contests: ${e.message}`);
+    console.log(`⚠️ Could not read contest index: ${e.message}`);
+  }
+
+  if (queued.length > 0) {
+    console.log(`\n📥 Queued ${queued.length} finalization(s): ${queued.join(', ')}`);
+  }
+  return queued;
+}
+
+/**
+ * Cron: queue anything missed, then drain the finalize and poll_winners queues,
+ * and spend what's left of the budget on one sybil scan
+ * @returns {Promise<{queued: string[], workers: object[]}>}
+ */
+async function runFinalizeCron() {
+  if (!process.env.KV_REST_API_URL) {
+    throw new Error('KV storage not configured');
+  }
+  const { kv } = require('@vercel/kv');
+  const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+  const deadline = Date.now() + CRON_BUDGET_MS;
+
+  const queued = await enqueuePendingContests(kv, provider);
+
+  const workers = [];
+  for (const [type, limit] of [[JOB_TYPES.FINALIZE, 3], [JOB_TYPES.POLL_WINNERS, 5]]) {
+    workers.push(await runWorker(kv, type, (job) => handleFinalizeJob(kv, job), {
+      limit,
+      budgetMs: Math.max(0, deadline - Date.now())
+    }));
+  }
+
+  const scanBudget = Math.min(SYBIL_SCAN_BUDGET_MS, deadline - Date.now());
+  if (scanBudget > 0) {
+    workers.push(await runWorker(kv, JOB_TYPES.SYBIL_SCAN, (job) => handleSybilScanJob(kv, provider, job, scanBudget), {
+      limit: 1,
+      budgetMs: scanBudget
+    }));
   }
 
-  return results;
+  return { queued, workers };
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -1257,9 +1380,9 @@ module.exports = async (req, res) => {
           });
         }
 
-        console.log('🕐 Cron triggered - checking all pending contests...');
-        const results = await checkAllPendingContests();
-        return res.status(200).json({ cron: true, checked: results.length, results });
+        console.log('🕐 Cron triggered - draining the finalize queue...');
+        const result = await runFinalizeCron();
+        return res.status(200).json({ cron: true, ...result });
       }
 
       // Must be M- or T- prefix
@@ -1271,6 +1394,24 @@ module.exports = async (req, res) => {
         });
       }
 
+      // Dry run: preview the breakdown without signing. It runs the full
+      // bonuses stage, so only the cron secret or the contest's host may ask
+      if (req.query.dryRun === '1' || req.query.dryRun === 'true') {
+        const cronSecret = process.env.CRON_SECRET;
+        if (!cronSecret || req.headers['authorization'] !== `Bearer ${cronSecret}`) {
+          const session = requireSession(req, res);
+          if (!session) return;
+          const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+          const check = await checkContestHost(provider, session.fid, contestIdStr);
+          if (check.error) {
+            return res.status(check.status).json({ error: check.error });
+          }
+        }
+
+        const preview = await previewContest(contestIdStr);
+        return res.status(preview.success ? 200 : 400).json(preview);
+      }
+
       const result = await finalizeUnifiedContest(contestIdStr);
       return res.status(result.success ? 200 : 400).json(result);
     }
@@ -1282,8 +1423,8 @@ module.exports = async (req, res) => {
         return res.status(401).json({ error: 'Unauthorized' });
       }
 
-      const results = await checkAllPendingContests();
-      return res.status(200).json({ checked: results.length, results });
+      const result = await runFinalizeCron();
+      return res.status(200).json(result);
     }
 
     return res.status(405).json({ error: 'Method not allowed' });
@@ -1297,17 +1438,18 @@ module.exports = async (req, res) => {
 // For local testing
 if (require.main === module) {
   const contestId = process.argv[2];
+  const dryRun = process.argv.includes('--dry-run');
 
   if (contestId) {
-    finalizeUnifiedContest(contestId)
+    (dryRun ? previewContest(contestId) : finalizeUnifiedContest(contestId))
       .then(result => {
         console.log('\n📊 Result:', JSON.stringify(result, null, 2));
         process.exit(result.success ? 0 : 1);
       });
   } else {
-    checkAllPendingContests()
-      .then(results => {
-        console.log('\n📊 Results:', JSON.stringify(results, null, 2));
+    runFinalizeCron()
+      .then(result => {
+        console.log('\n📊 Results:', JSON.stringify(result, null, 2));
         process.exit(0);
       });
   }
@@ -2,9 +2,13 @@
  * Frame Action API
  *
  * Handles "Enter Raffle" button click from Farcaster Frame.
- * For holders: directly processes entry (like, recast, record)
+ * For holders: directly processes entry (record, then like + recast)
  * For non-holders: returns transaction request for buy and burn (1M tokens)
  *
+ * Entries are recorded with lib/entries.recordFrameEntry - the same atomic
+ * cap / waitlist / duplicate check as /api/enter-contest, with the FID's
+ * custody + verified addresses.
+ *
  * POST /api/frame-action?contestId=30
  * Body: Farcaster Frame action payload
  *
@@ -12,6 +16,8 @@
  */
 
 const { ethers } = require('ethers');
+const { getUserAddresses } = require('./lib/utils');
+const { recordFrameEntry } = require('./lib/entries');
 
 const CONFIG = {
   BASE_RPC_URL: 'https://base-mainnet.g.alchemy.com/v2/QooWtq9nKQlkeqKF_-rvC',
@@ -43,28 +49,24 @@ async function checkIsHolder(addresses) {
   return totalBalance >= threshold;
 }
 
-async function getUserAddresses(fid) {
-  const NEYNAR_API_KEY = process.env.NEYNAR_API_KEY;
-  if (!NEYNAR_API_KEY) return [];
-
-  const response = await fetch(
-    `https://api.neynar.com/v2/farcaster/user/bulk?fids=${fid}`,
-    {
-      headers: { 'api_key': NEYNAR_API_KEY }
-    }
-  );
-
-  if (!response.ok) return [];
-
-  const data = await response.json();
-  const user = data.users?.[0];
-  if (!user) return [];
-
-  return user.verified_addresses?.eth_addresses || [];
+/**
+ * Frame showing an entry status (frame-image renders entered / waitlisted / full / needs_signer)
+ */
+function statusFrame(contestId, status, label) {
+  return {
+    type: 'frame',
+    frameUrl: `${BASE_URL}/api/frame?contestId=${contestId}&status=${status}`,
+    image: `${BASE_URL}/api/frame-image?contestId=${contestId}&status=${status}&t=${Date.now()}`,
+    buttons: [
+      {
+        label,
+        action: 'post'
+      }
+    ]
+  };
 }
 
-async function processEntry(fid, contestId, castHash, addresses) {
-  // Call enter-contest API internally
+async function processEntry(fid, contestId, castHash) {
   const { kv } = require('@vercel/kv');
 
   // Get user's signer
@@ -73,8 +75,18 @@ async function processEntry(fid, contestId, castHash, addresses) {
     return { success: false, error: 'No approved signer' };
   }
 
+  // Duplicate check, cap check, entry + set/waitlist writes in one step
+  const result = await recordFrameEntry(kv, contestId.toString(), parseInt(fid), { castHash: castHash || null });
+  if (result.status === 'exists') {
+    return { success: true, status: result.entry?.waitlisted ? 'waitlisted' : 'entered' };
+  }
+  if (result.status !== 'entered' && result.status !== 'waitlisted') {
+    return { success: true, status: result.status };
+  }
+
   const NEYNAR_API_KEY = process.env.NEYNAR_API_KEY;
 
+  // Entry is recorded - reactions are best effort
   // Post like
   await fetch('https://api.neynar.com/v2/farcaster/reaction', {
     method: 'POST',
@@ -87,7 +99,7 @@ async function processEntry(fid, contestId, castHash, addresses) {
       reaction_type: 'like',
       target: castHash
     })
-  });
+  }).catch(e => console.log('Like failed:', e.message));
 
   // Post recast
   await fetch('https://api.neynar.com/v2/farcaster/reaction', {
@@ -101,23 +113,10 @@ async function processEntry(fid, contestId, castHash, addresses) {
       reaction_type: 'recast',
       target: castHash
     })
-  });
-
-  // Record entry
-  const entry = {
-    fid: parseInt(fid),
-    contestId: contestId.toString(),
-    addresses,
-    timestamp: Date.now(),
-    hasReplied: false,
-    enteredAt: new Date().toISOString(),
-    source: 'frame'
-  };
-
-  await kv.set(`entry:${contestId}:${fid}`, entry);
-  await kv.sadd(`contest_entries:${contestId}`, fid.toString());
+  }).catch(e => console.log('Recast failed:', e.message));
 
-  return { success: true };
+  console.log(`Frame entry ${result.status} for FID ${fid} in contest ${contestId}`);
+  return { success: true, status: result.status };
 }
 
 module.exports = async (req, res) => {
@@ -161,23 +160,13 @@ module.exports = async (req, res) => {
 
       if (existingEntry) {
         // Already entered - return success frame
-        const imageUrl = `${BASE_URL}/api/frame-image?contestId=${contestId}&status=entered&t=${Date.now()}`;
-
-        return res.status(200).json({
-          type: 'frame',
-          frameUrl: `${BASE_URL}/api/frame?contestId=${contestId}&status=entered`,
-          image: imageUrl,
-          buttons: [
-            {
-              label: 'Entered ✓',
-              action: 'post'
-            }
-          ]
-        });
+        return res.status(200).json(existingEntry.waitlisted
+          ? statusFrame(contestId, 'waitlisted', 'Waitlisted')
+          : statusFrame(contestId, 'entered', 'Entered ✓'));
       }
     }
 
-    // Get user's addresses
+    // Custody + verified addresses
     const addresses = await getUserAddresses(fid);
 
     // Check if user is holder
@@ -185,22 +174,20 @@ module.exports = async (req, res) => {
 
     if (isHolder) {
       // Holder: Process entry directly (like, recast, record)
-      const result = await processEntry(fid, contestId, castHash, addresses);
+      const result = await processEntry(fid, contestId, castHash);
 
       if (result.success) {
-        const imageUrl = `${BASE_URL}/api/frame-image?contestId=${contestId}&status=entered&t=${Date.now()}`;
-
-        return res.status(200).json({
-          type: 'frame',
-          frameUrl: `${BASE_URL}/api/frame?contestId=${contestId}&status=entered`,
-          image: imageUrl,
-          buttons: [
-            {
-              label: 'Entered ✓',
-              action: 'post'
-            }
-          ]
-        });
+        switch (result.status) {
+          case 'no_addresses':
+            return res.status(503).json({ error: 'Could not verify addresses, please try again' });
+          case 'full':
+          case 'waitlist_full':
+            return res.status(200).json(statusFrame(contestId, 'full', 'Contest Full'));
+          case 'waitlisted':
+            return res.status(200).json(statusFrame(contestId, 'waitlisted', 'Waitlisted'));
+          default:
+            return res.status(200).json(statusFrame(contestId, 'entered', 'Entered ✓'));
+        }
       } else {
         // Failed - need signer approval
         return res.status(200).json({
@@ -2,7 +2,8 @@
  * Frame Callback API
  *
  * Called after a wash trade transaction is confirmed.
- * Processes the entry: like, recast, and record in KV.
+ * Processes the entry: record in KV (lib/entries.recordFrameEntry - cap,
+ * waitlist and the FID's custody + verified addresses), then like + recast.
  *
  * POST /api/frame-callback?contestId=30
  * Body: Farcaster Frame callback payload (includes transaction hash)
@@ -10,30 +11,12 @@
  * Returns: Success frame with "Entered ✓"
  */
 
+const { recordFrameEntry } = require('./lib/entries');
+
 const BASE_URL = process.env.VERCEL_URL
   ? `https://${process.env.VERCEL_URL}`
   : 'https://frame-opal-eight.vercel.app';
 
-async function getUserAddresses(fid) {
-  const NEYNAR_API_KEY = process.env.NEYNAR_API_KEY;
-  if (!NEYNAR_API_KEY) return [];
-
-  const response = await fetch(
-    `https://api.neynar.com/v2/farcaster/user/bulk?fids=${fid}`,
-    {
-      headers: { 'api_key': NEYNAR_API_KEY }
-    }
-  );
-
-  if (!response.ok) return [];
-
-  const data = await response.json();
-  const user = data.users?.[0];
-  if (!user) return [];
-
-  return user.verified_addresses?.eth_addresses || [];
-}
-
 module.exports = async (req, res) => {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -78,10 +61,38 @@ module.exports = async (req, res) => {
 
     const { kv } = require('@vercel/kv');
 
+    // Duplicate check, cap check, entry + set/waitlist writes in one step
+    const result = await recordFrameEntry(kv, contestId.toString(), parseInt(fid), {
+      castHash: castHash || null,
+      washTradeTx: transactionId || null
+    });
+
+    if (result.status === 'no_addresses') {
+      return res.status(503).json({ error: 'Could not verify addresses, please try again' });
+    }
+
+    if (result.status === 'full' || result.status === 'waitlist_full') {
+      console.log(`Frame entry rejected for FID ${fid} in contest ${contestId}: ${result.status}`);
+      return res.status(200).json({
+        type: 'frame',
+        frameUrl: `${BASE_URL}/api/frame?contestId=${contestId}&status=full`,
+        image: `${BASE_URL}/api/frame-image?contestId=${contestId}&status=full&t=${Date.now()}`,
+        buttons: [
+          {
+            label: 'Contest Full',
+            action: 'post'
+          }
+        ]
+      });
+    }
+
+    const waitlisted = result.status === 'waitlisted' || !!result.entry?.waitlisted;
+    console.log(`Frame entry ${result.status} for FID ${fid} in contest ${contestId}`);
+
     // Get user's signer
     const signerData = await kv.get(`signer:${fid}`);
 
-    if (signerData && signerData.approved) {
+    if (result.status !== 'exists' && signerData && signerData.approved) {
       // Post like
       await fetch('https://api.neynar.com/v2/farcaster/reaction', {
         method: 'POST',
@@ -111,36 +122,17 @@ module.exports = async (req, res) => {
       }).catch(e => console.log('Recast failed:', e.message));
     }
 
-    // Get user's addresses
-    const addresses = await getUserAddresses(fid);
-
-    // Record entry
-    const entry = {
-      fid: parseInt(fid),
-      contestId: contestId.toString(),
-      addresses,
-      timestamp: Date.now(),
-      hasReplied: false,
-      enteredAt: new Date().toISOString(),
-      source: 'frame',
-      washTradeTx: transactionId || null
-    };
-
-    await kv.set(`entry:${contestId}:${fid}`, entry);
-    await kv.sadd(`contest_entries:${contestId}`, fid.toString());
-
-    console.log(`Frame entry recorded for FID ${fid} in contest ${contestId}`);
-
     // Return success frame
-    const imageUrl = `${BASE_URL}/api/frame-image?contestId=${contestId}&status=entered&t=${Date.now()}`;
+    const status = waitlisted ? 'waitlisted' : 'entered';
+    const imageUrl = `${BASE_URL}/api/frame-image?contestId=${contestId}&status=${status}&t=${Date.now()}`;
 
     return res.status(200).json({
       type: 'frame',
-      frameUrl: `${BASE_URL}/api/frame?contestId=${contestId}&status=entered`,
+      frameUrl: `${BASE_URL}/api/frame?contestId=${contestId}&status=${status}`,
       image: imageUrl,
       buttons: [
         {
-          label: 'Entered ✓',
+          label: waitlisted ? 'Waitlisted' : 'Entered ✓',
           action: 'post'
         },
         {
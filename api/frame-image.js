@@ -11,38 +11,23 @@
  */
 
 const { ethers } = require('ethers');
-
-const CONFIG = {
-  BASE_RPC_URL: 'https://base-mainnet.g.alchemy.com/v2/QooWtq9nKQlkeqKF_-rvC',
-  CONTEST_MANAGER: '0xF56Fe30e1eAb5178da1AA2CbBf14d1e3C0Ba3944',
-};
-
-// Use getContestFull/getTestContestFull for full struct data
-// Struct: host, contestType, status, castId, startTime, endTime, prizeToken, prizeAmount, nftAmount, tokenRequirement, volumeRequirement, winnerCount, winners, isTestContest
-const CONTEST_MANAGER_ABI = [
-  'function getContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function getTestContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-];
-
-const CONTEST_STATUS = { Completed: 2 };
+const { CONFIG, CONTEST_STATUS } = require('./lib/config');
+const { getContest } = require('./lib/contest-manager');
+const { formatAmount } = require('./lib/token-amount');
 
 async function getContestInfo(contestIdStr) {
   try {
-    const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC_URL);
-    const contestManager = new ethers.Contract(CONFIG.CONTEST_MANAGER, CONTEST_MANAGER_ABI, provider);
-
-    // Parse contest ID (M-1, T-1, etc.)
-    const isTestContest = contestIdStr.startsWith('T-');
-    const numericId = parseInt(contestIdStr.replace(/^[MT]-/, ''));
-
-    const contest = isTestContest
-      ? await contestManager.getTestContestFull(numericId)
-      : await contestManager.getContestFull(numericId);
+    const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+    const contest = await getContest(provider, contestIdStr, { withPrize: true });
+    if (!contest) return null;
 
     return {
-      prizeAmount: ethers.formatEther(contest.prizeAmount),
-      endTime: Number(contest.endTime),
-      finalized: Number(contest.status) === CONTEST_STATUS.Completed,
+      // Decimals-aware (6-decimal tokens aren't shown 10^12x too small)
+      prizeDisplay: contest.isNft ? String(contest.prize.quantity) : formatAmount(contest.prize, { compact: true, symbol: false }),
+      // Symbol comes from the token contract - keep it safe to drop into the SVG
+      prizeSymbol: contest.isNft ? 'NFT' : contest.prize.symbol.replace(/[^\w$.-]/g, '').slice(0, 12),
+      endTime: contest.endTime,
+      finalized: contest.status === CONTEST_STATUS.COMPLETED,
     };
   } catch (e) {
     console.error('Error fetching contest:', e.message);
@@ -65,14 +50,6 @@ function formatTimeRemaining(endTime) {
   return `${minutes}m left`;
 }
 
-function formatPrize(amount) {
-  const num = parseFloat(amount);
-  if (num >= 1000000000) return `${(num / 1000000000).toFixed(1)}B`;
-  if (num >= 1000000) return `${(num / 1000000).toFixed(1)}M`;
-  if (num >= 1000) return `${(num / 1000).toFixed(1)}K`;
-  return num.toFixed(0);
-}
-
 module.exports = async (req, res) => {
   const { contestId, status } = req.query;
 
@@ -83,7 +60,7 @@ module.exports = async (req, res) => {
   // Get contest info
   const contestInfo = await getContestInfo(contestId);
 
-  const prizeDisplay = contestInfo ? formatPrize(contestInfo.prizeAmount) : '???';
+  const prizeDisplay = contestInfo ? contestInfo.prizeDisplay : '???';
   const timeDisplay = contestInfo ? formatTimeRemaining(contestInfo.endTime) : 'Unknown';
   const isEnded = contestInfo?.finalized || (contestInfo?.endTime && contestInfo.endTime < Date.now() / 1000);
 
@@ -98,6 +75,12 @@ module.exports = async (req, res) => {
   } else if (status === 'needs_signer') {
     statusText = 'Authorize App';
     statusColor = '#f59e0b'; // yellow
+  } else if (status === 'waitlisted') {
+    statusText = 'You\'re on the Waitlist';
+    statusColor = '#f59e0b'; // yellow
+  } else if (status === 'full') {
+    statusText = 'Contest Full';
+    statusColor = '#ef4444'; // red
   } else if (isEnded) {
     statusText = 'Contest Ended';
     statusColor = '#ef4444'; // red
@@ -186,7 +169,7 @@ module.exports = async (req, res) => {
     PRIZE
   </text>
   <text x="600" y="320" font-family="Arial, sans-serif" font-size="48" font-weight="bold" fill="#f0abfc" text-anchor="middle">
-    ${prizeDisplay} Tokens
+    ${prizeDisplay} ${contestInfo?.prizeSymbol || 'Tokens'}
   </text>
 
   <!-- Time Remaining -->
@@ -1,7 +1,7 @@
 /**
  * Host Leaderboard API
  *
- * Fetches all completed contests from the unified ContestManager,
+ * Reads all contests from the contest index (lib/contest-index.js),
  * aggregates host stats, and calculates scores.
  *
  * Scoring System:
@@ -17,27 +17,22 @@
 
 const { ethers } = require('ethers');
 const { getUserByWallet: getCachedUserByWallet } = require('./lib/utils');
-const { getETHPrice, getTokenPriceWithLiquidity } = require('./lib/uniswap-volume');
+const { resolveTokenPrice, getETHPriceUSD, isTrustedPrice } = require('./lib/price-resolver');
+const { getListFids } = require('./lib/access-lists');
+const { getIndexedContests } = require('./lib/contest-index');
+const { CONTEST_STATUS } = require('./lib/config');
+const { getTokenInfo } = require('./lib/contest-manager');
+const { getTokenBalances } = require('./lib/multicall');
+const { tokenAmount, toNumber, toUSD } = require('./lib/token-amount');
 
 const CONFIG = {
-  // Unified ContestManager (M- and T- prefix contests)
-  CONTEST_MANAGER: '0xF56Fe30e1eAb5178da1AA2CbBf14d1e3C0Ba3944',
   VOTING_MANAGER: '0x776A53c2e95d068d269c0cCb1B0081eCfeF900EB',  // V3
   NEYNARTODES_TOKEN: '0x8de1622fe07f56cda2e2273e615a513f1d828b07',
   BASE_RPC: process.env.BASE_RPC_URL || 'https://base-mainnet.g.alchemy.com/v2/QooWtq9nKQlkeqKF_-rvC',
   NEYNAR_API_KEY: process.env.NEYNAR_API_KEY || 'AA2E0FC2-FDC0-466D-9EBA-4BCA968C9B1D',
 };
 
-// Excluded from leaderboard (devs/admins)
-// Note: Exclusions disabled for test mode - all hosts visible
-const EXCLUDED_FIDS = [
-  1891537,  // neynartodes - official account
-  1188162,  // cb91waverider (Cornbread) - dev, excluded for this season
-  // Farm ring: all linked to X @nando8618
-  1027765, 1028120, 1028226, 1028609, 1028738, 1028891, 1029130, 1029267,
-  1029416, 1029631, 1029836, 1029997, 1030095, 1030154, 1030224, 1030320,
-  1030388, 1030464, 1030703, 1030791, 1030903, 1030963, 1031056, 1031145,
-];
+// Excluded hosts (devs/admins/farm rings) live in the excluded_hosts access list (lib/access-lists.js)
 const EXCLUDED_ADDRESSES = [
   // Disabled for testing - uncomment for production:
   // '0x78eeaa6f014667a339fcf8b4ecd74743366603fb',
@@ -46,23 +41,10 @@ const EXCLUDED_ADDRESSES = [
   // '0x64cb30c6d5e1dc5e675296cf13d547150c71c2b1',
 ];
 
-// Struct: host, contestType, status, castId, startTime, endTime, prizeToken, prizeAmount, nftAmount, tokenRequirement, volumeRequirement, winnerCount, winners, isTestContest
-const CONTEST_MANAGER_ABI = [
-  'function getContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function getTestContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function mainNextContestId() view returns (uint256)',
-  'function testNextContestId() view returns (uint256)',
-];
-
 const VOTING_MANAGER_ABI = [
   'function getHostVotes(address host) external view returns (uint256 upvotes, uint256 downvotes)',
 ];
 
-const ERC20_ABI = ['function balanceOf(address) view returns (uint256)'];
-
-// Contest status
-const CONTEST_STATUS = { Active: 0, PendingVRF: 1, Completed: 2, Cancelled: 3 };
-
 async function getUserByWallet(walletAddress) {
   try {
     const user = await getCachedUserByWallet(walletAddress);
@@ -85,45 +67,46 @@ async function getUserByWallet(walletAddress) {
   }
 }
 
-async function getTokenHoldings(addresses, tokenContract, kvClient = null) {
+/**
+ * Total NEYNARTODES held across addresses (whole tokens)
+ * Cached balances come from KV (10 min); the rest are read in one multicall
+ */
+async function getTokenHoldings(addresses, provider, kvClient = null) {
+  const addrs = [...new Set(addresses.map(a => a.toLowerCase()))];
   let totalBalance = 0n;
+  let missing = addrs;
 
-  for (const addr of addresses) {
-    const addrLower = addr.toLowerCase();
-    const kvCacheKey = `holdings:${addrLower}`;
-
-    if (kvClient) {
-      try {
-        const cached = await kvClient.get(kvCacheKey);
-        if (cached && cached.balance !== undefined) {
-          if (Date.now() - cached.updatedAt < 600000) {  // 10 minutes
-            totalBalance += BigInt(cached.balance);
-            continue;
-          }
+  if (kvClient && addrs.length > 0) {
+    try {
+      const cached = await kvClient.mget(...addrs.map(addr => `holdings:${addr}`));
+      missing = [];
+      addrs.forEach((addr, i) => {
+        if (cached[i] && cached[i].balance !== undefined && Date.now() - cached[i].updatedAt < 600000) {  // 10 minutes
+          totalBalance += BigInt(cached[i].balance);
+        } else {
+          missing.push(addr);
         }
-      } catch (e) { }
+      });
+    } catch (e) {
+      missing = addrs;
     }
+  }
 
-    let balance = 0n;
-    for (let attempt = 0; attempt < 3; attempt++) {
-      try {
-        balance = await tokenContract.balanceOf(addr);
-        totalBalance += BigInt(balance);
-
-        if (kvClient) {
-          try {
-            await kvClient.set(kvCacheKey, {
-              balance: balance.toString(),
-              updatedAt: Date.now(),
-            }, { ex: 600 });  // 10 minutes
-          } catch (e) { }
-        }
-        break;
-      } catch (e) {
-        if (attempt < 2) {
-          await new Promise(r => setTimeout(r, 100 * (attempt + 1)));
-        }
+  if (missing.length > 0) {
+    try {
+      const balances = await getTokenBalances(provider, CONFIG.NEYNARTODES_TOKEN, missing);
+      for (const balance of balances.values()) totalBalance += balance;
+
+      if (kvClient) {
+        await Promise.all([...balances].map(([addr, balance]) =>
+          kvClient.set(`holdings:${addr}`, {
+            balance: balance.toString(),
+            updatedAt: Date.now(),
+          }, { ex: 600 }).catch(() => {})  // 10 minutes
+        ));
       }
+    } catch (e) {
+      console.log('Error fetching token holdings:', e.message);
     }
   }
 
@@ -164,9 +147,7 @@ module.exports = async (req, res) => {
 
   try {
     const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
-    const contestManager = new ethers.Contract(CONFIG.CONTEST_MANAGER, CONTEST_MANAGER_ABI, provider);
     const votingContract = new ethers.Contract(CONFIG.VOTING_MANAGER, VOTING_MANAGER_ABI, provider);
-    const tokenContract = new ethers.Contract(CONFIG.NEYNARTODES_TOKEN, ERC20_ABI, provider);
 
     let kvClient = null;
     if (process.env.KV_REST_API_URL) {
@@ -176,15 +157,11 @@ module.exports = async (req, res) => {
       } catch (e) { }
     }
 
-    // Get contest counts
-    const [mainNextId, testNextId] = await Promise.all([
-      contestManager.mainNextContestId(),
-      contestManager.testNextContestId(),
-    ]);
-
-    const totalMainContests = Number(mainNextId) - 1;
-    const totalTestContests = Number(testNextId) - 1;
-    const totalContests = totalMainContests + totalTestContests;
+    // All contests from the index (lib/contest-index.js)
+    const contests = await getIndexedContests({ type: 'all' });
+    const totalMainContests = contests.filter(c => !c.isTest).length;
+    const totalTestContests = contests.length - totalMainContests;
+    const totalContests = contests.length;
 
     console.log(`Total contests: ${totalContests} (Main: ${totalMainContests}, Test: ${totalTestContests})`);
 
@@ -195,103 +172,37 @@ module.exports = async (req, res) => {
       });
     }
 
-    const hostStats = {};
-    const BATCH_SIZE = 25;
-    const BATCH_DELAY = 100;
-
-    // Process Main contests (M-)
-    for (let i = 1; i <= totalMainContests; i += BATCH_SIZE) {
-      const batch = [];
-      for (let j = i; j < Math.min(i + BATCH_SIZE, totalMainContests + 1); j++) {
-        batch.push(j);
-      }
-
-      const contestPromises = batch.map(id =>
-        contestManager.getContestFull(id).catch(() => null)
-      );
-      const contestResults = await Promise.all(contestPromises);
-
-      if (i + BATCH_SIZE <= totalMainContests) {
-        await new Promise(r => setTimeout(r, BATCH_DELAY));
-      }
-
-      for (let j = 0; j < batch.length; j++) {
-        const contest = contestResults[j];
-        if (!contest) continue;
-
-        const { host, status, contestType, prizeAmount, prizeToken } = contest;
-        const hostLower = host.toLowerCase();
-
-        if (EXCLUDED_ADDRESSES.includes(hostLower)) continue;
-
-        if (!hostStats[hostLower]) {
-          hostStats[hostLower] = {
-            address: host,
-            contests: 0,
-            completedContests: 0,
-            completedContestIds: [],
-          };
-        }
-
-        hostStats[hostLower].contests++;
-
-        if (Number(status) === CONTEST_STATUS.Completed) {
-          hostStats[hostLower].completedContests++;
-          hostStats[hostLower].completedContestIds.push({
-            id: `M-${batch[j]}`,
-            contestType: Number(contestType),
-            prizeAmount: prizeAmount.toString(),
-            prizeToken: prizeToken,
-          });
-        }
-      }
-    }
-
     // Skip Test contests (T-) for production — only score M- contests
     const INCLUDE_TEST_CONTESTS = false;
-    for (let i = 1; INCLUDE_TEST_CONTESTS && i <= totalTestContests; i += BATCH_SIZE) {
-      const batch = [];
-      for (let j = i; j < Math.min(i + BATCH_SIZE, totalTestContests + 1); j++) {
-        batch.push(j);
-      }
-
-      const contestPromises = batch.map(id =>
-        contestManager.getTestContestFull(id).catch(() => null)
-      );
-      const contestResults = await Promise.all(contestPromises);
-
-      if (i + BATCH_SIZE <= totalTestContests) {
-        await new Promise(r => setTimeout(r, BATCH_DELAY));
-      }
+    const hostStats = {};
 
-      for (let j = 0; j < batch.length; j++) {
-        const contest = contestResults[j];
-        if (!contest) continue;
+    for (const contest of contests) {
+      if (contest.isTest && !INCLUDE_TEST_CONTESTS) continue;
 
-        const { host, status, contestType, prizeAmount } = contest;
-        const hostLower = host.toLowerCase();
+      const { host, status, contestType, prizeAmount, prizeToken } = contest;
+      const hostLower = host.toLowerCase();
 
-        if (EXCLUDED_ADDRESSES.includes(hostLower)) continue;
+      if (EXCLUDED_ADDRESSES.includes(hostLower)) continue;
 
-        if (!hostStats[hostLower]) {
-          hostStats[hostLower] = {
-            address: host,
-            contests: 0,
-            completedContests: 0,
-            completedContestIds: [],
-          };
-        }
+      if (!hostStats[hostLower]) {
+        hostStats[hostLower] = {
+          address: host,
+          contests: 0,
+          completedContests: 0,
+          completedContestIds: [],
+        };
+      }
 
-        hostStats[hostLower].contests++;
+      hostStats[hostLower].contests++;
 
-        if (Number(status) === CONTEST_STATUS.Completed) {
-          hostStats[hostLower].completedContests++;
-          hostStats[hostLower].completedContestIds.push({
-            id: `T-${batch[j]}`,
-            contestType: Number(contestType),
-            prizeAmount: prizeAmount.toString(),
-          });
-        }
+      if (status === CONTEST_STATUS.COMPLETED) {
+        hostStats[hostLower].completedContests++;
+        hostStats[hostLower].completedContestIds.push({
+          id: contest.contestId,
+          contestType,
+          prizeAmount,
+          prizeToken,
+        });
       }
     }
 
@@ -316,18 +227,20 @@ module.exports = async (req, res) => {
     // Fetch ETH price once for prize value calculations
     let ethPriceUSD = 0;
     try {
-      ethPriceUSD = await getETHPrice();
+      ethPriceUSD = await getETHPriceUSD(provider);
     } catch (e) {
       console.log('Error fetching ETH price:', e.message);
     }
 
+    const excludedHosts = await getListFids('excluded_hosts');
+
     // Calculate scores for each host
     for (const hostLower of activeHosts) {
       const stats = hostStats[hostLower];
       const userInfo = userInfoMap.get(hostLower);
       const hostFid = userInfo?.fid || 0;
 
-      if (EXCLUDED_FIDS.includes(hostFid)) continue;
+      if (excludedHosts.has(hostFid)) continue;
 
       // Fetch entry counts from KV for all completed contests
       let totalEntries = 0;
@@ -356,32 +269,32 @@ module.exports = async (req, res) => {
             if (c.contestType === 0) {
               const cached = await kvClient.get(`contest_price_prize_${c.id}`).catch(() => null);
               if (cached?.prizeValueUSD) return Math.min(cached.prizeValueUSD, MAX_PRIZE_USD);
-              const ethAmount = Number(ethers.formatEther(c.prizeAmount));
+              const ethAmount = toNumber(tokenAmount(c.prizeAmount));
               usd = ethAmount > 0 ? ethAmount * ethPriceUSD : 0;
               return Math.min(usd, MAX_PRIZE_USD);
             }
             // ERC20 token contests (type 1): lookup stored price, fallback to live price
             if (c.contestType === 1) {
               const priceData = await kvClient.get(`contest_price_prize_${c.id}`).catch(() => null);
-              if (priceData?.adminOverride) return Math.min(priceData.prizeValueUSD || 0, MAX_PRIZE_USD);
+              // Admin overrides and TWAP snapshots (lib/price-oracle.js) are final, even at $0
+              if (priceData?.adminOverride || priceData?.oracle) return Math.min(priceData.prizeValueUSD || 0, MAX_PRIZE_USD);
               if (priceData?.prizeValueUSD && priceData.prizeValueUSD >= 0.01) return Math.min(priceData.prizeValueUSD, MAX_PRIZE_USD);
               // Fallback: calculate from on-chain token price (with liquidity validation)
               if (c.prizeToken && c.prizeToken !== ethers.ZeroAddress) {
                 try {
-                  const priceResult = await getTokenPriceWithLiquidity(provider, c.prizeToken);
+                  const price = await resolveTokenPrice(provider, c.prizeToken, { kv: kvClient });
                   // Reject prices from pools with insufficient liquidity (<$1K)
-                  if (priceResult.priceUSD > 0 && (priceResult.liquidityUSD === null || priceResult.liquidityUSD >= 1000)) {
-                    const tokenContract = new ethers.Contract(c.prizeToken, ['function decimals() view returns (uint8)'], provider);
-                    const decimals = await tokenContract.decimals().catch(() => 18n);
-                    const amount = Number(ethers.formatUnits(c.prizeAmount, Number(decimals)));
-                    usd = amount * priceResult.priceUSD;
+                  if (isTrustedPrice(price)) {
+                    const { decimals, unresolved } = await getTokenInfo(provider, c.prizeToken);
+                    if (unresolved) throw new Error('token decimals unavailable');
+                    usd = toUSD(tokenAmount(c.prizeAmount, decimals), price.priceUSD);
                     // Cache for future lookups
-                    await kvClient.set(`contest_price_prize_${c.id}`, { prizeValueUSD: usd }).catch(() => {});
+                    await kvClient.set(`contest_price_prize_${c.id}`, { prizeValueUSD: usd, source: price.source, confidence: price.confidence }).catch(() => {});
                     return Math.min(usd, MAX_PRIZE_USD);
-                  } else if (priceResult.liquidityUSD !== null && priceResult.liquidityUSD < 1000) {
-                    console.log(`Skipping low-liquidity prize for ${c.id}: $${priceResult.liquidityUSD.toFixed(2)} liquidity`);
+                  } else if (price.source !== 'none') {
+                    console.log(`Skipping low-liquidity prize for ${c.id}: $${(price.liquidityUSD || 0).toFixed(2)} liquidity (${price.source})`);
                     // Cache $0 so we don't re-check every time
-                    await kvClient.set(`contest_price_prize_${c.id}`, { prizeValueUSD: 0 }).catch(() => {});
+                    await kvClient.set(`contest_price_prize_${c.id}`, { prizeValueUSD: 0, source: price.source, confidence: price.confidence }).catch(() => {});
                   }
                 } catch (e) {
                   console.log(`Error getting ERC20 price for ${c.id}:`, e.message);
@@ -407,7 +320,7 @@ module.exports = async (req, res) => {
       const holdingsAddresses = [...new Set([stats.address, ...(userInfo?.verifiedAddresses || [])])];
       const [votesResult, tokenHoldings] = await Promise.all([
         votingContract.getHostVotes(stats.address).catch(() => [0n, 0n]),
-        getTokenHoldings(holdingsAddresses, tokenContract, kvClient)
+        getTokenHoldings(holdingsAddresses, provider, kvClient)
       ]);
 
       const [upvotes, downvotes] = votesResult;
@@ -0,0 +1,406 @@
+/**
+ * Access lists - managed denylist/allowlist shared by every endpoint
+ *
+ * Lists:
+ *   blocked_fids    - FIDs that can enter but can never win (finalize-contest.js)
+ *   excluded_hosts  - Host FIDs hidden from the host leaderboard (leaderboard.js)
+ *   cooldown_exempt - Addresses whose transfers don't trigger the holder cooldown
+ *                     (DEX routers, BuyBurnHoldEarn, treasury...)
+ *
+ * Each list is a KV hash `access_list:{name}` of value -> entry:
+ *   { value, reason, addedBy, addedAt, expiresAt }
+ * Expired entries are ignored (and can be pruned by removing them).
+ * Every add/remove is appended to `access_list_audit` (last 500 kept).
+ *
+ * The first read of a list seeds KV from the built-in defaults below, so
+ * removing a default through the admin endpoint sticks. Without KV the
+ * defaults are used as-is. Seeding writes the hash and the
+ * `access_list_seeded:{name}` flag in one Lua script (SEED_SCRIPT); removing
+ * the last entry sets the flag to 'emptied', so an empty list stays empty.
+ * A flag without a hash and without 'emptied' (a seed that was cut off
+ * before the script existed) is seeded again.
+ */
+
+const { ethers } = require('ethers');
+
+const AUDIT_KEY = 'access_list_audit';
+const AUDIT_MAX_ENTRIES = 500;
+const CACHE_TTL_MS = 60000;
+
+// ═══════════════════════════════════════════════════════════════════
+// DEFAULTS (seeded into KV on first use)
+// ═══════════════════════════════════════════════════════════════════
+
+const FARM_RING = 'Farm ring: all linked to X @nando8618, registered 2025-03-23';
+const INSETH_NETWORK = 'inseth network: token cycling through intermediary wallets';
+
+const DEFAULT_BLOCKED_FIDS = [
+  [1188162, 'brianwharton - app owner'],
+  [1891537, 'neynartodes - official account'],
+  [1990047, 'ropiik - scam token contests'],
+  [940217, 'futurepicker - suspected multi-account abuse'],
+  [874752, 'lunamarsh - suspected multi-account abuse'],
+  [1139990, 'sonite/bengarfm - suspected multi-account abuse'],
+  [2045016, 'aerieth - alt account of @aeri'],
+  [1027658, 'iskaeth (Iska.eth) - same registration date as farm ring'],
+  [1027765, `lokidtuyul - ${FARM_RING}`],
+  [1028120, `shanksd - ${FARM_RING}`],
+  [1028226, `badjul - ${FARM_RING}`],
+  [1028609, `cekots - ${FARM_RING}`],
+  [1028738, `tudyul - ${FARM_RING}`],
+  [1028891, `potrgas - ${FARM_RING}`],
+  [1029130, `jokod - ${FARM_RING}`],
+  [1029267, `tuyuldportgas - ${FARM_RING}`],
+  [1029416, `tahud - ${FARM_RING}`],
+  [1029631, `tolod - ${FARM_RING}`],
+  [1029836, `tahukrispi - ${FARM_RING}`],
+  [1029997, `amod - ${FARM_RING}`],
+  [1030095, `keere - ${FARM_RING}`],
+  [1030154, `robertinus - ${FARM_RING}`],
+  [1030224, `iisdah - ${FARM_RING}`],
+  [1030320, `romad - ${FARM_RING}`],
+  [1030388, `lemper - ${FARM_RING}`],
+  [1030464, `dedibotak - ${FARM_RING}`],
+  [1030703, `cekot - ${FARM_RING}`],
+  [1030791, `bawi - ${FARM_RING}`],
+  [1030903, `rugdpul - ${FARM_RING}`],
+  [1030963, `rontok - ${FARM_RING}`],
+  [1031056, `gombloh - ${FARM_RING}`],
+  [1031145, `rokid - ${FARM_RING}`],
+  [237841, `inseth - farm ring operator, 22 sybil wallets (${INSETH_NETWORK})`],
+  [1040937, `jarwosamidi - operations hub, cycles tokens through intermediary (${INSETH_NETWORK})`],
+  [1001959, `ladlalion1 - funded by inseth funder + intermediary (${INSETH_NETWORK})`],
+  [2806580, `farwabatool622 - 3-day-old account funded by intermediary (${INSETH_NETWORK})`],
+  [1149760, `surrounding - funded by inseth funder + jarwosamidi, sends to intermediary (${INSETH_NETWORK})`],
+  [2138148, `farcy - 30 transfers from inseth funder, cycles tokens through intermediary (${INSETH_NETWORK})`],
+];
+
+const DEFAULT_EXCLUDED_HOSTS = [
+  [1891537, 'neynartodes - official account'],
+  [1188162, 'cb91waverider (Cornbread) - dev, excluded for this season'],
+  ...[
+    1027765, 1028120, 1028226, 1028609, 1028738, 1028891, 1029130, 1029267,
+    1029416, 1029631, 1029836, 1029997, 1030095, 1030154, 1030224, 1030320,
+    1030388, 1030464, 1030703, 1030791, 1030903, 1030963, 1031056, 1031145,
+  ].map(fid => [fid, FARM_RING]),
+];
+
+// Union of the DEX whitelists previously kept in finalize-contest.js and check-eligibility.js
+const DEFAULT_COOLDOWN_EXEMPT = [
+  ['0x5d7f0d6c17a245b62e6a08280f580c59631e8136', 'Uniswap V3 - NEYNARTODES/WETH pool on Base'],
+  ['0x6131b5fae19ea4f9d964eac0408e4408b66337b5', 'Uniswap V3 Pool (NEYNARTODES/WETH)'],
+  ['0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad', 'Uniswap Universal Router'],
+  ['0x03a520b32c04bf3beef7beb72e919cf822ed34f1', 'Uniswap Universal Router 2'],
+  ['0x2626664c2603336e57b271c5c0b26f421741e481', 'Uniswap V3 SwapRouter02'],
+  ['0x0000000000000000000000000000000000000000', 'Zero address (minting)'],
+  ['0x75a2c417b9e2f00d47ad94f8c0894066e31e38d9', 'Clanker deployer'],
+  ['0x785648669b8e90a75a6a8de682258957f9028462', 'DEX aggregator/router'],
+  ['0x49fb9c16b9b2a19452633573603c837673fd7e04', 'BaseSettler (DEX aggregator)'],
+  ['0x1231deb6f5749ef6ce6943a275a1d3e7486f4eae', 'LI.FI Diamond'],
+  ['0x111111125421ca6dc452d289314280a0f8842a65', '1inch v6 Router'],
+  ['0xdef1abe32c034e558cdd535791643c58a13acc10', 'ParaSwap'],
+  ['0x6352a56caadc4f1e25cd6c75970fa768a3304e64', 'Odos Router v2'],
+  ['0xec8b0f7ffe3ae75d7ffab09429e3675bb63503e4', 'Jumper Exchange'],
+  ['0x5d64d14d2cf4fe5fe4e65b1c7e3d11e18d493091', 'Zerion Router'],
+  ['0xdD7d485A334B13D3Ae589e00fa8248BEC21A7121', 'Dexscreener moonshot'],
+  ['0x7b96E0f29241f3d654CA1BFBC53E1B0E5E3Ec211', 'team.tode.eth (brianwharton) - tokens sent from this wallet bypass cooldown'],
+  ['0xd4d84f3477eb482783aAB48F00e357C801c48928', 'NEYNARTODES Treasury - host rewards from BuyBurnHoldEarn'],
+  ['0xCfa90CfE67Ca3a08f862671Bd7Fb808662efAC28', 'BuyBurnHoldEarn v1 - contest entry rewards'],
+  ['0x856Bc35576a38b8a9887E86888995F056fA87593', 'BuyBurnHoldEarn v2 - contest entry rewards (old)'],
+  ['0x85D1A086E7119B9250f618077240BdA2cA3ecd72', 'BuyBurnHoldEarn v2 - contest entry rewards (fixed)'],
+  ['0x8340116C435307d90Df320d19F0871544653D232', 'BuyBurnHoldEarn V3 - signature-gated entries'],
+  ['0xEa670a28cA538055Dcf8cF5B383463922456526F', 'BuyBurnHoldEarn V4 - no on-chain balance check'],
+  ['0xdc5d8200A030798BC6227240f68b4dD9542686ef', '0x Settler - Taker (swap)'],
+  ['0xce09Bdf28eC438FddE2Bf255dA806e0c357247bf', '0x Settler - Metatransaction'],
+  ['0xFf11500b35A3e48a298BCd6139B9A3D9c369537e', '0x Settler - Intents'],
+  ['0x706A7D84D3C17b63FF0DA2c38a8c178e00cD87Be', '0x Settler - Bridge'],
+  ['0x0000000000001fF3684f28c67538d4D072C22734', '0x AllowanceHolder'],
+];
+
+// ═══════════════════════════════════════════════════════════════════
+// LIST DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Normalize a FID value
+ * @returns {string|null} FID as a string, or null if invalid
+ */
+function normalizeFid(value) {
+  const fid = parseInt(value);
+  return !isNaN(fid) && fid > 0 && String(fid) === String(value).trim() ? String(fid) : null;
+}
+
+/**
+ * Normalize an address value
+ * @returns {string|null} Lowercase address, or null if invalid
+ */
+function normalizeListAddress(value) {
+  return typeof value === 'string' && ethers.isAddress(value) ? value.toLowerCase() : null;
+}
+
+const LISTS = {
+  blocked_fids: {
+    description: 'FIDs that can enter contests but cannot win',
+    normalize: normalizeFid,
+    defaults: DEFAULT_BLOCKED_FIDS,
+  },
+  excluded_hosts: {
+    description: 'Host FIDs excluded from the host leaderboard',
+    normalize: normalizeFid,
+    defaults: DEFAULT_EXCLUDED_HOSTS,
+  },
+  cooldown_exempt: {
+    description: 'Addresses whose transfers do not trigger the holder transfer cooldown',
+    normalize: normalizeListAddress,
+    defaults: DEFAULT_COOLDOWN_EXEMPT,
+  },
+};
+
+/**
+ * Build seed entries for a list from its defaults
+ * @returns {object} value -> entry
+ */
+function getDefaultEntries(name) {
+  const entries = {};
+  for (const [value, reason] of LISTS[name].defaults) {
+    const normalized = LISTS[name].normalize(String(value));
+    entries[normalized] = { value: normalized, reason, addedBy: 'default', addedAt: 0, expiresAt: null };
+  }
+  return entries;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// READ
+// ═══════════════════════════════════════════════════════════════════
+
+// Per-instance cache: name -> { entries, timestamp }
+const listCache = new Map();
+
+// KEYS: list hash, seeded flag
+// ARGV: field, entry JSON, field, entry JSON, ... (the defaults)
+// Returns: 'stored' (hash exists), 'emptied' (every entry was removed) or 'seeded'
+const SEED_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return 'stored'
+end
+if redis.call('GET', KEYS[2]) == 'emptied' then
+  return 'emptied'
+end
+
+if #ARGV > 0 then
+  redis.call('HSET', KEYS[1], unpack(ARGV))
+end
+redis.call('SET', KEYS[2], 'seeded')
+return 'seeded'
+`;
+
+// KEYS: list hash, seeded flag
+// ARGV: field
+// Returns: 1 if the field was removed
+const REMOVE_SCRIPT = `
+local removed = redis.call('HDEL', KEYS[1], ARGV[1])
+if removed == 1 and redis.call('HLEN', KEYS[1]) == 0 then
+  redis.call('SET', KEYS[2], 'emptied')
+end
+return removed
+`;
+
+/**
+ * Load all entries of a list (including expired), seeding KV on first use
+ * @param {string} name - List name
+ * @returns {Promise<object>} value -> entry
+ */
+async function loadListEntries(name) {
+  if (!LISTS[name]) throw new Error(`Unknown access list: ${name}`);
+
+  const cached = listCache.get(name);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+    return cached.entries;
+  }
+
+  let entries = getDefaultEntries(name);
+
+  if (process.env.KV_REST_API_URL) {
+    try {
+      const { kv } = require('@vercel/kv');
+      const stored = await kv.hgetall(`access_list:${name}`);
+
+      if (stored) {
+        entries = stored;
+      } else {
+        // First use - seed KV so defaults can be managed like any other entry
+        const fields = Object.entries(entries).flatMap(([value, entry]) => [value, JSON.stringify(entry)]);
+        const status = await kv.eval(SEED_SCRIPT, [`access_list:${name}`, `access_list_seeded:${name}`], fields);
+
+        if (status === 'seeded') {
+          console.log(`🌱 Seeded access list ${name} with ${Object.keys(entries).length} default entries`);
+        } else if (status === 'emptied') {
+          // Seeded before and every entry has since been removed
+          entries = {};
+        } else {
+          // Another request seeded it first
+          entries = (await kv.hgetall(`access_list:${name}`)) || entries;
+        }
+      }
+    } catch (e) {
+      console.error(`Error loading access list ${name}, using defaults:`, e.message);
+    }
+  }
+
+  listCache.set(name, { entries, timestamp: Date.now() });
+  return entries;
+}
+
+/**
+ * Check whether an entry is currently in effect
+ */
+function isEntryActive(entry, now = Date.now()) {
+  return !entry.expiresAt || entry.expiresAt > now;
+}
+
+/**
+ * Get the active values of a list
+ * @param {string} name - List name
+ * @returns {Promise<Set<string>>} FIDs as strings / lowercase addresses
+ */
+async function getListValues(name) {
+  const entries = await loadListEntries(name);
+  const now = Date.now();
+  return new Set(Object.values(entries).filter(e => isEntryActive(e, now)).map(e => e.value));
+}
+
+/**
+ * Get active FIDs of a FID list as numbers
+ * @param {string} name - "blocked_fids" or "excluded_hosts"
+ * @returns {Promise<Set<number>>}
+ */
+async function getListFids(name) {
+  const values = await getListValues(name);
+  return new Set([...values].map(v => parseInt(v)));
+}
+
+/**
+ * Check a single value against a list
+ * @param {string} name - List name
+ * @param {string|number} value - FID or address
+ * @returns {Promise<boolean>}
+ */
+async function isListed(name, value) {
+  const normalized = LISTS[name]?.normalize(String(value));
+  if (!normalized) return false;
+  return (await getListValues(name)).has(normalized);
+}
+
+/**
+ * Get list entries for the admin endpoint
+ * @param {string} name - List name
+ * @param {boolean} [includeExpired=false]
+ * @returns {Promise<object[]>} Entries sorted newest first
+ */
+async function getListEntries(name, includeExpired = false) {
+  listCache.delete(name);
+  const entries = Object.values(await loadListEntries(name));
+  const now = Date.now();
+  return entries
+    .filter(e => includeExpired || isEntryActive(e, now))
+    .map(e => ({ ...e, expired: !isEntryActive(e, now) }))
+    .sort((a, b) => b.addedAt - a.addedAt);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// WRITE (admin)
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Append to the audit log
+ */
+async function appendAudit(kv, record) {
+  await kv.lpush(AUDIT_KEY, { ...record, at: Date.now() });
+  await kv.ltrim(AUDIT_KEY, 0, AUDIT_MAX_ENTRIES - 1);
+}
+
+/**
+ * Add (or replace) an entry
+ * @param {string} name - List name
+ * @param {string|number} value - FID or address
+ * @param {object} meta
+ * @param {string} meta.reason - Why it's listed (required)
+ * @param {string} meta.addedBy - Who added it (required)
+ * @param {number|null} [meta.expiresAt] - Unix ms, null = never expires
+ * @returns {Promise<{success: boolean, error?: string, entry?: object}>}
+ */
+async function addListEntry(name, value, { reason, addedBy, expiresAt = null }) {
+  if (!LISTS[name]) return { success: false, error: `Unknown list: ${name}` };
+
+  const normalized = LISTS[name].normalize(String(value));
+  if (!normalized) return { success: false, error: `Invalid value for ${name}: ${value}` };
+  if (!reason || typeof reason !== 'string') return { success: false, error: 'reason is required' };
+  if (!addedBy || typeof addedBy !== 'string') return { success: false, error: 'addedBy is required' };
+  if (expiresAt !== null && (!Number.isFinite(expiresAt) || expiresAt <= Date.now())) {
+    return { success: false, error: 'expiresAt must be a future timestamp (ms)' };
+  }
+
+  const { kv } = require('@vercel/kv');
+
+  // Make sure defaults are seeded before the first write
+  await loadListEntries(name);
+
+  const entry = { value: normalized, reason: reason.slice(0, 280), addedBy: addedBy.slice(0, 64), addedAt: Date.now(), expiresAt };
+  await kv.hset(`access_list:${name}`, { [normalized]: entry });
+  await appendAudit(kv, { action: 'add', list: name, value: normalized, reason: entry.reason, by: entry.addedBy, expiresAt });
+  listCache.delete(name);
+
+  console.log(`🛡️ ${entry.addedBy} added ${normalized} to ${name}: ${entry.reason}`);
+  return { success: true, entry };
+}
+
+/**
+ * Remove an entry
+ * @param {string} name - List name
+ * @param {string|number} value - FID or address
+ * @param {object} meta
+ * @param {string} meta.removedBy - Who removed it (required)
+ * @param {string} [meta.reason]
+ * @returns {Promise<{success: boolean, error?: string, removed?: object}>}
+ */
+async function removeListEntry(name, value, { removedBy, reason = '' }) {
+  if (!LISTS[name]) return { success: false, error: `Unknown list: ${name}` };
+
+  const normalized = LISTS[name].normalize(String(value));
+  if (!normalized) return { success: false, error: `Invalid value for ${name}: ${value}` };
+  if (!removedBy || typeof removedBy !== 'string') return { success: false, error: 'removedBy is required' };
+
+  const { kv } = require('@vercel/kv');
+
+  const entries = await loadListEntries(name);
+  const existing = entries[normalized];
+  if (!existing) return { success: false, error: `${normalized} is not in ${name}` };
+
+  await kv.eval(REMOVE_SCRIPT, [`access_list:${name}`, `access_list_seeded:${name}`], [normalized]);
+  await appendAudit(kv, { action: 'remove', list: name, value: normalized, reason, by: removedBy.slice(0, 64) });
+  listCache.delete(name);
+
+  console.log(`🛡️ ${removedBy} removed ${normalized} from ${name}`);
+  return { success: true, removed: existing };
+}
+
+/**
+ * Get recent audit records
+ * @param {number} [limit=100]
+ * @returns {Promise<object[]>} Newest first
+ */
+async function getAuditLog(limit = 100) {
+  const { kv } = require('@vercel/kv');
+  return (await kv.lrange(AUDIT_KEY, 0, Math.min(limit, AUDIT_MAX_ENTRIES) - 1)) || [];
+}
+
+module.exports = {
+  LISTS,
+  getListValues,
+  getListFids,
+  isListed,
+  getListEntries,
+  addListEntry,
+  removeListEntry,
+  getAuditLog,
+};
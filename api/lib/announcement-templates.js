@@ -0,0 +1,345 @@
+/**
+ * Announcement Templates - winner cast text for announce-winner
+ *
+ * Hosts can store their own template, per contest or for all their contests:
+ *
+ *   announce_template:contest:{contestId}  - { variants: { en: '...', es: '...' }, language, updatedAt, updatedBy }
+ *   announce_template:host:{fid}           - same shape
+ *
+ * The contest template wins over the host template, which wins over
+ * DEFAULT_TEMPLATES (DEFAULT_NFT_TEMPLATES for NFT prizes). `language` picks
+ * the variant that gets posted.
+ *
+ * Templates are plain text with {placeholders} (see PLACEHOLDERS). A line
+ * whose placeholders are all empty is dropped, so optional lines ("🔥 {burned}
+ * burned") disappear when there's nothing to show. A heading - a line without
+ * placeholders ending in ":" - is dropped with the lines under it (up to the
+ * next blank line), so "📊 Contest Stats:" isn't posted without the stats.
+ *
+ * Casts are limited to FARCASTER_CAST_MAX_BYTES (UTF-8 bytes). A longer
+ * multi-winner announcement is split into a thread at line breaks (at most
+ * MAX_THREAD_CASTS casts); anything else is truncated with "…".
+ */
+
+const FARCASTER_CAST_MAX_BYTES = 1024;
+const MAX_THREAD_CASTS = 10;
+const MAX_TEMPLATE_LENGTH = 2000;
+const MAX_VARIANTS = 10;
+const DEFAULT_LANGUAGE = 'en';
+
+const PLACEHOLDERS = {
+  contestId: 'Contest ID (M-12)',
+  host: 'Host @username',
+  winners: 'Winner @usernames - inline for one winner, a numbered list for several',
+  winnerLabel: '"Winner" or "Winners"',
+  winnerCount: 'Number of winners',
+  congratsTo: '"the winner" or "all winners"',
+  prize: 'Total prize (0.05 ETH, Based Punk #12)',
+  perWinner: 'Prize per winner (empty for a single winner or an NFT)',
+  prizeEach: '" (0.01 ETH each)" to follow {prize} (empty for a single winner or an NFT)',
+  entrants: 'Unique entrants',
+  bonusEntries: 'Bonus entries earned',
+  bonusBreakdown: 'Bonus entries per rule: 💎 holder 💬 reply 📤 share 📈 volume (💎3 💬5)',
+  burned: 'NEYNARTODES burned during the contest',
+  hostEarned: 'NEYNARTODES earned by the host',
+  txLink: 'Basescan link to the finalize tx',
+  message: 'The contest\'s custom message (/api/store?type=message)',
+};
+
+/**
+ * The built-in English announcement under a given title line
+ */
+function defaultTemplate(title) {
+  return [
+    title,
+    '',
+    '{message}',
+    '',
+    '🎙️ Host: {host}',
+    '🏆 {winnerLabel}: {winners}',
+    '🎁 Prize: {prize}{prizeEach}',
+    '',
+    '📊 Contest Stats:',
+    '👥 {entrants} unique entries',
+    '🎟️ {bonusEntries} bonus entries',
+    '   ({bonusBreakdown})',
+    '',
+    '🔥 {burned} burned',
+    '💰 {hostEarned} to host',
+    '',
+    '🔗 Selected via Chainlink VRF',
+    '{txLink}',
+    '',
+    '🥳 Congrats to {congratsTo}!',
+    '',
+    'Launch your own contest: https://farcaster.xyz/miniapps/uaKwcOvUry8F/neynartodes',
+  ].join('\n');
+}
+
+const DEFAULT_TEMPLATES = {
+  en: defaultTemplate('🦎🎉 CONTEST {contestId} COMPLETE! 🎉🔥'),
+};
+
+const DEFAULT_NFT_TEMPLATES = {
+  en: defaultTemplate('🖼️🎉 NFT CONTEST {contestId} COMPLETE! 🎉🖼️'),
+};
+
+// Stand-ins for previews of contests that aren't finalized yet
+const SAMPLE_VALUES = {
+  contestId: 'M-1',
+  host: '@host',
+  winners: '\n   1. @winner1\n   2. @winner2\n   3. @winner3',
+  winnerLabel: 'Winners',
+  winnerCount: '3',
+  congratsTo: 'all winners',
+  prize: '0.3 ETH',
+  perWinner: '0.1 ETH',
+  prizeEach: ' (0.1 ETH each)',
+  entrants: '120',
+  bonusEntries: '45',
+  bonusBreakdown: '💎20 💬15 📤10',
+  burned: '2.5M',
+  hostEarned: '1.2M',
+  txLink: 'https://basescan.org/tx/0x…',
+};
+
+const KEYS = {
+  contest: (contestId) => `announce_template:contest:${contestId}`,
+  host: (fid) => `announce_template:host:${fid}`,
+};
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+
+// ═══════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Check one template's text
+ * @param {string} text
+ * @returns {string|null} Error message
+ */
+function checkTemplateText(text) {
+  if (typeof text !== 'string' || !text.trim()) return 'must be non-empty text';
+  if (text.length > MAX_TEMPLATE_LENGTH) return `must be at most ${MAX_TEMPLATE_LENGTH} characters`;
+
+  const unknown = [...text.matchAll(PLACEHOLDER_PATTERN)].map(m => m[1]).filter(name => !PLACEHOLDERS[name]);
+  if (unknown.length > 0) {
+    return `has unknown placeholder(s) ${unknown.map(n => `{${n}}`).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a template update
+ * @param {object} input - { variants: { [language]: text }, language? }
+ * @returns {{template: {variants: object, language: string}}|{error: string}}
+ */
+function validateTemplate(input) {
+  const variants = input?.variants;
+  if (!variants || typeof variants !== 'object' || Array.isArray(variants)) {
+    return { error: 'variants must be an object of language -> template text' };
+  }
+
+  const entries = Object.entries(variants);
+  if (entries.length === 0 || entries.length > MAX_VARIANTS) {
+    return { error: `Provide 1-${MAX_VARIANTS} language variants` };
+  }
+
+  const normalized = {};
+  for (const [language, text] of entries) {
+    const code = language.toLowerCase();
+    if (!LANGUAGE_PATTERN.test(code)) return { error: `Invalid language code: ${language}` };
+    const error = checkTemplateText(text);
+    if (error) return { error: `Template "${code}" ${error}` };
+    normalized[code] = text.replace(/\r\n/g, '\n');
+  }
+
+  const language = (input.language || (normalized[DEFAULT_LANGUAGE] ? DEFAULT_LANGUAGE : Object.keys(normalized)[0])).toLowerCase();
+  if (!normalized[language]) {
+    return { error: `language "${language}" has no variant` };
+  }
+
+  return { template: { variants: normalized, language } };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// STORAGE
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Get a stored template
+ * @param {object} kv - Vercel KV client
+ * @param {'contest'|'host'} scope
+ * @param {string|number} id - Contest ID or host FID
+ * @returns {Promise<object|null>}
+ */
+async function getStoredTemplate(kv, scope, id) {
+  return kv.get(KEYS[scope](id));
+}
+
+/**
+ * Store a validated template
+ * @param {object} kv - Vercel KV client
+ * @param {'contest'|'host'} scope
+ * @param {string|number} id - Contest ID or host FID
+ * @param {object} template - From validateTemplate()
+ * @param {number} updatedBy - FID of the signed-in host
+ * @returns {Promise<object>} Stored record
+ */
+async function saveTemplate(kv, scope, id, template, updatedBy) {
+  const record = { ...template, updatedAt: Date.now(), updatedBy };
+  await kv.set(KEYS[scope](id), record);
+  return record;
+}
+
+/**
+ * Remove a stored template (falls back to the next scope / the default)
+ */
+async function deleteTemplate(kv, scope, id) {
+  await kv.del(KEYS[scope](id));
+}
+
+/**
+ * Pick the template for an announcement: contest > host > default
+ * @param {object|null} kv - Vercel KV client (null = default only)
+ * @param {object} target
+ * @param {string} [target.contestId]
+ * @param {number} [target.hostFid]
+ * @param {string} [target.language] - Variant to use instead of the stored language, if present
+ * @param {boolean} [target.nft=false] - NFT prize (picks DEFAULT_NFT_TEMPLATES)
+ * @returns {Promise<{source: string, language: string, text: string}>}
+ */
+async function resolveTemplate(kv, { contestId, hostFid, language, nft = false } = {}) {
+  const lang = language?.toLowerCase();
+  const stored = [];
+  if (kv && contestId) stored.push(['contest', await getStoredTemplate(kv, 'contest', contestId)]);
+  if (kv && hostFid) stored.push(['host', await getStoredTemplate(kv, 'host', hostFid)]);
+
+  for (const [source, record] of stored) {
+    if (!record?.variants) continue;
+    const chosen = lang && record.variants[lang] ? lang : record.language;
+    return { source, language: chosen, text: record.variants[chosen] };
+  }
+
+  const defaults = nft ? DEFAULT_NFT_TEMPLATES : DEFAULT_TEMPLATES;
+  const chosen = lang && defaults[lang] ? lang : DEFAULT_LANGUAGE;
+  return { source: 'default', language: chosen, text: defaults[chosen] };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RENDERING
+// ═══════════════════════════════════════════════════════════════════
+
+const byteLength = (text) => Buffer.byteLength(text, 'utf8');
+
+/**
+ * Fill in placeholders
+ * @param {string} text - Template text
+ * @param {object} values - Placeholder -> string ('' / missing = empty)
+ * @returns {string}
+ */
+function renderTemplate(text, values) {
+  const lines = text.split('\n').map((line) => {
+    const names = [...line.matchAll(PLACEHOLDER_PATTERN)].map(m => m[1]).filter(name => PLACEHOLDERS[name]);
+    // Optional line - nothing to show
+    const empty = names.length > 0 && names.every(name => !values[name]);
+    return { line, names, empty };
+  });
+
+  const out = [];
+  lines.forEach(({ line, names, empty }, i) => {
+    if (empty) return;
+    if (names.length === 0 && /:\s*$/.test(line)) {
+      const below = [];
+      for (let j = i + 1; j < lines.length && lines[j].line.trim(); j++) below.push(lines[j]);
+      if (below.length > 0 && below.every(l => l.empty)) return;
+    }
+    out.push(line.replace(PLACEHOLDER_PATTERN, (match, name) => (PLACEHOLDERS[name] ? String(values[name] ?? '') : match)));
+  });
+  return out.join('\n').replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Cut text to a byte budget on a character boundary, ending in "…"
+ */
+function truncateToBytes(text, maxBytes) {
+  if (byteLength(text) <= maxBytes) return text;
+  const ellipsis = '…';
+  let out = '';
+  let bytes = byteLength(ellipsis);
+  for (const char of text) {
+    bytes += byteLength(char);
+    if (bytes > maxBytes) break;
+    out += char;
+  }
+  return out.trimEnd() + ellipsis;
+}
+
+/**
+ * Split text into casts at line breaks (overlong lines are truncated)
+ * @returns {string[]}
+ */
+function splitThread(text, maxBytes) {
+  const casts = [];
+  let current = '';
+  for (const line of text.split('\n')) {
+    const piece = truncateToBytes(line, maxBytes);
+    const next = current ? `${current}\n${piece}` : piece;
+    if (byteLength(next) <= maxBytes) {
+      current = next;
+      continue;
+    }
+    casts.push(current.trim());
+    current = piece;
+  }
+  if (current.trim()) casts.push(current.trim());
+  return casts.filter(Boolean);
+}
+
+/**
+ * Render an announcement and fit it to the cast limit
+ * @param {string} text - Template text
+ * @param {object} values - Placeholder values
+ * @param {object} [options]
+ * @param {number} [options.winnerCount=1] - Threads are only used for several winners
+ * @param {number} [options.maxBytes=FARCASTER_CAST_MAX_BYTES]
+ * @returns {{text: string, casts: string[], thread: boolean, truncated: boolean}}
+ */
+function composeAnnouncement(text, values, { winnerCount = 1, maxBytes = FARCASTER_CAST_MAX_BYTES } = {}) {
+  const full = renderTemplate(text, values);
+  if (byteLength(full) <= maxBytes) {
+    return { text: full, casts: [full], thread: false, truncated: false };
+  }
+
+  if (winnerCount <= 1) {
+    return { text: full, casts: [truncateToBytes(full, maxBytes)], thread: false, truncated: true };
+  }
+
+  let casts = splitThread(full, maxBytes);
+  let truncated = false;
+  if (casts.length > MAX_THREAD_CASTS) {
+    casts = casts.slice(0, MAX_THREAD_CASTS);
+    casts[MAX_THREAD_CASTS - 1] = truncateToBytes(`${casts[MAX_THREAD_CASTS - 1]}\n…`, maxBytes);
+    truncated = true;
+  }
+  return { text: full, casts, thread: casts.length > 1, truncated };
+}
+
+module.exports = {
+  FARCASTER_CAST_MAX_BYTES,
+  MAX_THREAD_CASTS,
+  DEFAULT_LANGUAGE,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  DEFAULT_NFT_TEMPLATES,
+  SAMPLE_VALUES,
+  validateTemplate,
+  getStoredTemplate,
+  saveTemplate,
+  deleteTemplate,
+  resolveTemplate,
+  renderTemplate,
+  composeAnnouncement,
+};
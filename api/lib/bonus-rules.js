@@ -0,0 +1,734 @@
+/**
+ * Bonus Entry Rules - shared registry
+ *
+ * Every bonus entry rule lives here so finalization, check-eligibility and
+ * scripts/contest-stats.js all apply the same logic. Each rule declares:
+ *   - id / label / emoji     - identity + display
+ *   - defaultParams          - thresholds (overridable per contest)
+ *   - paramLimits            - [min, max] for each param
+ *   - fetch(ctx, params)     - loads the data for ALL users at once
+ *   - qualify(data, user, params) - returns { qualified, ...detail } for one user
+ *
+ * Hosts pick which rules apply and how many entries each is worth. The choice
+ * is stored in KV as `contest_bonus_rules:{contestId}`; contests without one
+ * use DEFAULT_BONUS_CONFIG (all four rules, +1 entry each).
+ *
+ * ctx shape: { contestId, castHash, users: Map<fid, user>, provider, startTime, endTime, tokenRequirement?, holderSnapshot?, volumeSource? }
+ *   tokenRequirement: the contest's token - the holder rule snapshots it (NEYNARTODES if unset)
+ *   holderSnapshot: { startBlock, endBlock } - pins the holder window (finalization records it)
+ *   volumeSource: 'rpc' | 'webhook' | 'auto' - where volume comes from (default rpc, see getVolumes)
+ * user shape: { fid, username, addresses: string[], primaryAddress }
+ */
+
+const { ethers } = require('ethers');
+const { CONFIG } = require('./config');
+const { getUniswapVolumes } = require('./uniswap-volume');
+const { getListValues } = require('./access-lists');
+const { getTokenBalances, sumBalances } = require('./multicall');
+const { getSnapshotWindow, getWindowBalances } = require('./holder-snapshot');
+const { getWalletVolumes } = require('./trade-store');
+const { getTokenInfo } = require('./contest-manager');
+
+// Max entries a single rule can award
+const MAX_RULE_WEIGHT = 5;
+
+// Holder thresholds in whole tokens (scaled by the token's decimals)
+const HOLDER_THRESHOLD_NEYNARTODES = 100_000_000n; // rewards loyal holders
+const HOLDER_THRESHOLD_CUSTOM = 200_000_000n;      // drives more volume to promoted projects
+
+// Transfer cooldown for holder bonus (hours)
+// Prevents gaming by transferring tokens between accounts
+const TRANSFER_COOLDOWN_HOURS = 36;
+
+// Transfers FROM cooldown_exempt addresses (DEX routers, BuyBurnHoldEarn...) are
+// purchases/rewards (no cooldown) - managed in lib/access-lists.js
+
+// ═══════════════════════════════════════════════════════════════════
+// HOLDER DATA
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Determine holder threshold based on contest type
+ * - 100M for NEYNARTODES contests
+ * - 200M for custom token contests
+ * @param {string} tokenRequirement - Contest's token requirement
+ * @param {number} [decimals=18] - Token decimals
+ * @returns {{threshold: bigint, thresholdFormatted: string, isCustomToken: boolean}}
+ */
+function getHolderThreshold(tokenRequirement, decimals = 18) {
+  const isNeynartodes = tokenRequirement.toLowerCase() === CONFIG.NEYNARTODES.toLowerCase();
+  const tokens = isNeynartodes ? HOLDER_THRESHOLD_NEYNARTODES : HOLDER_THRESHOLD_CUSTOM;
+  return {
+    threshold: tokens * 10n ** BigInt(decimals),
+    thresholdFormatted: isNeynartodes ? '100M' : '200M',
+    isCustomToken: !isNeynartodes
+  };
+}
+
+/**
+ * Token the holder rule snapshots: the contest's token requirement, or
+ * NEYNARTODES when the contest has none
+ * @param {string} [tokenRequirement]
+ * @returns {string}
+ */
+function getHolderToken(tokenRequirement) {
+  return tokenRequirement && tokenRequirement !== ethers.ZeroAddress ? tokenRequirement : CONFIG.NEYNARTODES;
+}
+
+/**
+ * Format token balance to human readable (e.g., 50M, 1.5B)
+ * @param {bigint} balance - Raw balance
+ * @param {number} [decimals=18]
+ */
+function formatTokenBalance(balance, decimals = 18) {
+  const num = Number(balance / (10n ** BigInt(decimals)));
+  if (num >= 1_000_000_000) return (num / 1_000_000_000).toFixed(1) + 'B';
+  if (num >= 1_000_000) return (num / 1_000_000).toFixed(1) + 'M';
+  if (num >= 1_000) return (num / 1_000).toFixed(1) + 'K';
+  return num.toFixed(0);
+}
+
+// Recipient addresses per eth_getLogs (OR'd in the `to` topic)
+const COOLDOWN_LOG_CHUNK = 50;
+
+const transferInterface = new ethers.Interface(['event Transfer(address indexed from, address indexed to, uint256 value)']);
+const TRANSFER_TOPIC = transferInterface.getEvent('Transfer').topicHash;
+
+/**
+ * Get token transfers received by any of the addresses in the cooldown window
+ * One eth_getLogs per COOLDOWN_LOG_CHUNK addresses instead of one per address
+ * @param {string[]} addresses
+ * @param {object} provider - Ethers provider
+ * @param {string} [token=CONFIG.NEYNARTODES]
+ * @returns {Promise<Map<string, object[]>>} Lowercased recipient -> [{ from, to, value, block }]
+ */
+async function getCooldownTransfers(addresses, provider, token = CONFIG.NEYNARTODES) {
+  // Calculate block range for cooldown period (~2 sec blocks on Base)
+  const blocksPerHour = 1800; // 3600 sec / 2 sec per block
+  const cooldownBlocks = TRANSFER_COOLDOWN_HOURS * blocksPerHour;
+
+  const currentBlock = await provider.getBlockNumber();
+  const fromBlock = Math.max(0, currentBlock - cooldownBlocks);
+  const unique = [...new Set(addresses.map(a => a.toLowerCase()))];
+  const byRecipient = new Map();
+
+  for (let i = 0; i < unique.length; i += COOLDOWN_LOG_CHUNK) {
+    const chunk = unique.slice(i, i + COOLDOWN_LOG_CHUNK);
+    let logs = [];
+    try {
+      logs = await provider.getLogs({
+        address: token,
+        topics: [TRANSFER_TOPIC, null, chunk.map(addr => ethers.zeroPadValue(addr, 32))],
+        fromBlock,
+        toBlock: currentBlock
+      });
+    } catch (e) {
+      console.error(`Error querying transfers for ${chunk.length} addresses:`, e.message);
+    }
+
+    for (const log of logs) {
+      const { args } = transferInterface.parseLog(log);
+      const to = args.to.toLowerCase();
+      if (!byRecipient.has(to)) byRecipient.set(to, []);
+      byRecipient.get(to).push({
+        from: args.from.toLowerCase(),
+        to,
+        value: args.value.toString(),
+        block: log.blockNumber
+      });
+    }
+  }
+
+  return byRecipient;
+}
+
+/**
+ * Sum one user's cooldown transfers from a getCooldownTransfers() map
+ * Transfers from exempt addresses (DEX purchases) and between the user's own addresses don't count
+ * @returns {{cooldownAmount: bigint, transfers: object[]}}
+ */
+function sumCooldown(addresses, byRecipient, exemptAddresses) {
+  const normalizedAddresses = new Set(addresses.map(a => a.toLowerCase()));
+  let cooldownAmount = 0n;
+  const cooldownTransfers = [];
+
+  for (const addr of normalizedAddresses) {
+    for (const transfer of byRecipient.get(addr) || []) {
+      if (exemptAddresses.has(transfer.from)) continue;
+      if (normalizedAddresses.has(transfer.from)) continue;
+
+      cooldownAmount += BigInt(transfer.value);
+      cooldownTransfers.push(transfer);
+    }
+  }
+
+  return { cooldownAmount, transfers: cooldownTransfers };
+}
+
+/**
+ * Calculate amount of tokens in cooldown (received via wallet-to-wallet transfer in last 36 hours)
+ * Tokens from DEX purchases are NOT in cooldown
+ * Returns the amount that should be subtracted from total balance for holder qualification
+ * @param {string[]} addresses - User's wallet addresses
+ * @param {object} provider - Ethers provider
+ * @returns {Promise<{cooldownAmount: bigint, transfers: object[]}>}
+ */
+async function calculateCooldownAmount(addresses, provider) {
+  try {
+    const [byRecipient, exemptAddresses] = await Promise.all([
+      getCooldownTransfers(addresses, provider),
+      getListValues('cooldown_exempt')
+    ]);
+    return sumCooldown(addresses, byRecipient, exemptAddresses);
+  } catch (e) {
+    console.error('Error calculating cooldown amount:', e.message);
+    // On error, don't penalize the user - allow holder bonus
+    return { cooldownAmount: 0n, transfers: [] };
+  }
+}
+
+/**
+ * Holder status from a total balance and cooldown amount
+ */
+function toHolderStatus(totalBalance, cooldownAmount, threshold, decimals = 18) {
+  // Eligible balance = total balance - tokens in cooldown
+  // Can't go negative (in case of rounding or timing issues)
+  const eligibleBalance = totalBalance > cooldownAmount ? totalBalance - cooldownAmount : 0n;
+  const meetsThreshold = eligibleBalance >= threshold;
+  const hasCooldown = cooldownAmount > 0n;
+
+  let cooldownReason = null;
+  if (hasCooldown && !meetsThreshold && totalBalance >= threshold) {
+    // They would qualify if not for cooldown
+    cooldownReason = `${formatTokenBalance(cooldownAmount, decimals)} tokens in ${TRANSFER_COOLDOWN_HOURS}h cooldown (wallet transfers). Eligible: ${formatTokenBalance(eligibleBalance, decimals)}`;
+  }
+
+  return {
+    isHolder: meetsThreshold,
+    balance: totalBalance,
+    eligibleBalance: eligibleBalance,
+    cooldownAmount: cooldownAmount,
+    hasCooldown: hasCooldown,
+    cooldownReason: cooldownReason,
+    method: 'live',
+    decimals
+  };
+}
+
+/**
+ * Check holder status for many users at once
+ * Balances come from Multicall3 and cooldown transfers from chunked getLogs,
+ * so 200 users with 3 wallets each is a handful of RPC calls, not ~1200.
+ * @param {Array<{fid: number, addresses: string[]}>} users
+ * @param {object} provider - Ethers provider
+ * @param {bigint} threshold - Minimum eligible balance (wei)
+ * @param {object} [token] - { address, decimals }, default NEYNARTODES
+ * @returns {Promise<Map<number, object>>} FID -> status (same shape as checkHolderStatus)
+ */
+async function getHolderStatuses(users, provider, threshold, { address = CONFIG.NEYNARTODES, decimals = 18 } = {}) {
+  const allAddresses = users.flatMap(u => u.addresses);
+
+  const [balances, byRecipient, exemptAddresses] = await Promise.all([
+    getTokenBalances(provider, address, allAddresses),
+    getCooldownTransfers(allAddresses, provider, address).catch(e => {
+      // On error, don't penalize users - allow holder bonus
+      console.error('Error calculating cooldown amounts:', e.message);
+      return new Map();
+    }),
+    getListValues('cooldown_exempt')
+  ]);
+
+  const statuses = new Map();
+  for (const user of users) {
+    const { cooldownAmount } = sumCooldown(user.addresses, byRecipient, exemptAddresses);
+    statuses.set(user.fid, toHolderStatus(sumBalances(balances, user.addresses), cooldownAmount, threshold, decimals));
+  }
+  return statuses;
+}
+
+/**
+ * Check holder status from each user's lowest balance over the contest window
+ * (see lib/holder-snapshot.js). No cooldown - buying or borrowing mid-contest
+ * doesn't raise the lowest balance.
+ * @param {Array<{fid: number, addresses: string[]}>} users
+ * @param {object} provider - Ethers provider
+ * @param {bigint} threshold - Minimum balance held for the whole window (wei)
+ * @param {{startBlock: number, endBlock: number}} window - From getSnapshotWindow()
+ * @param {object} [token] - { address, decimals }, default NEYNARTODES
+ * @returns {Promise<Map<number, object>>} FID -> status (checkHolderStatus shape + startBalance, snapshotReason)
+ */
+async function getSnapshotHolderStatuses(users, provider, threshold, window, { address = CONFIG.NEYNARTODES, decimals = 18 } = {}) {
+  const { balances, transfers } = await getWindowBalances(users, provider, window, address);
+  console.log(`   Holder snapshot: blocks ${window.startBlock}-${window.endBlock}, ${transfers} transfers replayed`);
+
+  const statuses = new Map();
+  for (const user of users) {
+    const { startBalance, minBalance, endBalance } = balances.get(user.fid);
+    const isHolder = minBalance >= threshold;
+
+    let snapshotReason = null;
+    if (!isHolder && endBalance >= threshold) {
+      snapshotReason = `Lowest balance during contest: ${formatTokenBalance(minBalance, decimals)} (${formatTokenBalance(startBalance, decimals)} at start block ${window.startBlock})`;
+    }
+
+    statuses.set(user.fid, {
+      isHolder,
+      balance: endBalance,
+      eligibleBalance: minBalance,
+      startBalance,
+      cooldownAmount: 0n,
+      hasCooldown: false,
+      cooldownReason: null,
+      snapshotReason,
+      method: 'snapshot',
+      decimals
+    });
+  }
+  return statuses;
+}
+
+/**
+ * Check if user holds the threshold of NEYNARTODES across all addresses
+ * Subtracts tokens in cooldown (received via wallet-to-wallet transfer in last 36hrs)
+ * @param {string[]} addresses - User's wallet addresses
+ * @param {object} provider - Ethers provider
+ * @param {bigint} threshold - Minimum eligible balance (wei)
+ * @returns {Promise<{isHolder: boolean, balance: bigint, eligibleBalance: bigint, cooldownAmount: bigint, hasCooldown: boolean, cooldownReason: string|null}>}
+ */
+async function checkHolderStatus(addresses, provider, threshold) {
+  const statuses = await getHolderStatuses([{ fid: 0, addresses }], provider, threshold);
+  return statuses.get(0);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// REPLY / SHARE / VOLUME DATA
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Get every user who replied to a cast, with their longest reply's word count
+ * @param {string} castHash - The contest cast hash
+ * @returns {Promise<Map<number, {fid: number, wordCount: number}>>} Map of FID -> reply data
+ */
+async function getRepliers(castHash) {
+  const repliersByFid = new Map();
+  if (!castHash) return repliersByFid;
+
+  try {
+    let cursor = null;
+    let pageCount = 0;
+    const maxPages = 20;
+
+    do {
+      const url = cursor
+        ? `https://api.neynar.com/v2/farcaster/cast/conversation?identifier=${castHash}&type=hash&reply_depth=1&limit=50&cursor=${cursor}`
+        : `https://api.neynar.com/v2/farcaster/cast/conversation?identifier=${castHash}&type=hash&reply_depth=1&limit=50`;
+
+      const response = await fetch(url, {
+        headers: { 'api_key': CONFIG.NEYNAR_API_KEY }
+      });
+
+      if (!response.ok) break;
+
+      const data = await response.json();
+      const replies = data.conversation?.cast?.direct_replies || [];
+
+      for (const reply of replies) {
+        const fid = reply.author?.fid;
+        if (!fid) continue;
+
+        const wordCount = (reply.text || '').trim().split(/\s+/).filter(w => w.length > 0).length;
+        const existing = repliersByFid.get(fid);
+        if (!existing || wordCount > existing.wordCount) {
+          repliersByFid.set(fid, { fid, wordCount });
+        }
+      }
+
+      cursor = data.next?.cursor;
+      pageCount++;
+      if (cursor) await new Promise(r => setTimeout(r, 100));
+
+    } while (cursor && pageCount < maxPages);
+
+  } catch (error) {
+    console.error('Error fetching replies:', error.message);
+  }
+
+  return repliersByFid;
+}
+
+/**
+ * Get users who shared the contest (clicked Share button)
+ * @param {string} contestId - Contest ID (M-1 or T-1 format)
+ * @returns {Promise<Set<number>>} Set of FIDs who shared
+ */
+async function getSharers(contestId) {
+  const sharers = new Set();
+
+  try {
+    if (!process.env.KV_REST_API_URL) return sharers;
+
+    const { kv } = require('@vercel/kv');
+    const shareFids = await kv.smembers(`contest_shares:${contestId}`);
+
+    if (Array.isArray(shareFids)) {
+      shareFids.forEach(fid => sharers.add(parseInt(fid)));
+    }
+
+  } catch (error) {
+    console.error('Error fetching sharers:', error.message);
+  }
+
+  return sharers;
+}
+
+/**
+ * Get NEYNARTODES trading volume for all users during the contest period
+ *
+ * Sources:
+ *   rpc     - swap events from an RPC log scan (lib/uniswap-volume.js)
+ *   webhook - Neynar trade webhook data in KV (lib/trade-store.js)
+ *   auto    - rpc, falling back to webhook if the scan fails (log range
+ *             limits, pruned node, RPC outage)
+ *
+ * With source 'rpc' a failed scan throws (failEvaluation) instead of returning
+ * partial or empty volumes.
+ *
+ * @param {Map} users - Map of FID -> user data (with addresses)
+ * @param {number} startTime - Contest start timestamp (unix)
+ * @param {number} endTime - Contest end timestamp (unix)
+ * @param {number} minVolumeUSD - Threshold passed through to the volume scan
+ * @param {string} [source='rpc'] - 'rpc' | 'webhook' | 'auto'
+ * @returns {Promise<Map<number, {volumeUSD: number, swaps: object[], source: string}>>} Map of FID -> volume data
+ *   (swaps from getUniswapVolumes or webhook trades, plus wallet)
+ */
+async function getVolumes(users, startTime, endTime, minVolumeUSD, source = 'rpc') {
+  // Collect all addresses from all users
+  const allAddresses = [];
+  const addressToFid = new Map();
+
+  for (const user of users.values()) {
+    for (const addr of user.addresses) {
+      allAddresses.push(addr.toLowerCase());
+      addressToFid.set(addr.toLowerCase(), user.fid);
+    }
+  }
+
+  if (allAddresses.length === 0) return new Map();
+
+  // Aggregate volume by FID (sum across all user addresses)
+  const aggregate = (perWallet, usedSource) => {
+    const volumeByFid = new Map();
+    for (const user of users.values()) {
+      volumeByFid.set(user.fid, { volumeUSD: 0, swaps: [], source: usedSource });
+    }
+    for (const { address, volumeUSD, swaps } of perWallet) {
+      const existing = volumeByFid.get(addressToFid.get(address.toLowerCase()));
+      if (!existing) continue;
+      existing.volumeUSD += volumeUSD;
+      existing.swaps.push(...swaps.map(swap => ({ wallet: address, ...swap })));
+    }
+    return volumeByFid;
+  };
+
+  if (source !== 'webhook') {
+    try {
+      const volumeResults = await getUniswapVolumes(
+        CONFIG.NEYNARTODES,
+        allAddresses,
+        minVolumeUSD,
+        startTime,
+        endTime
+      );
+      return aggregate(volumeResults, 'rpc');
+    } catch (error) {
+      console.error('Error checking volume:', error.message);
+      // An incomplete scan would disqualify wallets that did trade - fail the
+      // evaluation so finalization retries
+      if (source === 'rpc') {
+        error.failEvaluation = true;
+        throw error;
+      }
+      console.log('   Falling back to trade webhook volume');
+    }
+  }
+
+  try {
+    if (!process.env.KV_REST_API_URL) throw new Error('KV not configured');
+    const { kv } = require('@vercel/kv');
+
+    const volumes = await getWalletVolumes(kv, CONFIG.NEYNARTODES, allAddresses, startTime, endTime);
+    return aggregate([...volumes].map(([address, v]) => ({
+      address,
+      volumeUSD: v.volumeUSD,
+      swaps: v.trades.map(t => ({
+        txHash: t.txHash,
+        timestamp: t.timestamp,
+        direction: t.direction,
+        tokens: t.tokens,
+        usd: t.usd
+      }))
+    })), 'webhook');
+  } catch (error) {
+    console.error('Error reading webhook volume:', error.message);
+    return new Map();
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RULE REGISTRY
+// ═══════════════════════════════════════════════════════════════════
+
+const BONUS_RULES = {
+  holder: {
+    id: 'holder',
+    label: 'Holder',
+    emoji: '💎',
+    description: 'Held the minimum balance of the contest token for the whole contest (lowest balance since the start block)',
+    // No minTokens = the contest token's threshold (getHolderThreshold: 100M NEYNARTODES / 200M custom)
+    defaultParams: {},
+    paramLimits: { minTokens: [1, 100_000_000_000] },
+    fetch: async (ctx, params) => {
+      const address = getHolderToken(ctx.tokenRequirement);
+      const { decimals, unresolved } = await getTokenInfo(ctx.provider, address);
+      if (unresolved) {
+        // The threshold scales with decimals - fail rather than guess 18
+        const error = new Error(`Could not read decimals for ${address}`);
+        error.failEvaluation = !ctx.holderLiveFallback;
+        throw error;
+      }
+      const threshold = params.minTokens
+        ? BigInt(params.minTokens) * 10n ** BigInt(decimals)
+        : getHolderThreshold(address, decimals).threshold;
+      const token = { address, decimals };
+      const users = [...ctx.users.values()];
+
+      // Lowest balance over the contest window. If the RPC can't serve archive state the
+      // evaluation fails (finalization retries the stage) - live balance - cooldown
+      // (method: 'live') only when ctx.holderLiveFallback is set
+      try {
+        const window = ctx.holderSnapshot || await getSnapshotWindow(ctx.provider, ctx.startTime, ctx.endTime);
+        return await getSnapshotHolderStatuses(users, ctx.provider, threshold, window, token);
+      } catch (e) {
+        if (!ctx.holderLiveFallback) {
+          e.failEvaluation = true;
+          throw e;
+        }
+        console.error('Holder snapshot failed, using live balances:', e.message);
+        return getHolderStatuses(users, ctx.provider, threshold, token);
+      }
+    },
+    qualify: (data, user) => {
+      const status = data.get(user.fid);
+      return {
+        qualified: !!status?.isHolder,
+        balance: status ? formatTokenBalance(status.eligibleBalance, status.decimals) : '0',
+        method: status?.method || null,
+        cooldownReason: status?.cooldownReason || null,
+        snapshotReason: status?.snapshotReason || null
+      };
+    },
+  },
+
+  reply: {
+    id: 'reply',
+    label: 'Reply',
+    emoji: '💬',
+    description: 'Replied to the contest cast with a minimum number of words',
+    defaultParams: { minWords: 3 },
+    paramLimits: { minWords: [1, 100] },
+    fetch: async (ctx) => getRepliers(ctx.castHash),
+    qualify: (data, user, params) => {
+      const wordCount = data.get(user.fid)?.wordCount || 0;
+      return { qualified: wordCount >= params.minWords, wordCount };
+    },
+  },
+
+  share: {
+    id: 'share',
+    label: 'Shared',
+    emoji: '📤',
+    description: 'Clicked the Share button in the app',
+    defaultParams: {},
+    paramLimits: {},
+    fetch: async (ctx) => getSharers(ctx.contestId),
+    qualify: (data, user) => ({ qualified: data.has(user.fid) }),
+  },
+
+  volume: {
+    id: 'volume',
+    label: 'Volume',
+    emoji: '📈',
+    description: 'Swapped at least the minimum USD volume of NEYNARTODES during the contest (transfers don\'t count)',
+    defaultParams: { minUSD: 20 },
+    paramLimits: { minUSD: [1, 100_000] },
+    fetch: async (ctx, params) => getVolumes(ctx.users, ctx.startTime, ctx.endTime, params.minUSD, ctx.volumeSource),
+    qualify: (data, user, params) => {
+      const volume = data.get(user.fid);
+      const volumeUSD = volume?.volumeUSD || 0;
+      // Swap list lets hosts audit why someone qualified
+      return { qualified: volumeUSD >= params.minUSD, volumeUSD, swaps: volume?.swaps || [], source: volume?.source || null };
+    },
+  },
+};
+
+// Contests without a stored config get every rule at +1 entry
+const DEFAULT_BONUS_CONFIG = Object.values(BONUS_RULES).map(rule => ({
+  id: rule.id,
+  weight: 1,
+  params: { ...rule.defaultParams }
+}));
+
+// ═══════════════════════════════════════════════════════════════════
+// PER-CONTEST CONFIG
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Validate a host-supplied rule selection and fill in default params
+ * @param {Array<{id: string, weight?: number, params?: object}>} rules
+ * @returns {{valid: boolean, error?: string, config?: Array}}
+ */
+function validateBonusConfig(rules) {
+  if (!Array.isArray(rules)) {
+    return { valid: false, error: 'rules must be an array' };
+  }
+
+  const seen = new Set();
+  const config = [];
+
+  for (const input of rules) {
+    const rule = BONUS_RULES[input?.id];
+    if (!rule) {
+      return { valid: false, error: `Unknown bonus rule: ${input?.id}` };
+    }
+    if (seen.has(rule.id)) {
+      return { valid: false, error: `Duplicate bonus rule: ${rule.id}` };
+    }
+    seen.add(rule.id);
+
+    const weight = input.weight === undefined ? 1 : Number(input.weight);
+    if (!Number.isInteger(weight) || weight < 0 || weight > MAX_RULE_WEIGHT) {
+      return { valid: false, error: `Weight for ${rule.id} must be an integer from 0 to ${MAX_RULE_WEIGHT}` };
+    }
+
+    const params = { ...rule.defaultParams };
+    for (const [key, value] of Object.entries(input.params || {})) {
+      const limits = rule.paramLimits[key];
+      if (!limits) {
+        return { valid: false, error: `Unknown param for ${rule.id}: ${key}` };
+      }
+      const num = Number(value);
+      if (!Number.isFinite(num) || num < limits[0] || num > limits[1]) {
+        return { valid: false, error: `${rule.id}.${key} must be between ${limits[0]} and ${limits[1]}` };
+      }
+      params[key] = num;
+    }
+
+    config.push({ id: rule.id, weight, params });
+  }
+
+  return { valid: true, config };
+}
+
+/**
+ * Get the bonus rule config for a contest (falls back to defaults)
+ * @param {string} contestId - Contest ID (M-1 or T-1 format)
+ * @returns {Promise<Array<{id: string, weight: number, params: object}>>}
+ */
+async function getContestBonusConfig(contestId) {
+  try {
+    if (process.env.KV_REST_API_URL) {
+      const { kv } = require('@vercel/kv');
+      const stored = await kv.get(`contest_bonus_rules:${contestId}`);
+      if (stored) {
+        const { valid, config } = validateBonusConfig(stored);
+        if (valid) return config;
+        console.error(`Invalid stored bonus rules for ${contestId}, using defaults`);
+      }
+    }
+  } catch (e) {
+    console.error('Error loading bonus rules:', e.message);
+  }
+
+  return DEFAULT_BONUS_CONFIG.map(r => ({ ...r, params: { ...r.params } }));
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// EVALUATION
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Evaluate a contest's bonus rules for every user. A rule whose data can't be
+ * fetched counts as not qualified, unless its error has failEvaluation set
+ * (holder snapshot, rpc volume scan) - then the evaluation throws.
+ * @param {object} ctx - { contestId, castHash, users, provider, startTime, endTime, holderLiveFallback? }
+ * @param {Array<{id: string, weight: number, params: object}>} config - From getContestBonusConfig()
+ * @returns {Promise<{results: Map<number, {entries: number, bonuses: string[], details: object}>, counts: object}>}
+ */
+async function evaluateBonusRules(ctx, config) {
+  const activeRules = config.filter(r => r.weight > 0 && BONUS_RULES[r.id]);
+
+  // Fetch data for every rule in parallel
+  const ruleData = await Promise.all(
+    activeRules.map(r => BONUS_RULES[r.id].fetch(ctx, r.params).catch(e => {
+      if (e.failEvaluation) throw e;
+      console.error(`Error fetching ${r.id} bonus data:`, e.message);
+      return new Map();
+    }))
+  );
+
+  const results = new Map();
+  const counts = Object.fromEntries(activeRules.map(r => [r.id, 0]));
+
+  for (const user of ctx.users.values()) {
+    let entries = 1; // Base entry
+    const bonuses = [];
+    const details = {};
+
+    activeRules.forEach((r, idx) => {
+      const detail = BONUS_RULES[r.id].qualify(ruleData[idx], user, r.params);
+      details[r.id] = detail;
+      if (detail.qualified) {
+        entries += r.weight;
+        bonuses.push(r.id);
+        counts[r.id]++;
+      }
+    });
+
+    results.set(user.fid, { entries, bonuses, details });
+  }
+
+  return { results, counts };
+}
+
+/**
+ * Describe a bonus for display, e.g. "💬 Reply (5 words)"
+ * @param {string} ruleId - Rule id
+ * @param {object} [detail] - Detail returned by qualify()
+ * @returns {string}
+ */
+function describeBonus(ruleId, detail = {}) {
+  const rule = BONUS_RULES[ruleId];
+  if (!rule) return ruleId;
+  if (ruleId === 'holder' && detail.balance) return `${rule.emoji} ${rule.label} (${detail.balance})`;
+  if (ruleId === 'reply' && detail.wordCount) return `${rule.emoji} ${rule.label} (${detail.wordCount} words)`;
+  if (ruleId === 'volume' && detail.volumeUSD) return `${rule.emoji} ${rule.label} ($${detail.volumeUSD.toFixed(2)})`;
+  return `${rule.emoji} ${rule.label}`;
+}
+
+module.exports = {
+  BONUS_RULES,
+  DEFAULT_BONUS_CONFIG,
+  MAX_RULE_WEIGHT,
+  TRANSFER_COOLDOWN_HOURS,
+  getHolderThreshold,
+  getHolderToken,
+  validateBonusConfig,
+  getContestBonusConfig,
+  evaluateBonusRules,
+  describeBonus,
+  checkHolderStatus,
+  getHolderStatuses,
+  getSnapshotHolderStatuses,
+  calculateCooldownAmount,
+  formatTokenBalance,
+};
@@ -20,6 +20,14 @@ const CONFIG = {
   // Common tokens
   WETH: '0x4200000000000000000000000000000000000006',
 
+  // DEX factories (token/WETH pool discovery, lib/price-resolver.js)
+  UNISWAP_V2_FACTORY: '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6',
+  UNISWAP_V3_FACTORY: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD',
+  AERODROME_FACTORY: '0x420DD381b31aEf6683db6B902084cB0FFECe40Da',
+
+  // Multicall3 (same address on every chain)
+  MULTICALL3: '0xcA11bde05977b3631167028862bE2a173976CA11',
+
   // RPC & API
   BASE_RPC: process.env.BASE_RPC_URL || 'https://base-mainnet.g.alchemy.com/v2/QooWtq9nKQlkeqKF_-rvC',
   NEYNAR_API_KEY: process.env.NEYNAR_API_KEY || 'AA2E0FC2-FDC0-466D-9EBA-4BCA968C9B1D',
@@ -58,11 +66,15 @@ const ABIS = {
     'function createTestContestERC20(address prizeToken, uint256 prizeAmount, uint256 duration, string calldata castId, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount) payable returns (uint256)',
     'function registerTestContest(uint256 depositId, uint256 duration, string calldata castId, address tokenRequirement, uint256 volumeRequirement) payable returns (uint256)',
     // Finalization
-    'function finalizeContest(uint256 contestId, address[] calldata qualifiedAddresses) external',
-    'function finalizeTestContest(uint256 contestId, address[] calldata qualifiedAddresses) external',
+    'function finalizeContest(uint256 contestId, address[] calldata qualifiedAddresses, uint256 randomSeed) external',
+    'function finalizeTestContest(uint256 contestId, address[] calldata qualifiedAddresses, uint256 randomSeed) external',
+    // Cancel
+    'function cancelContest(uint256 contestId, string calldata reason) external',
+    'function cancelTestContest(uint256 contestId, string calldata reason) external',
     // NFT deposit management
     'function withdrawDeposit(uint256 depositId) external',
     // Admin
+    'function owner() view returns (address)',
     'function setMinPrizeValue(uint256 _minPrizeValueWei) external',
     // Events
     'event ContestCreated(uint256 indexed contestId, address indexed host, uint8 prizeType, bool isTest)',
@@ -105,6 +117,7 @@ const ABIS = {
 
   V4_STATE_VIEW: [
     'function getSlot0(bytes32 poolId) view returns (uint160 sqrtPriceX96, int24 tick, uint24 protocolFee, uint24 lpFee)',
+    'function getLiquidity(bytes32 poolId) view returns (uint128)',
   ],
 
   CHAINLINK: [
@@ -118,9 +131,17 @@ const ABIS = {
   ],
 
   V3_FACTORY: ['function getPool(address, address, uint24) view returns (address)'],
+  // Aerodrome volatile (stable = false) / stable pools
+  AERODROME_FACTORY: ['function getPool(address tokenA, address tokenB, bool stable) view returns (address)'],
+  MULTICALL3: [
+    'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+  ],
+
   V3_POOL: [
     'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
     'function token0() view returns (address)',
+    'function liquidity() view returns (uint128)',
+    'function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)',
   ],
 };
 
@@ -0,0 +1,484 @@
+/**
+ * Contest Index - ContestManager contests in KV, built from contract events
+ *
+ * Instead of looping 1..nextContestId and calling getContestFull for every ID,
+ * the indexer reads ContestCreated / ContestFinalized logs from a stored block
+ * cursor and keeps one normalized record per contest:
+ *
+ *   contest_index:{contestId}        - record (see normalizeContest)
+ *   contest_index:ids:{main|test}    - sorted set of contest IDs (score = numeric ID)
+ *   contest_index:open               - contests not yet Completed/Cancelled
+ *   contest_index:cursor             - { block, hash, updatedAt } last indexed block
+ *
+ * Records are always hydrated from getContestFull, never built from event
+ * data alone, so replaying a block range is harmless. Open contests are
+ * re-read on every sync, which picks up status changes that don't emit one
+ * of the two events (finalize -> PendingVRF, cancellation).
+ *
+ * Reorg safety:
+ *   - Only blocks at least INDEX_CONFIRMATIONS deep are indexed
+ *   - The cursor stores its block hash; if the chain no longer has that hash,
+ *     the next sync rewinds REORG_REWIND_BLOCKS and replays
+ *   - rebuildContestIndex() replays from the deploy block and then prunes
+ *     records that no replayed event produced
+ *
+ * New ContestCreated events also get a server-side prize price snapshot at
+ * their creation block (TWAP, see lib/price-oracle.js), and open contests get
+ * their ending-soon and finalize jobs queued (lib/contest-jobs.js).
+ *
+ * Sync runs from the finalize cron (every 2 min) and lazily from readers
+ * whose index is older than their maxAgeMs. Backfill / rebuild:
+ *   node scripts/contest-index.js [--rebuild]
+ */
+
+const { ethers } = require('ethers');
+const { CONFIG, ABIS } = require('./config');
+const { getContests, toContest } = require('./contest-manager');
+const { snapshotContestPrize } = require('./price-oracle');
+const { scheduleContestJobs } = require('./contest-jobs');
+
+const INDEX_CONFIRMATIONS = 30; // ~1 minute on Base
+const REORG_REWIND_BLOCKS = 500;
+const LOG_CHUNK_BLOCKS = 10000;
+const DEFAULT_SYNC_BLOCKS = 200000; // ~4.6 days per call - backfills take several
+const HYDRATE_BATCH_SIZE = 100; // one multicall per batch
+const LOCK_TTL_SECONDS = 120;
+// Only value prizes of contests created within ~1 day of the head (not during backfills)
+const PRIZE_SNAPSHOT_MAX_BLOCKS = 43200;
+
+const KEYS = {
+  record: (contestId) => `contest_index:${contestId}`,
+  ids: (type) => `contest_index:ids:${type}`,
+  open: 'contest_index:open',
+  cursor: 'contest_index:cursor',
+  genesis: 'contest_index:genesis',
+  lock: 'contest_index:lock',
+};
+
+const iface = new ethers.Interface(ABIS.CONTEST_MANAGER);
+const CREATED_TOPIC = iface.getEvent('ContestCreated').topicHash;
+const FINALIZED_TOPIC = iface.getEvent('ContestFinalized').topicHash;
+
+// Completed / Cancelled never change again
+const isFinalStatus = (status) => status === 2 || status === 3;
+
+// ═══════════════════════════════════════════════════════════════════
+// RECORDS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Flatten a typed contest (lib/contest-manager.js) into a plain JSON index record
+ * @param {object} contest - From getContests()
+ * @param {object} [existing] - Current record (keeps event metadata)
+ * @returns {object}
+ */
+function normalizeContest(contest, existing = null) {
+  return {
+    contestId: contest.contestId,
+    id: contest.id,
+    isTest: contest.isTest,
+    host: contest.host,
+    contestType: contest.prizeType,
+    status: contest.status,
+    castId: contest.castId,
+    startTime: contest.startTime,
+    endTime: contest.endTime,
+    prizeToken: contest.prizeToken,
+    prizeAmount: contest.prizeAmount.toString(),
+    nftAmount: contest.nftAmount.toString(),
+    tokenRequirement: contest.tokenRequirement,
+    volumeRequirement: contest.volumeRequirement.toString(),
+    winnerCount: contest.winnerCount,
+    winners: contest.winners,
+    createdBlock: existing?.createdBlock ?? null,
+    createdTx: existing?.createdTx ?? null,
+    finalizedBlock: existing?.finalizedBlock ?? null,
+    finalizedTx: existing?.finalizedTx ?? null,
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Read contests from chain and write their records
+ * @param {object} kv - Vercel KV client
+ * @param {object} provider - Ethers provider
+ * @param {string[]} contestIds
+ * @param {number} blockTag - Block to read state at (the synced head)
+ * @param {Map<string, object>} [eventMeta] - contestId -> { createdBlock, createdTx, finalizedBlock, finalizedTx }
+ * @returns {Promise<number>} Records written
+ */
+async function hydrateContests(kv, provider, contestIds, blockTag, eventMeta = new Map()) {
+  let written = 0;
+
+  for (let i = 0; i < contestIds.length; i += HYDRATE_BATCH_SIZE) {
+    const batch = contestIds.slice(i, i + HYDRATE_BATCH_SIZE);
+    const [existing, contests] = await Promise.all([
+      kv.mget(...batch.map(KEYS.record)),
+      getContests(provider, batch, { blockTag })
+    ]);
+
+    for (let j = 0; j < batch.length; j++) {
+      const contestId = batch[j];
+
+      // No contest at this ID (yet) at this block
+      if (!contests[j]) {
+        await removeRecord(kv, contestId);
+        continue;
+      }
+
+      const record = normalizeContest(contests[j], { ...existing[j], ...eventMeta.get(contestId) });
+      await kv.set(KEYS.record(contestId), record);
+      await kv.zadd(KEYS.ids(record.isTest ? 'test' : 'main'), { score: record.id, member: contestId });
+      if (isFinalStatus(record.status)) {
+        await kv.srem(KEYS.open, contestId);
+      } else {
+        await kv.sadd(KEYS.open, contestId);
+      }
+      written++;
+    }
+  }
+
+  return written;
+}
+
+/**
+ * Store prize price snapshots for newly created contests
+ * Failures are logged - the store endpoint can still snapshot later.
+ * @param {Map<string, object>} eventMeta - contestId -> { createdBlock, ... }
+ * @returns {Promise<number>} Snapshots attempted
+ */
+async function snapshotCreatedPrizes(kv, provider, eventMeta, headBlock) {
+  const created = [...eventMeta].filter(([, meta]) =>
+    meta.createdBlock && meta.createdBlock >= headBlock - PRIZE_SNAPSHOT_MAX_BLOCKS
+  );
+  if (created.length === 0) return 0;
+
+  const records = await kv.mget(...created.map(([contestId]) => KEYS.record(contestId)));
+  for (let i = 0; i < created.length; i++) {
+    const [contestId, meta] = created[i];
+    if (!records[i]) continue;
+    try {
+      await snapshotContestPrize(kv, provider, toContest(contestId, records[i]), meta.createdBlock);
+    } catch (e) {
+      console.log(`⚠️ Prize snapshot failed for ${contestId}: ${e.message}`);
+    }
+  }
+  return created.length;
+}
+
+/**
+ * Queue lifecycle jobs for newly created contests that are still open
+ * Failures are logged - the finalize cron's fallback scan queues them later.
+ * @param {Map<string, object>} eventMeta - contestId -> { createdBlock, ... }
+ * @returns {Promise<number>} Jobs enqueued
+ */
+async function scheduleCreatedContests(kv, eventMeta) {
+  const created = [...eventMeta].filter(([, meta]) => meta.createdBlock).map(([contestId]) => contestId);
+  if (created.length === 0) return 0;
+
+  const records = await kv.mget(...created.map(KEYS.record));
+  let scheduled = 0;
+  for (let i = 0; i < created.length; i++) {
+    if (!records[i] || isFinalStatus(records[i].status)) continue;
+    try {
+      scheduled += (await scheduleContestJobs(kv, created[i], records[i].endTime)).length;
+    } catch (e) {
+      console.log(`⚠️ Could not schedule jobs for ${created[i]}: ${e.message}`);
+    }
+  }
+  return scheduled;
+}
+
+async function removeRecord(kv, contestId) {
+  await kv.del(KEYS.record(contestId));
+  await kv.zrem(KEYS.ids(contestId.startsWith('T-') ? 'test' : 'main'), contestId);
+  await kv.srem(KEYS.open, contestId);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// EVENTS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Find the ContestManager deploy block (env override, KV cache, else getCode binary search)
+ */
+async function getGenesisBlock(kv, provider) {
+  const configured = parseInt(process.env.CONTEST_MANAGER_DEPLOY_BLOCK);
+  if (!isNaN(configured)) return configured;
+
+  const cached = await kv.get(KEYS.genesis);
+  if (cached !== null && cached !== undefined) return Number(cached);
+
+  let lo = 0;
+  let hi = await provider.getBlockNumber();
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    const code = await provider.getCode(CONFIG.CONTEST_MANAGER, mid);
+    if (code && code !== '0x') {
+      hi = mid;
+    } else {
+      lo = mid + 1;
+    }
+  }
+
+  console.log(`   ContestManager deployed at block ${lo}`);
+  await kv.set(KEYS.genesis, lo);
+  return lo;
+}
+
+/**
+ * Fetch + decode ContestCreated / ContestFinalized logs
+ * @returns {Promise<Array<{name: string, contestId: string, blockNumber: number, txHash: string}>>}
+ */
+async function fetchContestEvents(provider, fromBlock, toBlock) {
+  const events = [];
+
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_BLOCKS) {
+    const end = Math.min(start + LOG_CHUNK_BLOCKS - 1, toBlock);
+    const logs = await provider.getLogs({
+      address: CONFIG.CONTEST_MANAGER,
+      topics: [[CREATED_TOPIC, FINALIZED_TOPIC]],
+      fromBlock: start,
+      toBlock: end
+    });
+
+    for (const log of logs) {
+      const parsed = iface.parseLog(log);
+      if (!parsed) continue;
+      const prefix = parsed.args.isTest ? 'T-' : 'M-';
+      events.push({
+        name: parsed.name,
+        contestId: `${prefix}${parsed.args.contestId}`,
+        blockNumber: log.blockNumber,
+        txHash: log.transactionHash
+      });
+    }
+  }
+
+  return events;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SYNC
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Advance the index from its cursor toward the confirmed head
+ * @param {object} kv - Vercel KV client
+ * @param {object} provider - Ethers provider
+ * @param {object} [options]
+ * @param {number} [options.maxBlocks=DEFAULT_SYNC_BLOCKS] - Max blocks to scan this call
+ * @param {Set<string>} [options.seen] - Collects every contest ID touched by events (rebuild)
+ * @returns {Promise<object>} { skipped } or { fromBlock, toBlock, events, hydrated, caughtUp, rewound }
+ */
+async function syncContestIndex(kv, provider, { maxBlocks = DEFAULT_SYNC_BLOCKS, seen = null } = {}) {
+  const token = `lock_${Date.now()}`;
+  if (!(await kv.set(KEYS.lock, token, { nx: true, ex: LOCK_TTL_SECONDS }))) {
+    return { skipped: true, reason: 'Another sync is running' };
+  }
+
+  try {
+    const [cursor, latest, genesis] = await Promise.all([
+      kv.get(KEYS.cursor),
+      provider.getBlockNumber(),
+      getGenesisBlock(kv, provider)
+    ]);
+
+    let fromBlock = cursor ? cursor.block + 1 : genesis;
+    let rewound = false;
+
+    // Cursor block replaced by a reorg - replay the recent range
+    if (cursor?.hash) {
+      const block = await provider.getBlock(cursor.block);
+      if (!block || block.hash !== cursor.hash) {
+        fromBlock = Math.max(genesis, cursor.block - REORG_REWIND_BLOCKS);
+        rewound = true;
+        console.log(`⚠️ Contest index cursor ${cursor.block} reorged - replaying from ${fromBlock}`);
+      }
+    }
+
+    const safeHead = latest - INDEX_CONFIRMATIONS;
+    const toBlock = Math.min(safeHead, fromBlock + maxBlocks - 1);
+
+    const events = toBlock >= fromBlock ? await fetchContestEvents(provider, fromBlock, toBlock) : [];
+    const stateBlock = Math.max(toBlock, cursor?.block ?? genesis);
+
+    const eventMeta = new Map();
+    for (const event of events) {
+      const meta = eventMeta.get(event.contestId) || {};
+      if (event.name === 'ContestCreated') {
+        meta.createdBlock = event.blockNumber;
+        meta.createdTx = event.txHash;
+      } else {
+        meta.finalizedBlock = event.blockNumber;
+        meta.finalizedTx = event.txHash;
+      }
+      eventMeta.set(event.contestId, meta);
+      if (seen) seen.add(event.contestId);
+    }
+
+    // Touched by events + everything still open
+    const open = await kv.smembers(KEYS.open);
+    const toHydrate = [...new Set([...eventMeta.keys(), ...(Array.isArray(open) ? open : [])])];
+    const hydrated = await hydrateContests(kv, provider, toHydrate, stateBlock, eventMeta);
+    if (!seen) await snapshotCreatedPrizes(kv, provider, eventMeta, toBlock);
+    await scheduleCreatedContests(kv, eventMeta);
+
+    if (toBlock >= fromBlock) {
+      const block = await provider.getBlock(toBlock);
+      await kv.set(KEYS.cursor, { block: toBlock, hash: block.hash, updatedAt: Date.now() });
+    } else if (cursor) {
+      await kv.set(KEYS.cursor, { ...cursor, updatedAt: Date.now() });
+    }
+
+    if (events.length > 0 || rewound) {
+      console.log(`📇 Contest index: blocks ${fromBlock}-${toBlock}, ${events.length} events, ${hydrated} records`);
+    }
+
+    return { fromBlock, toBlock, events: events.length, hydrated, caughtUp: toBlock >= safeHead, rewound };
+  } finally {
+    if ((await kv.get(KEYS.lock)) === token) {
+      await kv.del(KEYS.lock);
+    }
+  }
+}
+
+/**
+ * Rebuild the index from the deploy block (backfill command).
+ * Existing records stay readable while it runs; afterwards any record that
+ * no replayed event produced (e.g. a reorged-out creation) is pruned.
+ * @param {object} kv - Vercel KV client
+ * @param {object} provider - Ethers provider
+ * @param {function} [onProgress] - Called with each sync result
+ * @returns {Promise<{contests: number, pruned: string[]}>}
+ */
+async function rebuildContestIndex(kv, provider, onProgress = () => {}) {
+  await kv.del(KEYS.cursor);
+
+  const seen = new Set();
+  let result;
+  do {
+    result = await syncContestIndex(kv, provider, { seen });
+    if (result.skipped) throw new Error(result.reason);
+    onProgress(result);
+  } while (!result.caughtUp);
+
+  const pruned = [];
+  for (const type of ['main', 'test']) {
+    const ids = await kv.zrange(KEYS.ids(type), 0, -1);
+    for (const contestId of (Array.isArray(ids) ? ids : [])) {
+      if (!seen.has(contestId)) {
+        await removeRecord(kv, contestId);
+        pruned.push(contestId);
+      }
+    }
+  }
+
+  return { contests: seen.size, pruned };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// QUERIES
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Get indexed contests, newest ID first
+ * @param {object} [options]
+ * @param {'main'|'test'|'all'} [options.type='main']
+ * @param {number[]} [options.statuses] - Only these statuses (0 Active, 1 PendingVRF, 2 Completed, 3 Cancelled)
+ * @param {string} [options.host] - Only contests by this host address
+ * @param {number} [options.maxAgeMs=300000] - Sync first if the index is older than this (0 = never)
+ * @returns {Promise<object[]>} Records from normalizeContest()
+ */
+async function getIndexedContests({ type = 'main', statuses = null, host = null, maxAgeMs = 5 * 60 * 1000 } = {}) {
+  if (!process.env.KV_REST_API_URL) {
+    throw new Error('KV storage not configured');
+  }
+  const { kv } = require('@vercel/kv');
+
+  if (maxAgeMs > 0) {
+    await ensureFresh(kv, maxAgeMs);
+  }
+
+  const types = type === 'all' ? ['main', 'test'] : [type];
+  const contestIds = [];
+  for (const t of types) {
+    const ids = await kv.zrange(KEYS.ids(t), 0, -1, { rev: true });
+    if (Array.isArray(ids)) contestIds.push(...ids);
+  }
+
+  const records = [];
+  const BATCH_SIZE = 100;
+  for (let i = 0; i < contestIds.length; i += BATCH_SIZE) {
+    const batch = contestIds.slice(i, i + BATCH_SIZE);
+    records.push(...(await kv.mget(...batch.map(KEYS.record))).filter(Boolean));
+  }
+
+  const hostLower = host?.toLowerCase();
+  return records.filter(r =>
+    (!statuses || statuses.includes(r.status)) &&
+    (!hostLower || r.host.toLowerCase() === hostLower)
+  );
+}
+
+/**
+ * Get one indexed contest
+ * @param {string} contestId - Contest ID (M-1 or T-1 format)
+ * @returns {Promise<object|null>}
+ */
+async function getIndexedContest(contestId) {
+  if (!process.env.KV_REST_API_URL) return null;
+  const { kv } = require('@vercel/kv');
+  return (await kv.get(KEYS.record(contestId))) || null;
+}
+
+/**
+ * Get the index cursor ({ block, hash, updatedAt } or null if never synced)
+ */
+async function getIndexCursor(kv) {
+  return (await kv.get(KEYS.cursor)) || null;
+}
+
+/**
+ * Summary for the backfill script: cursor + record counts
+ */
+async function getIndexStatus(kv) {
+  const [cursor, main, test, open] = await Promise.all([
+    getIndexCursor(kv),
+    kv.zcard(KEYS.ids('main')),
+    kv.zcard(KEYS.ids('test')),
+    kv.scard(KEYS.open)
+  ]);
+  return { cursor, main: main || 0, test: test || 0, open: open || 0 };
+}
+
+/**
+ * Sync if the index is older than maxAgeMs. A failed sync is logged and the
+ * (stale) index is served anyway.
+ */
+async function ensureFresh(kv, maxAgeMs) {
+  try {
+    const cursor = await getIndexCursor(kv);
+    if (cursor && Date.now() - cursor.updatedAt < maxAgeMs) return;
+
+    if (!cursor) {
+      console.log('⚠️ Contest index not built yet - run node scripts/contest-index.js');
+    }
+    const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+    await syncContestIndex(kv, provider);
+  } catch (e) {
+    console.error('Contest index sync failed:', e.message);
+  }
+}
+
+module.exports = {
+  INDEX_CONFIRMATIONS,
+  REORG_REWIND_BLOCKS,
+  normalizeContest,
+  syncContestIndex,
+  rebuildContestIndex,
+  getIndexedContests,
+  getIndexedContest,
+  getIndexCursor,
+  getIndexStatus,
+};
@@ -0,0 +1,152 @@
+/**
+ * Contest Jobs - typed queue jobs (lib/job-queue.js) for the contest lifecycle
+ *
+ *   finalize      {contestId}             at endTime       finalize-contest cron
+ *   poll_winners  {contestId}             after submit     finalize-contest cron
+ *   sybil_scan    {contestId}             finalize starts  finalize-contest cron
+ *   announce      {contestId}             winners drawn    announce-winner cron
+ *   notify        {kind, contestId, ...}  see below        cron-notifications
+ *
+ * Notify kinds: ending_soon (1 hour before the end - broadcast + entrants),
+ * finalized (winners + host), cancelled (host), deferred (one targeted
+ * notification for FIDs that were in their quiet hours, run when those end, or
+ * that the client rate limited) and rate_limited (a broadcast resent to the
+ * FIDs the client rate limited).
+ *
+ * Jobs are keyed by contest, so scheduling the same contest again (index
+ * replays, the crons' fallback scans, a resumed finalization) is a no-op.
+ */
+
+const { enqueueJob } = require('./job-queue');
+
+const JOB_TYPES = {
+  FINALIZE: 'finalize',
+  POLL_WINNERS: 'poll_winners',
+  SYBIL_SCAN: 'sybil_scan',
+  ANNOUNCE: 'announce',
+  NOTIFY: 'notify',
+};
+
+const ENDING_SOON_LEAD_MS = 60 * 60 * 1000;
+const POLL_WINNERS_DELAY_MS = 2 * 60 * 1000;
+
+/**
+ * Queue finalization for when the contest ends
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId - Contest ID (M-1 or T-1 format)
+ * @param {number} [runAt] - ms, default now
+ */
+async function enqueueFinalize(kv, contestId, runAt = Date.now()) {
+  return enqueueJob(kv, JOB_TYPES.FINALIZE, { contestId }, { key: contestId, runAt });
+}
+
+/**
+ * Queue winner polling after the finalize tx (VRF callback picks the winners)
+ */
+async function enqueuePollWinners(kv, contestId) {
+  return enqueueJob(kv, JOB_TYPES.POLL_WINNERS, { contestId }, {
+    key: contestId,
+    runAt: Date.now() + POLL_WINNERS_DELAY_MS,
+  });
+}
+
+/**
+ * Queue the entrants' sybil scan (lib/sybil) - it runs over many cron runs,
+ * so it's its own job rather than a finalize stage. The worker loads the
+ * entrants from contest_entries, so the payload stays small.
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId
+ */
+async function enqueueSybilScan(kv, contestId) {
+  return enqueueJob(kv, JOB_TYPES.SYBIL_SCAN, { contestId }, { key: contestId });
+}
+
+/**
+ * Queue the winner announcement cast
+ */
+async function enqueueAnnounce(kv, contestId) {
+  return enqueueJob(kv, JOB_TYPES.ANNOUNCE, { contestId }, { key: contestId });
+}
+
+/**
+ * Queue a contest notification
+ * @param {object} kv - Vercel KV client
+ * @param {string} kind - ending_soon | finalized | cancelled
+ * @param {string} contestId
+ * @param {object} [data] - Extra payload for the kind (recipients, prize, reason)
+ * @param {number} [runAt] - ms, default now
+ */
+async function enqueueNotify(kv, kind, contestId, data = {}, runAt = Date.now()) {
+  return enqueueJob(kv, JOB_TYPES.NOTIFY, { ...data, kind, contestId }, { key: `${kind}:${contestId}`, runAt });
+}
+
+/**
+ * Queue a targeted notification for later: recipients in their quiet hours,
+ * or ones the client rate limited
+ * @param {object} kv - Vercel KV client
+ * @param {string} type - Notification type (contest_won, ...)
+ * @param {string} contestId
+ * @param {number[]} fids - Recipients to send to at runAt
+ * @param {object} data - Notification data
+ * @param {number} runAt - ms
+ * @param {number} [attempt=0] - Rate-limit requeues so far
+ */
+async function enqueueDeferredNotify(kv, type, contestId, fids, data, runAt, attempt = 0) {
+  return enqueueJob(kv, JOB_TYPES.NOTIFY, { kind: 'deferred', contestId, type, fids, data, attempt }, {
+    key: `deferred:${type}:${contestId}:${runAt}`,
+    runAt,
+  });
+}
+
+/**
+ * Queue a resend of a broadcast notification to the recipients the client
+ * rate limited
+ * @param {object} kv - Vercel KV client
+ * @param {string} type - Notification type
+ * @param {number[]} fids - Rate-limited recipients
+ * @param {object} data - Notification data
+ * @param {number} runAt - ms (lib/notification-delivery.js rateLimitRetryAt)
+ * @param {number} attempt - Requeues including this one
+ */
+async function enqueueNotifyRetry(kv, type, fids, data, runAt, attempt) {
+  return enqueueJob(kv, JOB_TYPES.NOTIFY, { kind: 'rate_limited', type, fids, data, attempt }, {
+    key: `rate_limited:${type}:${runAt}`,
+    runAt,
+  });
+}
+
+/**
+ * Schedule the jobs a new contest needs: the ending-soon reminder and finalization
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId
+ * @param {number} endTime - Unix seconds
+ * @returns {Promise<string[]>} IDs of newly enqueued jobs
+ */
+async function scheduleContestJobs(kv, contestId, endTime) {
+  const endsAt = endTime * 1000;
+  const scheduled = [];
+
+  if (endsAt > Date.now()) {
+    const remindAt = Math.max(Date.now(), endsAt - ENDING_SOON_LEAD_MS);
+    const reminder = await enqueueNotify(kv, 'ending_soon', contestId, {}, remindAt);
+    if (reminder.enqueued) scheduled.push(reminder.id);
+  }
+
+  const finalize = await enqueueFinalize(kv, contestId, endsAt);
+  if (finalize.enqueued) scheduled.push(finalize.id);
+
+  return scheduled;
+}
+
+module.exports = {
+  JOB_TYPES,
+  ENDING_SOON_LEAD_MS,
+  enqueueFinalize,
+  enqueuePollWinners,
+  enqueueSybilScan,
+  enqueueAnnounce,
+  enqueueNotify,
+  enqueueDeferredNotify,
+  enqueueNotifyRetry,
+  scheduleContestJobs,
+};
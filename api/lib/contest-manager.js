@@ -0,0 +1,316 @@
+/**
+ * ContestManager Client - one place to read contests from the unified ContestManager
+ *
+ * Endpoints used to paste their own getContestFull ABI, contest ID regex,
+ * status map and castId parser. This module owns all of that and returns
+ * typed contest objects (see toContest):
+ *
+ *   {
+ *     contestId: 'M-12', id: 12, isTest: false,
+ *     host, status: 2, statusName: 'Completed',
+ *     prizeType: 1, prizeTypeName: 'ERC20', isNft: false,
+ *     prizeToken, prizeAmount: 1000000n, nftAmount: 0n, nftTokenId: null,
+ *     startTime, endTime,                       (unix seconds)
+ *     castId: '0xabc|R1L0P1',                   (raw, as stored on-chain)
+ *     cast: { hash, requirements: { recast, like, reply }, hasRequirementCode, image },
+ *     tokenRequirement, volumeRequirement: 0n, volumeRequirementUSD: 0,
+ *     winnerCount, winners: []
+ *   }
+ *
+ * withPrize() adds a decimals-aware `prize` ({ symbol, decimals, amount, ... })
+ * so ERC-20 prizes aren't formatted as if they had 18 decimals.
+ *
+ * Batch reads (getContests, getNextContestIds, token info) go through
+ * Multicall3 (lib/multicall.js): one eth_call per 100 reads.
+ */
+
+const { ethers } = require('ethers');
+const { CONFIG, ABIS, CONTEST_STATUS, PRIZE_TYPE, parseContestId } = require('./config');
+const { multicall } = require('./multicall');
+
+const contestManagerInterface = new ethers.Interface(ABIS.CONTEST_MANAGER);
+const erc20Interface = new ethers.Interface(ABIS.ERC20);
+
+const STATUS_NAMES = {
+  [CONTEST_STATUS.ACTIVE]: 'Active',
+  [CONTEST_STATUS.PENDING_VRF]: 'PendingVRF',
+  [CONTEST_STATUS.COMPLETED]: 'Completed',
+  [CONTEST_STATUS.CANCELLED]: 'Cancelled',
+};
+
+const PRIZE_TYPE_NAMES = {
+  [PRIZE_TYPE.ETH]: 'ETH',
+  [PRIZE_TYPE.ERC20]: 'ERC20',
+  [PRIZE_TYPE.ERC721]: 'ERC721',
+  [PRIZE_TYPE.ERC1155]: 'ERC1155',
+};
+
+// No castId requirement code = nothing required (callers can pass their own defaults)
+const DEFAULT_CAST_REQUIREMENTS = { recast: false, like: false, reply: false };
+
+// ═══════════════════════════════════════════════════════════════════
+// IDS + PARSING
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Get a ContestManager contract (provider for reads, wallet for finalize/cancel)
+ * @param {object} runner - Ethers provider or signer
+ */
+function getContestManager(runner) {
+  return new ethers.Contract(CONFIG.CONTEST_MANAGER, ABIS.CONTEST_MANAGER, runner);
+}
+
+/**
+ * @param {number|bigint} id - Numeric contest ID
+ * @param {boolean} isTest
+ * @returns {string} "M-12" / "T-3"
+ */
+function formatContestId(id, isTest) {
+  return `${isTest ? 'T' : 'M'}-${id}`;
+}
+
+/**
+ * Parse an on-chain castId: "0xhash", "0xhash|R1L0P1" or "0xhash|R1L0P1|imageUrl"
+ * (R = recast, L = like, P = reply; 1 required, 0 not)
+ * @param {string} castId
+ * @param {{recast: boolean, like: boolean, reply: boolean}} [defaults] - Used for letters missing from the code
+ * @returns {{hash: string, requirements: {recast: boolean, like: boolean, reply: boolean}, hasRequirementCode: boolean, image: string}}
+ */
+function parseCastId(castId, defaults = DEFAULT_CAST_REQUIREMENTS) {
+  const [hash, reqCode, ...imageParts] = String(castId || '').split('|');
+  const requirements = { ...defaults };
+
+  if (reqCode) {
+    const flags = { recast: /R(\d)/, like: /L(\d)/, reply: /P(\d)/ };
+    for (const [name, pattern] of Object.entries(flags)) {
+      const match = reqCode.match(pattern);
+      if (match) requirements[name] = match[1] !== '0';
+    }
+  }
+
+  return {
+    hash,
+    requirements,
+    hasRequirementCode: !!reqCode,
+    image: imageParts.join('|'),
+  };
+}
+
+/**
+ * Build a typed contest from a getContestFull struct or a contest index record
+ * @param {string} contestId - Contest ID (M-1 or T-1 format)
+ * @param {object} data - Struct (bigints) or index record (strings/numbers)
+ * @returns {object} Typed contest (see file header)
+ */
+function toContest(contestId, data) {
+  const parsed = parseContestId(contestId);
+  const isTest = parsed.type === 'test';
+  const prizeType = Number(data.contestType);
+  const status = Number(data.status);
+  const isNft = prizeType === PRIZE_TYPE.ERC721 || prizeType === PRIZE_TYPE.ERC1155;
+  const prizeAmount = BigInt(data.prizeAmount);
+  const volumeRequirement = BigInt(data.volumeRequirement);
+
+  return {
+    contestId: formatContestId(parsed.id, isTest),
+    id: parsed.id,
+    isTest,
+    host: data.host,
+    status,
+    statusName: STATUS_NAMES[status] || 'Unknown',
+    prizeType,
+    prizeTypeName: PRIZE_TYPE_NAMES[prizeType] || 'Unknown',
+    isNft,
+    prizeToken: data.prizeToken,
+    // For NFT contests prizeAmount is the token ID
+    prizeAmount,
+    nftAmount: BigInt(data.nftAmount),
+    nftTokenId: isNft ? prizeAmount : null,
+    startTime: Number(data.startTime),
+    endTime: Number(data.endTime),
+    castId: data.castId,
+    cast: parseCastId(data.castId),
+    tokenRequirement: data.tokenRequirement,
+    volumeRequirement,
+    volumeRequirementUSD: Number(ethers.formatEther(volumeRequirement)),
+    winnerCount: Number(data.winnerCount),
+    winners: [...data.winners],
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CONTEST READS
+// ═══════════════════════════════════════════════════════════════════
+
+function contestCall(contestId) {
+  const parsed = parseContestId(contestId);
+  return {
+    target: CONFIG.CONTEST_MANAGER,
+    iface: contestManagerInterface,
+    fn: parsed.type === 'test' ? 'getTestContestFull' : 'getContestFull',
+    args: [parsed.id]
+  };
+}
+
+/**
+ * Read one contest
+ * @param {object} provider - Ethers provider
+ * @param {string} contestId - Contest ID (M-1, T-1, or a bare number for main)
+ * @param {object} [options]
+ * @param {number|string} [options.blockTag]
+ * @param {boolean} [options.withPrize=false] - Also resolve prize symbol/decimals (see withPrize)
+ * @returns {Promise<object|null>} Typed contest, or null if the ID doesn't exist
+ */
+async function getContest(provider, contestId, { blockTag, withPrize: includePrize = false } = {}) {
+  const parsed = parseContestId(contestId);
+  if (!parsed || isNaN(parsed.id)) return null;
+
+  const contract = getContestManager(provider);
+  const fn = parsed.type === 'test' ? 'getTestContestFull' : 'getContestFull';
+  const struct = await contract[fn](parsed.id, blockTag !== undefined ? { blockTag } : {});
+  if (struct.host === ethers.ZeroAddress) return null;
+
+  const contest = toContest(contestId, struct);
+  return includePrize ? withPrize(provider, contest) : contest;
+}
+
+/**
+ * Read many contests in Multicall3 batches
+ * @param {object} provider - Ethers provider
+ * @param {string[]} contestIds
+ * @param {object} [options]
+ * @param {number|string} [options.blockTag]
+ * @returns {Promise<Array<object|null>>} Same order as contestIds; null for missing/failed reads
+ */
+async function getContests(provider, contestIds, { blockTag } = {}) {
+  const results = await multicall(provider, contestIds.map(contestCall), { blockTag });
+  return results.map((r, i) =>
+    r.success && r.value.host !== ethers.ZeroAddress ? toContest(contestIds[i], r.value) : null
+  );
+}
+
+/**
+ * Get the next contest IDs (IDs in use are 1..next-1)
+ * @returns {Promise<{main: number, test: number}>}
+ */
+async function getNextContestIds(provider) {
+  const [main, test] = await multicall(provider, [
+    { target: CONFIG.CONTEST_MANAGER, iface: contestManagerInterface, fn: 'mainNextContestId' },
+    { target: CONFIG.CONTEST_MANAGER, iface: contestManagerInterface, fn: 'testNextContestId' },
+  ]);
+  return {
+    main: main.success ? Number(main.value) : 1,
+    test: test.success ? Number(test.value) : 1,
+  };
+}
+
+/**
+ * Whether the contract will accept finalizeContest for this contest now
+ * @returns {Promise<boolean>}
+ */
+async function canFinalize(provider, contestId) {
+  const parsed = parseContestId(contestId);
+  const contract = getContestManager(provider);
+  return parsed.type === 'test'
+    ? contract.canFinalizeTest(parsed.id)
+    : contract.canFinalize(parsed.id);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TOKENS + PRIZES
+// ═══════════════════════════════════════════════════════════════════
+
+const KNOWN_TOKENS = {
+  [ethers.ZeroAddress]: { symbol: 'ETH', decimals: 18, name: 'Ether' },
+  '0x4200000000000000000000000000000000000006': { symbol: 'WETH', decimals: 18, name: 'Wrapped Ether' },
+  '0x8de1622fe07f56cda2e2273e615a513f1d828b07': { symbol: 'NEYNARTODES', decimals: 18, name: 'Neynartodes' },
+};
+
+const tokenInfoCache = new Map();
+
+/**
+ * Get ERC-20 symbol/decimals/name (cached per instance; one multicall per token)
+ * If decimals can't be read the result is the UNKNOWN / 18 placeholder with
+ * `unresolved: true`, and it isn't cached - anything that values an amount
+ * must not use it.
+ * @param {object} provider - Ethers provider
+ * @param {string} tokenAddress - Zero address = ETH
+ * @returns {Promise<{symbol: string, decimals: number, name: string, unresolved?: boolean}>}
+ */
+async function getTokenInfo(provider, tokenAddress) {
+  const addrLower = (tokenAddress || ethers.ZeroAddress).toLowerCase();
+  if (KNOWN_TOKENS[addrLower]) return KNOWN_TOKENS[addrLower];
+  if (tokenInfoCache.has(addrLower)) return tokenInfoCache.get(addrLower);
+
+  let info = { symbol: 'UNKNOWN', decimals: 18, name: 'Unknown Token' };
+  try {
+    const [symbol, decimals, name] = await multicall(provider, ['symbol', 'decimals', 'name'].map(fn => ({
+      target: tokenAddress, iface: erc20Interface, fn
+    })));
+    if (!decimals.success) {
+      return { ...info, symbol: symbol.success ? symbol.value : info.symbol, unresolved: true };
+    }
+    info = {
+      symbol: symbol.success ? symbol.value : info.symbol,
+      decimals: Number(decimals.value),
+      name: name.success ? name.value : info.name,
+    };
+  } catch (e) {
+    console.log(`Token info lookup failed for ${tokenAddress}: ${e.message}`);
+    return { ...info, unresolved: true };
+  }
+
+  tokenInfoCache.set(addrLower, info);
+  return info;
+}
+
+/**
+ * Add a decimals-aware `prize` to a typed contest
+ *   ETH/ERC20: { type, token, symbol, decimals, raw, amount }  (amount = formatUnits string)
+ *   ETH/ERC20 prizes are token amounts - format them with lib/token-amount.js
+ *   (raw is a string so the contest survives JSON/KV caching)
+ *   NFT:       { type, token, tokenId, quantity }
+ * @param {object} provider - Ethers provider
+ * @param {object} contest - From toContest / getContest / getContests
+ * @returns {Promise<object>} The same contest, with prize set
+ */
+async function withPrize(provider, contest) {
+  if (contest.isNft) {
+    contest.prize = {
+      type: contest.prizeTypeName,
+      token: contest.prizeToken,
+      tokenId: contest.nftTokenId.toString(),
+      quantity: contest.prizeType === PRIZE_TYPE.ERC1155 ? Number(contest.nftAmount) : 1,
+    };
+    return contest;
+  }
+
+  const token = contest.prizeType === PRIZE_TYPE.ETH ? ethers.ZeroAddress : contest.prizeToken;
+  const { symbol, decimals } = await getTokenInfo(provider, token);
+  contest.prize = {
+    type: contest.prizeTypeName,
+    token,
+    symbol,
+    decimals,
+    raw: contest.prizeAmount.toString(),
+    amount: ethers.formatUnits(contest.prizeAmount, decimals),
+  };
+  return contest;
+}
+
+module.exports = {
+  STATUS_NAMES,
+  PRIZE_TYPE_NAMES,
+  KNOWN_TOKENS,
+  getContestManager,
+  formatContestId,
+  parseContestId,
+  parseCastId,
+  toContest,
+  getContest,
+  getContests,
+  getNextContestIds,
+  canFinalize,
+  getTokenInfo,
+  withPrize,
+};
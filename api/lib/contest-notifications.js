@@ -0,0 +1,150 @@
+/**
+ * Contest Notifications - targeted (per-FID) notifications about one contest
+ *
+ *   contest_won             winners - when finalize-contest or announce-winner resolves them
+ *   contest_ending_entered  entrants (contest_entries:{id}) - 1 hour before the end
+ *   contest_finalized       host - winners were drawn
+ *   contest_cancelled       host - finalization cancelled the contest, with the reason
+ *
+ * All of them go through sendNotification(type, data, targetFids), so each
+ * recipient's preferences (lib/notification-prefs.js) still apply.
+ *
+ * Finalization resumes across cron runs and winners are resolved by both
+ * finalize-contest and announce-winner, so each contest notification keeps
+ * the FIDs it has reached in a KV set (notif:sent:{type}:{contestId}:fids)
+ * and only sends to the rest. sendNotification reports the FIDs whose
+ * delivery failed (pendingFids) instead of throwing; those stay out of the set
+ * and the send returns an error, so the notify job (api/cron-notifications.js)
+ * retries just them. FIDs filtered out by their preferences or without a
+ * notification token count as done. FIDs in their quiet hours get a `deferred`
+ * notify job for when those end (lib/contest-jobs.js enqueueDeferredNotify),
+ * and so do FIDs the client rate limited (rateLimitedFids), 30s later and
+ * doubling - after MAX_RATE_LIMIT_REQUEUES they fall back to the job retry.
+ * Two overlapping sends to the same FID share a notificationId, so the client
+ * shows it once.
+ */
+
+const { enqueueDeferredNotify } = require('./contest-jobs');
+const { MAX_RATE_LIMIT_REQUEUES, rateLimitRetryAt } = require('./notification-delivery');
+
+const SENT_SET_TTL_SECONDS = 60 * 60 * 24 * 30; // 30 days
+
+/**
+ * Send one targeted notification to each FID at most once per contest
+ * @param {object} kv - Vercel KV client
+ * @param {string} type - Notification type
+ * @param {string} contestId - Contest ID (M-1 or T-1 format)
+ * @param {Array<number|string>} fids - Recipients
+ * @param {object} data - Notification data (contestId is added)
+ * @param {object} [options]
+ * @param {number} [options.attempt=0] - Rate-limit requeues so far
+ * @returns {Promise<object>} sendNotification result, or { sent: 0, skipped },
+ *   plus error when some FIDs are still to be reached (retry the send)
+ */
+async function sendOnce(kv, type, contestId, fids, data, { attempt = 0 } = {}) {
+  const targetFids = [...new Set(fids.map(fid => parseInt(fid)).filter(fid => fid > 0))];
+  if (targetFids.length === 0) return { sent: 0, skipped: 'no_recipients' };
+
+  const sentKey = `notif:sent:${type}:${contestId}:fids`;
+  const alreadySent = new Set(((await kv.smembers(sentKey)) || []).map(fid => parseInt(fid)));
+  const remaining = targetFids.filter(fid => !alreadySent.has(fid));
+  if (remaining.length === 0) return { sent: 0, skipped: 'already_sent' };
+
+  try {
+    const { sendNotification } = require('../send-notification');
+    const result = await sendNotification(type, { ...data, contestId }, remaining, { requeue: false });
+    const pending = new Set(result.pendingFids || []);
+    const deferred = result.deferred || [];
+    const rateLimited = result.rateLimitedFids || [];
+    const requeue = rateLimited.length > 0 && attempt < MAX_RATE_LIMIT_REQUEUES;
+    if (!requeue) rateLimited.forEach(fid => pending.add(fid));
+    const laterFids = new Set([...deferred.map(d => d.fid), ...(requeue ? rateLimited : [])]);
+    const done = remaining.filter(fid => !pending.has(fid) && !laterFids.has(fid));
+
+    // One job per quiet-hours end time
+    const byTime = new Map();
+    for (const { fid, until } of deferred) {
+      if (!byTime.has(until)) byTime.set(until, []);
+      byTime.get(until).push(fid);
+    }
+    for (const [until, fidsAtTime] of byTime) {
+      await enqueueDeferredNotify(kv, type, contestId, fidsAtTime, data, until);
+    }
+    if (requeue) {
+      await enqueueDeferredNotify(kv, type, contestId, rateLimited, data, rateLimitRetryAt(attempt), attempt + 1);
+    }
+
+    if (done.length > 0) {
+      await kv.sadd(sentKey, ...done.map(String));
+      await kv.expire(sentKey, SENT_SET_TTL_SECONDS);
+    }
+    console.log(`   🔔 ${type} for ${contestId}: ${result.sent || 0}/${remaining.length} notified, ${pending.size} to retry, ` +
+      `${requeue ? rateLimited.length : 0} requeued (rate limited), ${deferred.length} after quiet hours`);
+
+    if (pending.size > 0) {
+      return { ...result, error: `${pending.size} recipient(s) not reached (${result.failed || 0} failed, ${requeue ? 0 : rateLimited.length} rate limited)` };
+    }
+    return result;
+  } catch (e) {
+    // Nothing recorded for this run - a later one tries the remaining FIDs again
+    console.error(`Could not send ${type} for ${contestId}:`, e.message);
+    return { sent: 0, error: e.message };
+  }
+}
+
+/**
+ * Tell winners they won
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId
+ * @param {number[]} winnerFids
+ * @param {object} [details]
+ * @param {string} [details.prize] - Prize display per winner ("0.05 ETH")
+ */
+async function notifyWinners(kv, contestId, winnerFids, { prize } = {}) {
+  return sendOnce(kv, 'contest_won', contestId, winnerFids, { prize });
+}
+
+/**
+ * Remind everyone who entered that the contest ends soon
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId
+ * @param {object} [details]
+ * @param {string} [details.prize] - Prize display
+ * @param {number} [details.minutesLeft]
+ */
+async function notifyEntrantsEndingSoon(kv, contestId, { prize, minutesLeft } = {}) {
+  const entrantFids = await kv.smembers(`contest_entries:${contestId}`) || [];
+  return sendOnce(kv, 'contest_ending_entered', contestId, entrantFids, { prize, minutesLeft });
+}
+
+/**
+ * Tell the host their contest was finalized
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId
+ * @param {number} hostFid
+ * @param {object} [details]
+ * @param {number} [details.winnerCount]
+ * @param {number} [details.participants] - Qualified entrants
+ */
+async function notifyHostFinalized(kv, contestId, hostFid, { winnerCount, participants } = {}) {
+  return sendOnce(kv, 'contest_finalized', contestId, [hostFid], { winnerCount, participants });
+}
+
+/**
+ * Tell the host their contest was cancelled
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId
+ * @param {number} hostFid
+ * @param {string} reason - Cancel reason sent on-chain ("No entries", ...)
+ */
+async function notifyHostCancelled(kv, contestId, hostFid, reason) {
+  return sendOnce(kv, 'contest_cancelled', contestId, [hostFid], { reason });
+}
+
+module.exports = {
+  sendOnce,
+  notifyWinners,
+  notifyEntrantsEndingSoon,
+  notifyHostFinalized,
+  notifyHostCancelled,
+};
@@ -0,0 +1,480 @@
+/**
+ * Verifiable draw - commit-reveal randomness for winner selection
+ *
+ * The seed for a contest is derived from two inputs, neither of which the
+ * backend can choose after the contest ends:
+ *   1. A secret committed (by hash) before the contest ends - the hash is
+ *      published in a cast, so the commitment time is the cast's timestamp
+ *      on Farcaster, not anything stored in our own KV
+ *   2. The hash of the first Base block at or after the contest endTime
+ *
+ *   seed = keccak256(abi.encode(secret, revealBlockHash))
+ *
+ * The entry list (address + weight) is hashed into the proof but is not part
+ * of the seed: sybil, blocklist and bonus decisions are made after the reveal
+ * block, so a seed over the list could be ground by changing it. (v1 proofs,
+ * LEGACY_DRAW_ALGORITHM, did hash it into the seed.)
+ *
+ * A published commitment that can't be verified fails the draw (and the
+ * finalize stage retries) instead of drawing without the secret, and contests
+ * starting at or after COMMITMENT_REQUIRED_FROM can't be drawn without one -
+ * otherwise the backend could pick between two seeds once the block is known.
+ *
+ * Winners are then drawn by weighted selection without replacement, using
+ * keccak256(abi.encode(seed, round)) as the random value for each round.
+ * Everything needed to re-run the draw is published with finalize_data and
+ * checked by /api/verify-draw.
+ *
+ * Single-winner contests send one address per entry to the contract, which
+ * accepts at most MAX_POOL_SIZE. Larger pools are cut down by reduceEntryPool():
+ * a partial Fisher-Yates shuffle of the canonically sorted entries, driven by
+ *
+ *   poolSeed = keccak256(abi.encode(seed, "pool-reduction"))
+ *   j_i      = i + keccak256(abi.encode(poolSeed, i)) mod (n - i)
+ *
+ * Every entry is equally likely to survive, so each user's chance of winning
+ * stays proportional to their entry count, and anyone can repeat the cut
+ * from the published seed. (Modulo bias is below n / 2^256.)
+ */
+
+const { ethers } = require('ethers');
+const { CONFIG } = require('./config');
+
+const DRAW_ALGORITHM = 'commit-reveal-weighted-v2';
+const LEGACY_DRAW_ALGORITHM = 'commit-reveal-weighted-v1';
+
+// Contests starting at or after this time (unix seconds) need a published commitment
+const COMMITMENT_REQUIRED_FROM = 1792454400; // 2026-10-20T00:00:00Z
+const POOL_REDUCTION_ALGORITHM = 'seeded-partial-fisher-yates-v1';
+
+// Max entries the contract accepts for a single-winner draw (VRF/gas limit)
+const MAX_POOL_SIZE = 1000;
+
+const ZERO_HASH = ethers.ZeroHash;
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// ═══════════════════════════════════════════════════════════════════
+// COMMITMENT
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Create the draw commitment for a contest if it doesn't exist yet.
+ * The secret stays in KV until finalization reveals it; only the hash is public.
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId - Contest ID (M-1 or T-1 format)
+ * @returns {Promise<{commitHash: string, committedAt: number}>}
+ */
+async function ensureDrawCommitment(kv, contestId) {
+  const key = `draw_commit:${contestId}`;
+  const secret = ethers.hexlify(ethers.randomBytes(32));
+  const commitment = {
+    commitHash: ethers.keccak256(secret),
+    secret,
+    committedAt: Date.now()
+  };
+
+  // NX - never replace an existing commitment
+  await kv.set(key, commitment, { nx: true });
+
+  const stored = await kv.get(key);
+  return { commitHash: stored.commitHash, committedAt: stored.committedAt };
+}
+
+/**
+ * Get the stored draw commitment (including secret) for a contest
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId - Contest ID
+ * @returns {Promise<{commitHash: string, secret: string, committedAt: number}|null>}
+ */
+async function getDrawCommitment(kv, contestId) {
+  return (await kv.get(`draw_commit:${contestId}`)) || null;
+}
+
+/**
+ * Publish the commitment hash in a cast from the bot account (no-op once published).
+ * The cast is the external, timestamped record that the secret was fixed before
+ * the contest ended; /api/verify-draw checks against it instead of committedAt.
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId - Contest ID
+ * @param {string} signerUuid - Neynar signer of the bot account
+ * @returns {Promise<{castHash: string, publishedAt: number}|null>} null if not published (yet)
+ */
+async function publishDrawCommitment(kv, contestId, signerUuid) {
+  const key = `draw_commit:${contestId}`;
+  const commitment = await kv.get(key);
+  if (!commitment) return null;
+  if (commitment.publication) return commitment.publication;
+  if (!signerUuid) return null;
+
+  // Concurrent entries - only one posts the cast
+  if (!(await kv.set(`draw_commit_publish:${contestId}`, 1, { nx: true, ex: 60 }))) return null;
+
+  const response = await fetch('https://api.neynar.com/v2/farcaster/cast', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'api_key': CONFIG.NEYNAR_API_KEY
+    },
+    body: JSON.stringify({
+      signer_uuid: signerUuid,
+      text: `🔐 Draw commitment for contest ${contestId}: ${commitment.commitHash}\n\nRevealed at finalization - verify the draw at /api/verify-draw?contestId=${contestId}`
+    })
+  });
+
+  if (!response.ok) {
+    await kv.del(`draw_commit_publish:${contestId}`);
+    throw new Error(`Commitment cast failed: ${await response.text()}`);
+  }
+
+  const data = await response.json();
+  const publication = { castHash: data.cast?.hash, publishedAt: Date.now() };
+  await kv.set(key, { ...commitment, publication });
+  console.log(`🔐 Published draw commitment for ${contestId}: ${publication.castHash}`);
+  return publication;
+}
+
+/**
+ * Look up a published commitment cast on Farcaster
+ * @param {string} castHash
+ * @param {string} commitHash - Must appear in the cast text
+ * @returns {Promise<{castHash: string, fid: number, timestamp: number, matches: boolean}|null>}
+ *   null if the cast doesn't exist; throws on lookup errors so callers can retry
+ */
+async function fetchCommitmentCast(castHash, commitHash) {
+  const response = await fetch(
+    `https://api.neynar.com/v2/farcaster/cast?identifier=${castHash}&type=hash`,
+    { headers: { 'api_key': CONFIG.NEYNAR_API_KEY } }
+  );
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Cast lookup failed: ${response.status}`);
+  }
+
+  const { cast } = await response.json();
+  return {
+    castHash: cast.hash,
+    fid: cast.author?.fid,
+    timestamp: new Date(cast.timestamp).getTime(),
+    matches: typeof cast.text === 'string' && cast.text.toLowerCase().includes(commitHash.toLowerCase())
+  };
+}
+
+/**
+ * Whether a contest must be drawn with a published commitment
+ * @param {object} contest - Needs startTime (unix seconds)
+ * @returns {boolean}
+ */
+function isCommitmentRequired(contest) {
+  return Number(contest.startTime) >= COMMITMENT_REQUIRED_FROM;
+}
+
+/**
+ * Get the commitment the draw must use: one whose hash was published in a cast
+ * before the contest ended.
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId - Contest ID
+ * @param {number} endTime - Contest end timestamp (unix seconds)
+ * @returns {Promise<object|null>} Commitment with publication.timestamp from the cast,
+ *   or null if none was published. Throws when a publication exists but can't be
+ *   verified (lookup error, cast missing, hash not in it, posted after the end).
+ */
+async function getPublishedCommitment(kv, contestId, endTime) {
+  const commitment = await getDrawCommitment(kv, contestId);
+  if (!commitment?.publication?.castHash) return null;
+
+  const { castHash } = commitment.publication;
+  const cast = await fetchCommitmentCast(castHash, commitment.commitHash);
+  if (!cast) throw new Error(`Commitment cast ${castHash} not found`);
+  if (!cast.matches) throw new Error(`Commitment cast ${castHash} doesn't contain the commit hash`);
+  if (cast.timestamp >= endTime * 1000) {
+    throw new Error(`Commitment cast ${castHash} was posted after the contest ended`);
+  }
+
+  return { ...commitment, publication: { castHash: cast.castHash, fid: cast.fid, timestamp: cast.timestamp } };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// REVEAL BLOCK
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Find the first block with timestamp >= timestamp (binary search)
+ * @param {object} provider - Ethers provider
+ * @param {number} timestamp - Unix seconds
+ * @returns {Promise<{number: number, hash: string, timestamp: number}|null>} null if not mined yet
+ */
+async function findBlockAtTime(provider, timestamp) {
+  const latest = await provider.getBlock('latest');
+  if (!latest || latest.timestamp < timestamp) return null;
+
+  // Estimate a lower bound from ~2 sec blocks, with a one hour safety margin
+  let lo = Math.max(0, latest.number - Math.ceil((latest.timestamp - timestamp) / 2) - 1800);
+  let hi = latest.number;
+
+  const loBlock = await provider.getBlock(lo);
+  if (loBlock.timestamp >= timestamp) lo = 0;
+
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    const block = await provider.getBlock(mid);
+    if (block.timestamp >= timestamp) {
+      hi = mid;
+    } else {
+      lo = mid + 1;
+    }
+  }
+
+  const block = await provider.getBlock(lo);
+  return { number: block.number, hash: block.hash, timestamp: block.timestamp };
+}
+
+/**
+ * Find the reveal block: the first block with timestamp >= the contest endTime
+ * @param {object} provider - Ethers provider
+ * @param {number} endTime - Contest end timestamp (unix seconds)
+ * @returns {Promise<{number: number, hash: string, timestamp: number}|null>} null if not mined yet
+ */
+async function findRevealBlock(provider, endTime) {
+  return findBlockAtTime(provider, endTime);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SEED + SELECTION
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Sort candidates into canonical order (lowercase address ascending)
+ * @param {Array<{address: string, weight: number}>} candidates
+ * @returns {Array<{address: string, weight: number}>}
+ */
+function canonicalEntries(candidates) {
+  return candidates
+    .map(c => ({ address: c.address.toLowerCase(), weight: Number(c.weight) }))
+    .sort((a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : 0));
+}
+
+/**
+ * Hash the canonical entry list: keccak256(abi.encode(address[], uint256[]))
+ * @param {Array<{address: string, weight: number}>} candidates
+ * @returns {string} bytes32 hex
+ */
+function hashEntryList(candidates) {
+  const entries = canonicalEntries(candidates);
+  return ethers.keccak256(abiCoder.encode(
+    ['address[]', 'uint256[]'],
+    [entries.map(e => e.address), entries.map(e => e.weight)]
+  ));
+}
+
+/**
+ * Derive the draw seed
+ * @param {string|null} secret - Revealed commitment secret (ZERO_HASH if none)
+ * @param {string} revealBlockHash - Hash of the reveal block
+ * @returns {string} bytes32 hex
+ */
+function deriveSeed(secret, revealBlockHash) {
+  return ethers.keccak256(abiCoder.encode(
+    ['bytes32', 'bytes32'],
+    [secret || ZERO_HASH, revealBlockHash]
+  ));
+}
+
+/**
+ * Seed of a LEGACY_DRAW_ALGORITHM (v1) proof, which also hashed the entry list
+ * @param {string|null} secret
+ * @param {string} revealBlockHash
+ * @param {string} entryListHash - Hash from hashEntryList()
+ * @returns {string} bytes32 hex
+ */
+function deriveLegacySeed(secret, revealBlockHash, entryListHash) {
+  return ethers.keccak256(abiCoder.encode(
+    ['bytes32', 'bytes32', 'bytes32'],
+    [secret || ZERO_HASH, revealBlockHash, entryListHash]
+  ));
+}
+
+/**
+ * Weighted selection without replacement
+ * @param {Array<{address: string, weight: number}>} candidates
+ * @param {string} seed - bytes32 hex seed from deriveSeed()
+ * @param {number} count - Number of winners to select
+ * @returns {string[]} Winning addresses (lowercase) in draw order
+ */
+function selectWinners(candidates, seed, count) {
+  const remaining = canonicalEntries(candidates).filter(e => e.weight > 0);
+  const winners = [];
+  const rounds = Math.min(count, remaining.length);
+
+  for (let round = 0; round < rounds; round++) {
+    const totalWeight = remaining.reduce((sum, e) => sum + BigInt(e.weight), 0n);
+    let ticket = BigInt(ethers.keccak256(abiCoder.encode(['bytes32', 'uint256'], [seed, round]))) % totalWeight;
+
+    for (let i = 0; i < remaining.length; i++) {
+      const weight = BigInt(remaining[i].weight);
+      if (ticket < weight) {
+        winners.push(remaining[i].address);
+        remaining.splice(i, 1);
+        break;
+      }
+      ticket -= weight;
+    }
+  }
+
+  return winners;
+}
+
+/**
+ * Reduce an oversized entry pool to maxSize entries (see header for the algorithm)
+ * @param {string[]} pool - One address per entry (duplicates = bonus entries)
+ * @param {number} maxSize
+ * @param {string} seed - bytes32 hex seed from deriveSeed()
+ * @returns {string[]} Kept entries (lowercase), sorted
+ */
+function reduceEntryPool(pool, maxSize, seed) {
+  const entries = pool.map(a => a.toLowerCase()).sort();
+  if (entries.length <= maxSize) return entries;
+
+  const poolSeed = ethers.keccak256(abiCoder.encode(['bytes32', 'string'], [seed, 'pool-reduction']));
+  const n = entries.length;
+
+  for (let i = 0; i < maxSize; i++) {
+    const rand = BigInt(ethers.keccak256(abiCoder.encode(['bytes32', 'uint256'], [poolSeed, i])));
+    const j = i + Number(rand % BigInt(n - i));
+    [entries[i], entries[j]] = [entries[j], entries[i]];
+  }
+
+  return entries.slice(0, maxSize).sort();
+}
+
+/**
+ * Hash an entry pool: keccak256(abi.encode(address[]))
+ * @param {string[]} pool - Sorted pool from reduceEntryPool()
+ * @returns {string} bytes32 hex
+ */
+function hashEntryPool(pool) {
+  return ethers.keccak256(abiCoder.encode(['address[]'], [pool]));
+}
+
+/**
+ * Estimate each candidate's chance of winning (used by the finalize dry run).
+ * Exact for a single winner, otherwise a Monte Carlo estimate of the same
+ * weighted-without-replacement selection selectWinners() performs.
+ * @param {Array<{address: string, weight: number}>} candidates
+ * @param {number} winnerCount
+ * @param {number} [iterations=2000] - Simulated draws for multi-winner contests
+ * @returns {Map<string, number>} address (lowercase) -> probability 0..1
+ */
+function estimateWinProbabilities(candidates, winnerCount, iterations = 2000) {
+  const entries = canonicalEntries(candidates).filter(e => e.weight > 0);
+  const totalWeight = entries.reduce((sum, e) => sum + e.weight, 0);
+  const probabilities = new Map(entries.map(e => [e.address, 0]));
+
+  if (entries.length === 0) return probabilities;
+
+  if (winnerCount >= entries.length) {
+    for (const e of entries) probabilities.set(e.address, 1);
+    return probabilities;
+  }
+
+  if (winnerCount === 1) {
+    for (const e of entries) probabilities.set(e.address, e.weight / totalWeight);
+    return probabilities;
+  }
+
+  const wins = new Map(entries.map(e => [e.address, 0]));
+  for (let i = 0; i < iterations; i++) {
+    const remaining = [...entries];
+    let remainingWeight = totalWeight;
+
+    for (let round = 0; round < winnerCount; round++) {
+      let ticket = Math.random() * remainingWeight;
+      let picked = remaining.length - 1;
+      for (let j = 0; j < remaining.length; j++) {
+        if (ticket < remaining[j].weight) {
+          picked = j;
+          break;
+        }
+        ticket -= remaining[j].weight;
+      }
+      wins.set(remaining[picked].address, wins.get(remaining[picked].address) + 1);
+      remainingWeight -= remaining[picked].weight;
+      remaining.splice(picked, 1);
+    }
+  }
+
+  for (const [address, count] of wins) probabilities.set(address, count / iterations);
+  return probabilities;
+}
+
+/**
+ * Run a full draw and build the public proof stored with finalize_data
+ * @param {object} params
+ * @param {Array<{address: string, weight: number}>} params.candidates
+ * @param {number} params.winnerCount
+ * @param {object|null} params.commitment - From getPublishedCommitment()
+ * @param {{number: number, hash: string, timestamp: number}} params.revealBlock
+ * @param {number} params.endTime - Contest end timestamp (unix seconds)
+ * @param {boolean} [params.requireCommitment=false] - From isCommitmentRequired()
+ * @returns {{seed: string, winners: string[], proof: object}}
+ */
+function runDraw({ candidates, winnerCount, commitment, revealBlock, endTime, requireCommitment = false }) {
+  if (commitment && !(commitment.publication?.timestamp < endTime * 1000)) {
+    throw new Error('Draw commitment was not published before the contest ended');
+  }
+  if (!commitment && requireCommitment) {
+    throw new Error('No draw commitment was published before the contest ended');
+  }
+  const validCommitment = commitment || null;
+
+  const entries = canonicalEntries(candidates);
+  const entryListHash = hashEntryList(entries);
+  const seed = deriveSeed(validCommitment?.secret, revealBlock.hash);
+  const winners = selectWinners(entries, seed, winnerCount);
+
+  return {
+    seed,
+    winners,
+    proof: {
+      algorithm: DRAW_ALGORITHM,
+      seed,
+      commitHash: validCommitment?.commitHash || null,
+      secret: validCommitment?.secret || null,
+      committedAt: validCommitment?.committedAt || null,
+      commitCast: validCommitment?.publication.castHash || null,
+      commitCastTimestamp: validCommitment?.publication.timestamp || null,
+      revealBlock: revealBlock.number,
+      revealBlockHash: revealBlock.hash,
+      revealBlockTimestamp: revealBlock.timestamp,
+      entryListHash,
+      entries,
+      winnerCount,
+      winners
+    }
+  };
+}
+
+module.exports = {
+  DRAW_ALGORITHM,
+  LEGACY_DRAW_ALGORITHM,
+  POOL_REDUCTION_ALGORITHM,
+  MAX_POOL_SIZE,
+  COMMITMENT_REQUIRED_FROM,
+  isCommitmentRequired,
+  ensureDrawCommitment,
+  getDrawCommitment,
+  publishDrawCommitment,
+  fetchCommitmentCast,
+  getPublishedCommitment,
+  findBlockAtTime,
+  findRevealBlock,
+  canonicalEntries,
+  hashEntryList,
+  deriveSeed,
+  deriveLegacySeed,
+  selectWinners,
+  reduceEntryPool,
+  hashEntryPool,
+  estimateWinProbabilities,
+  runDraw,
+};
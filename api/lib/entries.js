@@ -0,0 +1,133 @@
+/**
+ * Atomic entry recording
+ *
+ * Recording an entry touches three keys:
+ *   entry:{contestId}:{fid}        - the entry record
+ *   contest_entries:{contestId}    - set of entrant FIDs (capped at maxEntrants)
+ *   contest_waitlist:{contestId}   - sorted set of waitlisted FIDs (score = join time)
+ *
+ * Doing the duplicate check, capacity check and writes as separate KV calls
+ * lets two concurrent requests enter the same FID twice or push a contest
+ * past its cap. ENTRY_SCRIPT does all of it in one Lua script, which Redis
+ * runs atomically - no other command can interleave.
+ *
+ * scripts/entry-race.js fires concurrent entries at a local Redis and checks
+ * the invariants (one record per FID, cap and waitlist size never exceeded).
+ *
+ * Every entry path goes through recordEntry: /api/enter-contest directly, the
+ * frame handlers (frame-action, frame-callback) through recordFrameEntry.
+ */
+
+const { getUserAddresses, getUserByFid, getPrimaryAddress } = require('./utils');
+const { getEntrySettings } = require('./entry-settings');
+
+// KEYS: entry key, entrants set, waitlist zset
+// ARGV: fid, entry JSON, waitlisted entry JSON, maxEntrants, waitlistSize (0 = no waitlist), now (ms)
+// Returns: { status, detail } - detail is the existing entry JSON for "exists",
+// the waitlist position for "waitlisted", and the entrant count otherwise
+const ENTRY_SCRIPT = `
+local existing = redis.call('GET', KEYS[1])
+if existing then
+  return { 'exists', existing }
+end
+
+local count = redis.call('SCARD', KEYS[2])
+if count < tonumber(ARGV[4]) then
+  redis.call('SET', KEYS[1], ARGV[2])
+  redis.call('SADD', KEYS[2], ARGV[1])
+  return { 'entered', count + 1 }
+end
+
+local waitlistSize = tonumber(ARGV[5])
+if waitlistSize == 0 then
+  return { 'full', count }
+end
+if redis.call('ZCARD', KEYS[3]) >= waitlistSize then
+  return { 'waitlist_full', count }
+end
+
+redis.call('ZADD', KEYS[3], 'NX', ARGV[6], ARGV[1])
+redis.call('SET', KEYS[1], ARGV[3])
+return { 'waitlisted', redis.call('ZRANK', KEYS[3], ARGV[1]) + 1 }
+`;
+
+/**
+ * Record an entry, or waitlist it if the contest is full, in one atomic step
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId - Contest ID (M-1 or T-1 format)
+ * @param {number} fid
+ * @param {object} entry - Entry record to store
+ * @param {{maxEntrants: number, waitlist: boolean, waitlistSize: number}} settings - From getEntrySettings()
+ * @returns {Promise<{status: 'entered'|'waitlisted'|'exists'|'full'|'waitlist_full', entry?: object, count?: number, position?: number}>}
+ *   entry is the stored record ("entered", "waitlisted") or the earlier one ("exists")
+ */
+async function recordEntry(kv, contestId, fid, entry, settings) {
+  const waitlistedEntry = { ...entry, waitlisted: true };
+
+  const [status, detail] = await kv.eval(
+    ENTRY_SCRIPT,
+    [`entry:${contestId}:${fid}`, `contest_entries:${contestId}`, `contest_waitlist:${contestId}`],
+    [
+      fid.toString(),
+      JSON.stringify(entry),
+      JSON.stringify(waitlistedEntry),
+      settings.maxEntrants.toString(),
+      (settings.waitlist ? settings.waitlistSize : 0).toString(),
+      Date.now().toString()
+    ]
+  );
+
+  switch (status) {
+    case 'exists':
+      // The client JSON-parses script results, but be safe if it didn't
+      return { status, entry: typeof detail === 'string' ? JSON.parse(detail) : detail };
+    case 'entered':
+      return { status, entry, count: Number(detail) };
+    case 'waitlisted':
+      return { status, entry: waitlistedEntry, position: Number(detail) };
+    default:
+      return { status, count: Number(detail) };
+  }
+}
+
+/**
+ * Record a frame entry under the same rules as /api/enter-contest: the FID's
+ * custody + verified addresses (frames submit none) and the contest's cap and
+ * waitlist
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId
+ * @param {number} fid
+ * @param {object} [details] - Extra entry fields (castHash, washTradeTx)
+ * @returns {Promise<object>} recordEntry() result, or { status: 'no_addresses' } if they couldn't be resolved
+ */
+async function recordFrameEntry(kv, contestId, fid, details = {}) {
+  const canonicalAddresses = await getUserAddresses(fid);
+  if (canonicalAddresses.length === 0) {
+    return { status: 'no_addresses' };
+  }
+
+  const settings = await getEntrySettings(contestId);
+  const user = await getUserByFid(fid);
+
+  const entry = {
+    fid,
+    contestId,
+    ...details,
+    addresses: canonicalAddresses,
+    canonicalAddresses,
+    primaryAddress: getPrimaryAddress(user) || canonicalAddresses[0],
+    username: user?.username || '',
+    timestamp: Date.now(),
+    hasReplied: false,
+    enteredAt: new Date().toISOString(),
+    source: 'frame'
+  };
+
+  return recordEntry(kv, contestId, fid, entry, settings);
+}
+
+module.exports = {
+  ENTRY_SCRIPT,
+  recordEntry,
+  recordFrameEntry,
+};
@@ -0,0 +1,111 @@
+/**
+ * Entry Settings - per-contest entrant cap + waitlist
+ *
+ * Hosts choose how many people can enter a contest (`maxEntrants`) and
+ * whether late arrivals go on a waitlist once it's full. The choice is stored
+ * in KV as `contest_entry_settings:{contestId}`; contests without one use
+ * DEFAULT_ENTRY_SETTINGS (200 entrants, no waitlist).
+ *
+ * Waitlisted users are kept in the `contest_waitlist:{contestId}` sorted set
+ * (score = time joined), written by recordEntry() in lib/entries.js. They are
+ * not entrants: at finalization, entrants dropped for being blocked, the host,
+ * or having no usable address free up slots, and waitlisted users are
+ * promoted into them in join order.
+ */
+
+// Hard cap - the draw pool sent to the contract can't exceed 1000 (VRF/gas limit)
+const MAX_ENTRANTS_LIMIT = 1000;
+
+const MAX_WAITLIST_SIZE = 500;
+const DEFAULT_WAITLIST_SIZE = 50;
+
+const DEFAULT_ENTRY_SETTINGS = {
+  maxEntrants: 200,
+  waitlist: false,
+  waitlistSize: 0
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// PER-CONTEST SETTINGS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Validate host-supplied entry settings and fill in defaults
+ * @param {{maxEntrants?: number, waitlist?: boolean, waitlistSize?: number}} input
+ * @returns {{valid: boolean, error?: string, settings?: object}}
+ */
+function validateEntrySettings(input) {
+  if (!input || typeof input !== 'object') {
+    return { valid: false, error: 'settings must be an object' };
+  }
+
+  const maxEntrants = input.maxEntrants === undefined
+    ? DEFAULT_ENTRY_SETTINGS.maxEntrants
+    : Number(input.maxEntrants);
+  if (!Number.isInteger(maxEntrants) || maxEntrants < 1 || maxEntrants > MAX_ENTRANTS_LIMIT) {
+    return { valid: false, error: `maxEntrants must be an integer from 1 to ${MAX_ENTRANTS_LIMIT}` };
+  }
+
+  const waitlist = input.waitlist === true || input.waitlist === 'true';
+  if (!waitlist) {
+    return { valid: true, settings: { maxEntrants, waitlist: false, waitlistSize: 0 } };
+  }
+
+  const waitlistSize = input.waitlistSize === undefined
+    ? Math.min(DEFAULT_WAITLIST_SIZE, maxEntrants)
+    : Number(input.waitlistSize);
+  if (!Number.isInteger(waitlistSize) || waitlistSize < 1 || waitlistSize > MAX_WAITLIST_SIZE) {
+    return { valid: false, error: `waitlistSize must be an integer from 1 to ${MAX_WAITLIST_SIZE}` };
+  }
+
+  return { valid: true, settings: { maxEntrants, waitlist: true, waitlistSize } };
+}
+
+/**
+ * Get the entry settings for a contest (falls back to defaults)
+ * @param {string} contestId - Contest ID (M-1 or T-1 format)
+ * @returns {Promise<{maxEntrants: number, waitlist: boolean, waitlistSize: number}>}
+ */
+async function getEntrySettings(contestId) {
+  try {
+    if (process.env.KV_REST_API_URL) {
+      const { kv } = require('@vercel/kv');
+      const stored = await kv.get(`contest_entry_settings:${contestId}`);
+      if (stored) {
+        const { valid, settings } = validateEntrySettings(stored);
+        if (valid) return settings;
+        console.error(`Invalid stored entry settings for ${contestId}, using defaults`);
+      }
+    }
+  } catch (e) {
+    console.error('Error loading entry settings:', e.message);
+  }
+
+  return { ...DEFAULT_ENTRY_SETTINGS };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// WAITLIST
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Get a contest's waitlisted FIDs in join order
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId - Contest ID
+ * @returns {Promise<number[]>}
+ */
+async function getWaitlist(kv, contestId) {
+  const members = await kv.zrange(`contest_waitlist:${contestId}`, 0, -1);
+  return Array.isArray(members)
+    ? members.map(f => parseInt(f)).filter(f => !isNaN(f) && f > 0)
+    : [];
+}
+
+module.exports = {
+  MAX_ENTRANTS_LIMIT,
+  MAX_WAITLIST_SIZE,
+  DEFAULT_ENTRY_SETTINGS,
+  validateEntrySettings,
+  getEntrySettings,
+  getWaitlist,
+};
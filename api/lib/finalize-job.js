@@ -0,0 +1,146 @@
+/**
+ * Finalization job state - checkpoints + lock for finalize-contest.js
+ *
+ * Finalization runs as a series of named stages (entries, users, sybil,
+ * bonuses, draw, submit, record, winners, announce, notify). After each stage
+ * completes, its result is written to KV as part of `finalize_job:{contestId}`,
+ * so a timeout or crash resumes from the last completed stage instead of
+ * starting over.
+ *
+ * A short-lived lock (`finalize_lock:{contestId}`) stops the cron and a manual
+ * call from running the same contest at once. Jobs that haven't finished are
+ * tracked in the `finalize_jobs:active` set so the cron can resume them even
+ * after the contest is no longer `canFinalize` on-chain.
+ *
+ * Stage results must be plain JSON (no BigInt, Map or Set).
+ */
+
+const crypto = require('crypto');
+
+const JOB_TTL_SECONDS = 60 * 60 * 24 * 7; // 7 days
+const LOCK_TTL_SECONDS = 300; // Longer than the serverless max duration
+const ACTIVE_JOBS_KEY = 'finalize_jobs:active';
+
+// ═══════════════════════════════════════════════════════════════════
+// LOCK
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Acquire the finalization lock for a contest
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId - Contest ID (M-1 or T-1 format)
+ * @returns {Promise<string|null>} Lock token, or null if another run holds the lock
+ */
+async function acquireFinalizeLock(kv, contestId) {
+  // Prefixed so KV never parses the token as a number
+  const token = `lock_${crypto.randomBytes(12).toString('hex')}`;
+  const ok = await kv.set(`finalize_lock:${contestId}`, token, { nx: true, ex: LOCK_TTL_SECONDS });
+  return ok ? token : null;
+}
+
+/**
+ * Release the lock (only if we still hold it)
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId - Contest ID
+ * @param {string} token - Token from acquireFinalizeLock()
+ */
+async function releaseFinalizeLock(kv, contestId, token) {
+  try {
+    const key = `finalize_lock:${contestId}`;
+    if ((await kv.get(key)) === token) {
+      await kv.del(key);
+    }
+  } catch (e) {
+    console.error(`Error releasing finalize lock for ${contestId}:`, e.message);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// JOB STATE
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Load a contest's finalization job, or a fresh one if none exists
+ * @param {object|null} kv - Vercel KV client (null = in-memory only, e.g. dry run)
+ * @param {string} contestId - Contest ID
+ * @returns {Promise<object>} Job: { contestId, status, completed[], data{}, attempts, lastError, createdAt, updatedAt }
+ */
+async function loadFinalizeJob(kv, contestId) {
+  const existing = kv ? await kv.get(`finalize_job:${contestId}`) : null;
+  if (existing) return existing;
+
+  return {
+    contestId,
+    status: 'running',
+    completed: [],
+    data: {},
+    attempts: 0,
+    lastError: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Persist a job and keep the active-jobs set in sync
+ * @param {object|null} kv - Vercel KV client (null = no-op)
+ * @param {object} job - Job from loadFinalizeJob()
+ */
+async function saveFinalizeJob(kv, job) {
+  job.updatedAt = Date.now();
+  if (!kv) return;
+
+  await kv.set(`finalize_job:${job.contestId}`, job, { ex: JOB_TTL_SECONDS });
+  if (job.status === 'running') {
+    await kv.sadd(ACTIVE_JOBS_KEY, job.contestId);
+  } else {
+    await kv.srem(ACTIVE_JOBS_KEY, job.contestId);
+  }
+}
+
+/**
+ * Run a stage once: returns the checkpointed result if the stage already
+ * completed, otherwise runs fn() and checkpoints its result.
+ * A stage that returns { pending: true } is waiting on something external
+ * (tx mined, VRF) and is not marked completed - it runs again next time.
+ * @param {object|null} kv - Vercel KV client (null = don't persist)
+ * @param {object} job - Job from loadFinalizeJob()
+ * @param {string} name - Stage name
+ * @param {Function} fn - Async stage function, returns plain JSON
+ * @returns {Promise<*>} Stage result
+ */
+async function runStage(kv, job, name, fn) {
+  if (job.completed.includes(name)) {
+    console.log(`   ⏭️  Stage "${name}" already completed - resuming`);
+    return job.data[name];
+  }
+
+  const result = await fn();
+  if (result && result.pending) return result;
+
+  job.data[name] = result;
+  job.completed.push(name);
+  await saveFinalizeJob(kv, job);
+  return result;
+}
+
+/**
+ * Get contest IDs with unfinished finalization jobs
+ * @param {object} kv - Vercel KV client
+ * @returns {Promise<string[]>}
+ */
+async function getActiveFinalizeJobs(kv) {
+  const ids = await kv.smembers(ACTIVE_JOBS_KEY);
+  return Array.isArray(ids) ? ids : [];
+}
+
+module.exports = {
+  JOB_TTL_SECONDS,
+  LOCK_TTL_SECONDS,
+  acquireFinalizeLock,
+  releaseFinalizeLock,
+  loadFinalizeJob,
+  saveFinalizeJob,
+  runStage,
+  getActiveFinalizeJobs,
+};
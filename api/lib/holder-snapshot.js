@@ -0,0 +1,95 @@
+/**
+ * Holder Snapshot - token balances over the contest window
+ *
+ * The holder bonus used to read the live balanceOf whenever the cron
+ * finalized, minus a 36h transfer cooldown. Buying right before the end, or
+ * borrowing tokens for the cron run, was enough to qualify. Instead, each
+ * user's combined balance is:
+ *   1. read at the contest start block (archive balanceOf via Multicall3)
+ *   2. replayed through every Transfer in or out of their addresses, in
+ *      (block, logIndex) order, up to the last block before endTime
+ * and the holder bonus uses the LOWEST combined balance seen in the window.
+ * A transfer between two of the user's own addresses nets to zero.
+ *
+ * Finalization records the window in finalize_data.holderSnapshot so the
+ * result can be re-checked against any archive node.
+ */
+
+const { CONFIG } = require('./config');
+const { getTokenBalances, sumBalances } = require('./multicall');
+const { findBlockAtTime } = require('./draw');
+const { fetchTransferLogs, decodeTransferLogs } = require('./sybil/logs');
+
+/**
+ * Get the snapshot window for a contest
+ * @param {object} provider - Ethers provider
+ * @param {number} startTime - Contest start (unix seconds)
+ * @param {number} endTime - Contest end, or now for a live contest
+ * @returns {Promise<{startBlock: number, endBlock: number}>} endBlock is the last block before endTime
+ *   (latest block if endTime hasn't been mined yet)
+ */
+async function getSnapshotWindow(provider, startTime, endTime) {
+  const [start, end] = await Promise.all([
+    findBlockAtTime(provider, startTime),
+    findBlockAtTime(provider, endTime)
+  ]);
+  if (!start) throw new Error('Contest start block not mined yet');
+
+  const endBlock = end ? end.number - 1 : await provider.getBlockNumber();
+  return { startBlock: start.number, endBlock: Math.max(start.number, endBlock) };
+}
+
+/**
+ * Combined balances per user across the snapshot window
+ * Throws if the RPC can't read state at startBlock (non-archive node)
+ * @param {Array<{fid: number, addresses: string[]}>} users
+ * @param {object} provider - Ethers provider
+ * @param {object} window - From getSnapshotWindow()
+ * @param {number} window.startBlock
+ * @param {number} window.endBlock
+ * @param {string} [token=CONFIG.NEYNARTODES]
+ * @returns {Promise<{balances: Map<number, {startBalance: bigint, minBalance: bigint, endBalance: bigint}>, transfers: number}>}
+ */
+async function getWindowBalances(users, provider, { startBlock, endBlock }, token = CONFIG.NEYNARTODES) {
+  const allAddresses = users.flatMap(u => u.addresses.map(a => a.toLowerCase()));
+
+  const [startBalances, logs] = await Promise.all([
+    getTokenBalances(provider, token, allAddresses, { blockTag: startBlock }),
+    endBlock > startBlock
+      ? fetchTransferLogs(provider, { tokens: [token], addresses: allAddresses, fromBlock: startBlock + 1, toBlock: endBlock })
+      : []
+  ]);
+
+  // address -> FIDs (an address can be verified on more than one account)
+  const owners = new Map();
+  const state = new Map();
+  for (const user of users) {
+    const startBalance = sumBalances(startBalances, user.addresses);
+    state.set(user.fid, { startBalance, minBalance: startBalance, endBalance: startBalance });
+    for (const addr of new Set(user.addresses.map(a => a.toLowerCase()))) {
+      if (!owners.has(addr)) owners.set(addr, []);
+      owners.get(addr).push(user.fid);
+    }
+  }
+
+  logs.sort((a, b) => Number(a.blockNumber) - Number(b.blockNumber) || Number(a.logIndex) - Number(b.logIndex));
+
+  for (const transfer of decodeTransferLogs(logs)) {
+    const deltas = new Map();
+    for (const fid of owners.get(transfer.from) || []) deltas.set(fid, (deltas.get(fid) || 0n) - transfer.value);
+    for (const fid of owners.get(transfer.to) || []) deltas.set(fid, (deltas.get(fid) || 0n) + transfer.value);
+
+    for (const [fid, delta] of deltas) {
+      const s = state.get(fid);
+      s.endBalance += delta;
+      if (s.endBalance < s.minBalance) s.minBalance = s.endBalance;
+    }
+  }
+
+  return { balances: state, transfers: logs.length };
+}
+
+module.exports = {
+  getSnapshotWindow,
+  getWindowBalances,
+};
@@ -0,0 +1,481 @@
+/**
+ * Job Queue - small durable KV-backed queue for cron-driven work
+ *
+ *   job:{id}               - record (see enqueueJob)
+ *   jobs:{type}:ready      - sorted set of queued job IDs (score = runAt ms)
+ *   jobs:{type}:leased     - sorted set of leased job IDs (score = lease expiry ms)
+ *   jobs:dead              - dead-letter list of job IDs (newest first)
+ *
+ * Lifecycle: enqueue -> lease -> ack (done) | fail (retry with backoff, or
+ * dead-letter after maxAttempts) | defer (not ready yet, no attempt used).
+ *
+ * - A job with a `key` gets the ID `{type}:{key}` and is only enqueued once
+ *   while its record exists, so lifecycle hooks and fallback scans can
+ *   enqueue the same work freely. Done records expire after DONE_JOB_TTL_SECONDS.
+ * - Leasing claims a job with ZREM, so two workers never run the same job.
+ *   A lease that expires (worker timed out or crashed) counts as a failed
+ *   attempt and the job is retried. Ack / fail / defer claim the job back out
+ *   of the leased set the same way, so a worker whose lease was already
+ *   recovered can't overwrite the retry.
+ * - Every transition (record + set moves) is one Lua script (ENQUEUE_SCRIPT,
+ *   TRANSITION_SCRIPT), so a crash between writes can't leave a queued record
+ *   that's in no set, or a job in a set its record disagrees with.
+ *
+ * Workers call runWorker(kv, type, handler) from their cron; see
+ * lib/contest-jobs.js for the contest job types and /api/admin-jobs to
+ * inspect stuck and dead jobs.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+// Queued jobs this far past their runAt mean no worker is draining the queue
+const STUCK_AFTER_MS = 15 * 60 * 1000;
+const DONE_JOB_TTL_SECONDS = 60 * 60 * 24 * 7; // 7 days
+const DEAD_JOB_TTL_SECONDS = 60 * 60 * 24 * 30; // 30 days
+const DEAD_LETTER_LENGTH = 500;
+
+const KEYS = {
+  job: (id) => `job:${id}`,
+  ready: (type) => `jobs:${type}:ready`,
+  leased: (type) => `jobs:${type}:leased`,
+  dead: 'jobs:dead',
+};
+
+// KEYS: job key, ready zset
+// ARGV: job id, job JSON, runAt (ms)
+// Returns: { 1 } when enqueued, { 0, existing JSON } when the record exists. A
+// queued record missing from the ready set (interrupted older enqueue) is re-added.
+const ENQUEUE_SCRIPT = `
+local existing = redis.call('GET', KEYS[1])
+if not existing then
+  redis.call('SET', KEYS[1], ARGV[2])
+  redis.call('ZADD', KEYS[2], ARGV[3], ARGV[1])
+  return { 1 }
+end
+
+local job = cjson.decode(existing)
+if job.status == 'queued' and not redis.call('ZSCORE', KEYS[2], ARGV[1]) then
+  redis.call('ZADD', KEYS[2], string.format('%d', job.runAt), ARGV[1])
+end
+return { 0, existing }
+`;
+
+// KEYS: job key, claim zset, target zset, dead list
+// ARGV: job id, job JSON, claim ('1' = ZREM from the claim zset first, abort if not there),
+//       ttl seconds (0 = none), target score ('' = no target), dead list length ('' = not dead)
+// Returns: 1 if written, 0 if the claim was lost
+const TRANSITION_SCRIPT = `
+if ARGV[3] == '1' and redis.call('ZREM', KEYS[2], ARGV[1]) == 0 then
+  return 0
+end
+
+if tonumber(ARGV[4]) > 0 then
+  redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[4])
+else
+  redis.call('SET', KEYS[1], ARGV[2])
+end
+if ARGV[5] ~= '' then
+  redis.call('ZADD', KEYS[3], ARGV[5], ARGV[1])
+end
+if ARGV[6] ~= '' then
+  redis.call('LPUSH', KEYS[4], ARGV[1])
+  redis.call('LTRIM', KEYS[4], 0, tonumber(ARGV[6]) - 1)
+end
+return 1
+`;
+
+/**
+ * Write a job record and move it between sets in one step
+ * @param {object} kv - Vercel KV client
+ * @param {object} job - Record to store
+ * @param {object} move
+ * @param {string|null} move.from - Set the job must still be in (ZREM claim), null = no claim
+ * @param {string|null} [move.to] - Set to add the job to
+ * @param {number} [move.score] - Score in `to`
+ * @param {number} [move.ttl=0] - Record TTL in seconds
+ * @param {boolean} [move.dead=false] - Also push onto the dead-letter list
+ * @returns {Promise<boolean>} false if the job was no longer in `from`
+ */
+async function transitionJob(kv, job, { from, to = null, score = 0, ttl = 0, dead = false }) {
+  const written = await kv.eval(
+    TRANSITION_SCRIPT,
+    [KEYS.job(job.id), from || KEYS.leased(job.type), to || KEYS.ready(job.type), KEYS.dead],
+    [
+      job.id,
+      JSON.stringify(job),
+      from ? '1' : '0',
+      ttl.toString(),
+      to ? score.toString() : '',
+      dead ? DEAD_LETTER_LENGTH.toString() : ''
+    ]
+  );
+  return Number(written) === 1;
+}
+
+/**
+ * An error that should dead-letter the job instead of retrying it
+ * @param {string} message
+ * @returns {Error}
+ */
+function nonRetryable(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Retry delay after a failed attempt (exponential, capped)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} ms
+ */
+function backoffMs(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_DELAY_MS);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// ENQUEUE
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Add a job to the queue
+ * @param {object} kv - Vercel KV client
+ * @param {string} type - Job type (one ready/leased set per type)
+ * @param {object} payload - Plain JSON passed to the worker
+ * @param {object} [options]
+ * @param {string} [options.key] - Dedupe key - the job is skipped if `{type}:{key}` already exists
+ * @param {number} [options.runAt] - Earliest run time (ms), default now
+ * @param {number} [options.maxAttempts]
+ * @returns {Promise<{id: string, enqueued: boolean, status?: string}>} status = existing job's status when skipped
+ *   (a queued job that had dropped out of the ready set is put back)
+ */
+async function enqueueJob(kv, type, payload, { key, runAt = Date.now(), maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  const id = `${type}:${key || crypto.randomBytes(8).toString('hex')}`;
+  const now = Date.now();
+  const job = {
+    id,
+    type,
+    payload,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts,
+    deferrals: 0,
+    runAt,
+    leaseUntil: null,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const [enqueued, existing] = await kv.eval(
+    ENQUEUE_SCRIPT,
+    [KEYS.job(id), KEYS.ready(type)],
+    [id, JSON.stringify(job), runAt.toString()]
+  );
+  if (Number(enqueued) === 1) return { id, enqueued: true };
+
+  // The client JSON-parses script results, but be safe if it didn't
+  const record = typeof existing === 'string' ? JSON.parse(existing) : existing;
+  return { id, enqueued: false, status: record?.status };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// LEASE / ACK / FAIL
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Move jobs whose lease expired back to the queue (counts as a failed attempt)
+ * @returns {Promise<number>} Jobs recovered
+ */
+async function recoverExpiredLeases(kv, type, now = Date.now()) {
+  const expired = (await kv.zrange(KEYS.leased(type), 0, now, { byScore: true })) || [];
+  let recovered = 0;
+
+  for (const id of expired) {
+    const job = await kv.get(KEYS.job(id));
+    if (!job || job.status !== 'leased') {
+      await kv.zrem(KEYS.leased(type), id);
+      continue;
+    }
+    // null = another worker recovered (or the worker finished) it first
+    if (await failJob(kv, job, new Error('Lease expired'))) recovered++;
+  }
+
+  if (recovered > 0) console.log(`⏰ Recovered ${recovered} expired ${type} lease(s)`);
+  return recovered;
+}
+
+/**
+ * Lease due jobs of one type
+ * @param {object} kv - Vercel KV client
+ * @param {string} type
+ * @param {object} [options]
+ * @param {number} [options.limit=1]
+ * @param {number} [options.leaseMs] - How long the worker has before the job is retried
+ * @returns {Promise<object[]>} Leased job records (attempts already incremented)
+ */
+async function leaseJobs(kv, type, { limit = 1, leaseMs = DEFAULT_LEASE_MS } = {}) {
+  const now = Date.now();
+  await recoverExpiredLeases(kv, type, now);
+
+  const due = (await kv.zrange(KEYS.ready(type), 0, now, { byScore: true, offset: 0, count: limit })) || [];
+  const leased = [];
+
+  for (const id of due) {
+    const job = await kv.get(KEYS.job(id));
+    if (!job || job.status !== 'queued') {
+      await kv.zrem(KEYS.ready(type), id);
+      continue;
+    }
+
+    job.status = 'leased';
+    job.attempts++;
+    job.leaseUntil = now + leaseMs;
+    job.updatedAt = now;
+    // ZREM from the ready set is the claim - only one worker's transition goes through
+    if (!(await transitionJob(kv, job, { from: KEYS.ready(type), to: KEYS.leased(type), score: job.leaseUntil }))) continue;
+    leased.push(job);
+  }
+
+  return leased;
+}
+
+/**
+ * Mark a leased job done
+ * @param {object} kv - Vercel KV client
+ * @param {object} job - From leaseJobs()
+ * @param {object} [result] - Small plain JSON summary kept on the record
+ * @returns {Promise<object|null>} Updated job, or null if the lease was lost
+ */
+async function ackJob(kv, job, result = null) {
+  Object.assign(job, { status: 'done', result, leaseUntil: null, doneAt: Date.now(), updatedAt: Date.now() });
+  const ok = await transitionJob(kv, job, { from: KEYS.leased(job.type), ttl: DONE_JOB_TTL_SECONDS });
+  return ok ? job : null;
+}
+
+/**
+ * Record a failed attempt: retry with backoff, or dead-letter the job
+ * @param {object} kv - Vercel KV client
+ * @param {object} job - From leaseJobs()
+ * @param {Error} error - error.retryable === false dead-letters immediately
+ * @returns {Promise<object|null>} Updated job (status 'queued' or 'dead'), or null if the lease was lost
+ */
+async function failJob(kv, job, error) {
+  const now = Date.now();
+
+  job.lastError = { message: error.message, attempt: job.attempts, at: now };
+  job.leaseUntil = null;
+  job.updatedAt = now;
+
+  if (error.retryable === false || job.attempts >= job.maxAttempts) {
+    job.status = 'dead';
+    if (!(await transitionJob(kv, job, { from: KEYS.leased(job.type), ttl: DEAD_JOB_TTL_SECONDS, dead: true }))) return null;
+    console.log(`☠️ Job ${job.id} dead after ${job.attempts} attempt(s): ${error.message}`);
+    return job;
+  }
+
+  job.status = 'queued';
+  job.runAt = now + backoffMs(job.attempts);
+  if (!(await transitionJob(kv, job, { from: KEYS.leased(job.type), to: KEYS.ready(job.type), score: job.runAt }))) return null;
+  console.log(`🔁 Job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying at ${new Date(job.runAt).toISOString()}`);
+  return job;
+}
+
+/**
+ * Put a leased job back without using up an attempt (waiting on something external)
+ * @param {object} kv - Vercel KV client
+ * @param {object} job - From leaseJobs()
+ * @param {number} delayMs
+ * @param {string} [reason]
+ * @returns {Promise<object|null>} Updated job, or null if the lease was lost
+ */
+async function deferJob(kv, job, delayMs, reason = null) {
+  const now = Date.now();
+  Object.assign(job, {
+    status: 'queued',
+    attempts: Math.max(0, job.attempts - 1),
+    deferrals: (job.deferrals || 0) + 1,
+    deferReason: reason,
+    runAt: now + delayMs,
+    leaseUntil: null,
+    updatedAt: now,
+  });
+  const ok = await transitionJob(kv, job, { from: KEYS.leased(job.type), to: KEYS.ready(job.type), score: job.runAt });
+  return ok ? job : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// WORKER
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Drain due jobs of one type, one lease at a time
+ *
+ * The handler gets the leased job and returns:
+ *   { defer: ms, reason? }  - not ready yet, run again later (no attempt used)
+ *   anything else           - done (kept on the record as `result`)
+ * and throws to fail the attempt (see failJob / nonRetryable).
+ *
+ * @param {object} kv - Vercel KV client
+ * @param {string} type
+ * @param {Function} handler - async (job) => result
+ * @param {object} [options]
+ * @param {number} [options.limit=10] - Max jobs this run
+ * @param {number} [options.budgetMs=240000] - Stop leasing after this long
+ * @param {number} [options.leaseMs]
+ * @returns {Promise<object>} { type, processed, done, deferred, retried, dead, jobs[] }
+ */
+async function runWorker(kv, type, handler, { limit = 10, budgetMs = 4 * 60 * 1000, leaseMs = DEFAULT_LEASE_MS } = {}) {
+  const started = Date.now();
+  const summary = { type, processed: 0, done: 0, deferred: 0, retried: 0, dead: 0, jobs: [] };
+
+  while (summary.processed < limit && Date.now() - started < budgetMs) {
+    const [job] = await leaseJobs(kv, type, { limit: 1, leaseMs });
+    if (!job) break;
+    summary.processed++;
+    console.log(`\n🧰 Job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    try {
+      const result = await handler(job);
+      if (result && typeof result.defer === 'number') {
+        if (!(await deferJob(kv, job, result.defer, result.reason))) {
+          summary.jobs.push({ id: job.id, status: 'lease_lost' });
+          continue;
+        }
+        summary.deferred++;
+        summary.jobs.push({ id: job.id, status: 'deferred', reason: result.reason || null });
+      } else {
+        if (!(await ackJob(kv, job, result ?? null))) {
+          summary.jobs.push({ id: job.id, status: 'lease_lost' });
+          continue;
+        }
+        summary.done++;
+        summary.jobs.push({ id: job.id, status: 'done' });
+      }
+    } catch (e) {
+      const failed = await failJob(kv, job, e);
+      if (!failed) {
+        summary.jobs.push({ id: job.id, status: 'lease_lost', error: e.message });
+        continue;
+      }
+      summary[failed.status === 'dead' ? 'dead' : 'retried']++;
+      summary.jobs.push({ id: job.id, status: failed.status, error: e.message });
+    }
+  }
+
+  return summary;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// INSPECTION (admin)
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Get a job record
+ * @param {object} kv - Vercel KV client
+ * @param {string} id - `{type}:{key}`
+ * @returns {Promise<object|null>}
+ */
+async function getJob(kv, id) {
+  return kv.get(KEYS.job(id));
+}
+
+async function getJobs(kv, ids) {
+  if (ids.length === 0) return [];
+  return (await kv.mget(...ids.map(KEYS.job))).filter(Boolean);
+}
+
+/**
+ * Queue sizes per type
+ * @param {object} kv - Vercel KV client
+ * @param {string[]} types
+ * @returns {Promise<object>} type -> { queued, due, leased, expiredLeases }
+ */
+async function getQueueStats(kv, types) {
+  const now = Date.now();
+  const stats = {};
+  for (const type of types) {
+    const [queued, due, leased, expiredLeases] = await Promise.all([
+      kv.zcard(KEYS.ready(type)),
+      kv.zcount(KEYS.ready(type), 0, now),
+      kv.zcard(KEYS.leased(type)),
+      kv.zcount(KEYS.leased(type), 0, now),
+    ]);
+    stats[type] = { queued, due, leased, expiredLeases };
+  }
+  return stats;
+}
+
+/**
+ * Jobs that should have run by now: leases past expiry, and queued jobs
+ * more than STUCK_AFTER_MS past their runAt
+ * @param {object} kv - Vercel KV client
+ * @param {string[]} types
+ * @param {number} [limit=50] - Per type and state
+ * @returns {Promise<object[]>} Job records with a `stuck` reason
+ */
+async function getStuckJobs(kv, types, limit = 50) {
+  const now = Date.now();
+  const stuck = [];
+
+  for (const type of types) {
+    const range = { byScore: true, offset: 0, count: limit };
+    const [expired, overdue] = await Promise.all([
+      kv.zrange(KEYS.leased(type), 0, now, range),
+      kv.zrange(KEYS.ready(type), 0, now - STUCK_AFTER_MS, range),
+    ]);
+    for (const job of await getJobs(kv, expired || [])) stuck.push({ ...job, stuck: 'lease_expired' });
+    for (const job of await getJobs(kv, overdue || [])) stuck.push({ ...job, stuck: 'overdue' });
+  }
+
+  return stuck;
+}
+
+/**
+ * Dead-lettered jobs, newest first
+ * @param {object} kv - Vercel KV client
+ * @param {number} [limit=50]
+ * @returns {Promise<object[]>} Records still in the dead state
+ */
+async function getDeadJobs(kv, limit = 50) {
+  const ids = [...new Set((await kv.lrange(KEYS.dead, 0, limit - 1)) || [])];
+  return (await getJobs(kv, ids)).filter(job => job.status === 'dead');
+}
+
+/**
+ * Requeue a dead job with a fresh set of attempts (and deferrals)
+ * @param {object} kv - Vercel KV client
+ * @param {string} id
+ * @returns {Promise<object|null>} Updated job, or null if it isn't dead
+ */
+async function retryJob(kv, id) {
+  const job = await kv.get(KEYS.job(id));
+  if (!job || job.status !== 'dead') return null;
+
+  const now = Date.now();
+  Object.assign(job, { status: 'queued', attempts: 0, deferrals: 0, runAt: now, updatedAt: now, retriedAt: now });
+  await transitionJob(kv, job, { from: null, to: KEYS.ready(job.type), score: now });
+  await kv.lrem(KEYS.dead, 0, id);
+  return job;
+}
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_LEASE_MS,
+  nonRetryable,
+  backoffMs,
+  enqueueJob,
+  leaseJobs,
+  ackJob,
+  failJob,
+  deferJob,
+  runWorker,
+  getJob,
+  getQueueStats,
+  getStuckJobs,
+  getDeadJobs,
+  retryJob,
+};
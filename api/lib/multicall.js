@@ -0,0 +1,155 @@
+/**
+ * Multicall3 - batch many view calls into one eth_call
+ *
+ * Each call is { target, iface, fn, args }. Calls are sent through
+ * Multicall3.aggregate3 with allowFailure, so one reverting call (e.g. a
+ * token without symbol()) doesn't fail the batch - its result comes back as
+ * { success: false }.
+ *
+ * Typed readers for the hot paths:
+ *   getTokenBalances - ERC-20 balanceOf for many holders (holder bonus, leaderboard, DAO power)
+ *   getSlot0s        - V3 slot0() / V4 StateView getSlot0() for many pools
+ * Contest structs are batched by getContests() in lib/contest-manager.js.
+ *
+ * scripts/multicall-benchmark.js compares RPC call counts against the
+ * one-call-per-address versions.
+ */
+
+const { ethers } = require('ethers');
+const { CONFIG, ABIS } = require('./config');
+
+// Keeps each eth_call well under RPC response / gas limits
+const MAX_CALLS_PER_BATCH = 100;
+
+const multicallInterface = new ethers.Interface(ABIS.MULTICALL3);
+const erc20Interface = new ethers.Interface(ABIS.ERC20);
+const v3PoolInterface = new ethers.Interface(ABIS.V3_POOL);
+const stateViewInterface = new ethers.Interface(ABIS.V4_STATE_VIEW);
+
+/**
+ * Run view calls through Multicall3
+ * @param {object} provider - Ethers provider
+ * @param {Array<{target: string, iface: ethers.Interface, fn: string, args?: Array}>} calls
+ * @param {object} [options]
+ * @param {number|string} [options.blockTag] - Block to read at (default latest)
+ * @param {number} [options.batchSize=MAX_CALLS_PER_BATCH]
+ * @param {number} [options.retries=2] - Retries per batch on RPC errors
+ * @returns {Promise<Array<{success: boolean, value?: *}>>} Same order as calls; value is the
+ *   decoded return (unwrapped when the function has a single output)
+ */
+async function multicall(provider, calls, { blockTag, batchSize = MAX_CALLS_PER_BATCH, retries = 2 } = {}) {
+  const results = [];
+
+  for (let i = 0; i < calls.length; i += batchSize) {
+    const batch = calls.slice(i, i + batchSize);
+    const data = multicallInterface.encodeFunctionData('aggregate3', [
+      batch.map(c => ({
+        target: c.target,
+        allowFailure: true,
+        callData: c.iface.encodeFunctionData(c.fn, c.args || [])
+      }))
+    ]);
+
+    let raw;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        raw = await provider.call({ to: CONFIG.MULTICALL3, data, blockTag });
+        break;
+      } catch (e) {
+        if (attempt >= retries) throw e;
+        await new Promise(r => setTimeout(r, 100 * (attempt + 1)));
+      }
+    }
+    const [returnData] = multicallInterface.decodeFunctionResult('aggregate3', raw);
+
+    for (let j = 0; j < batch.length; j++) {
+      const { success, returnData: callResult } = returnData[j];
+      if (!success || callResult === '0x') {
+        results.push({ success: false });
+        continue;
+      }
+      try {
+        const decoded = batch[j].iface.decodeFunctionResult(batch[j].fn, callResult);
+        results.push({ success: true, value: decoded.length === 1 ? decoded[0] : decoded });
+      } catch (e) {
+        results.push({ success: false });
+      }
+    }
+  }
+
+  return results;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TYPED READERS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * ERC-20 balances for many addresses (deduplicated, case-insensitive)
+ * A reverted balanceOf counts as 0, same as the per-address reads did.
+ * @param {object} provider - Ethers provider
+ * @param {string} token - ERC-20 address
+ * @param {string[]} addresses
+ * @param {object} [options]
+ * @param {number|string} [options.blockTag]
+ * @returns {Promise<Map<string, bigint>>} Lowercased address -> balance (wei)
+ */
+async function getTokenBalances(provider, token, addresses, { blockTag } = {}) {
+  const unique = [...new Set(addresses.map(a => a.toLowerCase()))];
+  const results = await multicall(provider, unique.map(addr => ({
+    target: token, iface: erc20Interface, fn: 'balanceOf', args: [addr]
+  })), { blockTag });
+
+  const balances = new Map();
+  let failed = 0;
+  unique.forEach((addr, i) => {
+    if (!results[i].success) failed++;
+    balances.set(addr, results[i].success ? BigInt(results[i].value) : 0n);
+  });
+
+  if (failed > 0) {
+    console.log(`⚠️ balanceOf failed for ${failed}/${unique.length} addresses on ${token}`);
+  }
+  return balances;
+}
+
+/**
+ * Sum a set of addresses' balances from a getTokenBalances() map
+ * @param {Map<string, bigint>} balances
+ * @param {string[]} addresses
+ * @returns {bigint}
+ */
+function sumBalances(balances, addresses) {
+  const unique = new Set(addresses.map(a => a.toLowerCase()));
+  let total = 0n;
+  for (const addr of unique) total += balances.get(addr) || 0n;
+  return total;
+}
+
+/**
+ * slot0 for many pools
+ * @param {object} provider - Ethers provider
+ * @param {Array<{address: string}|{poolId: string}>} pools - V3 pool address, or V4 pool ID (read via StateView)
+ * @param {object} [options]
+ * @param {number|string} [options.blockTag]
+ * @returns {Promise<Array<{sqrtPriceX96: bigint, tick: number}|null>>} Same order as pools; null if the read failed
+ */
+async function getSlot0s(provider, pools, { blockTag } = {}) {
+  const results = await multicall(provider, pools.map(pool => pool.poolId
+    ? { target: CONFIG.V4_STATE_VIEW, iface: stateViewInterface, fn: 'getSlot0', args: [pool.poolId] }
+    : { target: pool.address, iface: v3PoolInterface, fn: 'slot0' }
+  ), { blockTag });
+
+  return results.map(r => r.success
+    ? { sqrtPriceX96: BigInt(r.value.sqrtPriceX96), tick: Number(r.value.tick) }
+    : null
+  );
+}
+
+module.exports = {
+  MAX_CALLS_PER_BATCH,
+  multicall,
+  getTokenBalances,
+  sumBalances,
+  getSlot0s,
+};
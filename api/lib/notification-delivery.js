@@ -0,0 +1,276 @@
+/**
+ * Notification Delivery - batched sends to Farcaster client notification URLs
+ *
+ * Subscribers are grouped by their notification `url` (one per client, e.g.
+ * Warpcast) and sent in batches of up to NOTIFICATION_BATCH_SIZE tokens:
+ *
+ *   POST url { notificationId, title, body, targetUrl, tokens: [...] }
+ *   -> { result: { successfulTokens, invalidTokens, rateLimitedTokens } }
+ *
+ * - notificationId is stable per event (getNotificationId), so a retried or
+ *   repeated send is deduped by the client instead of notifying twice.
+ * - invalidTokens are pruned from `notif:{fid}` (preferences are kept).
+ * - 5xx responses and network errors are retried with exponential backoff,
+ *   up to MAX_DELIVERY_ATTEMPTS.
+ * - rateLimitedTokens and 429s are not retried in-process - a client rate
+ *   limit lasts longer than a cron run can wait. They come back as
+ *   rateLimitedFids and the caller requeues them through the notify queue
+ *   (rateLimitRetryAt: 30s, doubling, MAX_RATE_LIMIT_REQUEUES times).
+ *
+ * Every send is recorded in the `notif:log` list (newest first, last
+ * DELIVERY_LOG_LENGTH sends) - see /api/debug-notif.
+ */
+
+const crypto = require('crypto');
+const { delay } = require('./utils');
+
+const NOTIFICATION_BATCH_SIZE = 100;
+const MAX_DELIVERY_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 500;
+const RATE_LIMIT_RETRY_MS = 30 * 1000;
+const MAX_RATE_LIMIT_REQUEUES = 4;
+const DELIVERY_LOG_LENGTH = 500;
+
+const KEYS = {
+  subscriber: (fid) => `notif:${fid}`,
+  subscribers: 'notif:subscribers',
+  log: 'notif:log',
+};
+
+/**
+ * Stable notification ID for an event
+ * The same type + content gives the same ID, so clients dedupe repeats.
+ * Callers can pass their own as data.notificationId.
+ * @param {string} type
+ * @param {object} data - Notification data
+ * @param {{title: string, body: string, targetUrl: string}} content
+ * @returns {string} At most 128 chars (client limit)
+ */
+function getNotificationId(type, data, content) {
+  if (data?.notificationId) return String(data.notificationId).slice(0, 128);
+  const hash = crypto.createHash('sha256')
+    .update([type, content.title, content.body, content.targetUrl].join('\n'))
+    .digest('hex')
+    .slice(0, 16);
+  return `neynartodes-${type}-${hash}`;
+}
+
+/**
+ * When to resend to rate-limited recipients
+ * @param {number} attempt - Requeues so far (0 for the first)
+ * @param {number} [now=Date.now()] - ms
+ * @returns {number} ms - RATE_LIMIT_RETRY_MS, doubling per requeue
+ */
+function rateLimitRetryAt(attempt, now = Date.now()) {
+  return now + RATE_LIMIT_RETRY_MS * 2 ** attempt;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SENDING
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * POST one batch
+ * @returns {Promise<{successful: string[], invalid: string[], rateLimited: string[], retry: boolean, error?: string}>}
+ *   retry = the whole batch should be sent again (5xx / network error); a 429
+ *   marks the whole batch rate limited
+ */
+async function postBatch(url, payload) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+  } catch (e) {
+    return { successful: [], invalid: [], rateLimited: [], retry: true, error: e.message };
+  }
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    return {
+      successful: [],
+      invalid: [],
+      rateLimited: response.status === 429 ? payload.tokens : [],
+      retry: response.status >= 500,
+      error: `${response.status} ${text.slice(0, 200)}`,
+    };
+  }
+
+  const data = await response.json().catch(() => ({}));
+  const result = data.result || {};
+  return {
+    // Older clients answer 200 without a result - treat the batch as delivered
+    successful: result.successfulTokens || (data.result ? [] : payload.tokens),
+    invalid: result.invalidTokens || [],
+    rateLimited: result.rateLimitedTokens || [],
+    retry: false,
+  };
+}
+
+/**
+ * Send one batch, retrying 5xx / network errors with backoff
+ * Rate-limited tokens are returned for the caller to requeue.
+ * @returns {Promise<{sent: string[], invalid: string[], rateLimited: string[], failed: string[], errors: string[]}>}
+ */
+async function sendBatch(url, content, notificationId, tokens) {
+  const outcome = { sent: [], invalid: [], rateLimited: [], failed: [], errors: [] };
+
+  for (let attempt = 0; attempt < MAX_DELIVERY_ATTEMPTS; attempt++) {
+    if (attempt > 0) await delay(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+
+    const result = await postBatch(url, { notificationId, ...content, tokens });
+    if (result.error) outcome.errors.push(result.error);
+    if (result.retry) continue;
+
+    outcome.rateLimited.push(...result.rateLimited);
+    if (result.error && result.rateLimited.length === 0) {
+      outcome.failed.push(...tokens);
+      return outcome;
+    }
+
+    outcome.sent.push(...result.successful);
+    outcome.invalid.push(...result.invalid);
+    return outcome;
+  }
+
+  // The client kept erroring
+  outcome.failed.push(...tokens);
+  return outcome;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PRUNING + LOG
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Remove tokens the client reported invalid
+ * Skips users who have re-enabled with a new token since.
+ * @returns {Promise<number>} Subscribers pruned
+ */
+async function pruneInvalidTokens(kv, subscribers) {
+  let pruned = 0;
+  for (const { fid, token } of subscribers) {
+    try {
+      const current = await kv.hget(KEYS.subscriber(fid), 'token');
+      if (current !== token) continue;
+      await kv.hdel(KEYS.subscriber(fid), 'token', 'url', 'enabled');
+      await kv.srem(KEYS.subscribers, fid.toString());
+      pruned++;
+    } catch (e) {
+      console.error(`Could not prune notification token for FID ${fid}:`, e.message);
+    }
+  }
+  if (pruned > 0) console.log(`🧹 Pruned ${pruned} invalid notification token(s)`);
+  return pruned;
+}
+
+/**
+ * Append a delivery record to notif:log
+ */
+async function logDelivery(kv, record) {
+  try {
+    await kv.lpush(KEYS.log, record);
+    await kv.ltrim(KEYS.log, 0, DELIVERY_LOG_LENGTH - 1);
+  } catch (e) {
+    console.error('Could not write notification log:', e.message);
+  }
+}
+
+/**
+ * Recent delivery records, newest first
+ * @param {object} kv - Vercel KV client
+ * @param {number} [limit=50]
+ * @returns {Promise<object[]>}
+ */
+async function getDeliveryLog(kv, limit = 50) {
+  return (await kv.lrange(KEYS.log, 0, limit - 1)) || [];
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// DELIVERY
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Deliver one notification to a set of subscribers
+ * @param {object} kv - Vercel KV client
+ * @param {Array<{fid: number, token: string, url: string}>} subscribers - Already filtered by preferences
+ * @param {{title: string, body: string, targetUrl: string}} content
+ * @param {object} meta
+ * @param {string} meta.type - Notification type
+ * @param {string} meta.notificationId - From getNotificationId()
+ * @param {number} [meta.filtered=0] - Subscribers skipped by preferences (for the log)
+ * @returns {Promise<object>} The delivery record (also written to notif:log), plus
+ *   (not logged) pendingFids - subscribers whose delivery failed - and
+ *   rateLimitedFids - subscribers the client rate limited, to requeue
+ */
+async function deliverNotification(kv, subscribers, content, { type, notificationId, filtered = 0 }) {
+  const started = Date.now();
+  const byToken = new Map(subscribers.map(sub => [sub.token, sub]));
+
+  const byUrl = new Map();
+  for (const sub of byToken.values()) {
+    if (!byUrl.has(sub.url)) byUrl.set(sub.url, []);
+    byUrl.get(sub.url).push(sub.token);
+  }
+
+  const totals = { sent: 0, invalid: 0, rateLimited: 0, failed: 0 };
+  const invalidSubscribers = [];
+  const pendingFids = new Set();
+  const rateLimitedFids = new Set();
+  const errors = [];
+  let batches = 0;
+
+  for (const [url, tokens] of byUrl) {
+    for (let i = 0; i < tokens.length; i += NOTIFICATION_BATCH_SIZE) {
+      batches++;
+      const outcome = await sendBatch(url, content, notificationId, tokens.slice(i, i + NOTIFICATION_BATCH_SIZE));
+
+      totals.sent += outcome.sent.length;
+      totals.invalid += outcome.invalid.length;
+      totals.rateLimited += outcome.rateLimited.length;
+      totals.failed += outcome.failed.length;
+      invalidSubscribers.push(...outcome.invalid.map(token => byToken.get(token)).filter(Boolean));
+      for (const token of outcome.failed) {
+        if (byToken.has(token)) pendingFids.add(byToken.get(token).fid);
+      }
+      for (const token of outcome.rateLimited) {
+        if (byToken.has(token)) rateLimitedFids.add(byToken.get(token).fid);
+      }
+      errors.push(...outcome.errors.map(error => `${url.replace(/^https?:\/\//, '').split('/')[0]}: ${error}`));
+    }
+  }
+
+  const pruned = invalidSubscribers.length > 0 ? await pruneInvalidTokens(kv, invalidSubscribers) : 0;
+
+  const record = {
+    notificationId,
+    type,
+    title: content.title,
+    at: started,
+    durationMs: Date.now() - started,
+    recipients: byToken.size,
+    filtered,
+    ...totals,
+    pruned,
+    batches,
+    urls: byUrl.size,
+    // Share of recipients the client accepted
+    reachRate: byToken.size > 0 ? Math.round((totals.sent / byToken.size) * 1000) / 1000 : null,
+    errors: errors.slice(0, 10),
+  };
+  await logDelivery(kv, record);
+  return { ...record, pendingFids: [...pendingFids], rateLimitedFids: [...rateLimitedFids] };
+}
+
+module.exports = {
+  NOTIFICATION_BATCH_SIZE,
+  MAX_DELIVERY_ATTEMPTS,
+  MAX_RATE_LIMIT_REQUEUES,
+  getNotificationId,
+  rateLimitRetryAt,
+  deliverNotification,
+  pruneInvalidTokens,
+  getDeliveryLog,
+};
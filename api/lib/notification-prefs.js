@@ -0,0 +1,257 @@
+/**
+ * Notification Preferences - per-user subscription topics
+ *
+ * Stored as the `preferences` field of the subscriber hash `notif:{fid}`
+ * (next to the token/url written by api/webhook.js):
+ *
+ *   {
+ *     types:       { new_contest: true, contest_ending_soon: false, ... },
+ *     hosts:       [123, 456],   host FIDs - contest notifications only from these (empty = any host)
+ *     tokens:      ['0x...'],    prize tokens, ETH = zero address (empty = any prize)
+ *     minPrizeUSD: 25,           contest notifications only for prizes worth at least this
+ *     quietHours:  { start: 22, end: 7, timezone: 'America/New_York' } | null
+ *     updatedAt
+ *   }
+ *
+ * Users without preferences get DEFAULT_PREFERENCES: the broadcasts every
+ * subscriber received before preferences existed, plus the targeted
+ * notifications about their own contests. sendNotification()
+ * (api/send-notification.js) filters recipients with shouldNotify().
+ *
+ * Quiet hours drop broadcasts, but QUIET_DEFERRED_TYPES (a win, the host's
+ * own contest results) are held until quietHoursEnd() instead.
+ */
+
+const { ethers } = require('ethers');
+
+const NOTIFICATION_TYPES = [
+  'new_contest',
+  'contest_ending_soon',
+  'daily_active_contests',
+  'new_leaderboard_leader',
+  'prize_pool_funded',
+  // Targeted - only sent to the FIDs involved (lib/contest-notifications.js)
+  'contest_won',
+  'contest_ending_entered',
+  'contest_finalized',
+  'contest_cancelled',
+];
+
+// Types about one contest - the host/token/prize filters only apply to these
+const CONTEST_TYPES = ['new_contest', 'contest_ending_soon'];
+
+// Targeted types sent after quiet hours rather than dropped (an ending
+// reminder is useless once the contest has ended, so it isn't deferred)
+const QUIET_DEFERRED_TYPES = ['contest_won', 'contest_finalized', 'contest_cancelled'];
+
+const DEFAULT_PREFERENCES = {
+  types: {
+    new_contest: true,
+    contest_ending_soon: false,
+    daily_active_contests: false,
+    new_leaderboard_leader: false,
+    prize_pool_funded: true,
+    contest_won: true,
+    contest_ending_entered: true,
+    contest_finalized: true,
+    contest_cancelled: true,
+  },
+  hosts: [],
+  tokens: [],
+  minPrizeUSD: 0,
+  quietHours: null,
+};
+
+const MAX_LIST_LENGTH = 100;
+
+// ═══════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Validate a (partial) preferences update
+ * @param {object} update - Any subset of the preference fields
+ * @returns {{preferences: object}|{error: string}} Only the fields present in the update
+ */
+function validatePreferences(update) {
+  if (!update || typeof update !== 'object') return { error: 'Preferences must be an object' };
+  const preferences = {};
+
+  if (update.types !== undefined) {
+    if (!update.types || typeof update.types !== 'object') return { error: 'types must be an object' };
+    preferences.types = {};
+    for (const [type, enabled] of Object.entries(update.types)) {
+      if (!NOTIFICATION_TYPES.includes(type)) return { error: `Unknown notification type: ${type}` };
+      preferences.types[type] = !!enabled;
+    }
+  }
+
+  if (update.hosts !== undefined) {
+    if (!Array.isArray(update.hosts) || update.hosts.length > MAX_LIST_LENGTH) {
+      return { error: `hosts must be an array of up to ${MAX_LIST_LENGTH} FIDs` };
+    }
+    const hosts = update.hosts.map(h => parseInt(h));
+    if (hosts.some(h => isNaN(h) || h <= 0)) return { error: 'hosts must be FIDs' };
+    preferences.hosts = [...new Set(hosts)];
+  }
+
+  if (update.tokens !== undefined) {
+    if (!Array.isArray(update.tokens) || update.tokens.length > MAX_LIST_LENGTH) {
+      return { error: `tokens must be an array of up to ${MAX_LIST_LENGTH} addresses` };
+    }
+    if (update.tokens.some(t => !ethers.isAddress(t))) return { error: 'tokens must be addresses' };
+    preferences.tokens = [...new Set(update.tokens.map(t => t.toLowerCase()))];
+  }
+
+  if (update.minPrizeUSD !== undefined) {
+    const min = Number(update.minPrizeUSD);
+    if (!Number.isFinite(min) || min < 0) return { error: 'minPrizeUSD must be a non-negative number' };
+    preferences.minPrizeUSD = min;
+  }
+
+  if (update.quietHours !== undefined) {
+    if (update.quietHours === null) {
+      preferences.quietHours = null;
+    } else {
+      const { start, end, timezone = 'UTC' } = update.quietHours || {};
+      const isHour = (h) => Number.isInteger(h) && h >= 0 && h <= 23;
+      if (!isHour(start) || !isHour(end) || start === end) {
+        return { error: 'quietHours needs different start and end hours (0-23)' };
+      }
+      if (!isValidTimezone(timezone)) return { error: `Unknown timezone: ${timezone}` };
+      preferences.quietHours = { start, end, timezone };
+    }
+  }
+
+  return { preferences };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// STORAGE
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Merge stored preferences over the defaults
+ * @param {object|null} stored
+ * @returns {object}
+ */
+function withDefaults(stored) {
+  return {
+    ...DEFAULT_PREFERENCES,
+    ...(stored || {}),
+    types: { ...DEFAULT_PREFERENCES.types, ...(stored?.types || {}) },
+  };
+}
+
+/**
+ * Get a user's preferences (defaults if never set)
+ * @param {object} kv - Vercel KV client
+ * @param {number} fid
+ * @returns {Promise<object>}
+ */
+async function getPreferences(kv, fid) {
+  return withDefaults(await kv.hget(`notif:${fid}`, 'preferences'));
+}
+
+/**
+ * Apply a validated update to a user's preferences
+ * @param {object} kv - Vercel KV client
+ * @param {number} fid
+ * @param {object} update - From validatePreferences()
+ * @returns {Promise<object>} The full preferences after the update
+ */
+async function updatePreferences(kv, fid, update) {
+  const current = await getPreferences(kv, fid);
+  const preferences = {
+    ...current,
+    ...update,
+    types: { ...current.types, ...(update.types || {}) },
+    updatedAt: Date.now(),
+  };
+  await kv.hset(`notif:${fid}`, { preferences });
+  return preferences;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// MATCHING
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Whether a time falls in the user's quiet hours
+ * @param {object|null} quietHours - { start, end, timezone }
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isQuietTime(quietHours, now = new Date()) {
+  if (!quietHours) return false;
+
+  const hour = parseInt(new Intl.DateTimeFormat('en-US', {
+    timeZone: quietHours.timezone || 'UTC', hour: 'numeric', hourCycle: 'h23'
+  }).format(now));
+
+  const { start, end } = quietHours;
+  // 22 -> 7 wraps past midnight
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+/**
+ * When the user's current quiet hours end
+ * @param {object} quietHours - { start, end, timezone }
+ * @param {Date} [now]
+ * @returns {Date} First quarter hour outside quiet hours (now if not quiet)
+ */
+function quietHoursEnd(quietHours, now = new Date()) {
+  const step = 15 * 60 * 1000;
+  let time = Math.ceil(now.getTime() / step) * step;
+  // Quiet hours are under 24h, so this ends within a day
+  for (let i = 0; i < 96 && isQuietTime(quietHours, new Date(time)); i++) {
+    time += step;
+  }
+  return isQuietTime(quietHours, now) ? new Date(time) : now;
+}
+
+/**
+ * Whether a notification should go to a user
+ * @param {object} preferences - From getPreferences()/withDefaults()
+ * @param {string} type - Notification type
+ * @param {object} [context] - For contest types: { hostFid, prizeToken, prizeUSD }
+ * @param {Date} [now]
+ * @param {object} [options]
+ * @param {boolean} [options.quietHours=true] - false = leave the quiet hours check to the caller
+ * @returns {boolean}
+ */
+function shouldNotify(preferences, type, context = {}, now = new Date(), { quietHours = true } = {}) {
+  if (!preferences.types[type]) return false;
+  if (quietHours && isQuietTime(preferences.quietHours, now)) return false;
+  if (!CONTEST_TYPES.includes(type)) return true;
+
+  // A filter the contest can't be checked against doesn't match
+  if (preferences.hosts.length > 0 && !preferences.hosts.includes(Number(context.hostFid))) return false;
+  if (preferences.tokens.length > 0 && !preferences.tokens.includes(context.prizeToken?.toLowerCase())) return false;
+  if (preferences.minPrizeUSD > 0 && !(context.prizeUSD >= preferences.minPrizeUSD)) return false;
+
+  return true;
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  CONTEST_TYPES,
+  QUIET_DEFERRED_TYPES,
+  DEFAULT_PREFERENCES,
+  validatePreferences,
+  withDefaults,
+  getPreferences,
+  updatePreferences,
+  isQuietTime,
+  quietHoursEnd,
+  shouldNotify,
+};
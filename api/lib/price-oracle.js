@@ -0,0 +1,324 @@
+/**
+ * Price Oracle - TWAP prize valuation with a spot manipulation check
+ *
+ * Prize USD values used to come from a spot price read whenever the frontend
+ * called /api/store?type=price. A thin pool can be pumped for a block or two,
+ * which is enough to pass minPrizeValueWei or inflate the leaderboard's Prize
+ * Score. Instead, each ERC-20 prize is valued at a time-weighted average
+ * price over TWAP_WINDOW_SECONDS ending at the contest's creation block:
+ *
+ *   V3 pools            - observe([window, 0]) from the pool's own oracle
+ *   V4 / V2 / Aerodrome - tick history: the price at TWAP_SAMPLES evenly spaced
+ *                         blocks across the window (archive reads), averaged as ticks
+ *
+ * Pools come from the price resolver (lib/price-resolver.js getPoolPrices) at
+ * the snapshot block. Pools under MIN_LIQUIDITY_USD are never used, and the
+ * rest are tried deepest first, so a dust pool can't set the price.
+ *
+ * If spot deviates from the TWAP by more than MAX_SPOT_TWAP_DEVIATION, if no
+ * liquid pool has a usable TWAP, or if the TWAP value is below the contract's
+ * minPrizeValueWei, the prize is stored at $0 with a rejectReason.
+ *
+ * Snapshots are written by the contest indexer when it sees ContestCreated
+ * (lib/contest-index.js), as contest_price_prize_{contestId}. Leaderboard and
+ * all-time prize totals use a stored snapshot (even at $0) instead of a live
+ * price. Admin overrides are never replaced.
+ */
+
+const { ethers } = require('ethers');
+const { CONFIG, ABIS, PRIZE_TYPE } = require('./config');
+const { multicall, getSlot0s } = require('./multicall');
+const { STABLECOINS, MIN_LIQUIDITY_USD, getPoolPrices, getETHPriceUSD } = require('./price-resolver');
+const { getContestManager, getTokenInfo } = require('./contest-manager');
+
+const TWAP_WINDOW_SECONDS = 30 * 60;
+const TWAP_SAMPLES = 12;
+const MAX_SPOT_TWAP_DEVIATION = 0.1; // 10%
+
+const v3PoolInterface = new ethers.Interface(ABIS.V3_POOL);
+const v2PairInterface = new ethers.Interface(ABIS.V2_PAIR);
+
+const LOG_TICK_BASE = Math.log(1.0001);
+
+/**
+ * Price of token1 in token0 (raw units) at a tick
+ */
+function tickToPrice(tick) {
+  return Math.pow(1.0001, tick);
+}
+
+/**
+ * Token price in ETH per whole token from a token1/token0 tick
+ */
+function tickToTokenPriceETH(tick, isToken0, decimals) {
+  const raw = isToken0 ? tickToPrice(tick) : 1 / tickToPrice(tick);
+  return raw * Math.pow(10, decimals - 18);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TWAP SOURCES
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * V3 TWAP from the pool's observation buffer
+ * Reverts (-> null) if the buffer doesn't reach back windowSeconds
+ */
+async function v3ObserveTwap(provider, address, blockTag, windowSeconds) {
+  const [observed, slot0] = await multicall(provider, [
+    { target: address, iface: v3PoolInterface, fn: 'observe', args: [[windowSeconds, 0]] },
+    { target: address, iface: v3PoolInterface, fn: 'slot0' },
+  ], { blockTag });
+  if (!observed.success || !slot0.success) return null;
+
+  const [start, end] = observed.value.tickCumulatives;
+  return {
+    method: 'observe',
+    spotTick: Number(slot0.value.tick),
+    twapTick: Number(end - start) / windowSeconds
+  };
+}
+
+/**
+ * Blocks to sample across the window, oldest first, ending at endBlock
+ */
+function sampleBlocks(endBlock, windowSeconds) {
+  const windowBlocks = Math.ceil(windowSeconds / CONFIG.BLOCK_TIME_SECONDS);
+  const blocks = [];
+  for (let i = TWAP_SAMPLES; i >= 0; i--) {
+    blocks.push(endBlock - Math.round((i * windowBlocks) / TWAP_SAMPLES));
+  }
+  return blocks;
+}
+
+/**
+ * Tick history TWAP: mean tick over evenly spaced blocks (evenly spaced
+ * blocks = equal time weights). Null if any sample is missing, e.g. the
+ * pool didn't exist for the whole window.
+ * @param {function} readTick - async (blockTag) => tick | null
+ */
+async function sampledTwap(readTick, endBlock, windowSeconds) {
+  const ticks = await Promise.all(sampleBlocks(endBlock, windowSeconds).map(readTick));
+  if (ticks.some(t => t === null || !Number.isFinite(t))) return null;
+
+  return {
+    method: 'samples',
+    spotTick: ticks[ticks.length - 1],
+    twapTick: ticks.reduce((sum, t) => sum + t, 0) / ticks.length,
+    samples: ticks.length
+  };
+}
+
+async function v4Tick(provider, poolId, blockTag) {
+  const [slot0] = await getSlot0s(provider, [{ poolId }], { blockTag });
+  return slot0 && slot0.sqrtPriceX96 > 0n ? slot0.tick : null;
+}
+
+// V2 reserves as a token1/token0 tick so every source averages the same way
+async function v2Tick(provider, address, blockTag) {
+  const [reserves] = await multicall(provider, [
+    { target: address, iface: v2PairInterface, fn: 'getReserves' }
+  ], { blockTag });
+  if (!reserves.success || reserves.value.reserve0 === 0n || reserves.value.reserve1 === 0n) return null;
+  return Math.log(Number(reserves.value.reserve1) / Number(reserves.value.reserve0)) / LOG_TICK_BASE;
+}
+
+/**
+ * TWAP reader for a pool from getPoolPrices()
+ */
+function twapReader(provider, pool, block, windowSeconds) {
+  if (pool.type === 'V3') return () => v3ObserveTwap(provider, pool.address, block, windowSeconds);
+  if (pool.type === 'V4') return () => sampledTwap(tag => v4Tick(provider, pool.poolId, tag), block, windowSeconds);
+  return () => sampledTwap(tag => v2Tick(provider, pool.address, tag), block, windowSeconds);
+}
+
+/**
+ * Spot + TWAP for a token/WETH pool: the deepest pool with at least
+ * MIN_LIQUIDITY_USD at the block whose TWAP can be read
+ * @param {object} provider - Ethers provider
+ * @param {string} tokenAddress
+ * @param {object} [options]
+ * @param {number} [options.blockNumber] - Window end (default latest)
+ * @param {number} [options.windowSeconds=TWAP_WINDOW_SECONDS]
+ * @returns {Promise<object|null>} { pool, method, spotTick, twapTick, spotPriceETH, twapPriceETH, deviation, liquidityUSD, decimals, block }
+ *   or null if no liquid pool has a TWAP over the whole window
+ */
+async function getTokenTwap(provider, tokenAddress, { blockNumber, windowSeconds = TWAP_WINDOW_SECONDS } = {}) {
+  const block = blockNumber ?? await provider.getBlockNumber();
+  const { pools, decimals } = await getPoolPrices(provider, tokenAddress, { blockNumber: block });
+
+  const candidates = pools
+    .filter(p => p.liquidityUSD >= MIN_LIQUIDITY_USD)
+    .sort((a, b) => b.liquidityUSD - a.liquidityUSD)
+    .map(p => ({
+      pool: p.type === 'V4' ? { type: 'V4', poolId: p.poolId } : { type: p.type, address: p.address },
+      isToken0: p.isToken0,
+      liquidityUSD: p.liquidityUSD,
+      read: twapReader(provider, p, block, windowSeconds)
+    }));
+
+  if (candidates.length === 0) {
+    console.log(`   No pool with $${MIN_LIQUIDITY_USD}+ liquidity for ${tokenAddress} at block ${block}`);
+    return null;
+  }
+
+  for (const candidate of candidates) {
+    let twap;
+    try {
+      twap = await candidate.read();
+    } catch (e) {
+      console.log(`   TWAP read failed for ${candidate.pool.type} pool: ${e.message?.slice(0, 60)}`);
+      continue;
+    }
+    if (!twap) continue;
+
+    const spotPriceETH = tickToTokenPriceETH(twap.spotTick, candidate.isToken0, decimals);
+    const twapPriceETH = tickToTokenPriceETH(twap.twapTick, candidate.isToken0, decimals);
+    return {
+      pool: candidate.pool,
+      ...twap,
+      spotPriceETH,
+      twapPriceETH,
+      deviation: Math.abs(spotPriceETH / twapPriceETH - 1),
+      liquidityUSD: Math.round(candidate.liquidityUSD),
+      windowSeconds,
+      decimals,
+      block
+    };
+  }
+
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PRIZE SNAPSHOTS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Value a contest prize at a block
+ * @param {object} provider - Ethers provider
+ * @param {object} contest - Typed contest (lib/contest-manager.js)
+ * @param {number} blockNumber - Normally the ContestCreated block
+ * @returns {Promise<object|null>} Snapshot record, or null for NFT prizes (valued via nft_price_*)
+ */
+async function valuePrize(provider, contest, blockNumber) {
+  if (contest.isNft) return null;
+
+  const ethPrice = await getETHPriceUSD(provider, { blockNumber });
+  const base = {
+    contestId: contest.contestId,
+    prizeType: contest.prizeTypeName,
+    block: blockNumber,
+    ethPrice,
+    timestamp: Math.floor(Date.now() / 1000),
+    capturedAt: new Date().toISOString()
+  };
+
+  if (contest.prizeType === PRIZE_TYPE.ETH) {
+    const amount = Number(ethers.formatEther(contest.prizeAmount));
+    return {
+      ...base,
+      tokenAddress: 'ETH_NATIVE',
+      prizeAmount: amount,
+      tokenPrice: ethPrice,
+      prizeValueUSD: Math.round(amount * ethPrice * 100) / 100,
+      oracle: { method: 'chainlink' },
+      rejected: false,
+      rejectReason: null
+    };
+  }
+
+  const token = contest.prizeToken.toLowerCase();
+  const { decimals, unresolved } = await getTokenInfo(provider, token);
+  // An 18-decimal guess could misvalue the prize by orders of magnitude - try again later
+  if (unresolved) throw new Error(`Could not read decimals for ${token}`);
+  const amount = Number(ethers.formatUnits(contest.prizeAmount, decimals));
+
+  if (STABLECOINS.includes(token)) {
+    return {
+      ...base,
+      tokenAddress: token,
+      prizeAmount: amount,
+      tokenPrice: 1,
+      prizeValueUSD: Math.round(amount * 100) / 100,
+      oracle: { method: 'stablecoin' },
+      rejected: false,
+      rejectReason: null
+    };
+  }
+
+  const [twap, minPrizeValueWei] = await Promise.all([
+    getTokenTwap(provider, token, { blockNumber }),
+    getContestManager(provider).minPrizeValueWei({ blockTag: blockNumber }).catch(() => 0n)
+  ]);
+
+  let rejectReason = null;
+  if (!twap) {
+    rejectReason = 'no-twap';
+  } else if (twap.deviation > MAX_SPOT_TWAP_DEVIATION) {
+    rejectReason = 'spot-deviates-from-twap';
+  } else if (minPrizeValueWei > 0n && amount * twap.twapPriceETH < Number(ethers.formatEther(minPrizeValueWei))) {
+    rejectReason = 'below-min-prize-at-twap';
+  }
+
+  const tokenPrice = twap ? twap.twapPriceETH * ethPrice : 0;
+  return {
+    ...base,
+    tokenAddress: token,
+    prizeAmount: amount,
+    tokenPrice,
+    spotPrice: twap ? twap.spotPriceETH * ethPrice : null,
+    prizeValueUSD: rejectReason ? 0 : Math.round(amount * tokenPrice * 100) / 100,
+    oracle: twap ? {
+      method: twap.method,
+      pool: twap.pool,
+      liquidityUSD: twap.liquidityUSD,
+      windowSeconds: twap.windowSeconds,
+      spotTick: twap.spotTick,
+      twapTick: twap.twapTick,
+      deviation: Math.round(twap.deviation * 10000) / 10000,
+      maxDeviation: MAX_SPOT_TWAP_DEVIATION
+    } : { method: null },
+    minPrizeValueWei: minPrizeValueWei.toString(),
+    rejected: !!rejectReason,
+    rejectReason
+  };
+}
+
+/**
+ * Value a contest's prize and store it as contest_price_prize_{contestId}
+ * Keeps an existing admin override or oracle snapshot.
+ * @param {object} kv - Vercel KV client
+ * @param {object} provider - Ethers provider
+ * @param {object} contest - Typed contest
+ * @param {number} blockNumber - Block to value at (ContestCreated block)
+ * @param {string} [source='indexer'] - What triggered the snapshot
+ * @returns {Promise<object|null>} The stored (or existing) snapshot; null for NFT prizes
+ */
+async function snapshotContestPrize(kv, provider, contest, blockNumber, source = 'indexer') {
+  const key = `contest_price_prize_${contest.contestId}`;
+  const existing = await kv.get(key);
+  if (existing?.adminOverride || existing?.oracle) return existing;
+
+  const snapshot = await valuePrize(provider, contest, blockNumber);
+  if (!snapshot) return null;
+
+  snapshot.source = source;
+  await kv.set(key, snapshot);
+
+  if (snapshot.rejected) {
+    console.log(`⚠️ Prize for ${contest.contestId} valued at $0: ${snapshot.rejectReason}`);
+  } else {
+    console.log(`💵 Prize for ${contest.contestId}: $${snapshot.prizeValueUSD} (${snapshot.oracle.method})`);
+  }
+  return snapshot;
+}
+
+module.exports = {
+  TWAP_WINDOW_SECONDS,
+  TWAP_SAMPLES,
+  MAX_SPOT_TWAP_DEVIATION,
+  tickToPrice,
+  getTokenTwap,
+  valuePrize,
+  snapshotContestPrize,
+};
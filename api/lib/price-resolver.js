@@ -0,0 +1,537 @@
+/**
+ * Price Resolver - the one token price lookup every endpoint uses
+ *
+ * Token/WETH pools are discovered and read through Multicall3, then tried
+ * in this order:
+ *
+ *   V4          - KNOWN_V4_POOLS + Clanker hook x fee tier candidates
+ *   V3          - Uniswap V3, every fee tier
+ *   V2          - Uniswap V2 pair
+ *   Aerodrome   - volatile pool
+ *   DexScreener - external fallback (live prices only)
+ *
+ * The first pool with at least MIN_LIQUIDITY_USD wins. If none has that
+ * much, DexScreener is asked and the deepest source found is used.
+ * Liquidity is 2x the WETH side of the pool (in-range reserves for V3/V4).
+ *
+ * Every result carries its provenance:
+ *   { token, priceUSD, priceETH, ethPriceUSD, source, pool, liquidityUSD,
+ *     confidence, block, resolvedAt, cache }
+ * confidence: 'high' (>= HIGH_CONFIDENCE_LIQUIDITY_USD), 'medium'
+ * (>= MIN_LIQUIDITY_USD), 'low', or 'none' (no price, priceUSD 0).
+ * DexScreener prices are never 'high' - they can't be checked on-chain.
+ *
+ * Caching tiers (same key in both: token_price:{token}:{block|latest}):
+ *   memory - per function instance. Live prices for LIVE_MEMORY_TTL_MS,
+ *            block prices until evicted (MEMORY_CACHE_SIZE entries)
+ *   KV     - when the caller passes a kv client. Live prices for
+ *            LIVE_KV_TTL_SECONDS, block prices for BLOCK_KV_TTL_SECONDS
+ * A price at a block never changes, so it's kept far longer than a live one.
+ * 'none' results are only cached in memory, briefly, so an RPC blip doesn't
+ * pin a token at $0.
+ */
+
+const { ethers } = require('ethers');
+const { CONFIG, ABIS } = require('./config');
+const { multicall, getSlot0s } = require('./multicall');
+const { getTokenInfo } = require('./contest-manager');
+
+const MIN_LIQUIDITY_USD = 1000;
+const HIGH_CONFIDENCE_LIQUIDITY_USD = 50000;
+
+const LIVE_MEMORY_TTL_MS = 30 * 1000;
+const ETH_PRICE_TTL_MS = 60 * 1000;
+const LIVE_KV_TTL_SECONDS = 60;
+const BLOCK_KV_TTL_SECONDS = 7 * 24 * 60 * 60;
+const MEMORY_CACHE_SIZE = 1000;
+
+const DEXSCREENER_TIMEOUT_MS = 5000;
+
+// Always ~$1, no pool needed
+const STABLECOINS = [
+  '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913', // USDC
+  '0x50c5725949a6f0c72e6c4a641f24049a917db0cb', // DAI
+  '0xd9aaec86b65d86f6a7b5b1b0c42ffa531710b6ca', // USDbC
+];
+
+const v2FactoryInterface = new ethers.Interface(ABIS.V2_FACTORY);
+const v2PairInterface = new ethers.Interface(ABIS.V2_PAIR);
+const v3FactoryInterface = new ethers.Interface(ABIS.V3_FACTORY);
+const v3PoolInterface = new ethers.Interface(ABIS.V3_POOL);
+const aerodromeFactoryInterface = new ethers.Interface(ABIS.AERODROME_FACTORY);
+const stateViewInterface = new ethers.Interface(ABIS.V4_STATE_VIEW);
+const chainlinkInterface = new ethers.Interface(ABIS.CHAINLINK);
+
+// ═══════════════════════════════════════════════════════════════════
+// POOL DISCOVERY
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Registry of known V4 pool IDs for tokens
+ * Clanker tokens use hook addresses we can't always guess, so important
+ * tokens are listed here. tokenAddress (lowercase) -> { poolId, isToken0 }
+ */
+const KNOWN_V4_POOLS = {
+  // NEYNARTODES - Clanker-launched token with custom hook
+  '0x8de1622fe07f56cda2e2273e615a513f1d828b07': {
+    poolId: '0xfad8f807f3f300d594c5725adb8f54314d465bcb1ab8cc04e37b08c1aa80d2e7',
+    isToken0: false, // WETH (0x42...) < NEYNARTODES (0x8d...), so token is currency1
+  },
+};
+
+// Common Clanker hook addresses on Base
+// From Clanker docs: ClankerHook, ClankerHookStaticFee, ClankerHookDynamicFee, V2 variants
+const CLANKER_HOOKS = [
+  '0xDd5EeaFf7BD481AD55Db083062b13a3cdf0A68CC', // Current Clanker production hook
+  '0x1eD8c4907aEF90aA7506eB553af519b8a4545772', // Clanker V1 hook
+  '0x0000000000000000000000000000000000000000', // No hook
+];
+
+// Common V4 fee tiers and tick spacings
+const V4_CONFIGS = [
+  { fee: 10000, tickSpacing: 200 },
+  { fee: 3000, tickSpacing: 60 },
+  { fee: 500, tickSpacing: 10 },
+  { fee: 100, tickSpacing: 1 },
+];
+
+const V3_FEE_TIERS = [100, 500, 3000, 10000];
+
+/**
+ * Compute V4 poolId from currency pair and fee
+ * V4 uses PoolKey: (currency0, currency1, fee, tickSpacing, hooks)
+ */
+function computeV4PoolId(token0, token1, fee, tickSpacing, hooks) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ['address', 'address', 'uint24', 'int24', 'address'],
+    [token0, token1, fee, tickSpacing, hooks]
+  );
+  return ethers.keccak256(encoded);
+}
+
+/**
+ * Every token/WETH V4 pool ID we know how to guess (hook x fee tier)
+ * @returns {{isToken0: boolean, candidates: Array<{hook: string, config: object, poolId: string}>}}
+ */
+function v4PoolCandidates(tokenAddress) {
+  // Sort tokens to get correct order
+  const [currency0, currency1] = tokenAddress.toLowerCase() < CONFIG.WETH.toLowerCase()
+    ? [tokenAddress, CONFIG.WETH]
+    : [CONFIG.WETH, tokenAddress];
+
+  return {
+    isToken0: tokenAddress.toLowerCase() === currency0.toLowerCase(),
+    candidates: CLANKER_HOOKS.flatMap(hook => V4_CONFIGS.map(config => ({
+      hook,
+      config,
+      // Lowercased - the hook list isn't all valid checksums
+      poolId: computeV4PoolId(currency0, currency1, config.fee, config.tickSpacing, hook.toLowerCase())
+    })))
+  };
+}
+
+/**
+ * Find the token's WETH pools (two multicalls: factory lookups + V4 slot0s)
+ * V2/V3/Aerodrome pools sort their tokens like V4, so the token is token0
+ * when its address is lower than WETH's.
+ * @param {object} provider - Ethers provider
+ * @param {string} tokenAddress
+ * @param {object} [options]
+ * @param {number} [options.blockTag] - Only pools that existed at this block
+ * @returns {Promise<Array<{type: string, address?: string, poolId?: string, fee?: number, hook?: string|null, isToken0: boolean}>>}
+ *   In resolution order: V4, V3, V2, Aerodrome
+ */
+async function findPricePools(provider, tokenAddress, { blockTag } = {}) {
+  const token = tokenAddress.toLowerCase();
+  const { isToken0, candidates } = v4PoolCandidates(token);
+
+  const known = KNOWN_V4_POOLS[token];
+  const v4Candidates = known && !candidates.some(c => c.poolId.toLowerCase() === known.poolId)
+    ? [{ hook: null, config: null, poolId: known.poolId }, ...candidates]
+    : candidates;
+
+  const factoryLookups = [
+    ...V3_FEE_TIERS.map(fee => ({
+      pool: { type: 'V3', fee },
+      call: { target: CONFIG.UNISWAP_V3_FACTORY, iface: v3FactoryInterface, fn: 'getPool', args: [token, CONFIG.WETH, fee] }
+    })),
+    {
+      pool: { type: 'V2' },
+      call: { target: CONFIG.UNISWAP_V2_FACTORY, iface: v2FactoryInterface, fn: 'getPair', args: [token, CONFIG.WETH] }
+    },
+    {
+      pool: { type: 'Aerodrome' },
+      call: { target: CONFIG.AERODROME_FACTORY, iface: aerodromeFactoryInterface, fn: 'getPool', args: [token, CONFIG.WETH, false] }
+    },
+  ];
+
+  const [addresses, slot0s] = await Promise.all([
+    multicall(provider, factoryLookups.map(l => l.call), { blockTag }),
+    getSlot0s(provider, v4Candidates.map(c => ({ poolId: c.poolId })), { blockTag })
+  ]);
+
+  const v4Pools = v4Candidates
+    .filter((_, i) => slot0s[i] && slot0s[i].sqrtPriceX96 > 0n)
+    .map(c => ({ type: 'V4', poolId: c.poolId.toLowerCase(), fee: c.config?.fee ?? null, hook: c.hook, isToken0 }));
+
+  const pairPools = [];
+  factoryLookups.forEach((lookup, i) => {
+    if (addresses[i].success && addresses[i].value !== ethers.ZeroAddress) {
+      pairPools.push({ ...lookup.pool, address: addresses[i].value.toLowerCase(), isToken0 });
+    }
+  });
+
+  return [...v4Pools, ...pairPools];
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// POOL STATE
+// ═══════════════════════════════════════════════════════════════════
+
+function poolStateCalls(pool) {
+  if (pool.type === 'V4') {
+    return [
+      { target: CONFIG.V4_STATE_VIEW, iface: stateViewInterface, fn: 'getSlot0', args: [pool.poolId] },
+      { target: CONFIG.V4_STATE_VIEW, iface: stateViewInterface, fn: 'getLiquidity', args: [pool.poolId] },
+    ];
+  }
+  if (pool.type === 'V3') {
+    return [
+      { target: pool.address, iface: v3PoolInterface, fn: 'slot0' },
+      { target: pool.address, iface: v3PoolInterface, fn: 'liquidity' },
+    ];
+  }
+  return [{ target: pool.address, iface: v2PairInterface, fn: 'getReserves' }];
+}
+
+/**
+ * Token price (ETH per whole token) and WETH depth from a pool's state
+ * @returns {{priceETH: number, wethReserve: number}|null}
+ */
+function readPoolState(pool, results, decimals) {
+  if (results.some(r => !r.success)) return null;
+  const decimalsScale = Math.pow(10, decimals - 18);
+
+  if (pool.type === 'V4' || pool.type === 'V3') {
+    const sqrtPriceX96 = BigInt(results[0].value.sqrtPriceX96);
+    if (sqrtPriceX96 === 0n) return null;
+
+    // sqrtPrice is sqrt(token1 / token0) in raw units
+    const sqrtPrice = Number(sqrtPriceX96) / (2 ** 96);
+    const rawPrice = sqrtPrice * sqrtPrice;
+    const liquidity = Number(results[1].value);
+    return {
+      priceETH: (pool.isToken0 ? rawPrice : 1 / rawPrice) * decimalsScale,
+      wethReserve: (pool.isToken0 ? liquidity * sqrtPrice : liquidity / sqrtPrice) / 1e18
+    };
+  }
+
+  const { reserve0, reserve1 } = results[0].value;
+  const tokenReserve = pool.isToken0 ? reserve0 : reserve1;
+  const wethReserve = pool.isToken0 ? reserve1 : reserve0;
+  if (tokenReserve === 0n || wethReserve === 0n) return null;
+
+  return {
+    priceETH: (Number(wethReserve) / Number(tokenReserve)) * decimalsScale,
+    wethReserve: Number(wethReserve) / 1e18
+  };
+}
+
+/**
+ * Price and liquidity of every token/WETH pool
+ * @param {object} provider - Ethers provider
+ * @param {string} tokenAddress
+ * @param {object} [options]
+ * @param {number} [options.blockNumber] - Read at this block (default latest)
+ * @returns {Promise<{pools: Array<object>, ethPriceUSD: number, decimals: number}>}
+ *   pools as in findPricePools, plus { priceETH, priceUSD, liquidityUSD }, in resolution order
+ */
+async function getPoolPrices(provider, tokenAddress, { blockNumber } = {}) {
+  const [pools, { decimals, unresolved }, ethPriceUSD] = await Promise.all([
+    findPricePools(provider, tokenAddress, { blockTag: blockNumber }),
+    getTokenInfo(provider, tokenAddress),
+    getETHPriceUSD(provider, { blockNumber })
+  ]);
+  // Pool prices are per whole token - a guessed decimals would scale them wrongly
+  if (unresolved) throw new Error(`Could not read decimals for ${tokenAddress}`);
+  if (pools.length === 0) return { pools: [], ethPriceUSD, decimals };
+
+  const reads = pools.map(poolStateCalls);
+  const results = await multicall(provider, reads.flat(), { blockTag: blockNumber });
+
+  const priced = [];
+  let offset = 0;
+  pools.forEach((pool, i) => {
+    const state = readPoolState(pool, results.slice(offset, offset + reads[i].length), decimals);
+    offset += reads[i].length;
+    if (!state || !Number.isFinite(state.priceETH) || state.priceETH <= 0) return;
+
+    priced.push({
+      ...pool,
+      priceETH: state.priceETH,
+      priceUSD: state.priceETH * ethPriceUSD,
+      liquidityUSD: state.wethReserve * ethPriceUSD * 2
+    });
+  });
+
+  return { pools: priced, ethPriceUSD, decimals };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// ETH PRICE
+// ═══════════════════════════════════════════════════════════════════
+
+const memoryCache = new Map();
+
+function fromMemory(key) {
+  const entry = memoryCache.get(key);
+  if (!entry) return null;
+  if (entry.expires < Date.now()) {
+    memoryCache.delete(key);
+    return null;
+  }
+  return entry.value;
+}
+
+function remember(key, value, ttlMs) {
+  memoryCache.delete(key);
+  memoryCache.set(key, { value, expires: Date.now() + ttlMs });
+  // Map keeps insertion order - drop the oldest
+  while (memoryCache.size > MEMORY_CACHE_SIZE) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+/**
+ * Chainlink ETH/USD, live or at a block
+ * A failed live read falls back to the last live price this instance saw.
+ * @param {object} provider - Ethers provider
+ * @param {object} [options]
+ * @param {number} [options.blockNumber]
+ * @returns {Promise<number>}
+ * @throws If Chainlink can't be read and there's no earlier price
+ */
+async function getETHPriceUSD(provider, { blockNumber } = {}) {
+  const key = `eth_price:${blockNumber ?? 'latest'}`;
+  const cached = fromMemory(key);
+  if (cached !== null) return cached;
+
+  try {
+    const [round] = await multicall(provider, [
+      { target: CONFIG.CHAINLINK_ETH_USD, iface: chainlinkInterface, fn: 'latestRoundData' }
+    ], { blockTag: blockNumber });
+    if (!round.success) throw new Error('Chainlink ETH/USD read failed');
+
+    const price = Number(round.value.answer) / 1e8;
+    remember(key, price, blockNumber === undefined ? ETH_PRICE_TTL_MS : Infinity);
+    if (blockNumber === undefined) remember('eth_price:last', price, Infinity);
+    return price;
+  } catch (e) {
+    const last = blockNumber === undefined ? fromMemory('eth_price:last') : null;
+    if (last !== null) {
+      console.log(`   ETH price read failed, using last known $${last.toFixed(2)}: ${e.message?.slice(0, 50)}`);
+      return last;
+    }
+    throw e;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// EXTERNAL FALLBACK
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Most liquid Base pair on DexScreener (covers pools we can't discover)
+ * @returns {Promise<{priceUSD: number, liquidityUSD: number|null, pool: object}|null>}
+ */
+async function tryDexScreenerPrice(tokenAddress) {
+  try {
+    const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`, {
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(DEXSCREENER_TIMEOUT_MS),
+    });
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    const bestPair = (data.pairs || [])
+      .filter(p => p.chainId === 'base')
+      .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
+    if (!bestPair) return null;
+
+    const priceUSD = parseFloat(bestPair.priceUsd);
+    if (!(priceUSD > 0)) return null;
+
+    return {
+      priceUSD,
+      liquidityUSD: bestPair.liquidity?.usd ?? null,
+      pool: { type: 'DexScreener', dex: bestPair.dexId, address: bestPair.pairAddress?.toLowerCase() || null }
+    };
+  } catch (e) {
+    console.log(`   DexScreener error: ${e.message?.slice(0, 50)}`);
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RESOLVER
+// ═══════════════════════════════════════════════════════════════════
+
+function confidenceFor(liquidityUSD) {
+  if (liquidityUSD >= HIGH_CONFIDENCE_LIQUIDITY_USD) return 'high';
+  if (liquidityUSD >= MIN_LIQUIDITY_USD) return 'medium';
+  return 'low';
+}
+
+function poolSummary({ type, address, poolId, fee, hook }) {
+  if (type === 'V4') return { type, poolId, fee, hook };
+  if (type === 'V3') return { type, address, fee };
+  return { type, address };
+}
+
+/**
+ * Resolve a price with no caching
+ */
+async function fetchTokenPrice(provider, token, { blockNumber, external }) {
+  const base = { token, block: blockNumber ?? null, resolvedAt: new Date().toISOString() };
+
+  let onChain = { pools: [], ethPriceUSD: null };
+  try {
+    onChain = await getPoolPrices(provider, token, { blockNumber });
+  } catch (e) {
+    console.log(`   On-chain price lookup failed for ${token.slice(0, 10)}...: ${e.message?.slice(0, 60)}`);
+  }
+
+  const { pools, ethPriceUSD } = onChain;
+  const fromPool = (pool) => ({
+    ...base,
+    priceUSD: pool.priceUSD,
+    priceETH: pool.priceETH,
+    ethPriceUSD,
+    source: pool.type,
+    pool: poolSummary(pool),
+    liquidityUSD: pool.liquidityUSD,
+    confidence: confidenceFor(pool.liquidityUSD)
+  });
+
+  const preferred = pools.find(p => p.liquidityUSD >= MIN_LIQUIDITY_USD);
+  if (preferred) return fromPool(preferred);
+
+  const deepest = pools.reduce((best, p) => (!best || p.liquidityUSD > best.liquidityUSD ? p : best), null);
+
+  // DexScreener only knows the current price
+  if (external && blockNumber === undefined) {
+    const dex = await tryDexScreenerPrice(token);
+    if (dex && (!deepest || (dex.liquidityUSD || 0) > deepest.liquidityUSD)) {
+      return {
+        ...base,
+        priceUSD: dex.priceUSD,
+        priceETH: ethPriceUSD ? dex.priceUSD / ethPriceUSD : null,
+        ethPriceUSD,
+        source: 'DexScreener',
+        pool: dex.pool,
+        liquidityUSD: dex.liquidityUSD,
+        confidence: dex.liquidityUSD >= MIN_LIQUIDITY_USD ? 'medium' : 'low'
+      };
+    }
+  }
+
+  if (deepest) return fromPool(deepest);
+
+  return { ...base, priceUSD: 0, priceETH: 0, ethPriceUSD, source: 'none', pool: null, liquidityUSD: null, confidence: 'none' };
+}
+
+/**
+ * Resolve through the memory and KV caches
+ */
+async function cachedTokenPrice(provider, token, { blockNumber, kv, external }) {
+  const key = `token_price:${token}:${blockNumber ?? 'latest'}`;
+  const live = blockNumber === undefined;
+
+  const memory = fromMemory(key);
+  if (memory) return { ...memory, cache: 'memory' };
+
+  if (kv) {
+    const stored = await kv.get(key).catch(() => null);
+    if (stored) {
+      remember(key, stored, live ? LIVE_MEMORY_TTL_MS : Infinity);
+      return { ...stored, cache: 'kv' };
+    }
+  }
+
+  const price = await fetchTokenPrice(provider, token, { blockNumber, external });
+
+  if (price.source === 'none') {
+    remember(key, price, LIVE_MEMORY_TTL_MS);
+    return { ...price, cache: 'miss' };
+  }
+
+  remember(key, price, live ? LIVE_MEMORY_TTL_MS : Infinity);
+  if (kv) {
+    await kv.set(key, price, { ex: live ? LIVE_KV_TTL_SECONDS : BLOCK_KV_TTL_SECONDS }).catch(e => {
+      console.log(`   Price cache write failed: ${e.message?.slice(0, 50)}`);
+    });
+  }
+  return { ...price, cache: 'miss' };
+}
+
+/**
+ * Resolve a token's USD price with its source, pool, liquidity and confidence
+ * Never throws - an unpriceable token comes back with source 'none' and priceUSD 0.
+ * @param {object} provider - Ethers provider
+ * @param {string} tokenAddress
+ * @param {object} [options]
+ * @param {number} [options.blockNumber] - Price at this block (archive reads; default live)
+ * @param {object} [options.kv] - Vercel KV client for the shared cache tier
+ * @param {boolean} [options.external=true] - Allow the DexScreener fallback (live prices only)
+ * @param {boolean} [options.fallbackToLatest=false] - If there's no price at blockNumber, return the
+ *   live price instead (confidence 'low', fallback: 'latest', requestedBlock: blockNumber)
+ * @returns {Promise<object>} { token, priceUSD, priceETH, ethPriceUSD, source, pool, liquidityUSD,
+ *   confidence, block, resolvedAt, cache }
+ */
+async function resolveTokenPrice(provider, tokenAddress, { blockNumber, kv, external = true, fallbackToLatest = false } = {}) {
+  const token = tokenAddress.toLowerCase();
+
+  if (STABLECOINS.includes(token)) {
+    return {
+      token,
+      priceUSD: 1,
+      priceETH: null,
+      ethPriceUSD: null,
+      source: 'stablecoin',
+      pool: null,
+      liquidityUSD: null,
+      confidence: 'high',
+      block: blockNumber ?? null,
+      resolvedAt: new Date().toISOString(),
+      cache: 'miss'
+    };
+  }
+
+  const price = await cachedTokenPrice(provider, token, { blockNumber, kv, external });
+  if (price.source !== 'none' || !fallbackToLatest || blockNumber === undefined) return price;
+
+  const latest = await cachedTokenPrice(provider, token, { kv, external });
+  if (latest.source === 'none') return price;
+  return { ...latest, confidence: 'low', fallback: 'latest', requestedBlock: blockNumber };
+}
+
+/**
+ * Whether a price comes from a pool deep enough to value prizes with
+ */
+function isTrustedPrice(price) {
+  return price.confidence === 'high' || price.confidence === 'medium';
+}
+
+module.exports = {
+  MIN_LIQUIDITY_USD,
+  HIGH_CONFIDENCE_LIQUIDITY_USD,
+  STABLECOINS,
+  KNOWN_V4_POOLS,
+  computeV4PoolId,
+  v4PoolCandidates,
+  findPricePools,
+  getPoolPrices,
+  getETHPriceUSD,
+  resolveTokenPrice,
+  isTrustedPrice,
+};
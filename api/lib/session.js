@@ -0,0 +1,280 @@
+/**
+ * Session tokens for write endpoints
+ *
+ * Flow:
+ *   1. GET  /api/session                     -> { nonce } (single use, 5 min)
+ *   2. Client signs in with the nonce:
+ *      - "siwf":   sdk.actions.signIn({ nonce }) -> { message, signature }
+ *                  (Sign In With Farcaster, signed by the custody address)
+ *      - "wallet": personal_sign of buildWalletSignInMessage(fid, nonce, domain)
+ *                  from a connected wallet
+ *   3. POST /api/session { method, ... }     -> { token, fid, expiresAt }
+ *   4. Write endpoints send `Authorization: Bearer <token>` and take the FID
+ *      from the token (requireSession), never from the request body.
+ *
+ * The signing address must be the FID's custody or a verified address
+ * (cached getUserAddresses). Tokens are stateless HMAC-signed payloads,
+ * so checking one costs no KV or Neynar call.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { SiweMessage } = require('siwe');
+const { getUserAddresses } = require('./utils');
+const { getContest } = require('./contest-manager');
+
+const SESSION_TTL_SECONDS = 60 * 60; // 1 hour
+const NONCE_TTL_SECONDS = 300;
+
+// ═══════════════════════════════════════════════════════════════════
+// NONCES
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Issue a single-use sign-in nonce
+ * @param {object} kv - Vercel KV client
+ * @returns {Promise<string>} Alphanumeric nonce (SIWE requires 8+ chars)
+ */
+async function issueNonce(kv) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  await kv.set(`session_nonce:${nonce}`, Date.now(), { ex: NONCE_TTL_SECONDS });
+  return nonce;
+}
+
+/**
+ * Consume a nonce (false if unknown, expired or already used)
+ */
+async function consumeNonce(kv, nonce) {
+  if (!nonce || typeof nonce !== 'string') return false;
+  return (await kv.getdel(`session_nonce:${nonce}`)) !== null;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SIGN-IN VERIFICATION
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Message a wallet signs for the "wallet" method
+ * (app.html builds the same string)
+ */
+function buildWalletSignInMessage(fid, nonce, domain) {
+  return `${domain} wants you to sign in to NEYNARtodes\n\nFID: ${fid}\nNonce: ${nonce}`;
+}
+
+/**
+ * Check that an address belongs to a FID (custody or verified)
+ */
+async function addressBelongsToFid(address, fid) {
+  const addresses = await getUserAddresses(fid);
+  return addresses.includes(address.toLowerCase());
+}
+
+/**
+ * Verify a Sign In With Farcaster message
+ * @param {object} kv - Vercel KV client
+ * @param {object} params
+ * @param {string} params.message - SIWE-formatted message from sdk.actions.signIn()
+ * @param {string} params.signature
+ * @param {string[]} params.domains - Domains the message may be issued for
+ * @returns {Promise<{fid: number, address: string}|{error: string}>}
+ */
+async function verifySiwf(kv, { message, signature, domains }) {
+  let parsed;
+  try {
+    parsed = new SiweMessage(message);
+  } catch (e) {
+    return { error: 'Malformed sign-in message' };
+  }
+
+  if (!domains.includes(parsed.domain)) {
+    return { error: `Sign-in message is for ${parsed.domain}` };
+  }
+
+  const fidResource = (parsed.resources || []).find(r => r.startsWith('farcaster://fid/'));
+  const fid = fidResource ? parseInt(fidResource.slice('farcaster://fid/'.length)) : NaN;
+  if (isNaN(fid) || fid <= 0) {
+    return { error: 'Sign-in message has no FID' };
+  }
+
+  if (!(await consumeNonce(kv, parsed.nonce))) {
+    return { error: 'Invalid or expired nonce' };
+  }
+
+  const result = await parsed.verify({ signature, nonce: parsed.nonce, domain: parsed.domain }, { suppressExceptions: true });
+  if (!result.success) {
+    return { error: 'Invalid signature' };
+  }
+
+  if (!(await addressBelongsToFid(parsed.address, fid))) {
+    return { error: 'Signer is not a custody or verified address of this FID' };
+  }
+
+  return { fid, address: parsed.address.toLowerCase() };
+}
+
+/**
+ * Verify a wallet signature over buildWalletSignInMessage()
+ * @param {object} kv - Vercel KV client
+ * @param {object} params
+ * @param {number} params.fid
+ * @param {string} params.nonce
+ * @param {string} params.signature
+ * @param {string} params.domain - Domain the client signed for (must be allowed)
+ * @param {string[]} params.domains
+ * @returns {Promise<{fid: number, address: string}|{error: string}>}
+ */
+async function verifyWalletSignIn(kv, { fid, nonce, signature, domain, domains }) {
+  const parsedFid = parseInt(fid);
+  if (isNaN(parsedFid) || parsedFid <= 0) {
+    return { error: 'Missing or invalid fid' };
+  }
+  if (!domains.includes(domain)) {
+    return { error: `Sign-in message is for ${domain}` };
+  }
+  if (!(await consumeNonce(kv, nonce))) {
+    return { error: 'Invalid or expired nonce' };
+  }
+
+  let address;
+  try {
+    address = ethers.verifyMessage(buildWalletSignInMessage(parsedFid, nonce, domain), signature).toLowerCase();
+  } catch (e) {
+    return { error: 'Invalid signature' };
+  }
+
+  if (!(await addressBelongsToFid(address, parsedFid))) {
+    return { error: 'Signer is not a custody or verified address of this FID' };
+  }
+
+  return { fid: parsedFid, address };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TOKENS
+// ═══════════════════════════════════════════════════════════════════
+
+function getSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) throw new Error('SESSION_SECRET not configured');
+  return secret;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a session token
+ * @param {{fid: number, address: string}} identity
+ * @returns {{token: string, expiresAt: number}} expiresAt in unix seconds
+ */
+function issueSessionToken({ fid, address }) {
+  const now = Math.floor(Date.now() / 1000);
+  const expiresAt = now + SESSION_TTL_SECONDS;
+  const payload = Buffer.from(JSON.stringify({ fid, address, iat: now, exp: expiresAt })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Verify a session token
+ * @param {string} token
+ * @returns {{fid: number, address: string, exp: number}|null}
+ */
+function verifySessionToken(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!session.fid || session.exp <= Math.floor(Date.now() / 1000)) return null;
+    return session;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Require a valid session on a write endpoint.
+ * Sends 401/403 and returns null if the request isn't authenticated, or if
+ * the body claims a different FID than the session.
+ * @param {object} req
+ * @param {object} res
+ * @param {*} [claimedFid] - FID from the request body, if the endpoint still accepts one
+ * @returns {{fid: number, address: string}|null}
+ */
+function requireSession(req, res, claimedFid) {
+  const header = req.headers['authorization'] || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+
+  let session;
+  try {
+    session = verifySessionToken(token);
+  } catch (e) {
+    console.error('Session check failed:', e.message);
+    res.status(500).json({ error: 'Sessions not configured' });
+    return null;
+  }
+
+  if (!session) {
+    res.status(401).json({ error: 'Sign in required', auth_required: true });
+    return null;
+  }
+
+  if (claimedFid !== undefined && claimedFid !== null && parseInt(claimedFid) !== session.fid) {
+    res.status(403).json({ error: 'fid does not match signed-in user' });
+    return null;
+  }
+
+  return { fid: session.fid, address: session.address };
+}
+
+/**
+ * Domains a sign-in message may be issued for
+ */
+function getAllowedDomains(req) {
+  return [
+    req.headers['x-forwarded-host'],
+    req.headers['host'],
+    ...(process.env.APP_DOMAINS || '').split(','),
+  ].map(d => (d || '').trim()).filter(Boolean);
+}
+
+/**
+ * Check the signed-in FID hosts a contest (one of its addresses is contest.host)
+ * Use after requireSession() on writes that configure a contest.
+ * @param {object} provider - Ethers provider
+ * @param {number} fid - From requireSession()
+ * @param {string} contestId - M-12 / T-3 (IDs that don't exist on-chain yet are rejected)
+ * @returns {Promise<{contest: object}|{status: number, error: string}>}
+ */
+async function checkContestHost(provider, fid, contestId) {
+  const contest = await getContest(provider, contestId);
+  if (!contest) {
+    return { status: 404, error: 'Contest not found' };
+  }
+
+  const addresses = await getUserAddresses(fid);
+  if (!addresses.includes(contest.host.toLowerCase())) {
+    return { status: 403, error: 'Only the contest host can change this' };
+  }
+  return { contest };
+}
+
+module.exports = {
+  SESSION_TTL_SECONDS,
+  issueNonce,
+  buildWalletSignInMessage,
+  verifySiwf,
+  verifyWalletSignIn,
+  issueSessionToken,
+  verifySessionToken,
+  requireSession,
+  checkContestHost,
+  getAllowedDomains,
+};
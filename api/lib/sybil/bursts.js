@@ -0,0 +1,42 @@
+/**
+ * Sybil detection - sequential FID registration bursts
+ *
+ * Farm rings register accounts back to back, so their FIDs land in a tight
+ * range (e.g. 1027765-1031145, 24 accounts). Entrants whose FIDs sit in a
+ * dense run like that are flagged.
+ */
+
+/**
+ * Find runs of closely spaced FIDs among a contest's entrants
+ * @param {number[]} fids - Entrant FIDs
+ * @param {object} [options]
+ * @param {number} [options.maxGap=500] - Max distance between neighbouring FIDs in a run
+ * @param {number} [options.minSize=4] - Min FIDs for a run to count as a burst
+ * @returns {Array<{fids: number[], from: number, to: number, size: number}>}
+ */
+function findFidBursts(fids, { maxGap = 500, minSize = 4 } = {}) {
+  const sorted = [...new Set(fids)].sort((a, b) => a - b);
+  const bursts = [];
+  let run = [];
+
+  const closeRun = () => {
+    if (run.length >= minSize) {
+      bursts.push({ fids: run, from: run[0], to: run[run.length - 1], size: run.length });
+    }
+  };
+
+  for (const fid of sorted) {
+    if (run.length > 0 && fid - run[run.length - 1] > maxGap) {
+      closeRun();
+      run = [];
+    }
+    run.push(fid);
+  }
+  closeRun();
+
+  return bursts;
+}
+
+module.exports = {
+  findFidBursts,
+};
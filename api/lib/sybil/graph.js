@@ -0,0 +1,143 @@
+/**
+ * Sybil detection - transfer graph + wallet clustering
+ *
+ * Entrants are linked (union-find on FID) when their wallets:
+ *   - direct_transfer: sent tokens to each other
+ *   - shared_funder:   were funded by the same outside wallet
+ *   - intermediary:    cycled tokens through the same outside wallet
+ *                      (entrant A -> X -> entrant B)
+ *
+ * Outside wallets touching too many entrants (exchanges, airdrops, routers)
+ * are treated as hubs and ignored, as are cooldown_exempt addresses.
+ */
+
+/**
+ * Build an address-level transfer graph
+ * @param {object[]} transfers - From decodeTransferLogs()
+ * @returns {{out: Map<string, Map<string, {count: number, value: bigint, txHashes: string[]}>>, in: Map<string, Set<string>>}}
+ */
+function buildTransferGraph(transfers) {
+  const out = new Map();
+  const incoming = new Map();
+
+  for (const t of transfers) {
+    if (t.from === t.to) continue;
+
+    if (!out.has(t.from)) out.set(t.from, new Map());
+    const edges = out.get(t.from);
+    if (!edges.has(t.to)) edges.set(t.to, { count: 0, value: 0n, txHashes: [] });
+
+    const edge = edges.get(t.to);
+    edge.count++;
+    edge.value += t.value;
+    if (edge.txHashes.length < 5) edge.txHashes.push(t.txHash);
+
+    if (!incoming.has(t.to)) incoming.set(t.to, new Set());
+    incoming.get(t.to).add(t.from);
+  }
+
+  return { out, in: incoming };
+}
+
+/**
+ * Minimal union-find keyed by FID
+ */
+function createUnionFind() {
+  const parent = new Map();
+
+  const find = (x) => {
+    if (!parent.has(x)) parent.set(x, x);
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent.set(Math.max(ra, rb), Math.min(ra, rb));
+  };
+
+  return { find, union };
+}
+
+/**
+ * Cluster entrants that share funders or move tokens between each other
+ * @param {object} graph - From buildTransferGraph()
+ * @param {Map<string, number>} addressToFid - Entrant wallet (lowercase) -> FID
+ * @param {object} options
+ * @param {Set<string>} [options.ignoreAddresses] - Never treated as funder/intermediary
+ * @param {number} [options.minFunderFanout=2] - Entrants a wallet must fund to count as shared funder
+ * @param {number} [options.maxHubFanout=25] - Wallets touching more entrants than this are hubs
+ * @returns {Array<{fids: number[], evidence: object[]}>} Clusters of 2+ FIDs, largest first
+ */
+function findClusters(graph, addressToFid, options = {}) {
+  const {
+    ignoreAddresses = new Set(),
+    minFunderFanout = 2,
+    maxHubFanout = 25,
+  } = options;
+
+  const uf = createUnionFind();
+  const evidence = [];
+  const isOutside = (addr) => !addressToFid.has(addr) && !ignoreAddresses.has(addr);
+
+  for (const [from, edges] of graph.out) {
+    const fromFid = addressToFid.get(from);
+
+    // Direct transfers between two different entrants
+    if (fromFid !== undefined) {
+      for (const [to, edge] of edges) {
+        const toFid = addressToFid.get(to);
+        if (toFid === undefined || toFid === fromFid) continue;
+        uf.union(fromFid, toFid);
+        evidence.push({ type: 'direct_transfer', fids: [fromFid, toFid], from, to, count: edge.count, txHashes: edge.txHashes });
+      }
+      continue;
+    }
+
+    if (!isOutside(from)) continue;
+
+    // Outside wallet sending to entrants
+    const fundedFids = [...new Set([...edges.keys()].map(to => addressToFid.get(to)).filter(f => f !== undefined))];
+    const sourceFids = [...new Set([...(graph.in.get(from) || [])].map(src => addressToFid.get(src)).filter(f => f !== undefined))];
+
+    if (fundedFids.length + sourceFids.length > maxHubFanout) continue;
+
+    // Shared funder
+    if (fundedFids.length >= minFunderFanout) {
+      for (let i = 1; i < fundedFids.length; i++) uf.union(fundedFids[0], fundedFids[i]);
+      evidence.push({ type: 'shared_funder', fids: fundedFids, address: from });
+    }
+
+    // Intermediary: entrant A -> outside X -> entrant B
+    for (const srcFid of sourceFids) {
+      const targets = fundedFids.filter(f => f !== srcFid);
+      if (targets.length === 0) continue;
+      for (const dst of targets) uf.union(srcFid, dst);
+      evidence.push({ type: 'intermediary', fids: [srcFid, ...targets], address: from, sourceFid: srcFid, targetFids: targets });
+    }
+  }
+
+  // Group evidence + FIDs by cluster root
+  const clusters = new Map();
+  for (const ev of evidence) {
+    const root = uf.find(ev.fids[0]);
+    if (!clusters.has(root)) clusters.set(root, { fids: new Set(), evidence: [] });
+    const cluster = clusters.get(root);
+    ev.fids.forEach(f => cluster.fids.add(f));
+    cluster.evidence.push(ev);
+  }
+
+  return [...clusters.values()]
+    .map(c => ({ fids: [...c.fids].sort((a, b) => a - b), evidence: c.evidence }))
+    .filter(c => c.fids.length >= 2)
+    .sort((a, b) => b.fids.length - a.fids.length);
+}
+
+module.exports = {
+  buildTransferGraph,
+  findClusters,
+};
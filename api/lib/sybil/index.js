@@ -0,0 +1,416 @@
+/**
+ * Sybil detection - contest risk reports
+ *
+ * Runs over a contest's entrants once finalization starts, as its own
+ * `sybil_scan` queue job (lib/contest-jobs.js) - never inside the pipeline:
+ *   1. Fetch Transfer logs to/from every entrant wallet (logs.js), one
+ *      block chunk at a time, checkpointing each chunk (runSybilScan)
+ *   2. Cluster wallets sharing funders / cycling tokens (graph.js)
+ *   3. Flag sequential-FID registration bursts (bursts.js)
+ *   4. Score each entrant and store the report in KV (sybil_report:{contestId})
+ *
+ * Reports never block anyone on their own - admins approve flagged FIDs into
+ * the blocked_fids access list (see api/sybil-report.js).
+ *
+ * buildRiskReport() is pure, so recorded logs (scripts/sybil-report.js
+ * --record) can be replayed offline with --fixture.
+ */
+
+const { CONFIG } = require('../config');
+const { getUsersByFids } = require('../utils');
+const { getListValues, addListEntry } = require('../access-lists');
+const { fetchTransferLogs, decodeTransferLogs } = require('./logs');
+const { buildTransferGraph, findClusters } = require('./graph');
+const { findFidBursts } = require('./bursts');
+
+const REPORT_TTL_SECONDS = 60 * 60 * 24 * 30; // 30 days
+const SCAN_STATE_TTL_SECONDS = 60 * 60 * 24 * 3; // 3 days
+const SCAN_CHUNK_BLOCKS = 10000;
+
+const SYBIL_DEFAULTS = {
+  // How far back to scan Transfer logs (~14 days of Base blocks)
+  LOOKBACK_BLOCKS: Math.ceil((14 * 24 * 60 * 60) / CONFIG.BLOCK_TIME_SECONDS),
+  // Tokens whose transfers build the graph
+  TOKENS: [CONFIG.NEYNARTODES, CONFIG.WETH],
+  MIN_FUNDER_FANOUT: 2,
+  MAX_HUB_FANOUT: 25,
+  BURST_MAX_GAP: 500,
+  BURST_MIN_SIZE: 4,
+};
+
+// Points per kind of evidence an entrant is involved in
+const EVIDENCE_SCORES = {
+  direct_transfer: 3,
+  intermediary: 3,
+  shared_funder: 2,
+  fid_burst: 1,
+  large_cluster: 1,
+};
+
+const RISK_LEVELS = [
+  { level: 'high', minScore: 4 },
+  { level: 'medium', minScore: 2 },
+  { level: 'low', minScore: 1 },
+];
+
+/**
+ * Short address for report reasons
+ */
+function shortAddress(address) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+/**
+ * Build a contest risk report from raw Transfer logs
+ * @param {object} params
+ * @param {string} params.contestId
+ * @param {Array<{fid: number, username?: string, addresses: string[]}>} params.participants
+ * @param {object[]} params.logs - Raw Transfer logs (live or fixture)
+ * @param {Set<string>} [params.ignoreAddresses] - cooldown_exempt etc.
+ * @param {Set<number>} [params.blockedFids] - Already on the denylist
+ * @param {{fromBlock: number, toBlock: number}} [params.window]
+ * @param {object} [params.options] - Overrides for SYBIL_DEFAULTS
+ * @returns {object} Report
+ */
+function buildRiskReport({ contestId, participants, logs, ignoreAddresses = new Set(), blockedFids = new Set(), window = null, options = {} }) {
+  const opts = { ...SYBIL_DEFAULTS, ...options };
+
+  const addressToFid = new Map();
+  const usernames = new Map();
+  for (const p of participants) {
+    usernames.set(p.fid, p.username || `fid:${p.fid}`);
+    for (const addr of p.addresses) addressToFid.set(addr.toLowerCase(), p.fid);
+  }
+  const name = (fid) => `@${usernames.get(fid) || `fid:${fid}`}`;
+
+  const transfers = decodeTransferLogs(logs);
+  const graph = buildTransferGraph(transfers);
+  const clusters = findClusters(graph, addressToFid, {
+    ignoreAddresses,
+    minFunderFanout: opts.MIN_FUNDER_FANOUT,
+    maxHubFanout: opts.MAX_HUB_FANOUT,
+  });
+  const bursts = findFidBursts(participants.map(p => p.fid), {
+    maxGap: opts.BURST_MAX_GAP,
+    minSize: opts.BURST_MIN_SIZE,
+  });
+
+  // Per-FID evidence
+  const perFid = new Map();
+  const note = (fid, type, reason, clusterId = null) => {
+    if (!perFid.has(fid)) perFid.set(fid, { types: new Set(), reasons: [], clusterId: null });
+    const entry = perFid.get(fid);
+    entry.types.add(type);
+    if (entry.reasons.length < 10) entry.reasons.push(reason);
+    if (clusterId) entry.clusterId = clusterId;
+  };
+
+  const reportClusters = clusters.map((cluster, i) => {
+    const id = `C${i + 1}`;
+
+    for (const ev of cluster.evidence) {
+      if (ev.type === 'direct_transfer') {
+        const [a, b] = ev.fids;
+        note(a, ev.type, `sent tokens to ${name(b)} (${ev.count}x)`, id);
+        note(b, ev.type, `received tokens from ${name(a)} (${ev.count}x)`, id);
+      } else if (ev.type === 'shared_funder') {
+        for (const fid of ev.fids) {
+          note(fid, ev.type, `funded by ${shortAddress(ev.address)} (also funded ${ev.fids.length - 1} other entrant(s))`, id);
+        }
+      } else if (ev.type === 'intermediary') {
+        const targets = ev.targetFids.map(name).join(', ');
+        note(ev.sourceFid, ev.type, `cycled tokens via ${shortAddress(ev.address)} to ${targets}`, id);
+        for (const fid of ev.targetFids) {
+          note(fid, ev.type, `received tokens from ${name(ev.sourceFid)} via ${shortAddress(ev.address)}`, id);
+        }
+      }
+    }
+
+    if (cluster.fids.length >= 3) {
+      for (const fid of cluster.fids) note(fid, 'large_cluster', `in cluster of ${cluster.fids.length} linked entrants`, id);
+    }
+
+    return {
+      id,
+      size: cluster.fids.length,
+      fids: cluster.fids,
+      usernames: cluster.fids.map(f => usernames.get(f) || ''),
+      evidence: cluster.evidence.slice(0, 50),
+    };
+  });
+
+  for (const burst of bursts) {
+    for (const fid of burst.fids) {
+      note(fid, 'fid_burst', `sequential FID burst ${burst.from}-${burst.to} (${burst.size} entrants)`);
+    }
+  }
+
+  // Score
+  const flagged = [];
+  for (const [fid, { types, reasons, clusterId }] of perFid) {
+    const score = [...types].reduce((sum, t) => sum + EVIDENCE_SCORES[t], 0);
+    const risk = RISK_LEVELS.find(r => score >= r.minScore)?.level;
+    if (!risk) continue;
+
+    flagged.push({
+      fid,
+      username: usernames.get(fid) || '',
+      score,
+      risk,
+      clusterId,
+      reasons,
+      alreadyBlocked: blockedFids.has(fid),
+    });
+  }
+  flagged.sort((a, b) => b.score - a.score || a.fid - b.fid);
+
+  return {
+    contestId,
+    generatedAt: Date.now(),
+    window,
+    participantCount: participants.length,
+    transferCount: transfers.length,
+    clusters: reportClusters,
+    bursts,
+    flagged,
+    suggestedDenylist: flagged.filter(f => f.risk === 'high' && !f.alreadyBlocked).map(f => f.fid),
+    approvals: [],
+  };
+}
+
+/**
+ * Load a contest's entrants with their custody + verified addresses
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId
+ * @returns {Promise<Array<{fid: number, username: string, addresses: string[]}>>}
+ */
+async function loadEntrants(kv, contestId) {
+  const fids = (await kv.smembers(`contest_entries:${contestId}`) || [])
+    .map(f => parseInt(f))
+    .filter(f => !isNaN(f) && f > 0);
+
+  const users = await getUsersByFids(fids);
+  return users.map(user => ({
+    fid: user.fid,
+    username: user.username || '',
+    addresses: [...new Set([
+      user.custody_address,
+      ...(user.verified_addresses?.eth_addresses || []),
+    ].filter(Boolean).map(a => a.toLowerCase()))],
+  })).filter(u => u.addresses.length > 0);
+}
+
+/**
+ * Fetch logs for a contest's entrants and build its risk report
+ * @param {object} params
+ * @param {string} params.contestId
+ * @param {Array<{fid: number, username?: string, addresses: string[]}>} params.participants
+ * @param {object} params.provider - Ethers provider
+ * @param {number} [params.toBlock] - Defaults to latest
+ * @param {object} [params.options] - Overrides for SYBIL_DEFAULTS
+ * @param {Function} [params.onLogs] - Called with the raw logs (for recording fixtures)
+ * @returns {Promise<object>} Report
+ */
+async function analyzeContest({ contestId, participants, provider, toBlock, options = {}, onLogs }) {
+  const opts = { ...SYBIL_DEFAULTS, ...options };
+  const endBlock = toBlock || await provider.getBlockNumber();
+  const window = { fromBlock: Math.max(0, endBlock - opts.LOOKBACK_BLOCKS), toBlock: endBlock };
+
+  console.log(`🕵️ Sybil scan for ${contestId}: ${participants.length} entrants, blocks ${window.fromBlock}-${window.toBlock}`);
+
+  const [logs, ignoreAddresses, blockedValues] = await Promise.all([
+    fetchTransferLogs(provider, {
+      tokens: opts.TOKENS,
+      addresses: participants.flatMap(p => p.addresses),
+      fromBlock: window.fromBlock,
+      toBlock: window.toBlock,
+    }),
+    getListValues('cooldown_exempt'),
+    getListValues('blocked_fids'),
+  ]);
+
+  if (onLogs) onLogs(logs);
+
+  const report = buildRiskReport({
+    contestId,
+    participants,
+    logs,
+    ignoreAddresses,
+    blockedFids: new Set([...blockedValues].map(v => parseInt(v))),
+    window,
+    options,
+  });
+
+  console.log(`   ${report.transferCount} transfers, ${report.clusters.length} cluster(s), ${report.bursts.length} burst(s), ${report.flagged.length} flagged`);
+  return report;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CHECKPOINTED SCAN (queue job)
+// ═══════════════════════════════════════════════════════════════════
+
+const SCAN_KEYS = {
+  state: (contestId) => `sybil_scan:${contestId}`,
+  chunk: (contestId, i) => `sybil_scan:${contestId}:logs:${i}`,
+};
+
+/**
+ * Run (or resume) a contest's scan for up to budgetMs. Each block chunk's logs
+ * are stored as soon as they're fetched, so a run that times out only loses
+ * the chunk in flight and the next run picks up from there.
+ * @param {object} kv - Vercel KV client
+ * @param {object} params
+ * @param {string} params.contestId
+ * @param {object} params.provider - Ethers provider
+ * @param {Array<{fid: number, username?: string, addresses: string[]}>} [params.participants] - Defaults to loadEntrants()
+ * @param {number} [params.budgetMs=60000] - Stop fetching new chunks after this long
+ * @param {object} [params.options] - Overrides for SYBIL_DEFAULTS
+ * @returns {Promise<{done: true, report: object}|{done: false, nextBlock: number, toBlock: number}>}
+ */
+async function runSybilScan(kv, { contestId, provider, participants, budgetMs = 60 * 1000, options = {} }) {
+  const started = Date.now();
+  const opts = { ...SYBIL_DEFAULTS, ...options };
+
+  let state = await kv.get(SCAN_KEYS.state(contestId));
+  if (!state) {
+    const entrants = participants || await loadEntrants(kv, contestId);
+    const toBlock = await provider.getBlockNumber();
+    const fromBlock = Math.max(0, toBlock - opts.LOOKBACK_BLOCKS);
+    state = { participants: entrants, window: { fromBlock, toBlock }, nextBlock: fromBlock, chunks: 0, startedAt: Date.now() };
+    await kv.set(SCAN_KEYS.state(contestId), state, { ex: SCAN_STATE_TTL_SECONDS });
+    console.log(`🕵️ Sybil scan for ${contestId}: ${entrants.length} entrants, blocks ${fromBlock}-${toBlock}`);
+  }
+
+  const addresses = state.participants.flatMap(p => p.addresses);
+
+  while (state.nextBlock <= state.window.toBlock) {
+    if (Date.now() - started >= budgetMs) {
+      console.log(`   Sybil scan ${contestId} paused at block ${state.nextBlock}/${state.window.toBlock}`);
+      return { done: false, nextBlock: state.nextBlock, toBlock: state.window.toBlock };
+    }
+
+    const end = Math.min(state.nextBlock + SCAN_CHUNK_BLOCKS - 1, state.window.toBlock);
+    const logs = await fetchTransferLogs(provider, {
+      tokens: opts.TOKENS,
+      addresses,
+      fromBlock: state.nextBlock,
+      toBlock: end,
+    });
+
+    await kv.set(SCAN_KEYS.chunk(contestId, state.chunks), logs, { ex: SCAN_STATE_TTL_SECONDS });
+    state.chunks++;
+    state.nextBlock = end + 1;
+    await kv.set(SCAN_KEYS.state(contestId), state, { ex: SCAN_STATE_TTL_SECONDS });
+  }
+
+  // All chunks fetched - build and store the report
+  const chunkKeys = Array.from({ length: state.chunks }, (_, i) => SCAN_KEYS.chunk(contestId, i));
+  const logs = [];
+  for (let i = 0; i < chunkKeys.length; i += 50) {
+    const chunks = await kv.mget(...chunkKeys.slice(i, i + 50));
+    if (chunks.some(c => !Array.isArray(c))) {
+      // A chunk expired - start over rather than report on partial logs
+      await kv.del(SCAN_KEYS.state(contestId));
+      throw new Error(`Sybil scan ${contestId}: checkpointed logs missing, restarting`);
+    }
+    chunks.forEach(c => logs.push(...c));
+  }
+
+  const [ignoreAddresses, blockedValues] = await Promise.all([
+    getListValues('cooldown_exempt'),
+    getListValues('blocked_fids'),
+  ]);
+
+  const report = buildRiskReport({
+    contestId,
+    participants: state.participants,
+    logs,
+    ignoreAddresses,
+    blockedFids: new Set([...blockedValues].map(v => parseInt(v))),
+    window: state.window,
+    options,
+  });
+  await saveRiskReport(kv, report);
+  await kv.del(SCAN_KEYS.state(contestId), ...chunkKeys);
+
+  console.log(`   ${report.transferCount} transfers, ${report.clusters.length} cluster(s), ${report.bursts.length} burst(s), ${report.flagged.length} flagged`);
+  if (report.suggestedDenylist.length > 0) {
+    console.log(`   ⚠️ ${report.suggestedDenylist.length} high-risk entrant(s) awaiting admin review: ${report.suggestedDenylist.join(', ')}`);
+  }
+  return { done: true, report };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// KV STORAGE + APPROVAL
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Store a report (keeps approvals from the previous report)
+ */
+async function saveRiskReport(kv, report) {
+  const previous = await kv.get(`sybil_report:${report.contestId}`);
+  if (previous?.approvals?.length) {
+    report.approvals = previous.approvals;
+  }
+  await kv.set(`sybil_report:${report.contestId}`, report, { ex: REPORT_TTL_SECONDS });
+  return report;
+}
+
+/**
+ * Get a stored report
+ */
+async function getRiskReport(kv, contestId) {
+  return kv.get(`sybil_report:${contestId}`);
+}
+
+/**
+ * Approve flagged FIDs into the blocked_fids access list
+ * @param {object} kv - Vercel KV client
+ * @param {string} contestId
+ * @param {number[]} fids - Must be flagged in the report
+ * @param {string} approvedBy
+ * @returns {Promise<{success: boolean, error?: string, added?: number[], skipped?: object[]}>}
+ */
+async function approveFlaggedFids(kv, contestId, fids, approvedBy) {
+  const report = await getRiskReport(kv, contestId);
+  if (!report) return { success: false, error: `No sybil report for ${contestId}` };
+
+  const added = [];
+  const skipped = [];
+
+  for (const fid of fids) {
+    const flaggedEntry = report.flagged.find(f => f.fid === parseInt(fid));
+    if (!flaggedEntry) {
+      skipped.push({ fid, reason: 'not flagged in report' });
+      continue;
+    }
+
+    const reason = `sybil ${contestId}${flaggedEntry.clusterId ? ` cluster ${flaggedEntry.clusterId}` : ''}: ${flaggedEntry.reasons.slice(0, 2).join('; ')}`;
+    const result = await addListEntry('blocked_fids', flaggedEntry.fid, { reason, addedBy: approvedBy });
+    if (result.success) {
+      added.push(flaggedEntry.fid);
+      flaggedEntry.alreadyBlocked = true;
+    } else {
+      skipped.push({ fid, reason: result.error });
+    }
+  }
+
+  if (added.length > 0) {
+    report.approvals.push({ fids: added, approvedBy, at: Date.now() });
+    report.suggestedDenylist = report.suggestedDenylist.filter(f => !added.includes(f));
+    await kv.set(`sybil_report:${contestId}`, report, { ex: REPORT_TTL_SECONDS });
+  }
+
+  return { success: true, added, skipped };
+}
+
+module.exports = {
+  SYBIL_DEFAULTS,
+  buildRiskReport,
+  loadEntrants,
+  analyzeContest,
+  runSybilScan,
+  saveRiskReport,
+  getRiskReport,
+  approveFlaggedFids,
+};
@@ -0,0 +1,117 @@
+/**
+ * Sybil detection - Transfer log fetching + decoding
+ *
+ * Logs are kept in the raw eth_getLogs shape ({ address, topics, data,
+ * blockNumber, transactionHash, logIndex }) so a live run can be recorded to
+ * a JSON fixture and replayed through decodeTransferLogs() offline.
+ */
+
+const { ethers } = require('ethers');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+// Addresses per topic filter (OR'd in a single eth_getLogs call)
+const ADDRESS_BATCH_SIZE = 50;
+
+/**
+ * Convert an address to a 32-byte topic
+ */
+function addressToTopic(address) {
+  return ethers.zeroPadValue(address.toLowerCase(), 32);
+}
+
+/**
+ * Convert a 32-byte topic back to a lowercase address
+ */
+function topicToAddress(topic) {
+  return ethers.getAddress('0x' + topic.slice(-40)).toLowerCase();
+}
+
+/**
+ * Fetch ERC20 Transfer logs sent to or from any of the given addresses
+ * @param {object} provider - Ethers provider
+ * @param {object} params
+ * @param {string[]} params.tokens - Token contract addresses
+ * @param {string[]} params.addresses - Wallets to watch (both directions)
+ * @param {number} params.fromBlock
+ * @param {number} params.toBlock
+ * @param {number} [params.chunkSize=10000] - Max blocks per eth_getLogs call
+ * @returns {Promise<object[]>} Raw logs (JSON-serializable, deduped)
+ */
+async function fetchTransferLogs(provider, { tokens, addresses, fromBlock, toBlock, chunkSize = 10000 }) {
+  const seen = new Set();
+  const logs = [];
+  const topics = [...new Set(addresses.map(a => a.toLowerCase()))].map(addressToTopic);
+
+  for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, toBlock);
+
+    for (let i = 0; i < topics.length; i += ADDRESS_BATCH_SIZE) {
+      const batch = topics.slice(i, i + ADDRESS_BATCH_SIZE);
+
+      // Outgoing (from = topic1) and incoming (to = topic2)
+      const filters = [
+        [TRANSFER_TOPIC, batch],
+        [TRANSFER_TOPIC, null, batch],
+      ];
+
+      for (const token of tokens) {
+        for (const filterTopics of filters) {
+          const chunk = await provider.getLogs({
+            address: token,
+            topics: filterTopics,
+            fromBlock: start,
+            toBlock: end
+          });
+
+          for (const log of chunk) {
+            const key = `${log.transactionHash}:${log.index ?? log.logIndex}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            logs.push({
+              address: log.address,
+              topics: [...log.topics],
+              data: log.data,
+              blockNumber: log.blockNumber,
+              transactionHash: log.transactionHash,
+              logIndex: log.index ?? log.logIndex
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return logs;
+}
+
+/**
+ * Decode raw Transfer logs
+ * @param {object[]} logs - Raw logs from fetchTransferLogs() or a fixture
+ * @returns {Array<{token: string, from: string, to: string, value: bigint, blockNumber: number, txHash: string}>}
+ */
+function decodeTransferLogs(logs) {
+  const transfers = [];
+
+  for (const log of logs) {
+    // ERC721 Transfer has the tokenId as topic3 - only ERC20 (3 topics) counts
+    if (!log.topics || log.topics.length !== 3 || log.topics[0] !== TRANSFER_TOPIC) continue;
+
+    transfers.push({
+      token: log.address.toLowerCase(),
+      from: topicToAddress(log.topics[1]),
+      to: topicToAddress(log.topics[2]),
+      value: log.data && log.data !== '0x' ? BigInt(log.data) : 0n,
+      blockNumber: Number(log.blockNumber),
+      txHash: log.transactionHash
+    });
+  }
+
+  return transfers;
+}
+
+module.exports = {
+  TRANSFER_TOPIC,
+  fetchTransferLogs,
+  decodeTransferLogs,
+};
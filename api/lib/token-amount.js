@@ -0,0 +1,113 @@
+/**
+ * Token Amounts - decimals-aware prize values
+ *
+ * An amount is { raw, decimals, symbol }: raw is the on-chain integer (bigint,
+ * or its decimal string once it has been through JSON/KV), decimals comes from
+ * the token contract. Contest prizes from withPrize() (lib/contest-manager.js)
+ * are amounts, so every display path formats them the same way:
+ *
+ *   ETH      raw 1500000000000000000, decimals 18  ->  1.5 ETH
+ *   USDC     raw 2500000000,          decimals 6   ->  2,500 USDC
+ *   cbBTC    raw 12345678,            decimals 8   ->  0.1234 cbBTC
+ *
+ * Arithmetic (splitting between winners) stays in bigint. Only display and
+ * USD conversion go through Number, after the decimals are applied.
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * Build an amount
+ * @param {bigint|string|number} raw - On-chain integer amount
+ * @param {number} [decimals=18]
+ * @param {string} [symbol='']
+ * @returns {{raw: bigint, decimals: number, symbol: string}}
+ */
+function tokenAmount(raw, decimals = 18, symbol = '') {
+  return { raw: BigInt(raw ?? 0), decimals: Number(decimals), symbol };
+}
+
+/**
+ * Exact decimal string (no rounding, trailing ".0" dropped)
+ * @param {object} amount - { raw, decimals }
+ * @returns {string}
+ */
+function toDecimalString(amount) {
+  return ethers.formatUnits(BigInt(amount.raw), amount.decimals).replace(/\.0$/, '');
+}
+
+/**
+ * Amount as a JS number (for sorting, charts and USD math)
+ * @param {object} amount - { raw, decimals }
+ * @returns {number}
+ */
+function toNumber(amount) {
+  return Number(ethers.formatUnits(BigInt(amount.raw), amount.decimals));
+}
+
+/**
+ * USD value of an amount
+ * Whole and fractional parts are converted separately so large supplies
+ * don't lose the fraction.
+ * @param {object} amount - { raw, decimals }
+ * @param {number} priceUSD - Price of one whole token
+ * @returns {number}
+ */
+function toUSD(amount, priceUSD) {
+  if (!priceUSD) return 0;
+  const unit = 10n ** BigInt(amount.decimals);
+  const raw = BigInt(amount.raw);
+  return Number(raw / unit) * priceUSD + (Number(raw % unit) / Number(unit)) * priceUSD;
+}
+
+/**
+ * Split an amount evenly (e.g. between winners), rounding down like the contract
+ * @param {object} amount
+ * @param {number} parts
+ * @returns {{raw: bigint, decimals: number, symbol: string}}
+ */
+function splitAmount(amount, parts) {
+  return tokenAmount(BigInt(amount.raw) / BigInt(Math.max(1, parts)), amount.decimals, amount.symbol);
+}
+
+/**
+ * Format an amount for display
+ * @param {object} amount - { raw, decimals, symbol }
+ * @param {object} [options]
+ * @param {number} [options.maxFractionDigits=4] - Fraction digits kept (truncated, not rounded)
+ * @param {boolean} [options.compact=false] - 1.2K / 3.4M / 5.6B (frame images, notifications)
+ * @param {boolean|string} [options.symbol=true] - Append the symbol; a string is used as the prefix ('$')
+ * @returns {string}
+ */
+function formatAmount(amount, { maxFractionDigits = 4, compact = false, symbol = true } = {}) {
+  const num = toNumber(amount);
+  const [whole, fraction = ''] = toDecimalString(amount).split('.');
+  // Significant digits of an amount below 1, from the exact string (Number would give 1e-18)
+  const significant = () => fraction.slice(0, fraction.search(/[1-9]/) + 2).replace(/0+$/, '');
+
+  let text;
+  if (compact) {
+    if (num >= 1e9) text = `${(num / 1e9).toFixed(1)}B`;
+    else if (num >= 1e6) text = `${(num / 1e6).toFixed(1)}M`;
+    else if (num >= 1e3) text = `${(num / 1e3).toFixed(1)}K`;
+    else if (whole === '0' && /[1-9]/.test(fraction)) text = `0.${significant()}`;
+    else text = String(Number(num.toFixed(2)));
+  } else {
+    const kept = fraction.slice(0, maxFractionDigits).replace(/0+$/, '');
+    // Tiny amounts would truncate to 0 - show their significant digits instead
+    const shown = !kept && /[1-9]/.test(fraction) && whole === '0' ? significant() : kept;
+    text = BigInt(whole).toLocaleString('en-US') + (shown ? `.${shown}` : '');
+  }
+
+  if (!symbol || !amount.symbol) return text;
+  return typeof symbol === 'string' ? `${text} ${symbol}${amount.symbol}` : `${text} ${amount.symbol}`;
+}
+
+module.exports = {
+  tokenAmount,
+  toDecimalString,
+  toNumber,
+  toUSD,
+  splitAmount,
+  formatAmount,
+};
@@ -0,0 +1,221 @@
+/**
+ * Trade Store - Neynar trade webhook data in time-indexed KV sorted sets
+ *
+ * api/trade-webhook.js writes every trade.created event here. Trades are
+ * kept per token, scored by timestamp (unix seconds, same unit as contest
+ * startTime/endTime), so any contest window is one range query:
+ *
+ *   trades:{token}                   - sorted set of tx hashes (score = timestamp)
+ *   trades:{token}:wallet:{wallet}   - same, for one trader wallet
+ *   trade:{token}:{txHash}           - trade record (see normalizeTrade)
+ *   trades:tokens                    - tokens with stored trades
+ *
+ * A tx hash is stored once per token (webhook retries only re-index it). Records
+ * and index entries older than TRADE_RETENTION_DAYS are trimmed on write.
+ *
+ * Finalization uses this as the volume bonus source when the RPC swap scan
+ * (lib/uniswap-volume.js) can't run - see getVolumes() in lib/bonus-rules.js.
+ */
+
+const TRADE_RETENTION_DAYS = 90;
+const RECORD_BATCH_SIZE = 100; // keys per mget
+
+const KEYS = {
+  token: (token) => `trades:${token.toLowerCase()}`,
+  wallet: (token, wallet) => `trades:${token.toLowerCase()}:wallet:${wallet.toLowerCase()}`,
+  record: (token, txHash) => `trade:${token.toLowerCase()}:${txHash.toLowerCase()}`,
+  tokens: 'trades:tokens',
+};
+
+// ═══════════════════════════════════════════════════════════════════
+// RECORDS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Normalize a timestamp to unix seconds
+ * Neynar has sent seconds, milliseconds and ISO strings; missing = now
+ * @param {number|string} [timestamp]
+ * @returns {number}
+ */
+function toUnixSeconds(timestamp) {
+  if (timestamp === undefined || timestamp === null || timestamp === '') {
+    return Math.floor(Date.now() / 1000);
+  }
+  const num = Number(timestamp);
+  if (isNaN(num)) {
+    const parsed = Date.parse(timestamp);
+    return isNaN(parsed) ? Math.floor(Date.now() / 1000) : Math.floor(parsed / 1000);
+  }
+  return num > 1e12 ? Math.floor(num / 1000) : Math.floor(num);
+}
+
+/**
+ * Build a stored trade record from a trade.created payload
+ * @param {object} trade - { fid, trader_wallet, token_address, token_amount, usd_value, tx_hash, timestamp }
+ * @returns {object|null} Record, or null if token/wallet/tx hash is missing
+ */
+function normalizeTrade(trade) {
+  const token = trade.token_address?.toLowerCase();
+  const wallet = trade.trader_wallet?.toLowerCase();
+  const txHash = trade.tx_hash?.toLowerCase();
+  if (!token || !wallet || !txHash) return null;
+
+  const tokenAmount = parseFloat(trade.token_amount || 0);
+  return {
+    txHash,
+    token,
+    wallet,
+    fid: trade.fid ? parseInt(trade.fid) : null,
+    timestamp: toUnixSeconds(trade.timestamp),
+    // Negative token_amount = sell
+    direction: tokenAmount < 0 ? 'sell' : 'buy',
+    tokens: Math.abs(tokenAmount) || 0,
+    usd: Math.abs(parseFloat(trade.usd_value || 0)) || 0,
+    receivedAt: Date.now()
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// WRITES
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Add a stored record to the token + wallet indexes (idempotent) and trim
+ * index entries whose records have expired
+ * @param {object} kv - Vercel KV client
+ * @param {object} record - From normalizeTrade()
+ */
+async function indexTrade(kv, record) {
+  const cutoff = Math.floor(Date.now() / 1000) - TRADE_RETENTION_DAYS * 24 * 60 * 60;
+  const tokenKey = KEYS.token(record.token);
+  const walletKey = KEYS.wallet(record.token, record.wallet);
+
+  await kv.zadd(tokenKey, { score: record.timestamp, member: record.txHash });
+  await kv.zadd(walletKey, { score: record.timestamp, member: record.txHash });
+  await kv.sadd(KEYS.tokens, record.token);
+
+  await kv.zremrangebyscore(tokenKey, 0, cutoff);
+  await kv.zremrangebyscore(walletKey, 0, cutoff);
+}
+
+/**
+ * Store one trade (idempotent per token + tx hash). A duplicate re-indexes
+ * the stored record, so a webhook retry repairs a write that died between
+ * the record and its indexes.
+ * @param {object} kv - Vercel KV client
+ * @param {object} trade - trade.created payload
+ * @returns {Promise<{stored: boolean, duplicate?: boolean, trade?: object, error?: string}>}
+ */
+async function storeTrade(kv, trade) {
+  const record = normalizeTrade(trade);
+  if (!record) return { stored: false, error: 'Missing token, wallet or tx hash' };
+
+  const ttl = TRADE_RETENTION_DAYS * 24 * 60 * 60;
+  const key = KEYS.record(record.token, record.txHash);
+  const created = await kv.set(key, record, { nx: true, ex: ttl });
+  if (!created) {
+    const existing = await kv.get(key);
+    if (existing) await indexTrade(kv, existing);
+    return { stored: false, duplicate: true, trade: existing || record };
+  }
+
+  await indexTrade(kv, record);
+  return { stored: true, trade: record };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RANGE QUERIES
+// ═══════════════════════════════════════════════════════════════════
+
+async function loadRecords(kv, token, txHashes) {
+  const records = [];
+  for (let i = 0; i < txHashes.length; i += RECORD_BATCH_SIZE) {
+    const batch = txHashes.slice(i, i + RECORD_BATCH_SIZE);
+    const values = await kv.mget(...batch.map(hash => KEYS.record(token, hash)));
+    records.push(...values.filter(Boolean));
+  }
+  return records;
+}
+
+/**
+ * Trades for a token in a time range, oldest first
+ * @param {object} kv - Vercel KV client
+ * @param {string} token - Token address
+ * @param {object} [options]
+ * @param {string} [options.wallet] - Only this trader wallet
+ * @param {number} [options.startTime=0] - Unix seconds (inclusive)
+ * @param {number} [options.endTime] - Unix seconds (inclusive, default now)
+ * @returns {Promise<object[]>} Trade records
+ */
+async function getTrades(kv, token, { wallet, startTime = 0, endTime = Math.floor(Date.now() / 1000) } = {}) {
+  const key = wallet ? KEYS.wallet(token, wallet) : KEYS.token(token);
+  const txHashes = await kv.zrange(key, startTime, endTime, { byScore: true }) || [];
+  return loadRecords(kv, token, txHashes);
+}
+
+/**
+ * USD + token volume per wallet in a time range
+ * @param {object} kv - Vercel KV client
+ * @param {string} token - Token address
+ * @param {string[]} wallets
+ * @param {number} startTime - Unix seconds
+ * @param {number} endTime - Unix seconds
+ * @returns {Promise<Map<string, {volumeUSD: number, volumeTokens: number, trades: object[]}>>} Lowercased wallet -> volume
+ */
+async function getWalletVolumes(kv, token, wallets, startTime, endTime) {
+  const volumes = new Map();
+
+  for (const wallet of new Set(wallets.map(w => w.toLowerCase()))) {
+    const trades = await getTrades(kv, token, { wallet, startTime, endTime });
+    volumes.set(wallet, {
+      volumeUSD: trades.reduce((sum, t) => sum + t.usd, 0),
+      volumeTokens: trades.reduce((sum, t) => sum + t.tokens, 0),
+      trades
+    });
+  }
+
+  return volumes;
+}
+
+/**
+ * Every wallet that traded a token in a time range, highest USD volume first
+ * @param {object} kv - Vercel KV client
+ * @param {string} token - Token address
+ * @param {object} [options] - startTime / endTime as in getTrades
+ * @returns {Promise<Array<{address: string, volumeUSD: number, volumeTokens: number, tradeCount: number}>>}
+ */
+async function getTraders(kv, token, options = {}) {
+  const byWallet = new Map();
+
+  for (const trade of await getTrades(kv, token, options)) {
+    const entry = byWallet.get(trade.wallet) || { address: trade.wallet, volumeUSD: 0, volumeTokens: 0, tradeCount: 0 };
+    entry.volumeUSD += trade.usd;
+    entry.volumeTokens += trade.tokens;
+    entry.tradeCount++;
+    byWallet.set(trade.wallet, entry);
+  }
+
+  return [...byWallet.values()].sort((a, b) => b.volumeUSD - a.volumeUSD);
+}
+
+/**
+ * Tracked tokens with their stored trade counts
+ * @param {object} kv - Vercel KV client
+ * @returns {Promise<Array<{address: string, tradeCount: number}>>}
+ */
+async function getTradeStats(kv) {
+  const tokens = await kv.smembers(KEYS.tokens) || [];
+  const counts = await Promise.all(tokens.map(token => kv.zcard(KEYS.token(token))));
+  return tokens.map((address, i) => ({ address, tradeCount: counts[i] || 0 }));
+}
+
+module.exports = {
+  TRADE_RETENTION_DAYS,
+  toUnixSeconds,
+  normalizeTrade,
+  storeTrade,
+  getTrades,
+  getWalletVolumes,
+  getTraders,
+  getTradeStats,
+};
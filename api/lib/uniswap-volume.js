@@ -7,25 +7,17 @@
  * NEYNARTODES Token: 0x8de1622fe07f56cda2e2273e615a513f1d828b07
  *
  * Flow:
- * 1. Query Swap events from all pool types
- * 2. Filter by wallet addresses (from social qualification)
- * 3. Sum USD volume per wallet during contest period
+ * 1. Find txs where the token moved to/from the wallets (Transfer logs)
+ * 2. Keep only txs with a Swap event from one of the token's V2/V3/V4 pools
+ * 3. Attribute each swap to the tx sender; in txs someone else sent, only to a
+ *    wallet that is the swap's recipient or whose net token change in the tx
+ *    matches the swap (a payout from a buyback tx isn't the recipient's volume)
+ * 4. Price each swap at its block and sum USD volume per wallet
  */
 
 const { ethers } = require('ethers');
-
-// ═══════════════════════════════════════════════════════════════════
-// CACHING - Avoid redundant RPC calls
-// ═══════════════════════════════════════════════════════════════════
-
-// Cache ETH price for 60 seconds (price doesn't change that fast)
-let cachedETHPrice = null;
-let ethPriceCacheTime = 0;
-const ETH_PRICE_CACHE_TTL = 60 * 1000; // 60 seconds
-
-// Cache V4 pool prices for 30 seconds
-const v4PriceCache = new Map();
-const V4_PRICE_CACHE_TTL = 30 * 1000; // 30 seconds
+const { fetchTransferLogs } = require('./sybil/logs');
+const { findPricePools, resolveTokenPrice } = require('./price-resolver');
 
 // ═══════════════════════════════════════════════════════════════════
 // RETRY LOGIC - Handle transient RPC failures
@@ -76,31 +68,6 @@ const CONFIG = {
   NEYNARTODES_TOKEN: '0x8de1622fe07f56cda2e2273e615a513f1d828b07',
   WETH: '0x4200000000000000000000000000000000000006', // Base WETH
 
-  // Known NEYNARTODES pools on Base
-  POOLS: {
-    // Uniswap V2 style (includes forks like Aerodrome)
-    V2: [
-      // Add known V2 pool addresses here
-    ],
-    // Uniswap V3
-    V3: [
-      // Add known V3 pool addresses here
-    ],
-    // Uniswap V4 (hooks-based)
-    V4: [
-      // V4 uses PoolManager - we'll query the PoolManager contract
-    ]
-  },
-
-  // Uniswap V2 Factory (and forks)
-  V2_FACTORIES: [
-    '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6', // Uniswap V2 on Base
-    '0x420DD381b31aEf6683db6B902084cB0FFECe40Da', // Aerodrome (V2 style)
-  ],
-
-  // Uniswap V3 Factory
-  V3_FACTORY: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD',
-
   // Uniswap V4 PoolManager on Base
   V4_POOL_MANAGER: '0x498581fF718922c3f8e6A244956aF099B2652b2b',
 };
@@ -117,11 +84,6 @@ const V2_PAIR_ABI = [
   'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
 ];
 
-// Uniswap V2 Factory ABI
-const V2_FACTORY_ABI = [
-  'function getPair(address tokenA, address tokenB) view returns (address pair)',
-];
-
 // Uniswap V3 Pool ABI (Swap event)
 const V3_POOL_ABI = [
   'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
@@ -130,336 +92,255 @@ const V3_POOL_ABI = [
   'function fee() view returns (uint24)',
 ];
 
-// Uniswap V3 Factory ABI
-const V3_FACTORY_ABI = [
-  'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)',
-];
-
 // Uniswap V4 PoolManager ABI (Swap event)
 const V4_POOL_MANAGER_ABI = [
   'event Swap(bytes32 indexed id, address indexed sender, int128 amount0, int128 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint24 fee)',
 ];
 
-// V4 StateView ABI for reading pool state (Clanker tokens use V4)
-const V4_STATE_VIEW_ABI = [
-  'function getSlot0(bytes32 poolId) view returns (uint160 sqrtPriceX96, int24 tick, uint24 protocolFee, uint24 lpFee)',
+// ERC20 ABI for decimals
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
 ];
 
-// V4 StateView address on Base
-const V4_STATE_VIEW = '0xA3c0c9b65baD0b08107Aa264b0f3dB444b867A71';
-
-/**
- * Registry of known V4 pool IDs for tokens
- * Since Clanker tokens use various hook addresses that we can't easily discover,
- * we maintain a registry of known pool IDs for important tokens.
- * Format: tokenAddress (lowercase) -> { poolId, isToken0 (is token currency0 vs WETH) }
- */
-const KNOWN_V4_POOLS = {
-  // NEYNARTODES - Clanker-launched token with custom hook
-  '0x8de1622fe07f56cda2e2273e615a513f1d828b07': {
-    poolId: '0xfad8f807f3f300d594c5725adb8f54314d465bcb1ab8cc04e37b08c1aa80d2e7',
-    isToken0: false, // WETH (0x42...) < NEYNARTODES (0x8d...), so token is currency1
-  },
-};
+// ═══════════════════════════════════════════════════════════════════
+// SWAP EVENT QUERIES
+// ═══════════════════════════════════════════════════════════════════
 
-/**
- * Compute V4 poolId from currency pair and fee
- * V4 uses PoolKey: (currency0, currency1, fee, tickSpacing, hooks)
- */
-function computeV4PoolId(token0, token1, fee, tickSpacing, hooks) {
-  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
-    ['address', 'address', 'uint24', 'int24', 'address'],
-    [token0, token1, fee, tickSpacing, hooks]
-  );
-  return ethers.keccak256(encoded);
-}
+// Volume only counts real swaps. Wallet-to-wallet transfers, LP deposits and
+// BuyBurnHoldEarn rewards move the token too, but have no Swap event from one
+// of the token's pools in the same transaction.
+//
+// 1. Find candidate txs: token Transfer logs to/from any target wallet
+// 2. Read each tx receipt and decode V2 / Aerodrome / V3 pool and V4
+//    PoolManager Swap events for the token's pools
+// 3. Attribute the swap to the tx sender if it's a target wallet (routers and
+//    aggregator settlements trade on the sender's behalf), else to the target
+//    wallet the tokens moved to/from (smart wallets, where the sender is a bundler)
+
+const v2SwapInterface = new ethers.Interface(V2_PAIR_ABI);
+const v3SwapInterface = new ethers.Interface(V3_POOL_ABI);
+const v4SwapInterface = new ethers.Interface(V4_POOL_MANAGER_ABI);
+// Aerodrome pools emit Swap with `to` second
+const aerodromeSwapInterface = new ethers.Interface([
+  'event Swap(address indexed sender, address indexed to, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out)',
+]);
+const transferInterface = new ethers.Interface(['event Transfer(address indexed from, address indexed to, uint256 value)']);
+
+const V2_SWAP_TOPIC = v2SwapInterface.getEvent('Swap').topicHash;
+const AERODROME_SWAP_TOPIC = aerodromeSwapInterface.getEvent('Swap').topicHash;
+const V3_SWAP_TOPIC = v3SwapInterface.getEvent('Swap').topicHash;
+const V4_SWAP_TOPIC = v4SwapInterface.getEvent('Swap').topicHash;
+const TRANSFER_TOPIC = transferInterface.getEvent('Transfer').topicHash;
+
+// Receipts fetched in parallel per round
+const RECEIPT_CONCURRENCY = 10;
 
 /**
- * Try to get price from known V4 pool ID
- * This is for tokens where we know the pool ID but not the hook address
- * Uses caching to reduce RPC calls
- * @param {Object} options - Optional settings
- * @param {number} options.blockNumber - Block number for historical price lookup
+ * Find every pool that trades the token (lib/price-resolver.js discovery)
+ * @returns {Promise<{pairs: Map<string, {type: string, isToken0: boolean}>, v4Pools: Map<string, {isToken0: boolean}>}>}
+ *   pairs = V2 / Aerodrome / V3 pool address (lowercase), v4Pools = poolId (lowercase)
  */
-async function tryKnownV4Pool(provider, tokenAddress, ethPriceUSD, options = {}) {
-  const knownPool = KNOWN_V4_POOLS[tokenAddress.toLowerCase()];
-  if (!knownPool) return null;
-
-  const blockNumber = options.blockNumber;
-
-  // Check cache first (only for current price, not historical)
-  const cacheKey = blockNumber ? `${tokenAddress.toLowerCase()}_${blockNumber}` : tokenAddress.toLowerCase();
-  const now = Date.now();
-  const cached = v4PriceCache.get(cacheKey);
-  if (cached && (now - cached.time) < V4_PRICE_CACHE_TTL) {
-    const cachedUSD = cached.priceInETH * ethPriceUSD;
-    return cachedUSD;
-  }
-
-  const stateView = new ethers.Contract(V4_STATE_VIEW, V4_STATE_VIEW_ABI, provider);
+async function findTokenPools(provider, tokenAddress) {
+  const pairs = new Map();
+  const v4Pools = new Map();
 
   try {
-    // Query at specific block if provided (historical price)
-    const callOptions = blockNumber ? { blockTag: blockNumber } : {};
-    const slot0 = await withRetry(() => stateView.getSlot0(knownPool.poolId, callOptions));
-
-    // If sqrtPriceX96 is 0, pool doesn't have liquidity
-    if (slot0.sqrtPriceX96 === 0n) return null;
-
-    const sqrtPriceX96 = slot0.sqrtPriceX96;
-    const price = Number(sqrtPriceX96) / (2 ** 96);
-    const priceSquared = price * price;
-
-    // Determine price based on token position
-    let priceInETH;
-    if (knownPool.isToken0) {
-      // Token is currency0, sqrtPrice gives us currency1/currency0 = WETH/Token
-      priceInETH = priceSquared;
-    } else {
-      // Token is currency1, sqrtPrice gives us currency1/currency0 = Token/WETH
-      // We need WETH/Token, so invert
-      priceInETH = 1 / priceSquared;
+    for (const pool of await findPricePools(provider, tokenAddress)) {
+      if (pool.type === 'V4') v4Pools.set(pool.poolId, { isToken0: pool.isToken0 });
+      else pairs.set(pool.address, { type: pool.type, isToken0: pool.isToken0 });
     }
-
-    // Cache the result
-    v4PriceCache.set(cacheKey, { priceInETH, time: now });
-
-    if (!blockNumber) {
-      console.log(`   V4 (known pool) price: ${priceInETH.toFixed(12)} ETH ($${(priceInETH * ethPriceUSD).toFixed(8)})`);
-    }
-    return priceInETH * ethPriceUSD;
   } catch (e) {
-    if (!blockNumber) {
-      console.log('   Known V4 pool error:', e.message?.slice(0, 50));
-    }
-    return null;
+    console.log(`   Pool discovery error: ${e.message?.slice(0, 50)}`);
   }
+
+  console.log(`   Pools: ${pairs.size} V2/Aerodrome/V3, ${v4Pools.size} V4`);
+  return { pairs, v4Pools };
 }
 
 /**
- * Try to get price from V4 pool (Clanker tokens)
+ * Token amount and direction of a swap log, or null if it isn't a swap in one of the token's pools
+ * @returns {{dex: string, pool: string, tokens: bigint, direction: 'buy'|'sell', recipient: string|null}|null}
  */
-async function tryV4PriceUSD(provider, tokenAddress, ethPriceUSD) {
-  // First, check if we have a known pool ID for this token
-  const knownPoolPrice = await tryKnownV4Pool(provider, tokenAddress, ethPriceUSD);
-  if (knownPoolPrice) return knownPoolPrice;
-
-  // Common Clanker hook addresses on Base
-  // From Clanker docs: ClankerHook, ClankerHookStaticFee, ClankerHookDynamicFee, V2 variants
-  const CLANKER_HOOKS = [
-    '0xDd5EeaFf7BD481AD55Db083062b13a3cdf0A68CC', // Current Clanker production hook
-    '0x1eD8c4907aEF90aA7506eB553af519b8a4545772', // Clanker V1 hook
-    '0x0000000000000000000000000000000000000000', // No hook
-  ];
-
-  // Common V4 fee tiers and tick spacings
-  const V4_CONFIGS = [
-    { fee: 10000, tickSpacing: 200 },
-    { fee: 3000, tickSpacing: 60 },
-    { fee: 500, tickSpacing: 10 },
-    { fee: 100, tickSpacing: 1 },
-  ];
-
-  const stateView = new ethers.Contract(V4_STATE_VIEW, V4_STATE_VIEW_ABI, provider);
-
-  // Sort tokens to get correct order
-  const [currency0, currency1] = tokenAddress.toLowerCase() < CONFIG.WETH.toLowerCase()
-    ? [tokenAddress, CONFIG.WETH]
-    : [CONFIG.WETH, tokenAddress];
-
-  const isToken0 = tokenAddress.toLowerCase() === currency0.toLowerCase();
-
-  for (const hook of CLANKER_HOOKS) {
-    for (const config of V4_CONFIGS) {
-      try {
-        const poolId = computeV4PoolId(currency0, currency1, config.fee, config.tickSpacing, hook);
-        const slot0 = await stateView.getSlot0(poolId);
-
-        if (slot0.sqrtPriceX96 === 0n) continue;
-
-        const sqrtPriceX96 = slot0.sqrtPriceX96;
-        const price = Number(sqrtPriceX96) / (2 ** 96);
-        const priceSquared = price * price;
-
-        let tokenPriceInETH;
-        if (isToken0) {
-          tokenPriceInETH = priceSquared;
-        } else {
-          tokenPriceInETH = 1 / priceSquared;
-        }
-
-        const hookName = hook === '0x0000000000000000000000000000000000000000' ? 'native' : 'Clanker';
-        console.log(`   V4 (${hookName} ${config.fee/10000}%) price: ${tokenPriceInETH.toFixed(12)} ETH ($${(tokenPriceInETH * ethPriceUSD).toFixed(8)})`);
-        return tokenPriceInETH * ethPriceUSD;
-      } catch (e) {
-        // Continue to next config
-      }
-    }
+function decodeSwapLog(log, { pairs, v4Pools }) {
+  const address = log.address.toLowerCase();
+  const topic = log.topics[0];
+
+  const pair = pairs.get(address);
+  if (pair && (topic === V2_SWAP_TOPIC || topic === AERODROME_SWAP_TOPIC)) {
+    const iface = topic === V2_SWAP_TOPIC ? v2SwapInterface : aerodromeSwapInterface;
+    const { args } = iface.parseLog(log);
+    const tokenIn = pair.isToken0 ? args.amount0In : args.amount1In;
+    const tokenOut = pair.isToken0 ? args.amount0Out : args.amount1Out;
+    return {
+      dex: topic === V2_SWAP_TOPIC ? 'V2' : 'Aerodrome',
+      pool: address,
+      tokens: tokenIn > tokenOut ? tokenIn - tokenOut : tokenOut - tokenIn,
+      direction: tokenOut > tokenIn ? 'buy' : 'sell',
+      recipient: args.to.toLowerCase()
+    };
+  }
+
+  if (pair && topic === V3_SWAP_TOPIC) {
+    // Amounts are the pool's delta: positive = pool received
+    const { args } = v3SwapInterface.parseLog(log);
+    const amount = pair.isToken0 ? args.amount0 : args.amount1;
+    return {
+      dex: 'V3',
+      pool: address,
+      tokens: amount < 0n ? -amount : amount,
+      direction: amount < 0n ? 'buy' : 'sell',
+      recipient: args.recipient.toLowerCase()
+    };
+  }
+
+  if (address === CONFIG.V4_POOL_MANAGER.toLowerCase() && topic === V4_SWAP_TOPIC) {
+    const pool = v4Pools.get(log.topics[1].toLowerCase());
+    if (!pool) return null;
+
+    // Amounts are the swapper's delta: positive = swapper received
+    const { args } = v4SwapInterface.parseLog(log);
+    const amount = pool.isToken0 ? args.amount0 : args.amount1;
+    return {
+      dex: 'V4',
+      pool: log.topics[1].toLowerCase(),
+      tokens: amount < 0n ? -amount : amount,
+      direction: amount > 0n ? 'buy' : 'sell',
+      recipient: null
+    };
   }
 
   return null;
 }
 
-// ERC20 ABI for decimals
-const ERC20_ABI = [
-  'function decimals() view returns (uint8)',
-  'function symbol() view returns (string)',
-];
-
-// ═══════════════════════════════════════════════════════════════════
-// POOL DISCOVERY
-// ═══════════════════════════════════════════════════════════════════
+// How close a wallet's net token change must be to the swapped amount (1%, fees / fee-on-transfer)
+const DELTA_MATCH_TOLERANCE_BPS = 100n;
 
 /**
- * Find all V2-style pools for a token
+ * Net token change per target wallet in one tx (Transfer logs)
+ * @returns {Map<string, bigint>} wallet -> delta (positive = received)
  */
-async function findV2Pools(provider, tokenAddress) {
-  const pools = [];
-  const pairedTokens = [CONFIG.WETH]; // Most common pair
-
-  for (const factoryAddress of CONFIG.V2_FACTORIES) {
-    try {
-      const factory = new ethers.Contract(factoryAddress, V2_FACTORY_ABI, provider);
-
-      for (const pairedToken of pairedTokens) {
-        try {
-          const pairAddress = await factory.getPair(tokenAddress, pairedToken);
-          if (pairAddress && pairAddress !== ethers.ZeroAddress) {
-            pools.push({
-              address: pairAddress,
-              factory: factoryAddress,
-              type: 'V2'
-            });
-            console.log(`   Found V2 pool: ${pairAddress}`);
-          }
-        } catch (e) {
-          // Pool doesn't exist for this pair
-        }
-      }
-    } catch (e) {
-      console.log(`   V2 factory ${factoryAddress.slice(0,10)}... error: ${e.message}`);
-    }
+function getNetTokenDeltas(receipt, tokenAddress, walletSet) {
+  const deltas = new Map();
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== tokenAddress.toLowerCase() || log.topics[0] !== TRANSFER_TOPIC) continue;
+    const { args } = transferInterface.parseLog(log);
+    const from = args.from.toLowerCase();
+    const to = args.to.toLowerCase();
+    if (walletSet.has(from)) deltas.set(from, (deltas.get(from) || 0n) - args.value);
+    if (walletSet.has(to)) deltas.set(to, (deltas.get(to) || 0n) + args.value);
   }
+  return deltas;
+}
 
-  return pools;
+/**
+ * Whether a net token change matches a swapped amount (within DELTA_MATCH_TOLERANCE_BPS)
+ */
+function matchesAmount(delta, amount) {
+  if (amount <= 0n) return false;
+  const abs = delta < 0n ? -delta : delta;
+  const diff = abs > amount ? abs - amount : amount - abs;
+  return diff * 10000n <= amount * DELTA_MATCH_TOLERANCE_BPS;
 }
 
 /**
- * Find all V3 pools for a token (checks common fee tiers)
+ * Target wallet a swap in someone else's tx belongs to, if any
+ * - 'recipient': the swap paid out to the wallet (V2/V3 `to` / `recipient`)
+ * - 'transfer':  the wallet's net change matches the swap (or every swap in
+ *                that direction, for split routes) - buys in, sells out
+ * @returns {{wallet: string, attributedVia: string}|null}
  */
-async function findV3Pools(provider, tokenAddress) {
-  const pools = [];
-  const pairedTokens = [CONFIG.WETH];
-  const feeTiers = [500, 3000, 10000]; // 0.05%, 0.3%, 1%
+function attributeSwap(swap, deltas, directionTotals, walletSet) {
+  if (swap.recipient && walletSet.has(swap.recipient)) {
+    return { wallet: swap.recipient, attributedVia: 'recipient' };
+  }
 
-  try {
-    const factory = new ethers.Contract(CONFIG.V3_FACTORY, V3_FACTORY_ABI, provider);
-
-    for (const pairedToken of pairedTokens) {
-      for (const fee of feeTiers) {
-        try {
-          const poolAddress = await factory.getPool(tokenAddress, pairedToken, fee);
-          if (poolAddress && poolAddress !== ethers.ZeroAddress) {
-            pools.push({
-              address: poolAddress,
-              fee,
-              type: 'V3'
-            });
-            console.log(`   Found V3 pool (${fee/10000}% fee): ${poolAddress}`);
-          }
-        } catch (e) {
-          // Pool doesn't exist
-        }
-      }
+  for (const [wallet, delta] of deltas) {
+    if (swap.direction === 'buy' ? delta <= 0n : delta >= 0n) continue;
+    if (matchesAmount(delta, swap.tokens) || matchesAmount(delta, directionTotals[swap.direction])) {
+      return { wallet, attributedVia: 'transfer' };
     }
-  } catch (e) {
-    console.log(`   V3 factory error: ${e.message}`);
   }
-
-  return pools;
+  return null;
 }
 
-// ═══════════════════════════════════════════════════════════════════
-// SWAP EVENT QUERIES
-// ═══════════════════════════════════════════════════════════════════
-
-// Note: We primarily use ERC-20 Transfer events (getTokenTransferSwaps) to catch
-// ALL trading activity across V2, V3, V4, and aggregators. The V3 swap query
-// below is kept for reference but not actively used.
-
 /**
- * Get swap events by querying ERC-20 Transfer events on the token
- * This catches ALL swaps (V2, V3, V4, aggregators) involving the token
- * Much more reliable than querying individual pool contracts
+ * Get the swaps made by target wallets in a block range
+ * @param {object} provider - Ethers provider
+ * @param {string} tokenAddress
+ * @param {number} fromBlock
+ * @param {number} toBlock
+ * @param {string[]} targetWallets
+ * @returns {Promise<Array<{wallet: string, txHash: string, blockNumber: number, dex: string, pool: string, tokens: bigint, direction: string, attributedVia: string}>>}
  */
-async function getTokenTransferSwaps(provider, tokenAddress, fromBlock, toBlock, targetWallets) {
+async function getWalletSwaps(provider, tokenAddress, fromBlock, toBlock, targetWallets) {
+  const walletSet = new Set(targetWallets.map(w => w.toLowerCase()));
+  const pools = await findTokenPools(provider, tokenAddress);
+
+  // 1. Candidate txs: the token moved to/from a target wallet
+  console.log(`   Querying ${tokenAddress.slice(0,10)}... Transfer events (blocks ${fromBlock}-${toBlock})...`);
+  const transferLogs = await fetchTransferLogs(provider, {
+    tokens: [tokenAddress],
+    addresses: [...walletSet],
+    fromBlock,
+    toBlock
+  });
+  const txHashes = [...new Set(transferLogs.map(l => l.transactionHash))];
+  console.log(`   ${transferLogs.length} transfers in ${txHashes.length} txs involve target wallets`);
+
+  // 2 + 3. Decode swaps from each receipt and attribute them
   const swaps = [];
+  let nonSwapTxs = 0;
+
+  for (let i = 0; i < txHashes.length; i += RECEIPT_CONCURRENCY) {
+    const batch = txHashes.slice(i, i + RECEIPT_CONCURRENCY);
+    // A missing receipt could hide a swap - fail the scan so it's retried
+    // rather than undercount a wallet's volume
+    const receipts = await Promise.all(batch.map(async hash => {
+      const receipt = await withRetry(() => provider.getTransactionReceipt(hash)).catch(e => {
+        throw new Error(`Receipt ${hash} unavailable after retries: ${e.message}`);
+      });
+      if (!receipt) throw new Error(`Receipt ${hash} not found`);
+      return receipt;
+    }));
+
+    for (const receipt of receipts) {
+      const txSwaps = receipt.logs.map(log => decodeSwapLog(log, pools)).filter(Boolean);
+      if (txSwaps.length === 0) {
+        nonSwapTxs++;
+        continue;
+      }
 
-  try {
-    console.log(`   Querying ${tokenAddress.slice(0,10)}... Transfer events (blocks ${fromBlock}-${toBlock})...`);
-
-    const tokenContract = new ethers.Contract(tokenAddress, [
-      'event Transfer(address indexed from, address indexed to, uint256 value)'
-    ], provider);
-
-    const walletLower = new Set(targetWallets.map(w => w.toLowerCase()));
-
-    // Query Transfer events in chunks to avoid RPC limits
-    const CHUNK_SIZE = 10000;
-    let currentFrom = fromBlock;
-
-    while (currentFrom < toBlock) {
-      const currentTo = Math.min(currentFrom + CHUNK_SIZE, toBlock);
-
-      try {
-        const events = await withRetry(() => tokenContract.queryFilter(
-          tokenContract.filters.Transfer(),
-          currentFrom,
-          currentTo
-        ));
-
-        for (const event of events) {
-          const { from, to, value } = event.args;
-          const fromLower = from.toLowerCase();
-          const toLower = to.toLowerCase();
-
-          // Check if either sender or recipient is one of our target wallets
-          if (walletLower.has(fromLower)) {
-            // Wallet sold/sent tokens
-            swaps.push({
-              wallet: fromLower,
-              volume: value,
-              txHash: event.transactionHash,
-              blockNumber: event.blockNumber,
-              direction: 'out'
-            });
-          }
-          if (walletLower.has(toLower)) {
-            // Wallet bought/received tokens
-            swaps.push({
-              wallet: toLower,
-              volume: value,
-              txHash: event.transactionHash,
-              blockNumber: event.blockNumber,
-              direction: 'in'
-            });
-          }
-        }
-
-        currentFrom = currentTo + 1;
-      } catch (e) {
-        console.log(`   Chunk ${currentFrom}-${currentTo} error: ${e.message?.slice(0, 50)}`);
-        // Try smaller chunks
-        currentFrom = currentTo + 1;
+      // Tx sender made every swap in it; otherwise attribute swap by swap
+      const sender = receipt.from.toLowerCase();
+      let attribute = () => ({ wallet: sender, attributedVia: 'sender' });
+      if (!walletSet.has(sender)) {
+        const deltas = getNetTokenDeltas(receipt, tokenAddress, walletSet);
+        const directionTotals = { buy: 0n, sell: 0n };
+        for (const swap of txSwaps) directionTotals[swap.direction] += swap.tokens;
+        attribute = (swap) => attributeSwap(swap, deltas, directionTotals, walletSet);
       }
-    }
 
-    console.log(`   Found ${swaps.length} token transfers involving target wallets`);
-  } catch (e) {
-    console.log(`   Token transfer query error: ${e.message?.slice(0, 80)}`);
+      for (const swap of txSwaps) {
+        const attribution = attribute(swap);
+        if (!attribution) continue;
+        const { wallet, attributedVia } = attribution;
+        swaps.push({
+          wallet,
+          txHash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+          dex: swap.dex,
+          pool: swap.pool,
+          tokens: swap.tokens,
+          direction: swap.direction,
+          attributedVia
+        });
+      }
+    }
   }
 
-  return swaps;
+  console.log(`   Found ${swaps.length} swaps (${nonSwapTxs} non-swap txs ignored)`);
+  return swaps.sort((a, b) => a.blockNumber - b.blockNumber);
 }
 
 // ═══════════════════════════════════════════════════════════════════
@@ -467,20 +348,22 @@ async function getTokenTransferSwaps(provider, tokenAddress, fromBlock, toBlock,
 // ═══════════════════════════════════════════════════════════════════
 
 /**
- * Calculate trading volume for a list of wallets
+ * Calculate swap volume for a list of wallets
  *
- * Uses ERC-20 Transfer events to catch ALL trading activity (V2, V3, V4, aggregators)
- * This is more reliable than querying individual pool contracts.
+ * Only swaps in the token's V2/Aerodrome/V3/V4 pools count (see getWalletSwaps).
+ * Each swap is priced at its own block by lib/price-resolver.js (live price
+ * if the block can't be priced - priceSource says which).
  *
  * @param {string} tokenAddress - Token to check volume for
  * @param {string[]} walletAddresses - Wallets to check (from social qualification)
  * @param {number} minVolumeUSD - Minimum USD volume required
  * @param {number} startTimestamp - Contest start time (unix)
  * @param {number} endTimestamp - Contest end time (unix)
- * @returns {Object[]} Array of { address, volumeUSD, passed }
+ * @returns {Object[]} Array of { address, volumeUSD, volumeTokens, passed, swaps }
+ *   swaps: [{ txHash, blockNumber, dex, pool, direction, tokens, priceUSD, priceSource, usd, attributedVia }]
  */
 async function getUniswapVolumes(tokenAddress, walletAddresses, minVolumeUSD, startTimestamp, endTimestamp) {
-  console.log('\n📊 Checking trading volumes via token transfers...');
+  console.log('\n📊 Checking trading volumes via swap events...');
   console.log(`   Token: ${tokenAddress}`);
   console.log(`   Wallets to check: ${walletAddresses.length}`);
   console.log(`   Min volume required: $${minVolumeUSD}`);
@@ -505,85 +388,61 @@ async function getUniswapVolumes(tokenAddress, walletAddresses, minVolumeUSD, st
     console.log('   Could not get token decimals, using 18');
   }
 
-  // Try to get stored contest price first (captured at contest creation)
-  // This prevents price manipulation during the contest
-  let tokenPriceUSD = null;
-  let priceSource = 'live';
-
-  // Check if we have a contestId to look up stored price
-  // Note: contestId should be passed via options in production
-  try {
-    if (process.env.KV_REST_API_URL && global._currentContestId) {
-      const { kv } = require('@vercel/kv');
-      const storedPrice = await kv.get(`contest_price_${global._currentContestId}`);
-      if (storedPrice && storedPrice.tokenPrice) {
-        tokenPriceUSD = storedPrice.tokenPrice;
-        priceSource = `stored (from ${storedPrice.capturedAt})`;
-        console.log(`   Using stored price from contest creation: $${tokenPriceUSD.toFixed(8)}`);
-      }
-    }
-  } catch (e) {
-    // Fall through to live price
-  }
-
-  // Fall back to current/live price if no stored price
-  if (!tokenPriceUSD) {
-    tokenPriceUSD = await getTokenPriceUSD(provider, tokenAddress);
-    console.log(`   Token price (${priceSource}): $${tokenPriceUSD.toFixed(8)}`);
-  }
-
-  // Query token Transfer events for all target wallets
-  // This catches ALL trading activity (V2, V3, V4, DEX aggregators, etc.)
-  const transfers = await getTokenTransferSwaps(provider, tokenAddress, fromBlock, toBlock, walletAddresses);
+  const swaps = await getWalletSwaps(provider, tokenAddress, fromBlock, toBlock, walletAddresses);
 
-  // Aggregate volume per wallet using HISTORICAL prices at time of each trade
+  // Price each swap at its block (cached per block)
   // This prevents gaming via price manipulation
-  const volumeByWallet = new Map(); // wallet -> { volumeTokens, volumeUSD }
-
-  console.log(`   Calculating historical USD values for ${transfers.length} transfers...`);
-
-  for (const transfer of transfers) {
-    const current = volumeByWallet.get(transfer.wallet) || { volumeTokens: 0n, volumeUSD: 0 };
-    const volumeTokens = current.volumeTokens + transfer.volume;
-
-    // Get historical price at the block when this transfer occurred
-    let transferUSD = 0;
-    try {
-      const historicalPrice = await getHistoricalTokenPriceUSD(provider, tokenAddress, transfer.blockNumber);
-      const transferTokens = Number(transfer.volume) / Math.pow(10, tokenDecimals);
-      transferUSD = transferTokens * historicalPrice;
-    } catch (e) {
-      // Fall back to current price if historical fails
-      const transferTokens = Number(transfer.volume) / Math.pow(10, tokenDecimals);
-      transferUSD = transferTokens * tokenPriceUSD;
+  console.log(`   Calculating historical USD values for ${swaps.length} swaps...`);
+  const priceByBlock = new Map();
+
+  const swapsByWallet = new Map();
+  for (const swap of swaps) {
+    if (!priceByBlock.has(swap.blockNumber)) {
+      priceByBlock.set(swap.blockNumber, await resolveTokenPrice(provider, tokenAddress, {
+        blockNumber: swap.blockNumber,
+        fallbackToLatest: true
+      }));
     }
 
-    volumeByWallet.set(transfer.wallet, {
-      volumeTokens,
-      volumeUSD: current.volumeUSD + transferUSD
+    const price = priceByBlock.get(swap.blockNumber);
+    const priceUSD = price.priceUSD;
+    const tokens = Number(swap.tokens) / Math.pow(10, tokenDecimals);
+    if (!swapsByWallet.has(swap.wallet)) swapsByWallet.set(swap.wallet, []);
+    swapsByWallet.get(swap.wallet).push({
+      txHash: swap.txHash,
+      blockNumber: swap.blockNumber,
+      dex: swap.dex,
+      pool: swap.pool,
+      direction: swap.direction,
+      tokens,
+      priceUSD,
+      priceSource: price.fallback ? `${price.source} (latest)` : price.source,
+      usd: tokens * priceUSD,
+      attributedVia: swap.attributedVia
     });
   }
 
-  // Calculate USD volumes and check against minimum
+  // Sum USD volumes and check against minimum
   const results = [];
 
   for (const address of walletAddresses) {
     const addrLower = address.toLowerCase();
-    const walletData = volumeByWallet.get(addrLower) || { volumeTokens: 0n, volumeUSD: 0 };
-    const volumeTokens = Number(walletData.volumeTokens) / Math.pow(10, tokenDecimals);
-    const volumeUSD = walletData.volumeUSD;
+    const walletSwaps = swapsByWallet.get(addrLower) || [];
+    const volumeTokens = walletSwaps.reduce((sum, s) => sum + s.tokens, 0);
+    const volumeUSD = walletSwaps.reduce((sum, s) => sum + s.usd, 0);
 
     const passed = skipVolumeCheck ? true : volumeUSD >= minVolumeUSD;
 
     if (volumeUSD > 0) {
-      console.log(`   ${addrLower.slice(0,10)}... volume: $${volumeUSD.toFixed(4)} (${volumeTokens.toFixed(2)} tokens, historical) ${passed ? '✅' : '❌'}`);
+      console.log(`   ${addrLower.slice(0,10)}... volume: $${volumeUSD.toFixed(4)} (${walletSwaps.length} swaps, ${volumeTokens.toFixed(2)} tokens, historical) ${passed ? '✅' : '❌'}`);
     }
 
     results.push({
       address: addrLower,
       volumeUSD,
       volumeTokens,
-      passed
+      passed,
+      swaps: walletSwaps
     });
   }
 
@@ -593,331 +452,6 @@ async function getUniswapVolumes(tokenAddress, walletAddresses, minVolumeUSD, st
   return results;
 }
 
-/**
- * Get historical token price at a specific block
- * Uses the V4 pool state at that block for accurate historical pricing
- */
-async function getHistoricalTokenPriceUSD(provider, tokenAddress, blockNumber) {
-  const ethPriceUSD = await getETHPrice(provider);
-
-  // Use historical lookup for known V4 pool
-  const knownV4Price = await tryKnownV4Pool(provider, tokenAddress, ethPriceUSD, { blockNumber });
-  if (knownV4Price) {
-    return knownV4Price;
-  }
-
-  // Fall back to current price if historical lookup fails
-  return await getTokenPriceUSD(provider, tokenAddress);
-}
-
-/**
- * Try to get token price from DexScreener API
- * DexScreener has good coverage of V4 pools and other DEXes
- * Returns price in USD or 0 if not found
- */
-async function tryDexScreenerPrice(tokenAddress) {
-  try {
-    const url = `https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`;
-    const response = await fetch(url, {
-      headers: { 'Accept': 'application/json' },
-      signal: AbortSignal.timeout(5000), // 5 second timeout
-    });
-
-    if (!response.ok) {
-      return 0;
-    }
-
-    const data = await response.json();
-
-    // DexScreener returns pairs array, find the most liquid one on Base
-    if (!data.pairs || data.pairs.length === 0) {
-      return 0;
-    }
-
-    // Filter for Base chain pairs and sort by liquidity
-    const basePairs = data.pairs
-      .filter(p => p.chainId === 'base')
-      .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0));
-
-    if (basePairs.length === 0) {
-      return 0;
-    }
-
-    const bestPair = basePairs[0];
-    const priceUsd = parseFloat(bestPair.priceUsd);
-
-    if (priceUsd > 0) {
-      console.log(`   DexScreener price: $${priceUsd.toFixed(8)} (${bestPair.dexId})`);
-      return priceUsd;
-    }
-
-    return 0;
-  } catch (e) {
-    console.log(`   DexScreener error: ${e.message?.slice(0, 50)}`);
-    return 0;
-  }
-}
-
-/**
- * Get approximate token price in USD using ETH pair
- * Priority: Known V4 pools > V2 pools > V3 pools > V4 discovery > DexScreener
- */
-// Known stablecoins on Base (always ~$1 USD)
-const STABLECOINS = [
-  '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913', // USDC
-  '0x50c5725949a6f0c72e6c4a641f24049a917db0cb', // DAI
-  '0xd9aaec86b65d86f6a7b5b1b0c42ffa531710b6ca', // USDbC
-];
-
-/**
- * Get token price AND pool liquidity in USD
- * Returns { priceUSD, liquidityUSD, source } so callers can validate liquidity depth
- * liquidityUSD is null for pre-vetted pools (known V4, DexScreener), 0 for fallback
- */
-async function getTokenPriceWithLiquidity(provider, tokenAddress) {
-  if (STABLECOINS.includes(tokenAddress.toLowerCase())) {
-    return { priceUSD: 1.0, liquidityUSD: null, source: 'stablecoin' };
-  }
-
-  const ethPriceUSD = await getETHPrice(provider);
-
-  try {
-    const knownV4Price = await tryKnownV4Pool(provider, tokenAddress, ethPriceUSD);
-    if (knownV4Price) {
-      return { priceUSD: knownV4Price, liquidityUSD: null, source: 'V4-known-pool' };
-    }
-
-    for (const factoryAddress of CONFIG.V2_FACTORIES) {
-      try {
-        const factory = new ethers.Contract(factoryAddress, V2_FACTORY_ABI, provider);
-        const pairAddress = await factory.getPair(tokenAddress, CONFIG.WETH);
-        if (pairAddress && pairAddress !== ethers.ZeroAddress) {
-          const pair = new ethers.Contract(pairAddress, V2_PAIR_ABI, provider);
-          const [token0, reserves] = await Promise.all([
-            withRetry(() => pair.token0()),
-            withRetry(() => pair.getReserves())
-          ]);
-          const isToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
-          const tokenReserve = isToken0 ? reserves.reserve0 : reserves.reserve1;
-          const ethReserve = isToken0 ? reserves.reserve1 : reserves.reserve0;
-          if (tokenReserve > 0n && ethReserve > 0n) {
-            const tokenPriceInETH = Number(ethReserve) / Number(tokenReserve);
-            const ethReserveFormatted = Number(ethReserve) / 1e18;
-            const liquidityUSD = ethReserveFormatted * ethPriceUSD * 2;
-            console.log(`   V2 price: ${tokenPriceInETH.toFixed(12)} ETH ($${(tokenPriceInETH * ethPriceUSD).toFixed(8)}) | liquidity: $${liquidityUSD.toFixed(2)}`);
-            return { priceUSD: tokenPriceInETH * ethPriceUSD, liquidityUSD, source: 'V2' };
-          }
-        }
-      } catch (e) { }
-    }
-
-    const feeTiers = [10000, 3000, 500];
-    for (const fee of feeTiers) {
-      try {
-        const v3Factory = new ethers.Contract(CONFIG.V3_FACTORY, V3_FACTORY_ABI, provider);
-        const poolAddress = await v3Factory.getPool(tokenAddress, CONFIG.WETH, fee);
-        if (poolAddress && poolAddress !== ethers.ZeroAddress) {
-          const slot0ABI = [
-            'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
-            'function token0() view returns (address)',
-            'function liquidity() view returns (uint128)'
-          ];
-          const pool = new ethers.Contract(poolAddress, slot0ABI, provider);
-          const [slot0, token0, liquidityRaw] = await Promise.all([
-            withRetry(() => pool.slot0()),
-            withRetry(() => pool.token0()),
-            withRetry(() => pool.liquidity()).catch(() => 0n)
-          ]);
-          const sqrtPriceX96 = slot0.sqrtPriceX96;
-          const price = Number(sqrtPriceX96) / (2 ** 96);
-          const priceSquared = price * price;
-          const isToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
-          let tokenPriceInETH = isToken0 ? priceSquared : 1 / priceSquared;
-
-          let liquidityUSD = null;
-          const liquidityNum = Number(liquidityRaw);
-          if (liquidityNum > 0) {
-            const sqrtPrice = Number(sqrtPriceX96) / (2 ** 96);
-            const approxETH = liquidityNum / (sqrtPrice * 1e18);
-            liquidityUSD = approxETH * ethPriceUSD * 2;
-          }
-          console.log(`   V3 (${fee/10000}%) price: ${tokenPriceInETH.toFixed(12)} ETH ($${(tokenPriceInETH * ethPriceUSD).toFixed(8)}) | liquidity: ${liquidityUSD ? '$' + liquidityUSD.toFixed(2) : 'unknown'}`);
-          return { priceUSD: tokenPriceInETH * ethPriceUSD, liquidityUSD, source: 'V3' };
-        }
-      } catch (e) { }
-    }
-
-    const v4Price = await tryV4PriceUSD(provider, tokenAddress, ethPriceUSD);
-    if (v4Price) {
-      return { priceUSD: v4Price, liquidityUSD: null, source: 'V4-discovery' };
-    }
-
-    const dexScreenerPrice = await tryDexScreenerPrice(tokenAddress);
-    if (dexScreenerPrice > 0) {
-      return { priceUSD: dexScreenerPrice, liquidityUSD: null, source: 'DexScreener' };
-    }
-
-    console.log('   Could not determine token price, returning $0');
-    return { priceUSD: 0, liquidityUSD: 0, source: 'fallback' };
-
-  } catch (e) {
-    console.log(`   Price fetch error: ${e.message}`);
-    return { priceUSD: 0, liquidityUSD: 0, source: 'fallback' };
-  }
-}
-
-async function getTokenPriceUSD(provider, tokenAddress) {
-  // Short-circuit for stablecoins
-  if (STABLECOINS.includes(tokenAddress.toLowerCase())) {
-    return 1.0;
-  }
-
-  // Get current ETH price from Chainlink
-  const ethPriceUSD = await getETHPrice(provider);
-
-  try {
-    // First, check if we have a known V4 pool for this token (highest priority)
-    const knownV4Price = await tryKnownV4Pool(provider, tokenAddress, ethPriceUSD);
-    if (knownV4Price) {
-      return knownV4Price;
-    }
-
-    // Try V2 pool (often more liquid for smaller tokens)
-    for (const factoryAddress of CONFIG.V2_FACTORIES) {
-      try {
-        const factory = new ethers.Contract(factoryAddress, V2_FACTORY_ABI, provider);
-        const pairAddress = await factory.getPair(tokenAddress, CONFIG.WETH);
-
-        if (pairAddress && pairAddress !== ethers.ZeroAddress) {
-          const pair = new ethers.Contract(pairAddress, V2_PAIR_ABI, provider);
-          // Batch these two calls in parallel
-          const [token0, reserves] = await Promise.all([
-            withRetry(() => pair.token0()),
-            withRetry(() => pair.getReserves())
-          ]);
-
-          const isToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
-          const tokenReserve = isToken0 ? reserves.reserve0 : reserves.reserve1;
-          const ethReserve = isToken0 ? reserves.reserve1 : reserves.reserve0;
-
-          if (tokenReserve > 0n && ethReserve > 0n) {
-            const tokenPriceInETH = Number(ethReserve) / Number(tokenReserve);
-            console.log(`   V2 price: ${tokenPriceInETH.toFixed(12)} ETH ($${(tokenPriceInETH * ethPriceUSD).toFixed(8)})`);
-            return tokenPriceInETH * ethPriceUSD;
-          }
-        }
-      } catch (e) {
-        // Continue to next factory
-      }
-    }
-
-    // Try V3 pools (check all fee tiers)
-    const feeTiers = [10000, 3000, 500]; // 1%, 0.3%, 0.05%
-
-    for (const fee of feeTiers) {
-      try {
-        const v3Factory = new ethers.Contract(CONFIG.V3_FACTORY, V3_FACTORY_ABI, provider);
-        const poolAddress = await v3Factory.getPool(tokenAddress, CONFIG.WETH, fee);
-
-        if (poolAddress && poolAddress !== ethers.ZeroAddress) {
-          const slot0ABI = [
-            'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
-            'function token0() view returns (address)'
-          ];
-          const pool = new ethers.Contract(poolAddress, slot0ABI, provider);
-
-          const [slot0, token0] = await Promise.all([
-            withRetry(() => pool.slot0()),
-            withRetry(() => pool.token0())
-          ]);
-
-          const sqrtPriceX96 = slot0.sqrtPriceX96;
-
-          // Calculate price from sqrtPriceX96
-          // price = (sqrtPriceX96 / 2^96)^2
-          const price = Number(sqrtPriceX96) / (2 ** 96);
-          const priceSquared = price * price;
-
-          // Determine if token is token0 or token1
-          const isToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
-
-          // V3 price is token1/token0
-          // If our token is token0, price tells us how much token1 (WETH) per token0
-          // If our token is token1, we need to invert
-          let tokenPriceInETH;
-          if (isToken0) {
-            tokenPriceInETH = priceSquared;
-          } else {
-            tokenPriceInETH = 1 / priceSquared;
-          }
-
-          console.log(`   V3 (${fee/10000}%) price: ${tokenPriceInETH.toFixed(12)} ETH ($${(tokenPriceInETH * ethPriceUSD).toFixed(8)})`);
-          return tokenPriceInETH * ethPriceUSD;
-        }
-      } catch (e) {
-        // Continue to next fee tier
-      }
-    }
-
-    // Try V4 pools (Clanker tokens)
-    const v4Price = await tryV4PriceUSD(provider, tokenAddress, ethPriceUSD);
-    if (v4Price) {
-      return v4Price;
-    }
-
-    // Try DexScreener API as final fallback (covers V4 and other DEXes)
-    const dexScreenerPrice = await tryDexScreenerPrice(tokenAddress);
-    if (dexScreenerPrice > 0) {
-      return dexScreenerPrice;
-    }
-
-    console.log('   Could not determine token price, returning $0');
-    return 0; // No fallback price - unpriced tokens get $0 value
-
-  } catch (e) {
-    console.log(`   Price fetch error: ${e.message}`);
-    return 0;
-  }
-}
-
-/**
- * Get current ETH price in USD
- * Uses Chainlink price feed with caching to reduce RPC calls
- */
-async function getETHPrice(provider = null) {
-  // Return cached price if still valid
-  const now = Date.now();
-  if (cachedETHPrice && (now - ethPriceCacheTime) < ETH_PRICE_CACHE_TTL) {
-    return cachedETHPrice;
-  }
-
-  try {
-    // Chainlink ETH/USD price feed on Base
-    const CHAINLINK_ETH_USD = '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70';
-    const rpcProvider = provider || new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
-
-    const priceFeed = new ethers.Contract(
-      CHAINLINK_ETH_USD,
-      ['function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'],
-      rpcProvider
-    );
-
-    const roundData = await withRetry(() => priceFeed.latestRoundData());
-    // Chainlink uses 8 decimals for USD pairs
-    const price = Number(roundData.answer) / 1e8;
-
-    // Cache the result
-    cachedETHPrice = price;
-    ethPriceCacheTime = now;
-
-    console.log(`   ETH price (Chainlink): $${price.toFixed(2)}`);
-    return price;
-  } catch (e) {
-    console.log(`   Could not fetch ETH price from Chainlink: ${e.message?.slice(0, 50)}`);
-    return cachedETHPrice || 3500; // Use cached price or fallback
-  }
-}
-
 /**
  * Convert timestamp to approximate block number
  * Uses on-chain timestamp instead of system clock for accuracy
@@ -942,12 +476,7 @@ async function timestampToBlock(provider, timestamp) {
 
 module.exports = {
   getUniswapVolumes,
-  findV2Pools,
-  findV3Pools,
-  getTokenPriceUSD,
-  getTokenPriceWithLiquidity,
-  getHistoricalTokenPriceUSD,
-  getETHPrice,
-  CONFIG,
-  KNOWN_V4_POOLS
+  getWalletSwaps,
+  findTokenPools,
+  CONFIG
 };
@@ -4,6 +4,7 @@
  */
 
 const { CONFIG } = require('./config');
+const { tokenAmount, toNumber } = require('./token-amount');
 
 // ═══════════════════════════════════════════════════════════════════
 // CACHING
@@ -126,12 +127,26 @@ async function getUserAddresses(fid) {
     }
 
     setCache(cacheKey, addresses, 300000);
+    setCache(`user:fid:${fid}`, user, 300000);
     return addresses;
   } catch (e) {
     return [];
   }
 }
 
+/**
+ * Get the address prizes are sent to for a Neynar user object
+ * (primary verified > first verified > custody)
+ * @param {Object} user - Neynar user
+ * @returns {string|null} Lowercase address
+ */
+function getPrimaryAddress(user) {
+  const address = user?.verified_addresses?.primary?.eth_address
+    || user?.verified_addresses?.eth_addresses?.[0]
+    || user?.custody_address;
+  return address ? address.toLowerCase() : null;
+}
+
 /**
  * Get FID from wallet address
  * @param {string} address - Ethereum address
@@ -468,9 +483,11 @@ function getStatusName(status) {
 
 /**
  * Format prize amount for display
+ * @param {bigint|string} amount - Raw on-chain amount
+ * @param {number} [decimals=18]
  */
 function formatPrizeAmount(amount, decimals = 18) {
-  const value = Number(amount) / Math.pow(10, decimals);
+  const value = toNumber(tokenAmount(amount, decimals));
   if (value >= 1000000) return (value / 1000000).toFixed(2) + 'M';
   if (value >= 1000) return (value / 1000).toFixed(2) + 'K';
   if (value >= 1) return value.toFixed(2);
@@ -489,6 +506,7 @@ module.exports = {
   getUserByFid,
   getUsersByFids,
   getUserAddresses,
+  getPrimaryAddress,
   getFidFromAddress,
   getCastReactions,
   getCastConversation,
@@ -0,0 +1,300 @@
+/**
+ * Webhook authentication - Neynar HMAC + Farcaster JSON Signatures
+ *
+ * Both webhooks must be verified against the exact bytes that were sent, so
+ * handlers call readRawBody() BEFORE touching req.body (Vercel parses the
+ * body lazily from the same stream) and parse the JSON themselves.
+ *
+ *   Neynar (api/trade-webhook.js):
+ *     X-Neynar-Signature = hex HMAC-SHA512(raw body, NEYNAR_WEBHOOK_SECRET),
+ *     compared in constant time. created_at is required and must be within
+ *     WEBHOOK_REPLAY_WINDOW_SECONDS of now, and each signature is accepted once.
+ *
+ *   Mini app events (api/webhook.js):
+ *     body = { header, payload, signature } (JSON Farcaster Signature, all
+ *     base64url). header = { fid, type: 'app_key', key } and signature is
+ *     Ed25519 over "<header>.<payload>" by that key. The key must be an
+ *     active signer of the FID on the hub, and the FID comes from the
+ *     header - never from the payload. The envelope has no timestamp, so each
+ *     signature is remembered for MINIAPP_NONCE_TTL_SECONDS and accepted once
+ *     (Warpcast retries the same envelope).
+ *
+ * Unsigned requests (and the trade webhook's ?test=true path) are only
+ * accepted in a dev build (`vercel dev`, see isDevBuild).
+ */
+
+const crypto = require('crypto');
+const { CONFIG } = require('./config');
+
+const WEBHOOK_REPLAY_WINDOW_SECONDS = 300;
+// Mini app envelopes can't expire, so their signatures are kept far longer
+const MINIAPP_NONCE_TTL_SECONDS = 60 * 60 * 24 * 30; // 30 days
+const HUB_API_URL = 'https://hub-api.neynar.com';
+
+// DER prefix for a raw 32-byte Ed25519 public key (SubjectPublicKeyInfo)
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/**
+ * Whether this is a local dev build (`vercel dev`)
+ * Preview and production deployments are never dev builds.
+ */
+function isDevBuild() {
+  return process.env.VERCEL_ENV === 'development';
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RAW BODY
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Read the raw request body
+ * @param {object} req - Node request (stream not yet consumed)
+ * @returns {Promise<Buffer|null>} null if the body was already consumed
+ */
+async function readRawBody(req) {
+  if (Buffer.isBuffer(req.rawBody)) return req.rawBody;
+  if (req.readableEnded) return null;
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Parse a raw JSON body
+ * @returns {object|null}
+ */
+function parseJsonBody(rawBody) {
+  try {
+    return JSON.parse(rawBody.toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// REPLAY PROTECTION
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Reject stale or already-seen webhook deliveries
+ * @param {object} kv - Vercel KV client
+ * @param {object} params
+ * @param {string} params.namespace - Key prefix per webhook ("neynar", "miniapp")
+ * @param {string} params.nonce - Unique per delivery (the signature)
+ * @param {number} [params.timestamp] - Unix seconds the sender signed at, if the payload has one
+ * @param {number} [params.window=WEBHOOK_REPLAY_WINDOW_SECONDS]
+ * @param {number} [params.ttl] - How long the nonce is remembered (seconds), default 2x window
+ * @returns {Promise<{ok: true, release: Function}|{ok: false, duplicate?: boolean, error: string}>}
+ *   release() frees the nonce again - call it when processing fails, so the
+ *   sender's retry (same signature) is processed instead of answered "duplicate"
+ */
+async function checkReplay(kv, { namespace, nonce, timestamp, window = WEBHOOK_REPLAY_WINDOW_SECONDS, ttl = window * 2 }) {
+  if (timestamp !== undefined) {
+    const age = Math.floor(Date.now() / 1000) - Number(timestamp);
+    if (!Number.isFinite(age) || Math.abs(age) > window) {
+      return { ok: false, error: 'Webhook timestamp outside replay window' };
+    }
+  }
+
+  const nonceHash = crypto.createHash('sha256').update(nonce).digest('hex');
+  const key = `webhook_nonce:${namespace}:${nonceHash}`;
+  const fresh = await kv.set(key, Date.now(), { nx: true, ex: ttl });
+  if (!fresh) return { ok: false, duplicate: true, error: 'Webhook already processed' };
+
+  const release = async () => {
+    try {
+      await kv.del(key);
+    } catch (e) {
+      console.error('Could not release webhook nonce:', e.message);
+    }
+  };
+  return { ok: true, release };
+}
+
+// Unsigned dev-build deliveries have no nonce to release
+const noRelease = async () => {};
+
+// ═══════════════════════════════════════════════════════════════════
+// NEYNAR HMAC
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Verify a Neynar webhook signature (constant time)
+ * @param {Buffer} rawBody
+ * @param {string} signature - X-Neynar-Signature header (hex)
+ * @param {string} secret - Webhook secret from the Neynar dashboard
+ * @returns {boolean}
+ */
+function verifyHmac(rawBody, signature, secret) {
+  if (!secret || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(crypto.createHmac('sha512', secret).update(rawBody).digest('hex'));
+  const given = Buffer.from(signature.trim().toLowerCase());
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Authenticate a Neynar webhook request
+ * @param {object} kv - Vercel KV client
+ * @param {object} req
+ * @returns {Promise<{body: object, release: Function}|{status: number, error: string, duplicate?: boolean}>}
+ *   duplicate = already processed (handlers answer 200 so the sender stops retrying);
+ *   call release() before answering an error for a delivery that wasn't processed (see checkReplay)
+ */
+async function verifyNeynarWebhook(kv, req) {
+  const rawBody = await readRawBody(req);
+  if (!rawBody) return { status: 400, error: 'Request body unavailable' };
+
+  const body = parseJsonBody(rawBody);
+  if (!body) return { status: 400, error: 'Invalid JSON' };
+
+  const secret = process.env.NEYNAR_WEBHOOK_SECRET;
+  if (!secret) {
+    if (isDevBuild()) {
+      console.log('⚠️ NEYNAR_WEBHOOK_SECRET not set - accepting unsigned webhook (dev build)');
+      return { body, release: noRelease };
+    }
+    return { status: 503, error: 'Webhook secret not configured' };
+  }
+
+  const signature = req.headers['x-neynar-signature'];
+  if (!verifyHmac(rawBody, signature, secret)) {
+    return { status: 401, error: 'Invalid signature' };
+  }
+
+  // Without a timestamp a captured delivery could be replayed once its nonce expires
+  if (body.created_at === undefined || body.created_at === null || body.created_at === '') {
+    return { status: 401, error: 'Missing created_at' };
+  }
+
+  const replay = await checkReplay(kv, { namespace: 'neynar', nonce: signature, timestamp: body.created_at });
+  if (!replay.ok) return { status: replay.duplicate ? 200 : 401, duplicate: !!replay.duplicate, error: replay.error };
+
+  return { body, release: replay.release };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// JSON FARCASTER SIGNATURES (mini app events)
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Decode a JFS envelope (no verification)
+ * @param {{header: string, payload: string, signature: string}} envelope
+ * @returns {{fid: number, type: string, key: string, payload: object, signature: Buffer, signingInput: Buffer}|null}
+ */
+function decodeJfs(envelope) {
+  const { header, payload, signature } = envelope || {};
+  if (typeof header !== 'string' || typeof payload !== 'string' || typeof signature !== 'string') return null;
+
+  try {
+    const decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    return {
+      fid: parseInt(decodedHeader.fid),
+      type: decodedHeader.type,
+      key: String(decodedHeader.key || '').toLowerCase(),
+      payload: JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')),
+      signature: Buffer.from(signature, 'base64url'),
+      signingInput: Buffer.from(`${header}.${payload}`, 'utf8')
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Verify an Ed25519 signature by a raw 0x-prefixed public key
+ */
+function verifyEd25519(publicKeyHex, message, signature) {
+  const raw = Buffer.from(publicKeyHex.replace(/^0x/, ''), 'hex');
+  if (raw.length !== 32 || signature.length !== 64) return false;
+
+  try {
+    const publicKey = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, raw]),
+      format: 'der',
+      type: 'spki'
+    });
+    return crypto.verify(null, message, publicKey, signature);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Check that a key is an active app key (on-chain signer) of a FID
+ * @param {number} fid
+ * @param {string} key - 0x-prefixed Ed25519 public key
+ * @returns {Promise<boolean>}
+ */
+async function verifyAppKey(fid, key) {
+  const response = await fetch(`${HUB_API_URL}/v1/onChainSignersByFid?fid=${fid}`, {
+    headers: { 'x-api-key': CONFIG.NEYNAR_API_KEY }
+  });
+  if (!response.ok) throw new Error(`Hub signer lookup failed: ${response.status}`);
+
+  const data = await response.json();
+  return (data.events || []).some(e => e.signerEventBody?.key?.toLowerCase() === key);
+}
+
+/**
+ * Authenticate a mini app webhook request
+ * @param {object} kv - Vercel KV client
+ * @param {object} req
+ * @returns {Promise<{fid: number, event: object, release: Function}|{status: number, error: string, duplicate?: boolean}>}
+ *   event is the decoded payload ({ event, notificationDetails? }); duplicate and release as in verifyNeynarWebhook
+ */
+async function verifyMiniAppWebhook(kv, req) {
+  const rawBody = await readRawBody(req);
+  if (!rawBody) return { status: 400, error: 'Request body unavailable' };
+
+  const body = parseJsonBody(rawBody);
+  if (!body) return { status: 400, error: 'Invalid JSON' };
+
+  // Unsigned { event, fid } bodies are only for local testing
+  if (body.event && !body.signature) {
+    if (isDevBuild()) {
+      console.log('⚠️ Accepting unsigned mini app event (dev build)');
+      return { fid: parseInt(body.fid), event: body, release: noRelease };
+    }
+    return { status: 401, error: 'Unsigned event' };
+  }
+
+  const jfs = decodeJfs(body);
+  if (!jfs || isNaN(jfs.fid) || jfs.fid <= 0) return { status: 400, error: 'Malformed signed event' };
+  if (jfs.type !== 'app_key') return { status: 401, error: `Unsupported signature type: ${jfs.type}` };
+
+  if (!verifyEd25519(jfs.key, jfs.signingInput, jfs.signature)) {
+    return { status: 401, error: 'Invalid signature' };
+  }
+
+  let active;
+  try {
+    active = await verifyAppKey(jfs.fid, jfs.key);
+  } catch (e) {
+    // Let the client retry rather than dropping a real event
+    console.error('App key lookup failed:', e.message);
+    return { status: 503, error: 'Could not verify app key' };
+  }
+  if (!active) return { status: 401, error: 'Key is not an app key of this FID' };
+
+  const replay = await checkReplay(kv, { namespace: 'miniapp', nonce: body.signature, ttl: MINIAPP_NONCE_TTL_SECONDS });
+  if (!replay.ok) return { status: replay.duplicate ? 200 : 401, duplicate: !!replay.duplicate, error: replay.error };
+
+  return { fid: jfs.fid, event: jfs.payload, release: replay.release };
+}
+
+module.exports = {
+  WEBHOOK_REPLAY_WINDOW_SECONDS,
+  MINIAPP_NONCE_TTL_SECONDS,
+  isDevBuild,
+  readRawBody,
+  checkReplay,
+  verifyHmac,
+  verifyNeynarWebhook,
+  decodeJfs,
+  verifyAppKey,
+  verifyMiniAppWebhook,
+};
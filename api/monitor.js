@@ -96,7 +96,7 @@ module.exports = async (req, res) => {
             <tr>
               <th class="px-4 py-3 text-left text-sm font-medium text-gray-300">Rank</th>
               <th class="px-4 py-3 text-left text-sm font-medium text-gray-300">Wallet</th>
-              <th class="px-4 py-3 text-right text-sm font-medium text-gray-300">Volume</th>
+              <th class="px-4 py-3 text-right text-sm font-medium text-gray-300">Volume (USD)</th>
               <th class="px-4 py-3 text-right text-sm font-medium text-gray-300">Trades</th>
             </tr>
           </thead>
@@ -191,15 +191,15 @@ module.exports = async (req, res) => {
       let html = '';
       traders.forEach((trader, index) => {
         const prevVolume = previousTraders.get(trader.address) || 0;
-        const isNew = trader.volume > prevVolume;
-        const volumeDiff = trader.volume - prevVolume;
+        const isNew = trader.volumeUSD > prevVolume;
+        const volumeDiff = trader.volumeUSD - prevVolume;
 
         if (isNew && prevVolume > 0) {
           // Add to live feed
           const timestamp = new Date().toLocaleTimeString();
           const feedEntry = document.createElement('p');
           feedEntry.className = 'text-green-400 mb-1';
-          feedEntry.textContent = \`[\${timestamp}] \${trader.address.slice(0,10)}... +\${volumeDiff.toLocaleString(undefined, {maximumFractionDigits: 2})} tokens\`;
+          feedEntry.textContent = \`[\${timestamp}] \${trader.address.slice(0,10)}... +$\${volumeDiff.toLocaleString(undefined, {maximumFractionDigits: 2})}\`;
           feed.insertBefore(feedEntry, feed.firstChild);
 
           // Keep only last 50 entries
@@ -208,7 +208,7 @@ module.exports = async (req, res) => {
           }
         }
 
-        previousTraders.set(trader.address, trader.volume);
+        previousTraders.set(trader.address, trader.volumeUSD);
 
         html += \`
           <tr class="\${isNew ? 'new-trade' : ''} border-b border-gray-700 hover:bg-gray-750">
@@ -219,7 +219,7 @@ module.exports = async (req, res) => {
               </a>
             </td>
             <td class="px-4 py-3 text-right font-mono \${isNew ? 'text-green-400' : 'text-white'}">
-              \${trader.volume.toLocaleString(undefined, {maximumFractionDigits: 2})}
+              $\${trader.volumeUSD.toLocaleString(undefined, {maximumFractionDigits: 2})}
             </td>
             <td class="px-4 py-3 text-right text-gray-400">\${trader.tradeCount}</td>
           </tr>
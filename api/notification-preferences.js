@@ -0,0 +1,86 @@
+/**
+ * Notification Preferences API
+ *
+ * Which notifications the signed-in user receives (see lib/notification-prefs.js).
+ *
+ * GET  /api/notification-preferences
+ * Headers: Authorization: Bearer <session token> (see /api/session)
+ *   Returns: { fid, subscribed, preferences, types }
+ *
+ * POST /api/notification-preferences
+ * Headers: Authorization: Bearer <session token>
+ * Body (any subset):
+ *   {
+ *     types: { contest_ending_soon: true, new_leaderboard_leader: false },
+ *     hosts: [123, 456],
+ *     tokens: ["0x..."],
+ *     minPrizeUSD: 25,
+ *     quietHours: { start: 22, end: 7, timezone: "Europe/London" }   (null = off)
+ *   }
+ *   Returns: { success: true, fid, preferences }
+ */
+
+const { requireSession } = require('./lib/session');
+const {
+  NOTIFICATION_TYPES,
+  validatePreferences,
+  getPreferences,
+  updatePreferences,
+} = require('./lib/notification-prefs');
+
+module.exports = async (req, res) => {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // FID comes from the signed-in session, not the request
+  const session = requireSession(req, res, req.body?.fid);
+  if (!session) return;
+  const { fid } = session;
+
+  if (!process.env.KV_REST_API_URL) {
+    return res.status(500).json({ error: 'KV storage not configured' });
+  }
+
+  const { kv } = require('@vercel/kv');
+
+  try {
+    if (req.method === 'GET') {
+      const [preferences, subscribed] = await Promise.all([
+        getPreferences(kv, fid),
+        kv.sismember('notif:subscribers', fid.toString()),
+      ]);
+      return res.status(200).json({
+        fid,
+        // false = the app isn't added or notifications are off in the client
+        subscribed: !!subscribed,
+        preferences,
+        types: NOTIFICATION_TYPES,
+      });
+    }
+
+    const { fid: _fid, ...update } = req.body || {};
+    const validated = validatePreferences(update);
+    if (validated.error) {
+      return res.status(400).json({ error: validated.error });
+    }
+
+    const preferences = await updatePreferences(kv, fid, validated.preferences);
+    console.log(`Updated notification preferences for FID ${fid}`);
+
+    return res.status(200).json({ success: true, fid, preferences });
+
+  } catch (error) {
+    console.error('Notification preferences error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
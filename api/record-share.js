@@ -5,16 +5,19 @@
  * This gives them a bonus entry in the raffle.
  *
  * POST /api/record-share
- * Body: { fid: number, contestId: string }
+ * Headers: Authorization: Bearer <session token> (see /api/session)
+ * Body: { contestId: string }
  *
  * Returns: { success: true, shared: true } or { success: true, alreadyShared: true }
  */
 
+const { requireSession } = require('./lib/session');
+
 module.exports = async (req, res) => {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -26,10 +29,14 @@ module.exports = async (req, res) => {
 
   const { fid, contestId } = req.body;
 
+  // FID comes from the signed-in session, not the body
+  const session = requireSession(req, res, fid);
+  if (!session) return;
+  const parsedFid = session.fid;
+
   // Validate inputs
-  const parsedFid = parseInt(fid);
-  if (!fid || isNaN(parsedFid) || parsedFid <= 0 || !contestId) {
-    return res.status(400).json({ error: 'Missing or invalid fid or contestId' });
+  if (!contestId) {
+    return res.status(400).json({ error: 'Missing contestId' });
   }
 
   // Validate contest ID format (must be M-X or T-X)
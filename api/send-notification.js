@@ -11,6 +11,26 @@
  *   - new_leaderboard_leader: New #1 on the leaderboard → Leaderboard
  *   - prize_pool_funded: Host prize pool was funded → Leaderboard
  *
+ * Targeted (sent with targetFids, see lib/contest-notifications.js):
+ *   - contest_won: You won a contest → History
+ *   - contest_ending_entered: A contest you entered ends in 1 hour → Active Contests
+ *   - contest_finalized: Your contest was finalized (host) → History
+ *   - contest_cancelled: Your contest was cancelled, with the reason (host) → History
+ *
+ * Recipients are filtered by their preferences (lib/notification-prefs.js,
+ * set via /api/notification-preferences): subscribed types, hosts, prize
+ * tokens, minimum prize USD and quiet hours. Targeted QUIET_DEFERRED_TYPES
+ * sent during a recipient's quiet hours come back as `deferred` (FID + time
+ * the quiet hours end) for the caller to send later. Contest notifications are
+ * matched against the contest's host, prize token and stored prize value;
+ * callers can pass hostFid / prizeToken / prizeUSD in data, otherwise they
+ * are looked up from data.contestId.
+ *
+ * Delivery is batched per client URL, with invalid tokens pruned
+ * (lib/notification-delivery.js). Rate-limited recipients of a broadcast are
+ * resent by a `rate_limited` notify job (lib/contest-jobs.js); targeted sends
+ * return them as rateLimitedFids for lib/contest-notifications.js to requeue.
+ *
  * Usage:
  *   POST /api/send-notification
  *   Body: { type: "new_contest", data: { ... } }
@@ -18,6 +38,14 @@
  * Or call sendNotification() directly from other APIs
  */
 
+const { ethers } = require('ethers');
+const { CONFIG, PRIZE_TYPE } = require('./lib/config');
+const { getContest } = require('./lib/contest-manager');
+const { getUserByWallet } = require('./lib/utils');
+const { CONTEST_TYPES, QUIET_DEFERRED_TYPES, withDefaults, isQuietTime, quietHoursEnd, shouldNotify } = require('./lib/notification-prefs');
+const { MAX_RATE_LIMIT_REQUEUES, getNotificationId, rateLimitRetryAt, deliverNotification } = require('./lib/notification-delivery');
+const { enqueueNotifyRetry } = require('./lib/contest-jobs');
+
 const NEYNAR_API_KEY = process.env.NEYNAR_API_KEY || 'AA2E0FC2-FDC0-466D-9EBA-4BCA968C9B1D';
 
 /**
@@ -44,6 +72,7 @@ async function getSubscribers() {
           fid: parseInt(fid),
           token: data.token,
           url: data.url,
+          preferences: withDefaults(data.preferences),
         });
       }
     }
@@ -55,38 +84,6 @@ async function getSubscribers() {
   }
 }
 
-/**
- * Send notification to a single user via Warpcast
- */
-async function sendToUser(token, url, title, body, targetUrl) {
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        notificationId: `neynartodes-${Date.now()}`,
-        title,
-        body,
-        targetUrl,
-        tokens: [token],
-      }),
-    });
-
-    if (!response.ok) {
-      const text = await response.text();
-      console.error(`Failed to send notification: ${response.status} - ${text}`);
-      return false;
-    }
-
-    return true;
-  } catch (e) {
-    console.error('Error sending notification:', e.message);
-    return false;
-  }
-}
-
 /**
  * Truncate string to max length (for Farcaster notification limits)
  * Title: max 32 chars, Body: max 128 chars
@@ -145,6 +142,38 @@ function buildNotificationContent(type, data) {
       targetUrl = `${baseUrl}?view=leaderboard`;
       break;
 
+    case 'contest_won':
+      title = `You won Contest #${data.contestId || '?'}!`;
+      body = data.prize
+        ? `Congrats! You won ${data.prize} 🎉`
+        : 'Congrats! You were drawn as a winner 🎉';
+      targetUrl = `${baseUrl}?view=history`;
+      break;
+
+    case 'contest_ending_entered':
+      title = `Contest #${data.contestId || '?'} Ending!`;
+      body = data.prize
+        ? `A contest you entered ends in ${data.minutesLeft || 60} min. ${data.prize} up for grabs!`
+        : `A contest you entered ends in ${data.minutesLeft || 60} min.`;
+      targetUrl = `${baseUrl}?view=active`;
+      break;
+
+    case 'contest_finalized':
+      title = `Contest #${data.contestId || '?'} Finalized`;
+      body = data.winnerCount
+        ? `${data.winnerCount} winner${data.winnerCount > 1 ? 's' : ''} drawn${data.participants ? ` from ${data.participants} entrants` : ''}.`
+        : 'Your contest was finalized.';
+      targetUrl = `${baseUrl}?view=history`;
+      break;
+
+    case 'contest_cancelled':
+      title = `Contest #${data.contestId || '?'} Cancelled`;
+      body = data.reason
+        ? `Your contest was cancelled: ${data.reason}`
+        : 'Your contest was cancelled.';
+      targetUrl = `${baseUrl}?view=history`;
+      break;
+
     default:
       title = 'NEYNARtodes Update';
       body = data.message || 'Something new is happening!';
@@ -158,29 +187,61 @@ function buildNotificationContent(type, data) {
   };
 }
 
+/**
+ * Host FID, prize token and prize USD of a contest notification
+ * Uses what the caller put in data, and looks the rest up by data.contestId
+ * (prize USD = the stored prize snapshot, see lib/price-oracle.js).
+ * @param {object} data - Notification data
+ * @returns {Promise<{hostFid?: number, prizeToken?: string, prizeUSD?: number}>}
+ */
+async function getContestContext(data) {
+  const context = { hostFid: data.hostFid, prizeToken: data.prizeToken, prizeUSD: data.prizeUSD };
+  if (!data.contestId || (context.hostFid && context.prizeToken && context.prizeUSD !== undefined)) return context;
+
+  try {
+    const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+    const contest = await getContest(provider, String(data.contestId));
+    if (!contest) return context;
+
+    if (!context.prizeToken) {
+      context.prizeToken = contest.prizeType === PRIZE_TYPE.ETH ? ethers.ZeroAddress : contest.prizeToken;
+    }
+    if (!context.hostFid) {
+      context.hostFid = (await getUserByWallet(contest.host))?.fid;
+    }
+    if (context.prizeUSD === undefined && process.env.KV_REST_API_URL) {
+      const { kv } = await import('@vercel/kv');
+      const price = contest.isNft
+        ? (await kv.get(`nft_price_${contest.contestId}`))?.floorPriceUSD
+        : (await kv.get(`contest_price_prize_${contest.contestId}`))?.prizeValueUSD;
+      if (price !== undefined && price !== null) context.prizeUSD = Number(price);
+    }
+  } catch (e) {
+    console.error(`Could not load contest ${data.contestId} for notification filters:`, e.message);
+  }
+
+  return context;
+}
+
 // Set to true to disable all notifications (for testing)
 const NOTIFICATIONS_DISABLED = false;
 
-// Only these notification types are allowed in production
-const ALLOWED_TYPES = ['new_contest', 'prize_pool_funded'];
-
 /**
- * Send notification to all subscribers
+ * Send notification to all subscribers whose preferences match
  * @param {string} type - Notification type
  * @param {object} data - Data for the notification
  * @param {number[]} targetFids - Optional: Only send to specific FIDs
+ * @param {object} [options]
+ * @param {boolean} [options.requeue] - Queue a resend for rate-limited recipients
+ *   (default: broadcasts only - targeted callers requeue them themselves)
+ * @param {number} [options.attempt=0] - Rate-limit requeues so far
  */
-async function sendNotification(type, data, targetFids = null) {
+async function sendNotification(type, data, targetFids = null, { requeue = !targetFids, attempt = 0 } = {}) {
   if (NOTIFICATIONS_DISABLED) {
     console.log(`[NOTIFICATIONS DISABLED] Would have sent: ${type}`);
     return { sent: 0, failed: 0, disabled: true };
   }
 
-  if (!ALLOWED_TYPES.includes(type)) {
-    console.log(`[NOTIFICATION SKIPPED] Type "${type}" not in allowed list`);
-    return { sent: 0, failed: 0, skipped: true };
-  }
-
   const subscribers = await getSubscribers();
 
   if (subscribers.length === 0) {
@@ -188,10 +249,14 @@ async function sendNotification(type, data, targetFids = null) {
     return { sent: 0, failed: 0 };
   }
 
-  const { title, body, targetUrl } = buildNotificationContent(type, data);
+  const content = buildNotificationContent(type, data);
+  const notificationId = getNotificationId(type, data, content);
+  const context = CONTEST_TYPES.includes(type) ? await getContestContext(data) : {};
+  const now = new Date();
 
-  let sent = 0;
-  let failed = 0;
+  const recipients = [];
+  const deferred = [];
+  let filtered = 0;
 
   for (const sub of subscribers) {
     // If targetFids specified, only send to those users
@@ -199,22 +264,59 @@ async function sendNotification(type, data, targetFids = null) {
       continue;
     }
 
-    const success = await sendToUser(sub.token, sub.url, title, body, targetUrl);
-    if (success) {
-      sent++;
+    if (!shouldNotify(sub.preferences, type, context, now, { quietHours: false })) {
+      filtered++;
+      continue;
+    }
+
+    if (isQuietTime(sub.preferences.quietHours, now)) {
+      if (targetFids && QUIET_DEFERRED_TYPES.includes(type)) {
+        deferred.push({ fid: sub.fid, until: quietHoursEnd(sub.preferences.quietHours, now).getTime() });
+      } else {
+        filtered++;
+      }
+      continue;
+    }
+
+    recipients.push(sub);
+  }
+
+  if (recipients.length === 0) {
+    console.log(`Notification "${type}": no recipients (${filtered} filtered by preferences, ${deferred.length} in quiet hours)`);
+    return { sent: 0, failed: 0, filtered, deferred, notificationId };
+  }
+
+  const { kv } = await import('@vercel/kv');
+  const delivery = await deliverNotification(kv, recipients, content, { type, notificationId, filtered });
+
+  console.log(`Notification "${type}" (${notificationId}) sent to ${delivery.sent}/${delivery.recipients} users, ` +
+    `${delivery.failed} failed, ${delivery.rateLimited} rate limited, ${delivery.invalid} invalid, ${filtered} filtered by preferences`);
+
+  let requeued = 0;
+  if (requeue && delivery.rateLimitedFids.length > 0) {
+    if (attempt < MAX_RATE_LIMIT_REQUEUES) {
+      await enqueueNotifyRetry(kv, type, delivery.rateLimitedFids, data, rateLimitRetryAt(attempt), attempt + 1);
+      requeued = delivery.rateLimitedFids.length;
     } else {
-      failed++;
+      console.log(`⚠️ Notification "${type}": giving up on ${delivery.rateLimitedFids.length} rate-limited recipient(s) after ${attempt} requeues`);
     }
   }
 
-  console.log(`Notification "${type}" sent to ${sent} users, ${failed} failed`);
-  return { sent, failed };
+  return {
+    sent: delivery.sent,
+    failed: delivery.failed,
+    rateLimited: delivery.rateLimited,
+    invalid: delivery.invalid,
+    filtered,
+    deferred,
+    notificationId,
+    requeued,
+    // Targeted recipients still to reach: delivery failed / client rate limited
+    pendingFids: delivery.pendingFids,
+    rateLimitedFids: delivery.rateLimitedFids,
+  };
 }
 
-// Export for use by other APIs
-module.exports.sendNotification = sendNotification;
-module.exports.getSubscribers = getSubscribers;
-
 // API handler
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -244,7 +346,8 @@ module.exports = async (req, res) => {
       return res.status(400).json({ error: 'Missing notification type' });
     }
 
-    const result = await sendNotification(type, data || {}, targetFids);
+    // The caller can't requeue rate-limited recipients, so queue them here
+    const result = await sendNotification(type, data || {}, targetFids, { requeue: true });
 
     return res.status(200).json({
       success: true,
@@ -256,3 +359,7 @@ module.exports = async (req, res) => {
     return res.status(500).json({ error: error.message });
   }
 };
+
+// Export for use by other APIs (after the handler, which replaces module.exports)
+module.exports.sendNotification = sendNotification;
+module.exports.getSubscribers = getSubscribers;
@@ -0,0 +1,95 @@
+/**
+ * Session API - sign in once, then call write endpoints with a token
+ *
+ * GET  /api/session
+ *   Returns: { nonce }
+ *
+ * POST /api/session
+ * Body (Sign In With Farcaster, from sdk.actions.signIn):
+ *   { method: "siwf", message: "...", signature: "0x..." }
+ * Body (wallet signature of the NEYNARtodes sign-in message):
+ *   { method: "wallet", fid: 12345, nonce: "...", domain: "...", signature: "0x..." }
+ *
+ * Returns: { success: true, token, fid, address, expiresAt }
+ *
+ * See lib/session.js for the full flow.
+ */
+
+const {
+  issueNonce,
+  verifySiwf,
+  verifyWalletSignIn,
+  issueSessionToken,
+  getAllowedDomains,
+} = require('./lib/session');
+
+module.exports = async (req, res) => {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!process.env.KV_REST_API_URL) {
+    return res.status(500).json({ error: 'KV storage not configured' });
+  }
+
+  if (!process.env.SESSION_SECRET) {
+    return res.status(500).json({ error: 'Sessions not configured' });
+  }
+
+  const { kv } = require('@vercel/kv');
+
+  try {
+    if (req.method === 'GET') {
+      const nonce = await issueNonce(kv);
+      return res.status(200).json({ nonce });
+    }
+
+    if (req.method === 'POST') {
+      const { method, message, signature, fid, nonce, domain } = req.body || {};
+
+      if (!signature || typeof signature !== 'string') {
+        return res.status(400).json({ error: 'Missing signature' });
+      }
+
+      const domains = getAllowedDomains(req);
+      let identity;
+
+      if (method === 'siwf') {
+        if (!message || typeof message !== 'string') {
+          return res.status(400).json({ error: 'Missing message' });
+        }
+        identity = await verifySiwf(kv, { message, signature, domains });
+      } else if (method === 'wallet') {
+        identity = await verifyWalletSignIn(kv, { fid, nonce, signature, domain, domains });
+      } else {
+        return res.status(400).json({ error: 'method must be "siwf" or "wallet"' });
+      }
+
+      if (identity.error) {
+        return res.status(401).json({ error: identity.error });
+      }
+
+      const { token, expiresAt } = issueSessionToken(identity);
+      console.log(`🔑 Session issued for FID ${identity.fid} (${method})`);
+
+      return res.status(200).json({
+        success: true,
+        token,
+        fid: identity.fid,
+        address: identity.address,
+        expiresAt
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Session error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
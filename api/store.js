@@ -16,9 +16,15 @@
  *   Price Storage (Token Contests):
  *     POST /api/store?type=price
  *     Body: { contestId: 22, tokenAddress: "0x...", prizeAmount: 1000000 }
+ *     For "prize_M-12" IDs the body's token/amount are ignored: the prize is
+ *     read on-chain and valued at a TWAP (lib/price-oracle.js), same as the
+ *     snapshot the contest indexer stores on ContestCreated.
+ *
+ *     Priced by lib/price-resolver.js; tokens without a pool of MIN_LIQUIDITY_USD are rejected.
  *
  *     GET /api/store?type=price&contestId=22
- *     Returns: { contestId: 22, tokenPrice: 0.00000005, ethPrice: 3050.00, prizeValueUSD: 50.00, timestamp: ... }
+ *     Returns: { contestId: 22, tokenPrice: 0.00000005, ethPrice: 3050.00, prizeValueUSD: 50.00,
+ *                source: "V4", pool: {...}, liquidityUSD, confidence, timestamp: ... }
  *
  *   NFT Price Storage (NFT Contests):
  *     POST /api/store?type=nftprice
@@ -26,13 +32,35 @@
  *
  *     GET /api/store?type=nftprice&contestId=NFT-5
  *     Returns: { contestId: "NFT-5", floorPriceETH: 0.05, ethPrice: 3050.00, floorPriceUSD: 152.50, timestamp: ... }
+ *
+ *   Bonus Rules (per-contest bonus entry rules + weights):
+ *     POST /api/store?type=bonus-rules
+ *     Headers: Authorization: Bearer <session token> (see /api/session) - the contest's host
+ *     Body: { contestId: "M-12", rules: [{ id: "holder", weight: 2, params: { minTokens: 50000000 } }, { id: "share" }] }
+ *     The contest must exist on-chain. Locked once the contest has entries.
+ *
+ *     GET /api/store?type=bonus-rules&contestId=M-12
+ *     Returns: { contestId: "M-12", rules: [...], isDefault: true, available: [...] }
+ *
+ *   Entry Settings (per-contest entrant cap + waitlist):
+ *     POST /api/store?type=entry-settings
+ *     Headers: Authorization: Bearer <session token> (see /api/session) - the contest's host
+ *     Body: { contestId: "M-12", maxEntrants: 500, waitlist: true, waitlistSize: 50 }
+ *     The contest must exist on-chain. Locked once the contest has entries.
+ *
+ *     GET /api/store?type=entry-settings&contestId=M-12
+ *     Returns: { contestId: "M-12", settings: { maxEntrants, waitlist, waitlistSize }, isDefault, entryCount, waitlistCount }
  */
 
 const { ethers } = require('ethers');
-const { getTokenPriceWithLiquidity, getETHPrice, CONFIG } = require('./lib/uniswap-volume');
-
-// Minimum pool liquidity (USD) required for a token to be accepted as a prize
-const MIN_LIQUIDITY_USD = 1000;
+const { CONFIG } = require('./lib/config');
+const { MIN_LIQUIDITY_USD, resolveTokenPrice, getETHPriceUSD, isTrustedPrice } = require('./lib/price-resolver');
+const { BONUS_RULES, MAX_RULE_WEIGHT, validateBonusConfig, getContestBonusConfig } = require('./lib/bonus-rules');
+const { MAX_ENTRANTS_LIMIT, MAX_WAITLIST_SIZE, validateEntrySettings, getEntrySettings } = require('./lib/entry-settings');
+const { getContest } = require('./lib/contest-manager');
+const { getIndexedContest } = require('./lib/contest-index');
+const { snapshotContestPrize } = require('./lib/price-oracle');
+const { requireSession, checkContestHost } = require('./lib/session');
 
 // In-memory storage (for development/testing)
 const messageStore = new Map();
@@ -104,20 +132,6 @@ async function storeMessage(contestId, message, res) {
 // PRICE HANDLERS
 // ═══════════════════════════════════════════════════════════════════
 
-async function getTokenPriceWithMetadata(provider, tokenAddress) {
-  const ethPrice = await getETHPrice(provider);
-  const result = await getTokenPriceWithLiquidity(provider, tokenAddress);
-  const priceInETH = result.priceUSD / ethPrice;
-
-  return {
-    tokenPrice: result.priceUSD,
-    ethPrice,
-    priceInETH,
-    source: result.source,
-    liquidityUSD: result.liquidityUSD
-  };
-}
-
 async function getPrice(contestId, res) {
   if (!contestId) {
     return res.status(400).json({ error: 'Missing contestId' });
@@ -141,77 +155,89 @@ async function getPrice(contestId, res) {
   });
 }
 
+/**
+ * Prize value snapshot for a contest, computed server-side from the on-chain prize
+ * (the indexer normally stores it first; this just returns it)
+ */
+async function storePrizeSnapshot(contestId, res) {
+  if (!process.env.KV_REST_API_URL) {
+    return res.status(500).json({ error: 'KV storage not configured' });
+  }
+
+  const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+  const contest = await getContest(provider, contestId);
+  if (!contest) {
+    return res.status(404).json({ error: 'Contest not found', contestId });
+  }
+  if (contest.isNft) {
+    return res.status(400).json({ error: 'NFT prizes are valued via type=nftprice', contestId });
+  }
+
+  // Value at the creation block when the indexer already has it
+  const record = await getIndexedContest(contest.contestId);
+  const blockNumber = record?.createdBlock ?? await provider.getBlockNumber();
+
+  const { kv } = require('@vercel/kv');
+  const snapshot = await snapshotContestPrize(kv, provider, contest, blockNumber, 'store');
+
+  return res.status(200).json({
+    success: true,
+    contestId: `prize_${contest.contestId}`,
+    ...snapshot
+  });
+}
+
 async function storePrice(contestId, tokenAddress, prizeAmount, res) {
   if (!contestId) {
     return res.status(400).json({ error: 'Missing contestId' });
   }
 
+  if (String(contestId).startsWith('prize_')) {
+    return storePrizeSnapshot(String(contestId).slice('prize_'.length), res);
+  }
+
   const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
   const timestamp = Math.floor(Date.now() / 1000);
 
-  let priceData;
-
-  if (tokenAddress === 'ETH_NATIVE') {
-    // Native ETH prize: prizeAmount is in ETH, get ETH price directly
-    const ethPrice = await getETHPrice(provider);
-    const prizeValueUSD = prizeAmount ? prizeAmount * ethPrice : null;
-
-    priceData = {
-      tokenAddress: 'ETH_NATIVE',
-      tokenPrice: ethPrice,
-      ethPrice,
-      priceInETH: 1,
-      prizeAmount: prizeAmount || null,
-      prizeValueUSD: prizeValueUSD ? Math.round(prizeValueUSD * 100) / 100 : null,
-      source: 'chainlink',
-      timestamp,
-      capturedAt: new Date().toISOString()
-    };
-  } else {
-    // Default to NEYNARTODES if no token specified
-    const token = tokenAddress || CONFIG.NEYNARTODES_TOKEN;
-
-    // Get current price with metadata (includes liquidity)
-    const priceInfo = await getTokenPriceWithMetadata(provider, token);
-
-    // Liquidity check: reject illiquid tokens (for entry token checks only)
-    // Prize token stores (contestId starts with "prize_") always succeed but get $0 value if illiquid
-    const isPrizeStore = contestId.startsWith('prize_');
-    const hasInsufficientLiquidity = priceInfo.liquidityUSD !== null && priceInfo.liquidityUSD < MIN_LIQUIDITY_USD;
-
-    if (hasInsufficientLiquidity && !isPrizeStore) {
-      console.log(`REJECTED: Contest ${contestId} token ${token} has insufficient liquidity: $${priceInfo.liquidityUSD?.toFixed(2) || 0} (min: $${MIN_LIQUIDITY_USD})`);
-      return res.status(400).json({
-        error: 'Token has insufficient liquidity',
-        liquidityUSD: priceInfo.liquidityUSD ? Math.round(priceInfo.liquidityUSD * 100) / 100 : 0,
-        minLiquidityUSD: MIN_LIQUIDITY_USD,
-        message: `This token only has $${priceInfo.liquidityUSD?.toFixed(2) || 0} in pool liquidity. Minimum required: $${MIN_LIQUIDITY_USD}.`
-      });
-    }
+  // Default to NEYNARTODES if no token specified
+  const token = (tokenAddress || CONFIG.NEYNARTODES).toLowerCase();
+  const kv = process.env.KV_REST_API_URL ? require('@vercel/kv').kv : null;
 
-    // Calculate prize value in USD if prizeAmount provided
-    // For low-liquidity prize tokens, store $0 instead of a potentially garbage price
-    let prizeValueUSD;
-    if (hasInsufficientLiquidity) {
-      console.log(`LOW LIQUIDITY PRIZE: Contest ${contestId} token ${token} - storing $0 prize value (liquidity: $${priceInfo.liquidityUSD?.toFixed(2) || 0})`);
-      prizeValueUSD = 0;
-    } else {
-      prizeValueUSD = prizeAmount ? prizeAmount * priceInfo.tokenPrice : null;
-    }
+  const price = await resolveTokenPrice(provider, token, { kv });
 
-    priceData = {
-      tokenAddress: token,
-      tokenPrice: priceInfo.tokenPrice,
-      ethPrice: priceInfo.ethPrice,
-      priceInETH: priceInfo.priceInETH,
-      prizeAmount: prizeAmount || null,
-      prizeValueUSD: prizeValueUSD ? Math.round(prizeValueUSD * 100) / 100 : null,
-      source: priceInfo.source,
-      timestamp,
-      capturedAt: new Date().toISOString()
-    };
+  // Liquidity check: reject unpriced or illiquid tokens
+  if (!isTrustedPrice(price)) {
+    const liquidityUSD = price.liquidityUSD ? Math.round(price.liquidityUSD * 100) / 100 : 0;
+    console.log(`REJECTED: Contest ${contestId} token ${token} has insufficient liquidity: $${liquidityUSD} via ${price.source} (min: $${MIN_LIQUIDITY_USD})`);
+    return res.status(400).json({
+      error: 'Token has insufficient liquidity',
+      liquidityUSD,
+      minLiquidityUSD: MIN_LIQUIDITY_USD,
+      source: price.source,
+      confidence: price.confidence,
+      message: price.source === 'none'
+        ? 'No pool or price source found for this token.'
+        : `This token only has $${liquidityUSD} in pool liquidity. Minimum required: $${MIN_LIQUIDITY_USD}.`
+    });
   }
 
+  const prizeValueUSD = prizeAmount ? prizeAmount * price.priceUSD : null;
+
+  const priceData = {
+    tokenAddress: token,
+    tokenPrice: price.priceUSD,
+    ethPrice: price.ethPriceUSD,
+    priceInETH: price.priceETH,
+    prizeAmount: prizeAmount || null,
+    prizeValueUSD: prizeValueUSD ? Math.round(prizeValueUSD * 100) / 100 : null,
+    source: price.source,
+    pool: price.pool,
+    liquidityUSD: price.liquidityUSD,
+    confidence: price.confidence,
+    timestamp,
+    capturedAt: new Date().toISOString()
+  };
+
   // Store in KV
   if (process.env.KV_REST_API_URL) {
     const { kv } = require('@vercel/kv');
@@ -266,7 +292,7 @@ async function storeNftPrice(contestId, floorPriceETH, nftMetadata, res) {
   const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
 
   // Get current ETH price
-  const ethPrice = await getETHPrice(provider);
+  const ethPrice = await getETHPriceUSD(provider);
   const timestamp = Math.floor(Date.now() / 1000);
 
   // Calculate floor price in USD
@@ -305,6 +331,146 @@ async function storeNftPrice(contestId, floorPriceETH, nftMetadata, res) {
   });
 }
 
+// ═══════════════════════════════════════════════════════════════════
+// BONUS RULE HANDLERS
+// ═══════════════════════════════════════════════════════════════════
+
+async function getBonusRules(contestId, res) {
+  if (!contestId) {
+    return res.status(400).json({ error: 'Missing contestId' });
+  }
+
+  let isDefault = true;
+  if (process.env.KV_REST_API_URL) {
+    const { kv } = require('@vercel/kv');
+    isDefault = !(await kv.get(`contest_bonus_rules:${contestId}`));
+  }
+
+  const rules = await getContestBonusConfig(contestId);
+  const available = Object.values(BONUS_RULES).map(r => ({
+    id: r.id,
+    label: r.label,
+    emoji: r.emoji,
+    description: r.description,
+    defaultParams: r.defaultParams,
+    paramLimits: r.paramLimits
+  }));
+
+  return res.status(200).json({ contestId, rules, isDefault, maxWeight: MAX_RULE_WEIGHT, available });
+}
+
+async function storeBonusRules(contestId, rules, fid, res) {
+  if (!contestId) {
+    return res.status(400).json({ error: 'Missing contestId' });
+  }
+
+  const { valid, error, config } = validateBonusConfig(rules);
+  if (!valid) {
+    return res.status(400).json({ error });
+  }
+
+  if (!process.env.KV_REST_API_URL) {
+    return res.status(500).json({ error: 'KV storage not configured' });
+  }
+
+  const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+  const check = await checkContestHost(provider, fid, contestId);
+  if (check.error) {
+    return res.status(check.status).json({ error: check.error, contestId });
+  }
+  contestId = check.contest.contestId;
+
+  const { kv } = require('@vercel/kv');
+
+  // Rules can't change once people have entered under them
+  const entryCount = await kv.scard(`contest_entries:${contestId}`) || 0;
+  if (entryCount > 0) {
+    return res.status(409).json({
+      error: 'Bonus rules are locked once a contest has entries',
+      entry_count: entryCount
+    });
+  }
+
+  await kv.set(`contest_bonus_rules:${contestId}`, config);
+  console.log(`Stored bonus rules for contest ${contestId} (FID ${fid}):`, config);
+
+  return res.status(200).json({ success: true, contestId, rules: config });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// ENTRY SETTINGS HANDLERS
+// ═══════════════════════════════════════════════════════════════════
+
+async function getContestEntrySettings(contestId, res) {
+  if (!contestId) {
+    return res.status(400).json({ error: 'Missing contestId' });
+  }
+
+  let isDefault = true;
+  let entryCount = 0;
+  let waitlistCount = 0;
+  if (process.env.KV_REST_API_URL) {
+    const { kv } = require('@vercel/kv');
+    const [stored, entries, waitlisted] = await Promise.all([
+      kv.get(`contest_entry_settings:${contestId}`),
+      kv.scard(`contest_entries:${contestId}`),
+      kv.zcard(`contest_waitlist:${contestId}`)
+    ]);
+    isDefault = !stored;
+    entryCount = entries || 0;
+    waitlistCount = waitlisted || 0;
+  }
+
+  const settings = await getEntrySettings(contestId);
+
+  return res.status(200).json({
+    contestId,
+    settings,
+    isDefault,
+    entryCount,
+    waitlistCount,
+    limits: { maxEntrants: MAX_ENTRANTS_LIMIT, waitlistSize: MAX_WAITLIST_SIZE }
+  });
+}
+
+async function storeEntrySettings(contestId, input, fid, res) {
+  if (!contestId) {
+    return res.status(400).json({ error: 'Missing contestId' });
+  }
+
+  const { valid, error, settings } = validateEntrySettings(input);
+  if (!valid) {
+    return res.status(400).json({ error });
+  }
+
+  if (!process.env.KV_REST_API_URL) {
+    return res.status(500).json({ error: 'KV storage not configured' });
+  }
+
+  const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+  const check = await checkContestHost(provider, fid, contestId);
+  if (check.error) {
+    return res.status(check.status).json({ error: check.error, contestId });
+  }
+  contestId = check.contest.contestId;
+
+  const { kv } = require('@vercel/kv');
+
+  // The cap can't move once people have entered under it
+  const entryCount = await kv.scard(`contest_entries:${contestId}`) || 0;
+  if (entryCount > 0) {
+    return res.status(409).json({
+      error: 'Entry settings are locked once a contest has entries',
+      entry_count: entryCount
+    });
+  }
+
+  await kv.set(`contest_entry_settings:${contestId}`, settings);
+  console.log(`Stored entry settings for contest ${contestId} (FID ${fid}):`, settings);
+
+  return res.status(200).json({ success: true, contestId, settings });
+}
+
 // ═══════════════════════════════════════════════════════════════════
 // MAIN HANDLER
 // ═══════════════════════════════════════════════════════════════════
@@ -313,7 +479,7 @@ module.exports = async (req, res) => {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -321,10 +487,10 @@ module.exports = async (req, res) => {
 
   const { type } = req.query;
 
-  if (!type || !['message', 'price', 'nftprice', 'admin-set-prize'].includes(type)) {
+  if (!type || !['message', 'price', 'nftprice', 'bonus-rules', 'entry-settings', 'admin-set-prize'].includes(type)) {
     return res.status(400).json({
       error: 'Missing or invalid type parameter',
-      usage: 'Use ?type=message, ?type=price, or ?type=nftprice'
+      usage: 'Use ?type=message, ?type=price, ?type=nftprice, ?type=bonus-rules, or ?type=entry-settings'
     });
   }
 
@@ -377,6 +543,30 @@ module.exports = async (req, res) => {
       }
     }
 
+    if (type === 'bonus-rules') {
+      if (req.method === 'GET') {
+        return getBonusRules(req.query.contestId, res);
+      } else if (req.method === 'POST') {
+        // FID comes from the signed-in session, not the request
+        const session = requireSession(req, res);
+        if (!session) return;
+        const { contestId, rules } = req.body;
+        return storeBonusRules(contestId, rules, session.fid, res);
+      }
+    }
+
+    if (type === 'entry-settings') {
+      if (req.method === 'GET') {
+        return getContestEntrySettings(req.query.contestId, res);
+      } else if (req.method === 'POST') {
+        // FID comes from the signed-in session, not the request
+        const session = requireSession(req, res);
+        if (!session) return;
+        const { contestId, maxEntrants, waitlist, waitlistSize } = req.body;
+        return storeEntrySettings(contestId, { maxEntrants, waitlist, waitlistSize }, session.fid, res);
+      }
+    }
+
     if (type === 'nftprice') {
       if (req.method === 'GET') {
         return getNftPrice(req.query.contestId, res);
@@ -0,0 +1,95 @@
+/**
+ * Sybil risk report for a contest's entrants (admin)
+ *
+ * Usage:
+ *   GET  /api/sybil-report?contestId=M-12               - Stored report (generates one if missing)
+ *   GET  /api/sybil-report?contestId=M-12&refresh=true  - Re-scan now
+ *   POST /api/sybil-report
+ *     Body: { action: 'approve', contestId, fids: [123, 456], approvedBy }
+ *     Adds flagged FIDs to the blocked_fids access list (can enter, can't win)
+ *
+ * Auth: Authorization: Bearer <ADMIN_KEY>
+ */
+
+const { ethers } = require('ethers');
+const { CONFIG, parseContestId } = require('./lib/config');
+const { loadEntrants, analyzeContest, saveRiskReport, getRiskReport, approveFlaggedFids } = require('./lib/sybil');
+
+module.exports = async (req, res) => {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const adminKey = process.env.ADMIN_KEY;
+  if (!adminKey) {
+    return res.status(500).json({ error: 'ADMIN_KEY not configured' });
+  }
+  if (req.headers['authorization'] !== `Bearer ${adminKey}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!process.env.KV_REST_API_URL) {
+    return res.status(500).json({ error: 'KV not configured' });
+  }
+
+  const { kv } = require('@vercel/kv');
+
+  try {
+    if (req.method === 'GET') {
+      const { contestId, refresh } = req.query;
+      if (!parseContestId(contestId)) {
+        return res.status(400).json({ error: 'Missing or invalid contestId' });
+      }
+
+      if (refresh !== 'true') {
+        const stored = await getRiskReport(kv, contestId);
+        if (stored) return res.status(200).json(stored);
+      }
+
+      const participants = await loadEntrants(kv, contestId);
+      if (participants.length === 0) {
+        return res.status(404).json({ error: 'No entrants found', contestId });
+      }
+
+      const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+      const report = await analyzeContest({ contestId, participants, provider });
+      await saveRiskReport(kv, report);
+
+      return res.status(200).json(report);
+    }
+
+    if (req.method === 'POST') {
+      const { action, contestId, fids, approvedBy } = req.body || {};
+
+      if (action !== 'approve') {
+        return res.status(400).json({ error: 'action must be "approve"' });
+      }
+      if (!parseContestId(contestId)) {
+        return res.status(400).json({ error: 'Missing or invalid contestId' });
+      }
+      if (!Array.isArray(fids) || fids.length === 0) {
+        return res.status(400).json({ error: 'fids must be a non-empty array' });
+      }
+      if (!approvedBy || typeof approvedBy !== 'string') {
+        return res.status(400).json({ error: 'approvedBy is required' });
+      }
+
+      const result = await approveFlaggedFids(kv, contestId, fids, approvedBy);
+      if (!result.success) {
+        return res.status(404).json({ error: result.error });
+      }
+      return res.status(200).json({ contestId, ...result });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Sybil report error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
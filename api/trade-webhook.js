@@ -2,7 +2,8 @@
  * Neynar Trade Webhook Handler
  *
  * Receives real-time trade notifications from Neynar and stores them
- * for contest volume verification.
+ * for contest volume verification (time-indexed sorted sets, see
+ * lib/trade-store.js).
  *
  * Webhook Event: trade.created
  * Filters available:
@@ -14,232 +15,26 @@
  * 1. Go to Neynar Dashboard -> Webhooks -> Create
  * 2. Set URL to: https://your-app.vercel.app/api/trade-webhook
  * 3. Select event: trade.created
- * 4. Save the webhook secret for verification
- */
-
-const crypto = require('crypto');
-
-// ═══════════════════════════════════════════════════════════════════
-// STORAGE - Uses Vercel KV if available, falls back to in-memory
-// ═══════════════════════════════════════════════════════════════════
-
-// In-memory fallback
-const tradeStoreMemory = new Map();
-
-// Check if Vercel KV is available
-const hasKV = !!process.env.KV_REST_API_URL;
-
-/**
- * Get trade data from storage
- */
-async function getTradeData(tokenAddress, walletAddress) {
-  const key = `trade_${tokenAddress.toLowerCase()}_${walletAddress.toLowerCase()}`;
-
-  if (hasKV) {
-    try {
-      const { kv } = require('@vercel/kv');
-      const data = await kv.get(key);
-      return data || { volume: 0, trades: [] };
-    } catch (e) {
-      console.log('KV get failed, using memory:', e.message);
-    }
-  }
-
-  // Memory fallback
-  const tokenTrades = tradeStoreMemory.get(tokenAddress.toLowerCase());
-  if (!tokenTrades) return { volume: 0, trades: [] };
-  return tokenTrades.get(walletAddress.toLowerCase()) || { volume: 0, trades: [] };
-}
-
-/**
- * Save trade data to storage
- */
-async function saveTradeData(tokenAddress, walletAddress, data) {
-  const key = `trade_${tokenAddress.toLowerCase()}_${walletAddress.toLowerCase()}`;
-
-  if (hasKV) {
-    try {
-      const { kv } = require('@vercel/kv');
-      // Store with 30 day expiry (trades older than that aren't relevant)
-      await kv.set(key, data, { ex: 60 * 60 * 24 * 30 });
-
-      // Also track which tokens/wallets we have data for
-      await kv.sadd(`trade_tokens`, tokenAddress.toLowerCase());
-      await kv.sadd(`trade_wallets_${tokenAddress.toLowerCase()}`, walletAddress.toLowerCase());
-      return;
-    } catch (e) {
-      console.log('KV save failed, using memory:', e.message);
-    }
-  }
-
-  // Memory fallback
-  if (!tradeStoreMemory.has(tokenAddress.toLowerCase())) {
-    tradeStoreMemory.set(tokenAddress.toLowerCase(), new Map());
-  }
-  tradeStoreMemory.get(tokenAddress.toLowerCase()).set(walletAddress.toLowerCase(), data);
-}
-
-/**
- * Get all traders for a token
- */
-async function getAllTraders(tokenAddress) {
-  if (hasKV) {
-    try {
-      const { kv } = require('@vercel/kv');
-      const wallets = await kv.smembers(`trade_wallets_${tokenAddress.toLowerCase()}`);
-
-      const traders = [];
-      for (const wallet of wallets || []) {
-        const data = await getTradeData(tokenAddress, wallet);
-        if (data.volume > 0) {
-          traders.push({
-            address: wallet,
-            volume: data.volume,
-            tradeCount: data.trades?.length || 0
-          });
-        }
-      }
-      return traders.sort((a, b) => b.volume - a.volume);
-    } catch (e) {
-      console.log('KV getAllTraders failed:', e.message);
-    }
-  }
-
-  // Memory fallback
-  const tokenTrades = tradeStoreMemory.get(tokenAddress.toLowerCase());
-  if (!tokenTrades) return [];
-
-  const traders = [];
-  for (const [wallet, data] of tokenTrades) {
-    if (data.volume > 0) {
-      traders.push({
-        address: wallet,
-        volume: data.volume,
-        tradeCount: data.trades?.length || 0
-      });
-    }
-  }
-  return traders.sort((a, b) => b.volume - a.volume);
-}
-
-// ═══════════════════════════════════════════════════════════════════
-// WEBHOOK SIGNATURE VERIFICATION
-// ═══════════════════════════════════════════════════════════════════
-
-/**
- * Verify webhook signature from Neynar
- * @param {string} body - Raw request body
- * @param {string} signature - X-Neynar-Signature header
- * @param {string} secret - Webhook secret from Neynar dashboard
- */
-function verifySignature(body, signature, secret) {
-  if (!secret) {
-    console.log('⚠️ NEYNAR_WEBHOOK_SECRET not set - skipping verification');
-    return true; // Allow in dev mode
-  }
-
-  const hmac = crypto.createHmac('sha512', secret);
-  hmac.update(body);
-  const expectedSignature = hmac.digest('hex');
-
-  return signature === expectedSignature;
-}
-
-// ═══════════════════════════════════════════════════════════════════
-// TRADE PROCESSING
-// ═══════════════════════════════════════════════════════════════════
-
-/**
- * Store a trade event
- */
-async function storeTrade(trade) {
-  const tokenAddress = trade.token_address?.toLowerCase();
-  const walletAddress = trade.trader_wallet?.toLowerCase();
-
-  if (!tokenAddress || !walletAddress) {
-    console.log('⚠️ Invalid trade data - missing token or wallet');
-    return;
-  }
-
-  // Get existing data
-  const walletData = await getTradeData(tokenAddress, walletAddress);
-
-  // Calculate trade volume (absolute value of amount)
-  const tradeVolume = Math.abs(parseFloat(trade.token_amount || 0));
-
-  // Update totals
-  walletData.volume = (walletData.volume || 0) + tradeVolume;
-  walletData.trades = walletData.trades || [];
-  walletData.trades.push({
-    timestamp: trade.timestamp || Date.now(),
-    amount: tradeVolume,
-    usdValue: trade.usd_value || 0,
-    txHash: trade.tx_hash,
-    fid: trade.fid
-  });
-
-  // Keep only last 100 trades per wallet (memory management)
-  if (walletData.trades.length > 100) {
-    walletData.trades = walletData.trades.slice(-100);
-  }
-
-  // Save updated data
-  await saveTradeData(tokenAddress, walletAddress, walletData);
-
-  console.log(`📊 Trade stored: ${walletAddress.slice(0,8)}... traded ${tradeVolume.toLocaleString()} of ${tokenAddress.slice(0,8)}... (${hasKV ? 'KV' : 'memory'})`);
-}
-
-/**
- * Get trading volume for a wallet on a specific token
- * @param {string} tokenAddress - Token contract address
- * @param {string} walletAddress - Wallet address
- * @param {number} startTime - Optional: Only count trades after this timestamp
- * @param {number} endTime - Optional: Only count trades before this timestamp
+ * 4. Save the webhook secret as NEYNAR_WEBHOOK_SECRET (required outside
+ *    `vercel dev` - see lib/webhook-auth.js)
+ *
+ * Queries (start/end optional, unix seconds):
+ *   GET /api/trade-webhook?token=0x..&wallet=0x..&start=&end=   (trades + USD volume)
+ *   GET /api/trade-webhook?token=0x..&start=&end=&minVolume=5   (traders by USD volume)
+ *   GET /api/trade-webhook                                      (tracked tokens)
  */
-async function getVolume(tokenAddress, walletAddress, startTime = 0, endTime = Infinity) {
-  const walletData = await getTradeData(tokenAddress, walletAddress);
-  if (!walletData || !walletData.trades) return 0;
-
-  // Filter by time range if specified
-  if (startTime > 0 || endTime < Infinity) {
-    return walletData.trades
-      .filter(t => t.timestamp >= startTime && t.timestamp <= endTime)
-      .reduce((sum, t) => sum + t.amount, 0);
-  }
 
-  return walletData.volume || 0;
-}
+const { storeTrade, getTrades, getTraders, getTradeStats, toUnixSeconds } = require('./lib/trade-store');
+const { isDevBuild, verifyNeynarWebhook } = require('./lib/webhook-auth');
 
-/**
- * Get all wallets that traded a token with their volumes
- */
-async function getTradersByToken(tokenAddress, minVolume = 0) {
-  const traders = await getAllTraders(tokenAddress);
-  return traders.filter(t => t.volume >= minVolume);
-}
-
-/**
- * Check multiple addresses against volume requirement
- * Returns which addresses pass
- */
-async function checkVolumes(tokenAddress, addresses, minVolume, startTime = 0, endTime = Infinity) {
-  const results = [];
-  for (const addr of addresses) {
-    const volume = await getVolume(tokenAddress, addr, startTime, endTime);
-    results.push({
-      address: addr,
-      volume,
-      passed: volume >= minVolume
-    });
-  }
-  return results;
+// Optional ?start=&end= range (unix seconds or ms, ISO dates)
+function parseRange(query) {
+  const range = {};
+  if (query.start) range.startTime = toUnixSeconds(query.start);
+  if (query.end) range.endTime = toUnixSeconds(query.end);
+  return range;
 }
 
-// Export for use in finalize-contest.js
-module.exports.getVolume = getVolume;
-module.exports.getTradersByToken = getTradersByToken;
-module.exports.checkVolumes = checkVolumes;
-
 // ═══════════════════════════════════════════════════════════════════
 // VERCEL API HANDLER
 // ═══════════════════════════════════════════════════════════════════
@@ -254,95 +49,83 @@ module.exports = async (req, res) => {
     return res.status(200).end();
   }
 
+  if (!process.env.KV_REST_API_URL) {
+    return res.status(503).json({ error: 'KV not configured' });
+  }
+
+  const { kv } = require('@vercel/kv');
+
   // GET: Query stored trade data or simulate test trade
   if (req.method === 'GET') {
     const { token, wallet, minVolume, test, amount } = req.query;
+    const range = parseRange(req.query);
 
-    // Test mode: simulate a trade (for development/demo)
-    if (test === 'true' && token && wallet) {
-      const tradeAmount = parseFloat(amount) || 10000;
-      await storeTrade({
-        fid: 1188162,
-        trader_wallet: wallet,
-        token_address: token,
-        token_amount: tradeAmount.toString(),
-        usd_value: tradeAmount * 0.0001,
-        tx_hash: `0xtest_${Date.now()}`,
-        timestamp: Date.now()
-      });
-      return res.status(200).json({
-        success: true,
-        message: `Test trade stored: ${wallet.slice(0,10)}... traded ${tradeAmount} tokens`,
-        storage: hasKV ? 'kv' : 'memory'
-      });
-    }
-
-    if (token && wallet) {
-      // Get volume for specific wallet
-      const volume = await getVolume(token, wallet);
-      return res.status(200).json({ token, wallet, volume });
-    }
-
-    if (token) {
-      // Get all traders for token
-      const traders = await getTradersByToken(token, parseFloat(minVolume || 0));
-      return res.status(200).json({ token, traders, count: traders.length });
-    }
-
-    // Return stats
-    const stats = {
-      tokensTracked: 0,
-      tokens: [],
-      storage: hasKV ? 'kv' : 'memory'
-    };
-
-    if (hasKV) {
-      try {
-        const { kv } = require('@vercel/kv');
-        const trackedTokens = await kv.smembers('trade_tokens');
-        stats.tokensTracked = trackedTokens?.length || 0;
-
-        for (const tokenAddr of trackedTokens || []) {
-          const wallets = await kv.smembers(`trade_wallets_${tokenAddr}`);
-          stats.tokens.push({
-            address: tokenAddr,
-            traderCount: wallets?.length || 0
-          });
+    try {
+      // Test mode: simulate a trade (dev build only)
+      if (test === 'true' && token && wallet) {
+        if (!isDevBuild()) {
+          return res.status(403).json({ error: 'Test trades are only available in a dev build' });
         }
-      } catch (e) {
-        console.log('KV stats failed, falling back to memory:', e.message);
+
+        const tradeAmount = parseFloat(amount) || 10000;
+        const result = await storeTrade(kv, {
+          fid: 1188162,
+          trader_wallet: wallet,
+          token_address: token,
+          token_amount: tradeAmount.toString(),
+          usd_value: tradeAmount * 0.0001,
+          tx_hash: `0xtest_${Date.now()}`,
+          timestamp: Date.now()
+        });
+        return res.status(200).json({
+          success: result.stored,
+          message: `Test trade stored: ${wallet.slice(0,10)}... traded ${tradeAmount} tokens`,
+          trade: result.trade
+        });
       }
-    }
 
-    // If KV didn't work or not available, use memory
-    if (stats.tokensTracked === 0) {
-      stats.tokensTracked = tradeStoreMemory.size;
-      for (const [tokenAddr, traders] of tradeStoreMemory) {
-        stats.tokens.push({
-          address: tokenAddr,
-          traderCount: traders.size
+      if (token && wallet) {
+        // Trades + USD volume for one wallet
+        const trades = await getTrades(kv, token, { wallet, ...range });
+        return res.status(200).json({
+          token,
+          wallet,
+          volumeUSD: trades.reduce((sum, t) => sum + t.usd, 0),
+          volumeTokens: trades.reduce((sum, t) => sum + t.tokens, 0),
+          trades
         });
       }
-    }
 
-    return res.status(200).json(stats);
+      if (token) {
+        // All traders for token, by USD volume
+        const minUSD = parseFloat(minVolume || 0);
+        const traders = (await getTraders(kv, token, range)).filter(t => t.volumeUSD >= minUSD);
+        return res.status(200).json({ token, traders, count: traders.length });
+      }
+
+      // Return stats
+      const tokens = await getTradeStats(kv);
+      return res.status(200).json({ tokensTracked: tokens.length, tokens, storage: 'kv' });
+    } catch (error) {
+      console.error('Trade query error:', error);
+      return res.status(500).json({ error: error.message });
+    }
   }
 
   // POST: Receive webhook from Neynar
   if (req.method === 'POST') {
-    // Get raw body for signature verification
-    const rawBody = JSON.stringify(req.body);
-    const signature = req.headers['x-neynar-signature'];
-    const secret = process.env.NEYNAR_WEBHOOK_SECRET;
-
-    // Verify signature
-    if (!verifySignature(rawBody, signature, secret)) {
-      console.error('❌ Invalid webhook signature');
-      return res.status(401).json({ error: 'Invalid signature' });
+    // Verify against the raw bytes (before anything reads req.body)
+    const auth = await verifyNeynarWebhook(kv, req);
+    if (auth.duplicate) {
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+    if (auth.error) {
+      console.error(`❌ Webhook rejected: ${auth.error}`);
+      return res.status(auth.status).json({ error: auth.error });
     }
 
     try {
-      const { type, data } = req.body;
+      const { type, data } = auth.body;
 
       if (type !== 'trade.created') {
         console.log(`ℹ️ Ignoring event type: ${type}`);
@@ -355,10 +138,10 @@ module.exports = async (req, res) => {
       //   fid: number,
       //   trader_wallet: string,
       //   token_address: string,
-      //   token_amount: string,
+      //   token_amount: string,   (negative = sell)
       //   usd_value: number,
       //   tx_hash: string,
-      //   timestamp: number
+      //   timestamp: number       (seconds or ms)
       // }
 
       console.log(`\n📈 Trade webhook received:`);
@@ -368,16 +151,25 @@ module.exports = async (req, res) => {
       console.log(`   Amount: ${data.token_amount}`);
       console.log(`   USD: $${data.usd_value}`);
 
-      await storeTrade(data);
+      const result = await storeTrade(kv, data);
+      if (result.error) {
+        console.log(`⚠️ Invalid trade data - ${result.error}`);
+      } else if (result.duplicate) {
+        console.log(`ℹ️ Duplicate trade ${result.trade.txHash.slice(0, 10)}... re-indexed`);
+      } else {
+        console.log(`📊 Trade stored: ${result.trade.wallet.slice(0,8)}... $${result.trade.usd.toFixed(2)} of ${result.trade.token.slice(0,8)}...`);
+      }
 
       return res.status(200).json({
         received: true,
-        processed: true,
-        storage: hasKV ? 'kv' : 'memory'
+        processed: result.stored,
+        duplicate: !!result.duplicate
       });
 
     } catch (error) {
       console.error('Webhook processing error:', error);
+      // Not stored - let Neynar's retry through the replay check
+      await auth.release();
       return res.status(500).json({ error: error.message });
     }
   }
@@ -0,0 +1,182 @@
+/**
+ * Verify Draw API
+ *
+ * Re-runs the commit-reveal draw for a finalized contest and confirms the winners.
+ * Anyone can call this - every input is either public on-chain or published
+ * with finalize_data once the contest is finalized.
+ *
+ * Checks:
+ * 1. Revealed secret hashes to the commitment, and the commitment hash was
+ *    published in a Farcaster cast timestamped before endTime (looked up on
+ *    Neynar - not the self-reported committedAt)
+ * 2. Reveal block is the first block at/after endTime, and its hash matches
+ * 3. Entry list hash matches the published entries
+ * 4. Seed = keccak256(abi.encode(secret, revealBlockHash))
+ *    (v1 proofs: keccak256(abi.encode(secret, revealBlockHash, entryListHash)))
+ * 5. Re-running the weighted selection gives the published winners
+ * 6. Published winners match the winners stored on-chain (multi-winner only)
+ * 7. Oversized single-winner pools were cut down from the seed (if reduced)
+ *
+ * GET /api/verify-draw?contestId=M-12
+ *
+ * Contests starting at or after COMMITMENT_REQUIRED_FROM fail check 1 without
+ * a commitment. Before finalization, returns only the public commitment hash.
+ */
+
+const { ethers } = require('ethers');
+const { CONFIG, parseContestId } = require('./lib/config');
+const { getContest } = require('./lib/contest-manager');
+const {
+  DRAW_ALGORITHM,
+  LEGACY_DRAW_ALGORITHM,
+  POOL_REDUCTION_ALGORITHM,
+  isCommitmentRequired,
+  getDrawCommitment,
+  fetchCommitmentCast,
+  hashEntryList,
+  deriveSeed,
+  deriveLegacySeed,
+  selectWinners,
+  reduceEntryPool,
+  hashEntryPool,
+} = require('./lib/draw');
+
+/**
+ * Verify a published draw proof against the chain
+ * @param {object} proof - finalize_data.draw
+ * @param {object} contest - On-chain contest struct
+ * @param {object} provider - Ethers provider
+ * @returns {Promise<{verified: boolean, checks: object}>}
+ */
+async function verifyProof(proof, contest, provider) {
+  const endTime = Number(contest.endTime);
+  const checks = {};
+
+  // 1. Commitment
+  if (proof.commitHash) {
+    const cast = proof.commitCast ? await fetchCommitmentCast(proof.commitCast, proof.commitHash) : null;
+    checks.commitment = ethers.keccak256(proof.secret) === proof.commitHash
+      && !!cast && cast.matches
+      && cast.timestamp < endTime * 1000;
+  } else {
+    // No commitment - only accepted for contests from before commitments were required
+    checks.commitment = proof.secret === null && !isCommitmentRequired(contest);
+  }
+
+  // 2. Reveal block
+  const [block, prevBlock] = await Promise.all([
+    provider.getBlock(proof.revealBlock),
+    provider.getBlock(proof.revealBlock - 1)
+  ]);
+  checks.revealBlock = !!block && !!prevBlock
+    && block.hash === proof.revealBlockHash
+    && block.timestamp >= endTime
+    && prevBlock.timestamp < endTime;
+
+  // 3. Entry list
+  checks.entryListHash = hashEntryList(proof.entries) === proof.entryListHash;
+
+  // 4. Seed
+  const seed = proof.algorithm === LEGACY_DRAW_ALGORITHM
+    ? deriveLegacySeed(proof.secret, proof.revealBlockHash, proof.entryListHash)
+    : deriveSeed(proof.secret, proof.revealBlockHash);
+  checks.seed = seed === proof.seed;
+
+  // 5. Selection
+  const recomputed = selectWinners(proof.entries, proof.seed, proof.winnerCount);
+  checks.winners = recomputed.length === proof.winners.length
+    && recomputed.every((w, i) => w === proof.winners[i]);
+
+  // 6. On-chain winners (single-winner contests are drawn by the contract from the same seed)
+  if (proof.winnerCount > 1) {
+    const onChain = contest.winners.map(w => w.toLowerCase()).sort();
+    const published = [...proof.winners].sort();
+    checks.onChainWinners = onChain.length === published.length
+      && onChain.every((w, i) => w === published[i]);
+  }
+
+  // 7. Pool reduction (one pool entry per weight unit, cut down from the seed)
+  if (proof.poolReduction) {
+    const pool = proof.entries.flatMap(e => Array(Number(e.weight)).fill(e.address));
+    const reduced = reduceEntryPool(pool, proof.poolReduction.to, proof.seed);
+    checks.poolReduction = proof.poolReduction.algorithm === POOL_REDUCTION_ALGORITHM
+      && pool.length === proof.poolReduction.from
+      && hashEntryPool(reduced) === proof.poolReduction.poolHash;
+  }
+
+  return {
+    verified: Object.values(checks).every(Boolean),
+    checks,
+    recomputedWinners: recomputed
+  };
+}
+
+module.exports = async (req, res) => {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { contestId } = req.query;
+  const parsed = parseContestId(contestId);
+  if (!parsed) {
+    return res.status(400).json({ error: 'Missing or invalid contestId. Use M-X or T-X' });
+  }
+  const contestIdStr = `${parsed.prefix}${parsed.id}`;
+
+  if (!process.env.KV_REST_API_URL) {
+    return res.status(500).json({ error: 'KV storage not configured' });
+  }
+
+  try {
+    const { kv } = require('@vercel/kv');
+    const finalizationData = await kv.get(`finalize_data:${contestIdStr}`);
+
+    // Not finalized yet - only the commitment hash is public
+    if (!finalizationData?.draw) {
+      const commitment = await getDrawCommitment(kv, contestIdStr);
+      return res.status(200).json({
+        contestId: contestIdStr,
+        finalized: !!finalizationData,
+        algorithm: DRAW_ALGORITHM,
+        commitHash: commitment?.commitHash || null,
+        committedAt: commitment?.committedAt || null,
+        commitCast: commitment?.publication?.castHash || null,
+        verified: null
+      });
+    }
+
+    const proof = finalizationData.draw;
+    if (proof.algorithm !== DRAW_ALGORITHM && proof.algorithm !== LEGACY_DRAW_ALGORITHM) {
+      return res.status(400).json({ error: `Unsupported draw algorithm: ${proof.algorithm}` });
+    }
+
+    const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+    const contest = await getContest(provider, contestIdStr);
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+
+    const result = await verifyProof(proof, contest, provider);
+
+    return res.status(200).json({
+      contestId: contestIdStr,
+      finalized: true,
+      algorithm: proof.algorithm,
+      ...result,
+      proof
+    });
+
+  } catch (error) {
+    console.error('Verify draw error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -9,8 +9,13 @@
  *   - frame_removed: User removed the frame
  *   - notifications_enabled: User enabled notifications
  *   - notifications_disabled: User disabled notifications
+ *
+ * Events are JSON Farcaster Signatures signed by the user's app key; the FID
+ * comes from the verified signature header (see lib/webhook-auth.js).
  */
 
+const { verifyMiniAppWebhook } = require('./lib/webhook-auth');
+
 const NEYNAR_API_KEY = process.env.NEYNAR_API_KEY || 'AA2E0FC2-FDC0-466D-9EBA-4BCA968C9B1D';
 
 /**
@@ -46,6 +51,7 @@ async function storeNotificationToken(fid, token, url) {
 
 /**
  * Remove notification token from KV
+ * Keeps the user's preferences (lib/notification-prefs.js) in case they re-add the app.
  */
 async function removeNotificationToken(fid) {
   if (!process.env.KV_REST_API_URL) {
@@ -55,7 +61,7 @@ async function removeNotificationToken(fid) {
   try {
     const { kv } = await import('@vercel/kv');
 
-    await kv.del(`notif:${fid}`);
+    await kv.hdel(`notif:${fid}`, 'token', 'url', 'enabled');
     await kv.srem('notif:subscribers', fid.toString());
 
     console.log(`Removed notification token for FID ${fid}`);
@@ -90,14 +96,6 @@ async function disableNotifications(fid) {
   }
 }
 
-/**
- * Verify the webhook signature (optional but recommended)
- */
-function verifySignature(req) {
-  // TODO: Implement signature verification if Warpcast provides it
-  return true;
-}
-
 module.exports = async (req, res) => {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -112,14 +110,27 @@ module.exports = async (req, res) => {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  if (!process.env.KV_REST_API_URL) {
+    return res.status(503).json({ error: 'KV not configured' });
+  }
+
+  let auth;
   try {
-    const body = req.body;
-    console.log('Webhook received:', JSON.stringify(body, null, 2));
+    const { kv } = await import('@vercel/kv');
 
-    // Verify signature
-    if (!verifySignature(req)) {
-      return res.status(401).json({ error: 'Invalid signature' });
+    // Verify the signed envelope against the raw bytes (before anything reads req.body)
+    auth = await verifyMiniAppWebhook(kv, req);
+    if (auth.duplicate) {
+      return res.status(200).json({ success: true, duplicate: true });
     }
+    if (auth.error) {
+      console.error(`Webhook rejected: ${auth.error}`);
+      return res.status(auth.status).json({ error: auth.error });
+    }
+
+    const { fid } = auth;
+    const body = auth.event;
+    console.log(`Webhook received for FID ${fid}:`, JSON.stringify(body, null, 2));
 
     const { event } = body;
 
@@ -127,15 +138,18 @@ module.exports = async (req, res) => {
       return res.status(400).json({ error: 'Missing event type' });
     }
 
+    // false = the KV write failed
+    let stored = true;
+
     // Handle both frame_* (v1) and miniapp_* (v2) event names
     switch (event) {
       case 'frame_added':
       case 'miniapp_added': {
         // User added the frame/miniapp - they may have notification token
-        const { fid, notificationDetails } = body;
+        const { notificationDetails } = body;
 
         if (notificationDetails?.token && notificationDetails?.url) {
-          await storeNotificationToken(fid, notificationDetails.token, notificationDetails.url);
+          stored = await storeNotificationToken(fid, notificationDetails.token, notificationDetails.url);
           console.log(`App added with notifications for FID ${fid}`);
         } else {
           console.log(`App added without notifications for FID ${fid}`);
@@ -146,18 +160,17 @@ module.exports = async (req, res) => {
       case 'frame_removed':
       case 'miniapp_removed': {
         // User removed the frame/miniapp - clean up their token
-        const { fid } = body;
-        await removeNotificationToken(fid);
+        stored = await removeNotificationToken(fid);
         console.log(`App removed for FID ${fid}`);
         break;
       }
 
       case 'notifications_enabled': {
         // User enabled notifications
-        const { fid, notificationDetails } = body;
+        const { notificationDetails } = body;
 
         if (notificationDetails?.token && notificationDetails?.url) {
-          await storeNotificationToken(fid, notificationDetails.token, notificationDetails.url);
+          stored = await storeNotificationToken(fid, notificationDetails.token, notificationDetails.url);
           console.log(`Notifications enabled for FID ${fid}`);
         }
         break;
@@ -165,8 +178,7 @@ module.exports = async (req, res) => {
 
       case 'notifications_disabled': {
         // User disabled notifications
-        const { fid } = body;
-        await disableNotifications(fid);
+        stored = await disableNotifications(fid);
         console.log(`Notifications disabled for FID ${fid}`);
         break;
       }
@@ -175,10 +187,17 @@ module.exports = async (req, res) => {
         console.log(`Unknown event type: ${event}`);
     }
 
+    if (!stored) {
+      // Free the nonce so Warpcast's retry of this envelope is processed
+      await auth.release();
+      return res.status(500).json({ error: 'Failed to store notification settings' });
+    }
+
     return res.status(200).json({ success: true });
 
   } catch (error) {
     console.error('Webhook error:', error);
+    if (auth?.release) await auth.release();
     return res.status(500).json({ error: error.message });
   }
 };
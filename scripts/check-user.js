@@ -12,6 +12,7 @@
  */
 
 const { ethers } = require('ethers');
+const { resolveTokenPrice } = require('../api/lib/price-resolver');
 
 const CONFIG = {
   NEYNARTODES: '0x8dE1622fE07f56cda2e2273e615A513F1d828B07',
@@ -20,9 +21,6 @@ const CONFIG = {
   BASE_RPC: 'https://base-mainnet.g.alchemy.com/v2/QooWtq9nKQlkeqKF_-rvC',
   NEYNAR_API_KEY: process.env.NEYNAR_API_KEY || 'AA2E0FC2-FDC0-466D-9EBA-4BCA968C9B1D',
   BLOCKSCOUT_API: 'https://base.blockscout.com/api/v2',
-  CHAINLINK_ETH_USD: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70',
-  V4_STATE_VIEW: '0xA3c0c9b65baD0b08107Aa264b0f3dB444b867A71',
-  NEYNARTODES_POOL_ID: '0xfad8f807f3f300d594c5725adb8f54314d465bcb1ab8cc04e37b08c1aa80d2e7',
 };
 
 const ERC20_ABI = [
@@ -36,107 +34,23 @@ const CONTEST_ESCROW_ABI = [
   'function nextContestId() external view returns (uint256)',
 ];
 
-const V4_STATE_VIEW_ABI = [
-  'function getSlot0(bytes32 poolId) view returns (uint160 sqrtPriceX96, int24 tick, uint24 protocolFee, uint24 lpFee)',
-];
-
-const CHAINLINK_ABI = [
-  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
-];
-
-// Price cache for historical lookups (block -> price)
-const priceCache = new Map();
-
 /**
- * Get ETH price in USD from Chainlink (current price)
- */
-async function getETHPriceUSD(provider) {
-  try {
-    const priceFeed = new ethers.Contract(CONFIG.CHAINLINK_ETH_USD, CHAINLINK_ABI, provider);
-    const roundData = await priceFeed.latestRoundData();
-    return Number(roundData.answer) / 1e8;
-  } catch (e) {
-    console.log('   Could not fetch ETH price, using fallback');
-    return 3500;
-  }
-}
-
-/**
- * Get NEYNARTODES price in USD using V4 pool (current price)
+ * Get NEYNARTODES price in USD (current, lib/price-resolver.js)
  */
 async function getTokenPriceUSD(provider) {
-  try {
-    const ethPriceUSD = await getETHPriceUSD(provider);
-    const stateView = new ethers.Contract(CONFIG.V4_STATE_VIEW, V4_STATE_VIEW_ABI, provider);
-
-    const slot0 = await stateView.getSlot0(CONFIG.NEYNARTODES_POOL_ID);
-
-    if (slot0.sqrtPriceX96 === 0n) {
-      console.log('   Pool has no liquidity');
-      return 0;
-    }
-
-    const sqrtPriceX96 = slot0.sqrtPriceX96;
-    const price = Number(sqrtPriceX96) / (2 ** 96);
-    const priceSquared = price * price;
-
-    // NEYNARTODES is currency1 (token1), WETH is currency0
-    // sqrtPrice gives us token1/token0 = NEYNARTODES/WETH
-    // We need WETH/NEYNARTODES, so invert
-    const priceInETH = 1 / priceSquared;
-    const priceInUSD = priceInETH * ethPriceUSD;
-
-    return priceInUSD;
-  } catch (e) {
-    console.log('   Could not fetch token price:', e.message?.slice(0, 50));
-    return 0;
-  }
+  const price = await resolveTokenPrice(provider, CONFIG.NEYNARTODES);
+  if (price.source === 'none') console.log('   Could not fetch token price');
+  return price.priceUSD;
 }
 
 /**
  * Get historical NEYNARTODES price at a specific block
- * Uses eth_call with block override to get pool state at that block
+ * Falls back to the current price if the block can't be priced
  */
 async function getHistoricalTokenPriceUSD(provider, blockNumber) {
-  // Check cache first
-  const cacheKey = `${blockNumber}`;
-  if (priceCache.has(cacheKey)) {
-    return priceCache.get(cacheKey);
-  }
-
-  try {
-    // Get ETH price (use current - Chainlink historical requires archive node)
-    // ETH price doesn't swing as dramatically as meme tokens
-    const ethPriceUSD = await getETHPriceUSD(provider);
-
-    const stateView = new ethers.Contract(CONFIG.V4_STATE_VIEW, V4_STATE_VIEW_ABI, provider);
-
-    // Query pool state at historical block
-    const slot0 = await stateView.getSlot0(CONFIG.NEYNARTODES_POOL_ID, { blockTag: blockNumber });
-
-    if (slot0.sqrtPriceX96 === 0n) {
-      return 0;
-    }
-
-    const sqrtPriceX96 = slot0.sqrtPriceX96;
-    const price = Number(sqrtPriceX96) / (2 ** 96);
-    const priceSquared = price * price;
-
-    // NEYNARTODES is currency1 (token1), WETH is currency0
-    const priceInETH = 1 / priceSquared;
-    const priceInUSD = priceInETH * ethPriceUSD;
-
-    // Cache the result
-    priceCache.set(cacheKey, priceInUSD);
-
-    return priceInUSD;
-  } catch (e) {
-    // If historical query fails, fall back to current price
-    console.log(`   Historical price at block ${blockNumber} unavailable, using current`);
-    const currentPrice = await getTokenPriceUSD(provider);
-    priceCache.set(cacheKey, currentPrice);
-    return currentPrice;
-  }
+  const price = await resolveTokenPrice(provider, CONFIG.NEYNARTODES, { blockNumber, fallbackToLatest: true });
+  if (price.fallback) console.log(`   Historical price at block ${blockNumber} unavailable, using current`);
+  return price.priceUSD;
 }
 
 /**
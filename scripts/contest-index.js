@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Contest Index Script
+ *
+ * Backfills / rebuilds the event-sourced contest index (api/lib/contest-index.js)
+ * that leaderboard, all-time-prizes, contest-history, cron-daily and the
+ * finalize cron read from.
+ *
+ * Usage:
+ *   node scripts/contest-index.js             (sync from the stored cursor until caught up)
+ *   node scripts/contest-index.js --rebuild   (replay from the deploy block, prune orphans)
+ *   node scripts/contest-index.js --status    (cursor + record counts)
+ *
+ * Set CONTEST_MANAGER_DEPLOY_BLOCK to skip the deploy block search on first run.
+ */
+
+require('dotenv').config();
+
+const { ethers } = require('ethers');
+const { CONFIG } = require('../api/lib/config');
+const { syncContestIndex, rebuildContestIndex, getIndexStatus } = require('../api/lib/contest-index');
+
+function printProgress(result) {
+  console.log(`   Blocks ${result.fromBlock}-${result.toBlock}: ${result.events} events, ${result.hydrated} records${result.rewound ? ' (reorg rewind)' : ''}`);
+}
+
+async function printStatus(kv, provider) {
+  const status = await getIndexStatus(kv);
+  const latest = await provider.getBlockNumber();
+
+  console.log('\n📇 CONTEST INDEX');
+  console.log('═'.repeat(60));
+  if (!status.cursor) {
+    console.log('   Not built yet - run without flags to backfill');
+  } else {
+    console.log(`   Cursor: block ${status.cursor.block} (${latest - status.cursor.block} behind head)`);
+    console.log(`   Updated: ${new Date(status.cursor.updatedAt).toISOString()}`);
+  }
+  console.log(`   Contests: ${status.main} main, ${status.test} test (${status.open} open)`);
+}
+
+async function main() {
+  if (!process.env.KV_REST_API_URL) {
+    console.error('\n❌ KV_REST_API_URL not configured');
+    process.exit(1);
+  }
+
+  const { kv } = require('@vercel/kv');
+  const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+
+  if (process.argv.includes('--status')) {
+    await printStatus(kv, provider);
+    return;
+  }
+
+  if (process.argv.includes('--rebuild')) {
+    console.log('\n🔄 Rebuilding contest index from deploy block...');
+    const { contests, pruned } = await rebuildContestIndex(kv, provider, printProgress);
+    console.log(`\n✅ Rebuilt: ${contests} contests from events`);
+    if (pruned.length > 0) {
+      console.log(`   Pruned ${pruned.length} orphaned record(s): ${pruned.join(', ')}`);
+    }
+  } else {
+    console.log('\n📇 Syncing contest index...');
+    let result;
+    do {
+      result = await syncContestIndex(kv, provider);
+      if (result.skipped) {
+        console.log(`\n⚠️ ${result.reason} - try again shortly`);
+        return;
+      }
+      printProgress(result);
+    } while (!result.caughtUp);
+    console.log('\n✅ Caught up');
+  }
+
+  await printStatus(kv, provider);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(e => {
+    console.error('Error:', e.message);
+    process.exit(1);
+  });
@@ -3,6 +3,7 @@
  * Contest Stats Script
  *
  * Pulls all entries for a contest and calculates bonus entries.
+ * Uses the contest's bonus rule set from api/lib/bonus-rules.js (same as finalization).
  *
  * Usage: node scripts/contest-stats.js T-15
  */
@@ -10,68 +11,43 @@
 require('dotenv').config();
 
 const { ethers } = require('ethers');
+const { BONUS_RULES, getContestBonusConfig, evaluateBonusRules, describeBonus } = require('../api/lib/bonus-rules');
+
+const { getContest, parseContestId } = require('../api/lib/contest-manager');
 
 const CONFIG = {
-  CONTEST_MANAGER: '0xF56Fe30e1eAb5178da1AA2CbBf14d1e3C0Ba3944',
   NEYNARTODES_TOKEN: '0x8de1622fe07f56cda2e2273e615a513f1d828b07',
   BASE_RPC: process.env.BASE_RPC_URL || 'https://base-mainnet.g.alchemy.com/v2/QooWtq9nKQlkeqKF_-rvC',
   NEYNAR_API_KEY: process.env.NEYNAR_API_KEY || 'AA2E0FC2-FDC0-466D-9EBA-4BCA968C9B1D',
-  HOLDER_THRESHOLD: 100000000n * 10n ** 18n,
-  MIN_REPLY_WORDS: 3,
-  VOLUME_THRESHOLD_USD: 20,
 };
 
-const CONTEST_MANAGER_ABI = [
-  'function getContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-  'function getTestContestFull(uint256 contestId) view returns (tuple(address host, uint8 contestType, uint8 status, string castId, uint256 startTime, uint256 endTime, address prizeToken, uint256 prizeAmount, uint256 nftAmount, address tokenRequirement, uint256 volumeRequirement, uint8 winnerCount, address[] winners, bool isTestContest))',
-];
-
-function parseContestId(contestIdStr) {
-  if (!contestIdStr) return null;
-  if (contestIdStr.startsWith('M-')) return { id: parseInt(contestIdStr.slice(2)), type: 'main' };
-  if (contestIdStr.startsWith('T-')) return { id: parseInt(contestIdStr.slice(2)), type: 'test' };
-  return null;
-}
-
-function formatTokenBalance(balance) {
-  const num = Number(balance / (10n ** 18n));
-  if (num >= 1_000_000_000) return (num / 1_000_000_000).toFixed(1) + 'B';
-  if (num >= 1_000_000) return (num / 1_000_000).toFixed(1) + 'M';
-  if (num >= 1_000) return (num / 1_000).toFixed(1) + 'K';
-  return num.toFixed(0);
-}
-
 async function getContestStats(contestIdStr) {
   const parsed = parseContestId(contestIdStr);
-  if (!parsed) {
+  if (!parsed || !/^[MT]-/.test(contestIdStr)) {
     console.error('Invalid contest ID. Use M-X or T-X format.');
     process.exit(1);
   }
 
-  const isTest = parsed.type === 'test';
-  const numericId = parsed.id;
-
   console.log(`\n📊 CONTEST STATS: ${contestIdStr}`);
   console.log('═'.repeat(60));
 
   // Connect to blockchain
   const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
-  const contestManager = new ethers.Contract(CONFIG.CONTEST_MANAGER, CONTEST_MANAGER_ABI, provider);
 
   // Get contest details from blockchain
-  const getContestFn = isTest ? 'getTestContestFull' : 'getContestFull';
-  const contest = await contestManager[getContestFn](numericId);
-
-  const statusMap = { 0: 'Active', 1: 'PendingVRF', 2: 'Completed', 3: 'Cancelled' };
-  const typeMap = { 0: 'ETH', 1: 'ERC20', 2: 'ERC721', 3: 'ERC1155' };
+  const contest = await getContest(provider, contestIdStr);
+  if (!contest) {
+    console.error(`Contest ${contestIdStr} not found.`);
+    process.exit(1);
+  }
 
   console.log(`\n📋 Contest Details:`);
-  console.log(`   Type: ${typeMap[Number(contest.contestType)] || 'Unknown'}`);
-  console.log(`   Status: ${statusMap[Number(contest.status)] || 'Unknown'}`);
+  console.log(`   Type: ${contest.prizeTypeName}`);
+  console.log(`   Status: ${contest.statusName}`);
   console.log(`   Host: ${contest.host}`);
   console.log(`   Winner Count: ${contest.winnerCount}`);
-  console.log(`   Started: ${new Date(Number(contest.startTime) * 1000).toLocaleString()}`);
-  console.log(`   Ended: ${new Date(Number(contest.endTime) * 1000).toLocaleString()}`);
+  console.log(`   Started: ${new Date(contest.startTime * 1000).toLocaleString()}`);
+  console.log(`   Ended: ${new Date(contest.endTime * 1000).toLocaleString()}`);
 
   if (contest.winners && contest.winners.length > 0) {
     console.log(`\n🏆 Winners:`);
@@ -79,8 +55,7 @@ async function getContestStats(contestIdStr) {
   }
 
   // Get cast hash
-  const castId = contest.castId;
-  const actualCastHash = castId.includes('|') ? castId.split('|')[0] : castId;
+  const actualCastHash = contest.cast.hash;
   console.log(`   Cast Hash: ${actualCastHash}`);
 
   // Connect to KV
@@ -105,13 +80,7 @@ async function getContestStats(contestIdStr) {
 
     for (const p of sorted) {
       const bonusStr = p.bonuses.length > 0
-        ? ` [${p.bonuses.map(b => {
-            if (b === 'holder') return '💎 Holder';
-            if (b === 'reply') return `💬 Reply (${p.replyWords} words)`;
-            if (b === 'share') return '📤 Shared';
-            if (b === 'volume') return `📈 Volume ($${p.volumeUSD.toFixed(2)})`;
-            return b;
-          }).join(', ')}]`
+        ? ` [${p.bonuses.map(b => describeBonus(b, { wordCount: p.replyWords, volumeUSD: p.volumeUSD })).join(', ')}]`
         : '';
       console.log(`@${(p.username || `FID:${p.fid}`).padEnd(20)} ${p.entries} entries${bonusStr}`);
     }
@@ -122,6 +91,10 @@ async function getContestStats(contestIdStr) {
     console.log(`   Unique Participants: ${storedData.summary.uniqueParticipants}`);
     console.log(`   Total Entries (with bonuses): ${storedData.summary.totalEntries}`);
     console.log(`   💎 Holder Bonuses: ${storedData.summary.holderBonuses}`);
+    if (storedData.holderSnapshot) {
+      const { startBlock, endBlock, method } = storedData.holderSnapshot;
+      console.log(`   📸 Holder Snapshot: blocks ${startBlock}-${endBlock}${method === 'live' ? ' (fell back to live balances)' : ''}`);
+    }
     console.log(`   💬 Reply Bonuses: ${storedData.summary.replyBonuses}`);
     console.log(`   📤 Share Bonuses: ${storedData.summary.shareBonuses}`);
     console.log(`   📈 Volume Bonuses: ${storedData.summary.volumeBonuses}`);
@@ -141,7 +114,7 @@ async function getContestStats(contestIdStr) {
     return;
   }
 
-  console.log('\n⚠️  No stored finalization data - calculating live (volume will be missing)...');
+  console.log('\n⚠️  No stored finalization data - calculating live...');
 
   // Get all FIDs who entered
   const entryKey = `contest_entries:${contestIdStr}`;
@@ -203,76 +176,20 @@ async function getContestStats(contestIdStr) {
 
   console.log(`   Fetched data for ${users.size} users`);
 
-  // Check holder status
-  console.log('\n💎 Checking holder status...');
-  const neynartodes = new ethers.Contract(
-    CONFIG.NEYNARTODES_TOKEN,
-    ['function balanceOf(address) view returns (uint256)'],
-    provider
-  );
-
-  const holderStatus = new Map();
-  for (const user of users.values()) {
-    try {
-      const balances = await Promise.all(user.addresses.map(addr => neynartodes.balanceOf(addr).catch(() => 0n)));
-      const totalBalance = balances.reduce((sum, bal) => sum + BigInt(bal), 0n);
-      holderStatus.set(user.fid, { isHolder: totalBalance >= CONFIG.HOLDER_THRESHOLD, balance: totalBalance });
-    } catch (e) {
-      holderStatus.set(user.fid, { isHolder: false, balance: 0n });
-    }
-  }
-
-  // Check replies
-  console.log('\n💬 Checking replies...');
-  const repliersByFid = new Map();
-  try {
-    let cursor = null;
-    let pageCount = 0;
-    const maxPages = 20;
-
-    do {
-      const url = cursor
-        ? `https://api.neynar.com/v2/farcaster/cast/conversation?identifier=${actualCastHash}&type=hash&reply_depth=1&limit=50&cursor=${cursor}`
-        : `https://api.neynar.com/v2/farcaster/cast/conversation?identifier=${actualCastHash}&type=hash&reply_depth=1&limit=50`;
-
-      const response = await fetch(url, { headers: { 'api_key': CONFIG.NEYNAR_API_KEY } });
-      if (!response.ok) break;
-
-      const data = await response.json();
-      const replies = data.conversation?.cast?.direct_replies || [];
-
-      for (const reply of replies) {
-        const fid = reply.author?.fid;
-        if (!fid) continue;
-        const wordCount = (reply.text || '').trim().split(/\s+/).filter(w => w.length > 0).length;
-        if (wordCount >= CONFIG.MIN_REPLY_WORDS) {
-          const existing = repliersByFid.get(fid);
-          if (!existing || wordCount > existing.wordCount) {
-            repliersByFid.set(fid, { fid, wordCount, text: reply.text?.substring(0, 50) });
-          }
-        }
-      }
-
-      cursor = data.next?.cursor;
-      pageCount++;
-      if (cursor) await new Promise(r => setTimeout(r, 100));
-    } while (cursor && pageCount < maxPages);
-  } catch (e) {
-    console.log(`   Error fetching replies: ${e.message}`);
-  }
-
-  // Check sharers
-  console.log('\n📤 Checking sharers...');
-  const sharers = new Set();
-  try {
-    const shareKey = `contest_shares:${contestIdStr}`;
-    const shareFids = await kv.smembers(shareKey);
-    if (Array.isArray(shareFids)) {
-      shareFids.forEach(fid => sharers.add(parseInt(fid)));
-    }
-  } catch (e) {
-    console.log(`   Error fetching sharers: ${e.message}`);
-  }
+  // Evaluate the contest's bonus rules (holder, reply, share, volume...)
+  const rules = await getContestBonusConfig(contestIdStr);
+  console.log(`\n🎁 Bonus rules: ${rules.map(r => `${r.id}(+${r.weight})`).join(', ')}`);
+
+  const now = Math.floor(Date.now() / 1000);
+  const { results, counts } = await evaluateBonusRules({
+    contestId: contestIdStr,
+    castHash: actualCastHash,
+    users,
+    provider,
+    startTime: contest.startTime,
+    endTime: Math.min(now, contest.endTime),
+    tokenRequirement: contest.tokenRequirement
+  }, rules);
 
   // Output results
   console.log('\n' + '═'.repeat(60));
@@ -280,53 +197,21 @@ async function getContestStats(contestIdStr) {
   console.log('═'.repeat(60));
 
   let totalEntries = 0;
-  let holderBonusCount = 0;
-  let replyBonusCount = 0;
-  let shareBonusCount = 0;
-
   const participantData = [];
 
   for (const fid of fids) {
     const fidNum = parseInt(fid);
     const user = users.get(fidNum);
-    const holder = holderStatus.get(fidNum);
-    const reply = repliersByFid.get(fidNum);
-    const shared = sharers.has(fidNum);
+    const result = results.get(fidNum) || { entries: 1, bonuses: [], details: {} };
 
-    let entries = 1;
-    const bonuses = [];
-
-    if (holder?.isHolder) {
-      entries++;
-      bonuses.push(`💎 Holder (${formatTokenBalance(holder.balance)})`);
-      holderBonusCount++;
-    }
-
-    if (reply) {
-      entries++;
-      bonuses.push(`💬 Reply (${reply.wordCount} words)`);
-      replyBonusCount++;
-    }
-
-    if (shared) {
-      entries++;
-      bonuses.push('📤 Shared');
-      shareBonusCount++;
-    }
-
-    totalEntries += entries;
+    totalEntries += result.entries;
 
     participantData.push({
       fid: fidNum,
       username: user?.username || `FID:${fidNum}`,
       displayName: user?.displayName || '',
-      entries,
-      bonuses,
-      holder: holder?.isHolder || false,
-      balance: holder?.balance || 0n,
-      replied: !!reply,
-      replyWords: reply?.wordCount || 0,
-      shared
+      entries: result.entries,
+      bonuses: result.bonuses.map(b => describeBonus(b, result.details[b]))
     });
   }
 
@@ -346,10 +231,10 @@ async function getContestStats(contestIdStr) {
   console.log('═'.repeat(60));
   console.log(`   Unique Participants: ${fids.length}`);
   console.log(`   Total Entries (with bonuses): ${totalEntries}`);
-  console.log(`   💎 Holder Bonuses: ${holderBonusCount}`);
-  console.log(`   💬 Reply Bonuses: ${replyBonusCount}`);
-  console.log(`   📤 Share Bonuses: ${shareBonusCount}`);
-  console.log(`\n   Note: Volume bonus ($20+ trade) calculated only at finalization`);
+  for (const [ruleId, count] of Object.entries(counts)) {
+    const rule = BONUS_RULES[ruleId];
+    console.log(`   ${rule.emoji} ${rule.label} Bonuses: ${count}`);
+  }
 }
 
 // Run
@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+/**
+ * Entry Race Harness
+ *
+ * Fires concurrent entries at a local Redis and checks that recordEntry()
+ * (api/lib/entries.js) keeps its invariants:
+ *   - one entry record per FID, no matter how many times it submits
+ *   - contest_entries never exceeds maxEntrants
+ *   - contest_waitlist never exceeds waitlistSize, and never holds an entrant
+ *   - every entry:{id}:{fid} key belongs to an entrant or a waitlisted FID
+ *
+ * The script talks to Redis through the same @vercel/kv client production
+ * uses. It starts a small Upstash-compatible REST shim in front of a local
+ * redis-server, so nothing else is needed:
+ *
+ *   redis-server --port 6390 --save '' &
+ *   node scripts/entry-race.js --redis redis://127.0.0.1:6390
+ *
+ * Usage:
+ *   node scripts/entry-race.js                  (redis://127.0.0.1:6379)
+ *   node scripts/entry-race.js --redis URL      (another local Redis)
+ *   node scripts/entry-race.js --clients 16     (KV clients = serverless instances, default 8)
+ *   node scripts/entry-race.js --naive          (old get/scard/set/sadd sequence - should FAIL)
+ *
+ * Only local Redis URLs are accepted. All keys live under a RACE-{timestamp}
+ * contest ID and are deleted afterwards.
+ */
+
+const http = require('http');
+const net = require('net');
+const { createClient } = require('@vercel/kv');
+const { recordEntry } = require('../api/lib/entries');
+
+function getArg(name) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 ? process.argv[i + 1] : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// REDIS CONNECTION (minimal RESP client)
+// ═══════════════════════════════════════════════════════════════════
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const str = String(arg);
+    out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one RESP reply from buf at offset
+ * @returns {{value: *, next: number}|null} null if the reply isn't complete yet
+ */
+function parseReply(buf, offset) {
+  const lineEnd = buf.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+': return { value: line, next };
+    case '-': return { value: new Error(line), next };
+    case ':': return { value: parseInt(line), next };
+    case '$': {
+      const len = parseInt(line);
+      if (len === -1) return { value: null, next };
+      if (buf.length < next + len + 2) return null;
+      return { value: buf.toString('utf8', next, next + len), next: next + len + 2 };
+    }
+    case '*': {
+      const count = parseInt(line);
+      if (count === -1) return { value: null, next };
+      const items = [];
+      let pos = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, pos);
+        if (!item) return null;
+        items.push(item.value);
+        pos = item.next;
+      }
+      return { value: items, next: pos };
+    }
+    default:
+      throw new Error(`Unexpected RESP type: ${type}`);
+  }
+}
+
+function connectRedis(url) {
+  const { hostname, port } = new URL(url);
+  const socket = net.createConnection({ host: hostname, port: parseInt(port) || 6379 });
+  const pending = [];
+  let buffer = Buffer.alloc(0);
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let reply;
+    while (pending.length > 0 && (reply = parseReply(buffer, 0))) {
+      buffer = buffer.subarray(reply.next);
+      pending.shift()(reply.value);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    socket.once('error', reject);
+    socket.once('connect', () => resolve({
+      send: (args) => new Promise((done) => {
+        pending.push(done);
+        socket.write(encodeCommand(args));
+      }),
+      close: () => socket.end()
+    }));
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// UPSTASH REST SHIM
+// ═══════════════════════════════════════════════════════════════════
+// POST /          ["CMD", ...args]   -> { result }
+// POST /pipeline  [[...], [...]]     -> [{ result } | { error }]
+// Strings are base64-encoded when the client asks (Upstash-Encoding: base64).
+
+function encodeResult(value, base64) {
+  if (!base64) return value;
+  if (typeof value === 'string') return value === 'OK' ? value : Buffer.from(value).toString('base64');
+  if (Array.isArray(value)) return value.map(v => encodeResult(v, base64));
+  return value;
+}
+
+function toResponse(value, base64) {
+  return value instanceof Error ? { error: value.message } : { result: encodeResult(value, base64) };
+}
+
+function startShim(redis) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', async () => {
+      const base64 = req.headers['upstash-encoding'] === 'base64';
+      const payload = JSON.parse(body);
+      let response;
+      let status = 200;
+
+      if (req.url === '/pipeline') {
+        // Sent back to back, like Upstash - other requests can interleave
+        const replies = await Promise.all(payload.map(cmd => redis.send(cmd)));
+        response = replies.map(r => toResponse(r, base64));
+      } else {
+        const reply = await redis.send(payload);
+        response = toResponse(reply, base64);
+        if (reply instanceof Error) status = 400;
+      }
+
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// ENTRY STRATEGIES
+// ═══════════════════════════════════════════════════════════════════
+
+// The pre-atomic enter-contest.js sequence, kept as a control
+async function naiveRecordEntry(kv, contestId, fid, entry, settings) {
+  const existing = await kv.get(`entry:${contestId}:${fid}`);
+  if (existing) return { status: 'exists', entry: existing };
+
+  const count = await kv.scard(`contest_entries:${contestId}`) || 0;
+  if (count >= settings.maxEntrants) {
+    if (!settings.waitlist) return { status: 'full', count };
+    if ((await kv.zcard(`contest_waitlist:${contestId}`) || 0) >= settings.waitlistSize) {
+      return { status: 'waitlist_full', count };
+    }
+    await kv.zadd(`contest_waitlist:${contestId}`, { nx: true }, { score: Date.now(), member: fid.toString() });
+    await kv.set(`entry:${contestId}:${fid}`, { ...entry, waitlisted: true });
+    return { status: 'waitlisted' };
+  }
+
+  await kv.set(`entry:${contestId}:${fid}`, entry);
+  await kv.sadd(`contest_entries:${contestId}`, fid.toString());
+  return { status: 'entered', entry };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SCENARIOS
+// ═══════════════════════════════════════════════════════════════════
+
+const SCENARIOS = [
+  {
+    name: 'cap race: 200 FIDs for 20 slots',
+    settings: { maxEntrants: 20, waitlist: false, waitlistSize: 0 },
+    fids: 200,
+    repeats: 1
+  },
+  {
+    name: 'duplicate race: 1 FID submitting 50 times',
+    settings: { maxEntrants: 200, waitlist: false, waitlistSize: 0 },
+    fids: 1,
+    repeats: 50
+  },
+  {
+    name: 'waitlist race: 100 FIDs x3 for 10 slots + 15 waitlist',
+    settings: { maxEntrants: 10, waitlist: true, waitlistSize: 15 },
+    fids: 100,
+    repeats: 3
+  }
+];
+
+async function runScenario(scenario, index, { clients, redis, record, runId }) {
+  const contestId = `RACE-${runId}-${index}`;
+  const { settings } = scenario;
+
+  const requests = [];
+  for (let r = 0; r < scenario.repeats; r++) {
+    for (let fid = 1; fid <= scenario.fids; fid++) {
+      requests.push(fid);
+    }
+  }
+
+  // Every request goes out at once, spread over the clients
+  const results = await Promise.all(requests.map((fid, i) => {
+    const entry = { fid, contestId, addresses: [], timestamp: Date.now() };
+    return record(clients[i % clients.length], contestId, fid, entry, settings);
+  }));
+
+  const entrants = (await redis.send(['SMEMBERS', `contest_entries:${contestId}`])).map(Number);
+  const waitlisted = (await redis.send(['ZRANGE', `contest_waitlist:${contestId}`, 0, -1])).map(Number);
+  const entryKeys = await redis.send(['KEYS', `entry:${contestId}:*`]);
+
+  const byStatus = {};
+  const enteredFids = new Map();
+  const waitlistedFids = new Map();
+  for (let i = 0; i < results.length; i++) {
+    const { status } = results[i];
+    byStatus[status] = (byStatus[status] || 0) + 1;
+    if (status === 'entered') enteredFids.set(requests[i], (enteredFids.get(requests[i]) || 0) + 1);
+    if (status === 'waitlisted') waitlistedFids.set(requests[i], (waitlistedFids.get(requests[i]) || 0) + 1);
+  }
+
+  const waitlistCap = settings.waitlist ? settings.waitlistSize : 0;
+  const expectedEntrants = Math.min(settings.maxEntrants, scenario.fids);
+  const expectedWaitlist = Math.min(waitlistCap, scenario.fids - expectedEntrants);
+
+  const checks = {
+    'each FID entered at most once': [...enteredFids.values()].every(n => n === 1),
+    'each FID waitlisted at most once': [...waitlistedFids.values()].every(n => n === 1),
+    'no FID both entered and waitlisted': ![...enteredFids.keys()].some(f => waitlistedFids.has(f)),
+    [`entrants = ${expectedEntrants} (cap ${settings.maxEntrants})`]: entrants.length === expectedEntrants,
+    [`waitlist = ${expectedWaitlist} (cap ${waitlistCap})`]: waitlisted.length === expectedWaitlist,
+    'set matches "entered" responses': entrants.length === enteredFids.size
+      && entrants.every(f => enteredFids.has(f)),
+    'waitlist matches "waitlisted" responses': waitlisted.length === waitlistedFids.size
+      && waitlisted.every(f => waitlistedFids.has(f)),
+    'entry keys = entrants + waitlist': entryKeys.length === entrants.length + waitlisted.length
+  };
+
+  console.log(`\n🏁 ${scenario.name}`);
+  console.log(`   Requests: ${requests.length} ${JSON.stringify(byStatus)}`);
+  for (const [name, ok] of Object.entries(checks)) {
+    console.log(`   ${ok ? '✅' : '❌'} ${name}`);
+  }
+
+  const keys = [`contest_entries:${contestId}`, `contest_waitlist:${contestId}`, ...entryKeys];
+  await redis.send(['DEL', ...keys]);
+
+  return Object.values(checks).every(Boolean);
+}
+
+async function main() {
+  const redisUrl = getArg('--redis') || 'redis://127.0.0.1:6379';
+  const { hostname } = new URL(redisUrl);
+  if (!['127.0.0.1', 'localhost', '::1'].includes(hostname)) {
+    console.error(`\n❌ Refusing to run against non-local Redis (${hostname})`);
+    process.exit(1);
+  }
+
+  const naive = process.argv.includes('--naive');
+  const clientCount = parseInt(getArg('--clients')) || 8;
+
+  const redis = await connectRedis(redisUrl);
+  const shim = await startShim(redis);
+  const url = `http://127.0.0.1:${shim.address().port}`;
+
+  // One client per simulated serverless instance (each auto-pipelines, like production)
+  const clients = Array.from({ length: clientCount }, () => createClient({ url, token: 'local' }));
+
+  console.log(`\n🧪 Entry race harness (${naive ? 'NAIVE control' : 'recordEntry'}, ${clientCount} clients, ${redisUrl})`);
+
+  const runId = Date.now();
+  const record = naive ? naiveRecordEntry : recordEntry;
+  let allPassed = true;
+  for (let i = 0; i < SCENARIOS.length; i++) {
+    const passed = await runScenario(SCENARIOS[i], i, { clients, redis, record, runId });
+    allPassed = allPassed && passed;
+  }
+
+  shim.close();
+  redis.close();
+
+  console.log(`\n${allPassed ? '✅ All invariants held' : '❌ Invariants violated'}`);
+  return allPassed;
+}
+
+main()
+  .then((passed) => process.exit(passed ? 0 : 1))
+  .catch(e => {
+    console.error('Error:', e.message);
+    process.exit(1);
+  });
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Multicall Benchmark
+ *
+ * Counts JSON-RPC calls for the per-address reads next to their Multicall3
+ * versions (api/lib/multicall.js), and checks both return the same values:
+ *   - holder bonus: balanceOf + cooldown Transfer logs for every entrant
+ *   - contest structs: getContestFull for the latest main contests
+ *   - V4 price discovery: getSlot0 for every hook/fee candidate pool
+ *
+ * Usage:
+ *   node scripts/multicall-benchmark.js M-12                  (entrants from KV)
+ *   node scripts/multicall-benchmark.js --addresses 0xa,0xb   (one user per address)
+ *   node scripts/multicall-benchmark.js M-12 --contests 50    (contest structs to read, default 20)
+ */
+
+require('dotenv').config();
+
+const { ethers } = require('ethers');
+const { CONFIG, ABIS } = require('../api/lib/config');
+const { getHolderStatuses } = require('../api/lib/bonus-rules');
+const { getContests, getNextContestIds, formatContestId } = require('../api/lib/contest-manager');
+const { getSlot0s } = require('../api/lib/multicall');
+const { v4PoolCandidates } = require('../api/lib/price-resolver');
+const { loadEntrants } = require('../api/lib/sybil');
+
+function getArg(name) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 ? process.argv[i + 1] : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CALL COUNTING
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * JsonRpcProvider that counts JSON-RPC calls by method and HTTP requests
+ * (ethers batches concurrent calls into one request, so both are shown)
+ */
+class CountingProvider extends ethers.JsonRpcProvider {
+  constructor(url) {
+    super(url, CONFIG.CHAIN_ID, { staticNetwork: ethers.Network.from(CONFIG.CHAIN_ID) });
+    this.reset();
+  }
+
+  reset() {
+    this.counts = { requests: 0, calls: 0, byMethod: {} };
+  }
+
+  async _send(payload) {
+    const calls = Array.isArray(payload) ? payload : [payload];
+    this.counts.requests++;
+    for (const { method } of calls) {
+      this.counts.calls++;
+      this.counts.byMethod[method] = (this.counts.byMethod[method] || 0) + 1;
+    }
+    return super._send(payload);
+  }
+}
+
+async function measure(provider, fn) {
+  provider.reset();
+  const started = Date.now();
+  const result = await fn();
+  return { result, counts: provider.counts, ms: Date.now() - started };
+}
+
+function printComparison(name, legacy, batched, matches) {
+  const fmt = ({ counts, ms }) => {
+    const methods = Object.entries(counts.byMethod).map(([m, n]) => `${m} ${n}`).join(', ');
+    return `${String(counts.calls).padStart(5)} calls, ${String(counts.requests).padStart(4)} requests, ${ms}ms (${methods})`;
+  };
+  const saved = legacy.counts.calls > 0
+    ? Math.round((1 - batched.counts.calls / legacy.counts.calls) * 100)
+    : 0;
+
+  console.log(`\n📊 ${name}`);
+  console.log(`   Per-address: ${fmt(legacy)}`);
+  console.log(`   Multicall:   ${fmt(batched)}`);
+  console.log(`   ${matches ? '✅ Same results' : '❌ Results differ'} - ${saved}% fewer calls`);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PER-ADDRESS CONTROLS (the reads before lib/multicall.js)
+// ═══════════════════════════════════════════════════════════════════
+
+async function legacyHolderBalances(users, provider) {
+  const token = new ethers.Contract(CONFIG.NEYNARTODES, ABIS.ERC20, provider);
+  const currentBlock = await provider.getBlockNumber();
+  const fromBlock = currentBlock - 36 * 1800;
+  const totals = new Map();
+
+  // 30 users at a time, one balanceOf and one getLogs per address
+  for (let i = 0; i < users.length; i += 30) {
+    const batch = users.slice(i, i + 30);
+    await Promise.all(batch.map(async (user) => {
+      const [balances] = await Promise.all([
+        Promise.all(user.addresses.map(addr => token.balanceOf(addr).catch(() => 0n))),
+        Promise.all(user.addresses.map(addr =>
+          token.queryFilter(token.filters.Transfer(null, addr), fromBlock, currentBlock).catch(() => [])
+        ))
+      ]);
+      totals.set(user.fid, balances.reduce((sum, b) => sum + BigInt(b), 0n));
+    }));
+  }
+
+  return totals;
+}
+
+async function legacyContests(provider, contestIds) {
+  const contract = new ethers.Contract(CONFIG.CONTEST_MANAGER, ABIS.CONTEST_MANAGER, provider);
+  const structs = [];
+  for (const contestId of contestIds) {
+    structs.push(await contract.getContestFull(parseInt(contestId.slice(2))).catch(() => null));
+  }
+  return structs;
+}
+
+async function legacySlot0s(provider, poolIds) {
+  const stateView = new ethers.Contract(CONFIG.V4_STATE_VIEW, ABIS.V4_STATE_VIEW, provider);
+  const results = [];
+  for (const poolId of poolIds) {
+    results.push(await stateView.getSlot0(poolId).catch(() => null));
+  }
+  return results;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════
+
+async function loadUsers(contestId) {
+  const addressArg = getArg('--addresses');
+  if (addressArg) {
+    return addressArg.split(',').map((addr, i) => ({ fid: i + 1, addresses: [addr.trim().toLowerCase()] }));
+  }
+
+  if (!contestId) {
+    console.error('Usage: node scripts/multicall-benchmark.js M-12 | --addresses 0xa,0xb');
+    process.exit(1);
+  }
+  if (!process.env.KV_REST_API_URL) {
+    console.error('\n❌ KV_REST_API_URL not configured (or pass --addresses)');
+    process.exit(1);
+  }
+
+  const { kv } = require('@vercel/kv');
+  return loadEntrants(kv, contestId);
+}
+
+async function main() {
+  const contestId = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : null;
+  const contestCount = parseInt(getArg('--contests')) || 20;
+  const provider = new CountingProvider(CONFIG.BASE_RPC);
+
+  const users = await loadUsers(contestId);
+  const addressCount = users.reduce((n, u) => n + u.addresses.length, 0);
+  console.log(`\n⚡ MULTICALL BENCHMARK`);
+  console.log('═'.repeat(60));
+  console.log(`   Users: ${users.length} (${addressCount} addresses)`);
+
+  // Holder bonus
+  const legacyHolder = await measure(provider, () => legacyHolderBalances(users, provider));
+  const batchedHolder = await measure(provider, () => getHolderStatuses(users, provider, 0n));
+  const holderMatches = users.every(u => legacyHolder.result.get(u.fid) === batchedHolder.result.get(u.fid).balance);
+  printComparison('Holder bonus (balances + cooldown logs)', legacyHolder, batchedHolder, holderMatches);
+
+  // Contest structs
+  const { main: nextId } = await getNextContestIds(provider);
+  const contestIds = [];
+  for (let id = nextId - 1; id >= 1 && contestIds.length < contestCount; id--) {
+    contestIds.push(formatContestId(id, false));
+  }
+  const legacyStructs = await measure(provider, () => legacyContests(provider, contestIds));
+  const batchedStructs = await measure(provider, () => getContests(provider, contestIds));
+  const structsMatch = contestIds.every((_, i) =>
+    (legacyStructs.result[i]?.castId ?? null) === (batchedStructs.result[i]?.castId ?? null)
+  );
+  printComparison(`Contest structs (${contestIds.length} contests)`, legacyStructs, batchedStructs, structsMatch);
+
+  // V4 price discovery
+  const poolIds = v4PoolCandidates(CONFIG.NEYNARTODES).candidates.map(c => c.poolId);
+  const legacyPools = await measure(provider, () => legacySlot0s(provider, poolIds));
+  const batchedPools = await measure(provider, () => getSlot0s(provider, poolIds.map(poolId => ({ poolId }))));
+  const poolsMatch = poolIds.every((_, i) =>
+    (legacyPools.result[i]?.sqrtPriceX96 ?? null) === (batchedPools.result[i]?.sqrtPriceX96 ?? null)
+  );
+  printComparison(`V4 slot0 (${poolIds.length} candidate pools)`, legacyPools, batchedPools, poolsMatch);
+
+  provider.destroy();
+  return holderMatches && structsMatch && poolsMatch;
+}
+
+main()
+  .then((matched) => process.exit(matched ? 0 : 1))
+  .catch(e => {
+    console.error('Error:', e.message);
+    process.exit(1);
+  });
@@ -7,21 +7,15 @@
  */
 
 const { ethers } = require('ethers');
+const { getContestManager } = require('../api/lib/contest-manager');
 
 const CONFIG = {
-  CONTEST_MANAGER: '0xF56Fe30e1eAb5178da1AA2CbBf14d1e3C0Ba3944',
   BASE_RPC: 'https://base-mainnet.g.alchemy.com/v2/QooWtq9nKQlkeqKF_-rvC',
   CHAINLINK_ETH_USD: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70',
   // New minimum: 0.00015 ETH (~$0.50)
   NEW_MIN_ETH: '0.00015',
 };
 
-const CONTEST_MANAGER_ABI = [
-  'function minPrizeValueWei() view returns (uint256)',
-  'function setMinPrizeValue(uint256 _minPrizeValueWei) external',
-  'function owner() view returns (address)',
-];
-
 async function main() {
   const privateKey = process.env.PRIVATE_KEY;
 
@@ -38,7 +32,7 @@ async function main() {
   console.log('Wallet:', wallet.address);
   console.log('');
 
-  const contract = new ethers.Contract(CONFIG.CONTEST_MANAGER, CONTEST_MANAGER_ABI, wallet);
+  const contract = getContestManager(wallet);
 
   // Check ownership
   const owner = await contract.owner();
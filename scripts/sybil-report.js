@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * Sybil Report Script
+ *
+ * Runs the api/lib/sybil scan over a contest's entrants and prints the risk
+ * report. Live runs can be recorded to a fixture and replayed offline, which
+ * is how detection changes are checked against known farm rings.
+ *
+ * Usage:
+ *   node scripts/sybil-report.js M-12                          (live: KV + RPC)
+ *   node scripts/sybil-report.js M-12 --record data/m12.json   (live, save entrants + logs)
+ *   node scripts/sybil-report.js --fixture data/m12.json       (offline replay)
+ *   node scripts/sybil-report.js M-12 --save                   (live, store report in KV)
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { CONFIG } = require('../api/lib/config');
+const { buildRiskReport, loadEntrants, analyzeContest, saveRiskReport } = require('../api/lib/sybil');
+
+function getArg(name) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 ? process.argv[i + 1] : null;
+}
+
+function printReport(report) {
+  console.log(`\n🕵️ SYBIL REPORT: ${report.contestId}`);
+  console.log('═'.repeat(60));
+  console.log(`   Entrants: ${report.participantCount}`);
+  console.log(`   Transfers scanned: ${report.transferCount}`);
+  if (report.window) {
+    console.log(`   Blocks: ${report.window.fromBlock} - ${report.window.toBlock}`);
+  }
+
+  console.log(`\n🔗 Clusters: ${report.clusters.length}`);
+  for (const c of report.clusters) {
+    const types = [...new Set(c.evidence.map(e => e.type))].join(', ');
+    console.log(`   ${c.id} (${c.size}): ${c.usernames.map(u => `@${u}`).join(' ')} [${types}]`);
+  }
+
+  console.log(`\n📈 FID bursts: ${report.bursts.length}`);
+  for (const b of report.bursts) {
+    console.log(`   ${b.from}-${b.to}: ${b.size} entrants`);
+  }
+
+  console.log(`\n🚩 Flagged: ${report.flagged.length}`);
+  for (const f of report.flagged) {
+    const blocked = f.alreadyBlocked ? ' (already blocked)' : '';
+    console.log(`   [${f.risk.toUpperCase()} ${f.score}] @${(f.username || `FID:${f.fid}`).padEnd(20)} ${f.fid}${blocked}`);
+    for (const reason of f.reasons) {
+      console.log(`        - ${reason}`);
+    }
+  }
+
+  console.log(`\n🛡️ Suggested denylist: ${report.suggestedDenylist.join(', ') || 'none'}`);
+}
+
+async function main() {
+  const fixturePath = getArg('--fixture');
+
+  // Offline replay - no KV or RPC needed
+  if (fixturePath) {
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    const report = buildRiskReport({
+      contestId: fixture.contestId,
+      participants: fixture.participants,
+      logs: fixture.logs,
+      ignoreAddresses: new Set(fixture.ignoreAddresses || []),
+      window: fixture.window,
+    });
+    printReport(report);
+    return;
+  }
+
+  const contestId = process.argv[2];
+  if (!contestId || contestId.startsWith('--')) {
+    console.error('Usage: node scripts/sybil-report.js M-12 [--record file.json] [--save] | --fixture file.json');
+    process.exit(1);
+  }
+
+  if (!process.env.KV_REST_API_URL) {
+    console.error('\n❌ KV_REST_API_URL not configured');
+    process.exit(1);
+  }
+
+  const { kv } = require('@vercel/kv');
+  const provider = new ethers.JsonRpcProvider(CONFIG.BASE_RPC);
+
+  const participants = await loadEntrants(kv, contestId);
+  if (participants.length === 0) {
+    console.log('\n❌ No entries found for this contest');
+    return;
+  }
+
+  const recordPath = getArg('--record');
+  let recordedLogs = null;
+
+  const report = await analyzeContest({
+    contestId,
+    participants,
+    provider,
+    onLogs: (logs) => { recordedLogs = logs; }
+  });
+
+  if (recordPath) {
+    const { getListValues } = require('../api/lib/access-lists');
+    fs.writeFileSync(recordPath, JSON.stringify({
+      contestId,
+      window: report.window,
+      participants,
+      ignoreAddresses: [...await getListValues('cooldown_exempt')],
+      logs: recordedLogs
+    }, null, 2));
+    console.log(`\n💾 Recorded ${recordedLogs.length} logs to ${recordPath}`);
+  }
+
+  if (process.argv.includes('--save')) {
+    await saveRiskReport(kv, report);
+    console.log(`\n💾 Report stored in KV (sybil_report:${contestId})`);
+  }
+
+  printReport(report);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(e => {
+    console.error('Error:', e.message);
+    process.exit(1);
+  });
@@ -4,9 +4,10 @@
  *
  * Searches for all liquidity pools for a given token across:
  * - Uniswap V2
- * - Aerodrome (V2-style)
  * - Uniswap V3
  * - Uniswap V4 (Clanker hooks + native)
+ * and shows the WETH pools the API prices from (lib/price-resolver.js,
+ * which also covers Aerodrome) with the price it resolves to.
  *
  * Usage:
  *   node search-token-pools.js <token_address>
@@ -14,6 +15,7 @@
  */
 
 const { ethers } = require('ethers');
+const { getPoolPrices, getETHPriceUSD, resolveTokenPrice } = require('./api/lib/price-resolver');
 
 // Load dotenv if available
 try { require('dotenv').config({ path: '.env.local' }); } catch (e) {}
@@ -29,7 +31,7 @@ const CONFIG = {
   // V2 Factories
   V2_FACTORIES: [
     { address: '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6', name: 'Uniswap V2' },
-    { address: '0x420DD381b31aEf6683db6B902084cB0FFECe40Da', name: 'Aerodrome' },
+    // Aerodrome has no getPair(a, b) - its pools are listed by the price resolver
   ],
 
   // V3 Factory
@@ -37,9 +39,6 @@ const CONFIG = {
 
   // V4
   V4_STATE_VIEW: '0xA3c0c9b65baD0b08107Aa264b0f3dB444b867A71',
-
-  // Chainlink ETH/USD
-  CHAINLINK_ETH_USD: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70',
 };
 
 // ABIs
@@ -175,20 +174,6 @@ function computeV4PoolId(token0, token1, fee, tickSpacing, hooks) {
   return ethers.keccak256(encoded);
 }
 
-async function getETHPrice(provider) {
-  try {
-    const priceFeed = new ethers.Contract(
-      CONFIG.CHAINLINK_ETH_USD,
-      ['function latestRoundData() view returns (uint80, int256, uint256, uint256, uint80)'],
-      provider
-    );
-    const roundData = await priceFeed.latestRoundData();
-    return Number(roundData[1]) / 1e8;
-  } catch (e) {
-    return 3500;
-  }
-}
-
 async function getTokenInfo(provider, tokenAddress) {
   try {
     const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
@@ -739,7 +724,7 @@ async function main() {
   console.log('');
 
   // Get ETH price
-  const ethPrice = await getETHPrice(provider);
+  const ethPrice = await getETHPriceUSD(provider);
   console.log(`ETH Price: $${ethPrice.toFixed(2)}`);
   console.log('');
 
@@ -822,6 +807,24 @@ async function main() {
 
   console.log('');
 
+  // What the API uses: WETH pools in resolution order + the resolved price
+  try {
+    const { pools: pricePools } = await getPoolPrices(provider, tokenAddress);
+    const resolved = await resolveTokenPrice(provider, tokenAddress);
+
+    console.log('┌─────────────────────────────────────────────────────────────────┐');
+    console.log('│ API PRICE (lib/price-resolver.js)                               │');
+    console.log('└─────────────────────────────────────────────────────────────────┘');
+    for (const pool of pricePools) {
+      console.log(`  📊 ${pool.type}${pool.fee ? ` (${pool.fee / 10000}%)` : ''} - ${pool.address || pool.poolId}`);
+      console.log(`     Price: $${pool.priceUSD.toFixed(8)} | Liquidity: $${pool.liquidityUSD.toFixed(2)}`);
+    }
+    console.log(`  ✅ Resolved: $${resolved.priceUSD.toFixed(8)} via ${resolved.source} (${resolved.confidence} confidence)`);
+    console.log('');
+  } catch (e) {
+    console.log('    Price resolver error:', e.message.slice(0, 50));
+  }
+
   const allPools = [...v2Pools, ...v3Pools, ...v4Pools];
 
   if (allPools.length === 0) {
@@ -832,7 +835,7 @@ async function main() {
   // Display V2 pools
   if (v2Pools.length > 0) {
     console.log('┌─────────────────────────────────────────────────────────────────┐');
-    console.log('│ V2 POOLS (Uniswap V2 + Aerodrome)                               │');
+    console.log('│ V2 POOLS (Uniswap V2)                                           │');
     console.log('└─────────────────────────────────────────────────────────────────┘');
     for (const pool of v2Pools) {
       console.log(`  📊 ${pool.dex} - ${tokenInfo.symbol}/${pool.pairedWith}`);
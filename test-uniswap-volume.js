@@ -10,7 +10,8 @@
  *   node test-uniswap-volume.js 0xYourWallet 30                    # Check last 30 days
  */
 
-const { getUniswapVolumes, findV2Pools, findV3Pools, getTokenPriceUSD, CONFIG } = require('./api/lib/uniswap-volume');
+const { getUniswapVolumes, CONFIG } = require('./api/lib/uniswap-volume');
+const { findPricePools, resolveTokenPrice } = require('./api/lib/price-resolver');
 const { ethers } = require('ethers');
 
 async function main() {
@@ -26,25 +27,18 @@ async function main() {
   console.log('📊 Step 1: Discovering liquidity pools...');
   console.log('');
 
-  const v2Pools = await findV2Pools(provider, CONFIG.NEYNARTODES_TOKEN);
-  console.log(`   V2 Pools: ${v2Pools.length}`);
-  for (const pool of v2Pools) {
-    console.log(`     - ${pool.address}`);
+  const pools = await findPricePools(provider, CONFIG.NEYNARTODES_TOKEN);
+  console.log(`   Pools: ${pools.length}`);
+  for (const pool of pools) {
+    const fee = pool.fee ? ` (fee: ${pool.fee / 10000}%)` : '';
+    console.log(`     - ${pool.type} ${pool.address || pool.poolId}${fee}`);
   }
-
-  const v3Pools = await findV3Pools(provider, CONFIG.NEYNARTODES_TOKEN);
-  console.log(`   V3 Pools: ${v3Pools.length}`);
-  for (const pool of v3Pools) {
-    console.log(`     - ${pool.address} (fee: ${pool.fee / 10000}%)`);
-  }
-
-  console.log('   V4 Pools: Detected via Transfer events (singleton architecture)');
   console.log('');
 
   // 2. Get token price
   console.log('💰 Step 2: Token price...');
-  const price = await getTokenPriceUSD(provider, CONFIG.NEYNARTODES_TOKEN);
-  console.log(`   NEYNARTODES: $${price.toFixed(8)}`);
+  const price = await resolveTokenPrice(provider, CONFIG.NEYNARTODES_TOKEN);
+  console.log(`   NEYNARTODES: $${price.priceUSD.toFixed(8)} (${price.source}, ${price.confidence} confidence)`);
   console.log('');
 
   // 3. Check wallet volume (if provided)
@@ -0,0 +1,112 @@
+/**
+ * Announcement templates (api/lib/announcement-templates.js): the default
+ * templates must render exactly what announce-winner posted before templates
+ * existed, for token and NFT prizes, with and without finalization stats.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_TEMPLATES,
+  DEFAULT_NFT_TEMPLATES,
+  renderTemplate,
+  resolveTemplate,
+  composeAnnouncement,
+} = require('../api/lib/announcement-templates');
+
+const LAUNCH = 'Launch your own contest: https://farcaster.xyz/miniapps/uaKwcOvUry8F/neynartodes';
+
+test('token contest with several winners and stats', () => {
+  const text = renderTemplate(DEFAULT_TEMPLATES.en, {
+    contestId: 'M-12',
+    host: '@host',
+    winners: '\n   1. @alice\n   2. @bob',
+    winnerLabel: 'Winners',
+    winnerCount: '2',
+    congratsTo: 'all winners',
+    prize: '0.2 ETH',
+    perWinner: '0.1 ETH',
+    prizeEach: ' (0.1 ETH each)',
+    entrants: '120',
+    bonusEntries: '45',
+    bonusBreakdown: '💎20 💬15 📈10',
+    burned: '2.5M',
+    hostEarned: '1.2M',
+    txLink: 'https://basescan.org/tx/0xabc',
+    message: 'Thanks for playing!',
+  });
+
+  assert.equal(text, [
+    '🦎🎉 CONTEST M-12 COMPLETE! 🎉🔥',
+    '',
+    'Thanks for playing!',
+    '',
+    '🎙️ Host: @host',
+    '🏆 Winners:',
+    '   1. @alice',
+    '   2. @bob',
+    '🎁 Prize: 0.2 ETH (0.1 ETH each)',
+    '',
+    '📊 Contest Stats:',
+    '👥 120 unique entries',
+    '🎟️ 45 bonus entries',
+    '   (💎20 💬15 📈10)',
+    '',
+    '🔥 2.5M burned',
+    '💰 1.2M to host',
+    '',
+    '🔗 Selected via Chainlink VRF',
+    'https://basescan.org/tx/0xabc',
+    '',
+    '🥳 Congrats to all winners!',
+    '',
+    LAUNCH,
+  ].join('\n'));
+});
+
+test('NFT contest with one winner and no stats', () => {
+  const text = renderTemplate(DEFAULT_NFT_TEMPLATES.en, {
+    contestId: 'M-3',
+    host: '',
+    winners: '@alice',
+    winnerLabel: 'Winner',
+    winnerCount: '1',
+    congratsTo: 'the winner',
+    prize: 'Based Punk #12',
+  });
+
+  assert.equal(text, [
+    '🖼️🎉 NFT CONTEST M-3 COMPLETE! 🎉🖼️',
+    '',
+    '🏆 Winner: @alice',
+    '🎁 Prize: Based Punk #12',
+    '',
+    '🔗 Selected via Chainlink VRF',
+    '',
+    '🥳 Congrats to the winner!',
+    '',
+    LAUNCH,
+  ].join('\n'));
+});
+
+test('stats without bonuses or earnings keep only the entrants line', () => {
+  const text = renderTemplate(DEFAULT_TEMPLATES.en, { contestId: 'T-1', winners: '@a', winnerLabel: 'Winner', entrants: '4' });
+  assert.match(text, /📊 Contest Stats:\n👥 4 unique entries\n\n🔗 Selected via Chainlink VRF/);
+  assert.doesNotMatch(text, /bonus|burned|to host|\(\)/);
+});
+
+test('resolveTemplate picks the NFT default for NFT prizes', async () => {
+  assert.equal((await resolveTemplate(null)).text, DEFAULT_TEMPLATES.en);
+  assert.equal((await resolveTemplate(null, { nft: true })).text, DEFAULT_NFT_TEMPLATES.en);
+});
+
+test('long multi-winner announcements become a thread split at line breaks', () => {
+  const winners = Array.from({ length: 200 }, (_, i) => `\n   ${i + 1}. @winner_with_a_long_name_${i}`).join('');
+  const announcement = composeAnnouncement(DEFAULT_TEMPLATES.en, { contestId: 'M-1', winners, winnerLabel: 'Winners' }, { winnerCount: 200 });
+
+  assert.equal(announcement.thread, true);
+  assert.ok(announcement.casts.every(cast => Buffer.byteLength(cast, 'utf8') <= 1024));
+  assert.match(announcement.casts[1], /^\d+\. @winner_with_a_long_name_\d+\n/, 'split inside the winner list');
+});
@@ -0,0 +1,150 @@
+/**
+ * Sybil detection (api/lib/sybil) against a log fixture in the
+ * `scripts/sybil-report.js --record` format: a shared-funder ring, a direct
+ * transfer pair, an intermediary cycle, a sequential-FID burst and payouts
+ * from a cooldown_exempt wallet that must be ignored.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fixture = require('./fixtures/sybil-farm-ring.json');
+const { buildRiskReport, runSybilScan } = require('../api/lib/sybil');
+
+function replayFixture() {
+  return buildRiskReport({
+    contestId: fixture.contestId,
+    participants: fixture.participants,
+    logs: fixture.logs,
+    ignoreAddresses: new Set(fixture.ignoreAddresses),
+    window: fixture.window,
+  });
+}
+
+test('clusters entrants linked by funders, transfers and intermediaries', () => {
+  const report = replayFixture();
+
+  assert.equal(report.participantCount, 10);
+  // ERC721 Transfer is skipped
+  assert.equal(report.transferCount, fixture.logs.length - 1);
+
+  const clusters = report.clusters.map(c => ({ fids: c.fids, types: [...new Set(c.evidence.map(e => e.type))] }));
+  assert.equal(clusters.length, 3);
+  assert.deepEqual(clusters[0], { fids: [1001, 1002, 1003], types: ['shared_funder'] });
+  assert.deepEqual(
+    clusters.slice(1).sort((a, b) => a.fids[0] - b.fids[0]),
+    [
+      { fids: [250000, 250100], types: ['direct_transfer'] },
+      { fids: [400000, 400001], types: ['intermediary'] },
+    ]
+  );
+});
+
+test('flags the burst and scores each entrant by its evidence', () => {
+  const report = replayFixture();
+
+  assert.deepEqual(report.bursts.map(b => b.fids), [[1001, 1002, 1003, 1200]]);
+
+  const scores = Object.fromEntries(report.flagged.map(f => [f.fid, `${f.risk}:${f.score}`]));
+  assert.deepEqual(scores, {
+    1001: 'high:4',
+    1002: 'high:4',
+    1003: 'high:4',
+    250000: 'medium:3',
+    250100: 'medium:3',
+    400000: 'medium:3',
+    400001: 'medium:3',
+    1200: 'low:1',
+  });
+
+  // Paid by the cooldown_exempt wallet only
+  assert.ok(!report.flagged.some(f => f.fid === 5000 || f.fid === 90000));
+  assert.deepEqual(report.suggestedDenylist, [1001, 1002, 1003]);
+});
+
+test('funders touching more than maxHubFanout entrants are treated as hubs', () => {
+  const report = buildRiskReport({
+    contestId: fixture.contestId,
+    participants: fixture.participants,
+    logs: fixture.logs,
+    ignoreAddresses: new Set(fixture.ignoreAddresses),
+    options: { MAX_HUB_FANOUT: 2 },
+  });
+  assert.ok(!report.clusters.some(c => c.evidence.some(e => e.type === 'shared_funder')));
+});
+
+/**
+ * In-memory stand-ins for the KV client and an RPC provider serving the fixture logs
+ */
+function createMemoryKv() {
+  const store = new Map();
+  return {
+    store,
+    get: async (key) => (store.has(key) ? structuredClone(store.get(key)) : null),
+    set: async (key, value) => { store.set(key, structuredClone(value)); return 'OK'; },
+    mget: async (...keys) => keys.map(key => (store.has(key) ? structuredClone(store.get(key)) : null)),
+    del: async (...keys) => keys.filter(key => store.delete(key)).length,
+  };
+}
+
+function createFixtureProvider({ failFromBlock = null } = {}) {
+  const calls = [];
+  return {
+    calls,
+    getBlockNumber: async () => fixture.window.toBlock,
+    getLogs: async ({ address, topics, fromBlock, toBlock }) => {
+      calls.push(fromBlock);
+      if (failFromBlock !== null && fromBlock >= failFromBlock) throw new Error('RPC timeout');
+      const [, fromTopics, toTopics] = topics;
+      return fixture.logs.filter(log =>
+        log.address.toLowerCase() === address.toLowerCase()
+        && log.topics.length === 3
+        && log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+        && (!fromTopics || fromTopics.includes(log.topics[1]))
+        && (!toTopics || toTopics.includes(log.topics[2]))
+      );
+    },
+  };
+}
+
+test('checkpointed scan resumes after a failed chunk without refetching', async () => {
+  const kv = createMemoryKv();
+  const options = { LOOKBACK_BLOCKS: 25000 };
+  const params = { contestId: fixture.contestId, participants: fixture.participants, options };
+  const secondChunk = fixture.window.toBlock - 25000 + 10000;
+
+  // Dies on the second 10k-block chunk (like a function timeout mid-scan)
+  const failing = createFixtureProvider({ failFromBlock: secondChunk });
+  await assert.rejects(runSybilScan(kv, { ...params, provider: failing }), /RPC timeout/);
+  const state = await kv.get(`sybil_scan:${fixture.contestId}`);
+  assert.equal(state.nextBlock, secondChunk);
+  assert.equal(state.chunks, 1);
+
+  const provider = createFixtureProvider();
+  const result = await runSybilScan(kv, { ...params, provider });
+  assert.equal(result.done, true);
+  assert.ok(provider.calls.every(block => block >= secondChunk), 'first chunk was fetched again');
+
+  // Same clusters as the offline replay (the exempt wallet isn't on the default list here)
+  const fids = result.report.clusters.map(c => c.fids.join(',')).sort();
+  assert.ok(fids.includes('1001,1002,1003'));
+  assert.ok(fids.includes('250000,250100'));
+  assert.ok(fids.includes('400000,400001'));
+
+  // Report stored, checkpoint cleaned up
+  assert.ok(await kv.get(`sybil_report:${fixture.contestId}`));
+  assert.equal([...kv.store.keys()].filter(key => key.startsWith('sybil_scan:')).length, 0);
+});
+
+test('scan pauses when its budget runs out', async () => {
+  const kv = createMemoryKv();
+  const result = await runSybilScan(kv, {
+    contestId: fixture.contestId,
+    participants: fixture.participants,
+    provider: createFixtureProvider(),
+    budgetMs: 0,
+    options: { LOOKBACK_BLOCKS: 25000 },
+  });
+  assert.deepEqual(result, { done: false, nextBlock: fixture.window.toBlock - 25000, toBlock: fixture.window.toBlock });
+});
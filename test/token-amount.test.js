@@ -0,0 +1,60 @@
+/**
+ * Decimals-aware prize amounts (api/lib/token-amount.js) for 6-decimal
+ * (USDC), 8-decimal (cbBTC) and 18-decimal (ETH / ERC20) tokens.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenAmount, formatAmount, splitAmount, toUSD } = require('../api/lib/token-amount');
+
+test('tokenAmount accepts bigint, JSON strings and numbers', () => {
+  assert.deepEqual(tokenAmount(2500000000n, 6, 'USDC'), { raw: 2500000000n, decimals: 6, symbol: 'USDC' });
+  assert.deepEqual(tokenAmount('12345678', '8', 'cbBTC'), { raw: 12345678n, decimals: 8, symbol: 'cbBTC' });
+  assert.deepEqual(tokenAmount(null), { raw: 0n, decimals: 18, symbol: '' });
+});
+
+test('formatAmount applies the token decimals', () => {
+  assert.equal(formatAmount(tokenAmount(2500000000n, 6, 'USDC')), '2,500 USDC');
+  assert.equal(formatAmount(tokenAmount(1234567n, 6, 'USDC')), '1.2345 USDC');
+  assert.equal(formatAmount(tokenAmount(12345678n, 8, 'cbBTC')), '0.1234 cbBTC');
+  assert.equal(formatAmount(tokenAmount(1500000000000000000n, 18, 'ETH')), '1.5 ETH');
+  assert.equal(formatAmount(tokenAmount(2500000n, 6, 'USDC'), { symbol: '$' }), '2.5 $USDC');
+  assert.equal(formatAmount(tokenAmount(2500000n, 6, 'USDC'), { symbol: false }), '2.5');
+});
+
+test('formatAmount keeps significant digits of dust', () => {
+  assert.equal(formatAmount(tokenAmount(1n, 6, 'USDC')), '0.000001 USDC');
+  assert.equal(formatAmount(tokenAmount(15n, 8, 'cbBTC')), '0.00000015 cbBTC');
+  assert.equal(formatAmount(tokenAmount(1n, 18, 'ETH')), '0.000000000000000001 ETH');
+});
+
+test('compact formatting never falls back to exponent notation', () => {
+  assert.equal(formatAmount(tokenAmount(2500000000000n, 6, 'USDC'), { compact: true }), '2.5M USDC');
+  assert.equal(formatAmount(tokenAmount(150000000000n, 8, 'cbBTC'), { compact: true }), '1.5K cbBTC');
+  assert.equal(formatAmount(tokenAmount(3n * 10n ** 27n, 18, 'X'), { compact: true }), '3.0B X');
+  assert.equal(formatAmount(tokenAmount(12500000000000000000n, 18, 'ETH'), { compact: true }), '12.5 ETH');
+  assert.equal(formatAmount(tokenAmount(123456n, 6, 'USDC'), { compact: true }), '0.12 USDC');
+  assert.equal(formatAmount(tokenAmount(1n, 6, 'USDC'), { compact: true }), '0.000001 USDC');
+  assert.equal(formatAmount(tokenAmount(1n, 8, 'cbBTC'), { compact: true }), '0.00000001 cbBTC');
+  assert.equal(formatAmount(tokenAmount(1n, 18, 'X'), { compact: true }), '0.000000000000000001 X');
+  assert.equal(formatAmount(tokenAmount(0n, 18, 'X'), { compact: true }), '0 X');
+});
+
+test('splitAmount rounds down in raw units and keeps decimals', () => {
+  assert.deepEqual(splitAmount(tokenAmount(10000001n, 6, 'USDC'), 3), { raw: 3333333n, decimals: 6, symbol: 'USDC' });
+  assert.deepEqual(splitAmount(tokenAmount('100000000', 8, 'cbBTC'), 4), { raw: 25000000n, decimals: 8, symbol: 'cbBTC' });
+  assert.deepEqual(splitAmount(tokenAmount(10n ** 18n, 18, 'ETH'), 3), { raw: 333333333333333333n, decimals: 18, symbol: 'ETH' });
+  // 0 parts is treated as 1
+  assert.equal(splitAmount(tokenAmount(5n, 18), 0).raw, 5n);
+});
+
+test('toUSD converts by whole token price', () => {
+  assert.equal(toUSD(tokenAmount(2500000000n, 6), 1), 2500);
+  assert.equal(toUSD(tokenAmount(50000000n, 8), 60000), 30000);
+  assert.equal(toUSD(tokenAmount(1500000000000000000n, 18), 3000), 4500);
+  assert.equal(toUSD(tokenAmount(10n ** 18n, 18), 0), 0);
+  // Large 18-decimal supply keeps its fraction
+  assert.equal(toUSD(tokenAmount(10n ** 30n + 5n * 10n ** 17n, 18), 2), 2000000000001);
+});